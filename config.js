@@ -1,16 +1,90 @@
 require('dotenv').config();
+const path = require('path');
+const { parseVersionPins } = require('./utils/promptTemplates');
+
+// A whole number of retries from the environment; the default when unset or
+// not a non-negative integer, so a typo can't turn a retry loop off
+function retryCount(value, fallback) {
+    const count = Number(value);
+    return value !== undefined && value.trim() !== '' && Number.isInteger(count) && count >= 0 ? count : fallback;
+}
 
 module.exports = {
     openrouter: {
         apiKey: process.env.OPENROUTER_API_KEY,
         baseUrl: 'https://openrouter.ai/api/v1'
     },
+    llm: {
+        // One of: openrouter, local, fixture
+        provider: process.env.LLM_PROVIDER || 'openrouter',
+        models: {
+            story: process.env.LLM_STORY_MODEL || 'openai/gpt-4-turbo-preview',
+            continuation: process.env.LLM_CONTINUATION_MODEL || 'openai/gpt-3.5-turbo',
+            // Falls back to the story model when unset
+            moderation: process.env.LLM_MODERATION_MODEL
+        },
+        local: {
+            // Any OpenAI-compatible server (Ollama, LM Studio, vLLM, llama.cpp...)
+            baseUrl: process.env.LLM_LOCAL_BASE_URL || 'http://localhost:11434/v1',
+            apiKey: process.env.LLM_LOCAL_API_KEY
+        },
+        fixture: {
+            dir: process.env.LLM_FIXTURES_DIR,
+            // Delay between streamed words, to mimic a real model
+            streamDelayMs: parseInt(process.env.LLM_FIXTURE_STREAM_DELAY_MS, 10) || 0
+        },
+        timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 120000,
+        // Re-prompts allowed when a structured response fails schema validation
+        maxRepairRetries: retryCount(process.env.LLM_MAX_REPAIR_RETRIES, 2)
+    },
+    prompts: {
+        // Point at a mounted volume to edit prompts without redeploying
+        dir: process.env.PROMPTS_DIR || path.join(__dirname, 'prompts'),
+        // Pin template versions, e.g. "story=2,continuation=1"; others use their latest
+        versions: parseVersionPins(process.env.PROMPT_VERSIONS)
+    },
+    readability: {
+        // How many grades a story's estimated reading level may drift from the requested grade
+        toleranceGrades: parseFloat(process.env.READABILITY_TOLERANCE_GRADES) || 2,
+        // Regenerations tried for an out-of-band story before it is saved with a flag
+        maxRegenerations: parseInt(process.env.READABILITY_MAX_REGENERATIONS ?? '1', 10)
+    },
+    wordCount: {
+        // Allowed deviation from the requested word count, as a fraction (0.2 = ±20%)
+        tolerance: parseFloat(process.env.WORD_COUNT_TOLERANCE) || 0.2,
+        // Expand-or-trim passes tried for a story outside the tolerance
+        maxAdjustments: parseInt(process.env.WORD_COUNT_MAX_ADJUSTMENTS ?? '1', 10)
+    },
+    moderation: {
+        // 'none', 'llm', or the path of a module exporting { name, classify(text, context) }
+        classifier: process.env.MODERATION_CLASSIFIER || 'none',
+        // What happens to flagged content: block, regenerate or review (held for teacher review)
+        action: process.env.MODERATION_ACTION || 'regenerate',
+        // Applied once regeneration attempts run out: block or review
+        fallbackAction: process.env.MODERATION_FALLBACK_ACTION || 'review',
+        maxRegenerations: parseInt(process.env.MODERATION_MAX_REGENERATIONS ?? '1', 10),
+        // Accounts (comma-separated user IDs) that may approve or reject any held
+        // content; teachers can always review their own students' content
+        reviewers: (process.env.MODERATION_REVIEWERS || '').split(',').map(id => id.trim()).filter(Boolean)
+    },
+    jobs: {
+        // A job with no progress for this long is reported as failed
+        staleAfterMs: parseInt(process.env.JOB_STALE_AFTER_MS, 10) || 600000,
+        // How long finished jobs stay in memory for polling clients
+        retainMs: parseInt(process.env.JOB_RETAIN_MS, 10) || 600000
+    },
     supabase: {
         url: process.env.SUPABASE_URL,
-        key: process.env.SUPABASE_KEY
+        key: process.env.SUPABASE_KEY,
+        // Server-only, unlike SUPABASE_KEY, which /env-config.js hands to the browser
+        serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY
+    },
+    anonymousIds: {
+        // Signs the anonymous IDs the server issues (see utils/anonymousIds.js)
+        secret: process.env.ANONYMOUS_ID_SECRET
     },
     server: {
         port: process.env.PORT || 3000,
         frontendUrl: process.env.FRONTEND_URL || 'https://test-dict.onrender.com'
     }
-}; 
\ No newline at end of file
+};
\ No newline at end of file
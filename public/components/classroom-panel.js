@@ -0,0 +1,515 @@
+import { LitElement, html, css } from 'https://cdn.jsdelivr.net/gh/lit/dist@2/core/lit-core.min.js';
+
+const STATUS_LABELS = {
+  not_started: 'Not started',
+  read: 'Read',
+  completed: 'Completed'
+};
+
+/**
+ * Classrooms. Signed-in teachers create a classroom, share its join code,
+ * assign their saved stories with a due date and follow who has read and
+ * completed each one. Students (signed in or not) join with a code and see
+ * their assignments. Opening an assignment fires `view-assignment` with
+ * `{ classroomId, assignmentId, storyId }`.
+ */
+export class ClassroomPanel extends LitElement {
+  static get properties() {
+    return {
+      signedIn: { type: Boolean },
+      // The teacher's saved stories that can be assigned
+      stories: { type: Array },
+      _teaching: { state: true },
+      _enrolled: { state: true },
+      _selected: { state: true },
+      _progress: { state: true },
+      _loading: { state: true },
+      _error: { state: true }
+    };
+  }
+
+  static get styles() {
+    return css`
+      :host {
+        display: block;
+      }
+
+      .columns {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 1.5rem;
+      }
+
+      .card {
+        padding: 1.25rem;
+        border-radius: 12px;
+        background: var(--card-bg, white);
+        border: 1px solid var(--border, rgba(0, 0, 0, 0.1));
+        box-shadow: var(--shadow-sm, 0 1px 3px rgba(0, 0, 0, 0.08));
+        margin-bottom: 1rem;
+      }
+
+      h3 {
+        margin: 0 0 0.75rem;
+        font-family: var(--font-heading, 'Inter', sans-serif);
+        font-size: 1.1rem;
+        color: var(--text, #212529);
+      }
+
+      form {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+        margin-top: 0.75rem;
+      }
+
+      input,
+      select {
+        flex: 1;
+        min-width: 140px;
+        padding: 0.6rem 0.75rem;
+        font-size: 0.95rem;
+        border: 1px solid var(--border, rgba(0, 0, 0, 0.15));
+        border-radius: 8px;
+        font-family: inherit;
+      }
+
+      button {
+        padding: 0.6rem 1rem;
+        font-size: 0.9rem;
+        font-weight: 600;
+        color: white;
+        background: var(--primary, #5e7ce6);
+        border: none;
+        border-radius: 8px;
+        cursor: pointer;
+        font-family: var(--font-heading, 'Inter', sans-serif);
+      }
+
+      button.link {
+        padding: 0;
+        color: var(--primary, #5e7ce6);
+        background: none;
+        font-weight: 500;
+      }
+
+      button.danger {
+        background: var(--error, #f56565);
+      }
+
+      ul {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+      }
+
+      li {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 0.75rem;
+        padding: 0.5rem 0;
+        border-bottom: 1px solid var(--border, rgba(0, 0, 0, 0.06));
+      }
+
+      li:last-child {
+        border-bottom: none;
+      }
+
+      .meta {
+        font-size: 0.85rem;
+        color: var(--text-secondary, #6c757d);
+      }
+
+      .join-code {
+        font-family: monospace;
+        font-size: 1.4rem;
+        font-weight: 700;
+        letter-spacing: 0.15em;
+      }
+
+      .status {
+        padding: 0.15rem 0.5rem;
+        border-radius: 999px;
+        font-size: 0.8rem;
+        background: var(--background-alt, #f1f3f5);
+      }
+
+      .status.completed {
+        color: white;
+        background: var(--success, #38b2ac);
+      }
+
+      .status.late {
+        color: white;
+        background: var(--error, #f56565);
+      }
+
+      table {
+        width: 100%;
+        border-collapse: collapse;
+        margin-top: 0.75rem;
+        font-size: 0.9rem;
+      }
+
+      th,
+      td {
+        text-align: left;
+        padding: 0.4rem;
+        border-bottom: 1px solid var(--border, rgba(0, 0, 0, 0.06));
+      }
+
+      .error {
+        color: var(--error, #f56565);
+        margin-bottom: 0.75rem;
+      }
+
+      .empty-state {
+        color: var(--text-secondary, #6c757d);
+      }
+
+      @media (max-width: 768px) {
+        .columns {
+          grid-template-columns: 1fr;
+        }
+      }
+    `;
+  }
+
+  constructor() {
+    super();
+    this.signedIn = false;
+    this.stories = [];
+    this._teaching = [];
+    this._enrolled = [];
+    this._selected = null;
+    this._progress = null;
+    this._loading = false;
+    this._error = '';
+  }
+
+  // Reload the classroom lists, and the open classroom if there is one
+  async refresh() {
+    this._loading = true;
+    try {
+      const { teaching, enrolled } = await window.apiService.getClassrooms();
+      this._teaching = teaching;
+      this._enrolled = enrolled;
+      if (this._selected) {
+        await this._open(this._selected.id);
+      }
+    } catch (error) {
+      console.error('Failed to load classrooms:', error);
+    } finally {
+      this._loading = false;
+    }
+  }
+
+  async _run(action) {
+    this._error = '';
+    try {
+      await action();
+    } catch (error) {
+      this._error = error.message || 'Something went wrong';
+    }
+  }
+
+  _open(classroomId) {
+    return this._run(async () => {
+      this._progress = null;
+      this._selected = await window.apiService.getClassroom(classroomId);
+    });
+  }
+
+  _create(e) {
+    e.preventDefault();
+    const form = e.target;
+    return this._run(async () => {
+      const classroom = await window.apiService.createClassroom(form.classroomName.value);
+      form.reset();
+      await this.refresh();
+      await this._open(classroom.id);
+    });
+  }
+
+  _join(e) {
+    e.preventDefault();
+    const form = e.target;
+    return this._run(async () => {
+      const classroom = await window.apiService.joinClassroom(form.code.value, form.displayName.value);
+      form.reset();
+      await this.refresh();
+      await this._open(classroom.id);
+    });
+  }
+
+  _assign(e) {
+    e.preventDefault();
+    const form = e.target;
+    const dueAt = form.dueAt.value ? new Date(form.dueAt.value).toISOString() : null;
+    return this._run(async () => {
+      await window.apiService.assignStory(this._selected.id, form.storyId.value, dueAt);
+      form.reset();
+      await this._open(this._selected.id);
+    });
+  }
+
+  _unassign(assignment) {
+    if (!confirm(`Remove "${assignment.story?.story_title || 'this story'}" from the classroom?`)) return;
+    return this._run(async () => {
+      await window.apiService.removeAssignment(this._selected.id, assignment.id);
+      await this._open(this._selected.id);
+    });
+  }
+
+  _removeMember(member) {
+    if (!confirm(`Remove ${member.display_name} from the classroom?`)) return;
+    return this._run(async () => {
+      await window.apiService.removeClassroomMember(this._selected.id, member.id);
+      await this._open(this._selected.id);
+    });
+  }
+
+  _leave() {
+    if (!confirm(`Leave ${this._selected.name}?`)) return;
+    return this._run(async () => {
+      await window.apiService.removeClassroomMember(this._selected.id, this._selected.membership.id);
+      this._selected = null;
+      await this.refresh();
+    });
+  }
+
+  _deleteClassroom() {
+    if (!confirm(`Delete ${this._selected.name}? Its roster and assignments will be removed.`)) return;
+    return this._run(async () => {
+      await window.apiService.deleteClassroom(this._selected.id);
+      this._selected = null;
+      await this.refresh();
+    });
+  }
+
+  _showProgress(assignment) {
+    return this._run(async () => {
+      const students = await window.apiService.getAssignmentProgress(this._selected.id, assignment.id);
+      this._progress = { assignment, students };
+    });
+  }
+
+  _viewAssignment(assignment) {
+    this.dispatchEvent(new CustomEvent('view-assignment', {
+      detail: { classroomId: this._selected.id, assignmentId: assignment.id, storyId: assignment.story_id },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  _viewHeld(item) {
+    this.dispatchEvent(new CustomEvent('view-held-story', {
+      detail: { storyId: item.story_id },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  _formatDate(value) {
+    return value ? new Date(value).toLocaleString() : '';
+  }
+
+  _renderLists() {
+    return html`
+      <div class="columns">
+        <div class="card">
+          <h3>Join a classroom</h3>
+          <p class="meta">Enter the code your teacher gave you.</p>
+          <form @submit=${this._join}>
+            <input name="code" placeholder="Join code" autocomplete="off" required>
+            <input name="displayName" placeholder="Your name" maxlength="60" required>
+            <button type="submit">Join</button>
+          </form>
+          ${this._enrolled.length ? html`
+            <ul>
+              ${this._enrolled.map(classroom => html`
+                <li>
+                  <button class="link" @click=${() => this._open(classroom.id)}>${classroom.name}</button>
+                  <span class="meta">as ${classroom.membership.display_name}</span>
+                </li>
+              `)}
+            </ul>
+          ` : ''}
+        </div>
+        <div class="card">
+          <h3>Teach a classroom</h3>
+          ${this.signedIn ? html`
+            <form @submit=${this._create}>
+              <input name="classroomName" placeholder="Classroom name" maxlength="100" required>
+              <button type="submit">Create</button>
+            </form>
+            ${this._teaching.length ? html`
+              <ul>
+                ${this._teaching.map(classroom => html`
+                  <li>
+                    <button class="link" @click=${() => this._open(classroom.id)}>${classroom.name}</button>
+                    <span class="meta">${classroom.member_count} ${classroom.member_count === 1 ? 'student' : 'students'}</span>
+                  </li>
+                `)}
+              </ul>
+            ` : ''}
+          ` : html`<p class="empty-state">Sign in to create a classroom and assign your stories.</p>`}
+        </div>
+      </div>
+    `;
+  }
+
+  _renderProgress() {
+    const { assignment, students } = this._progress;
+    return html`
+      <div class="card">
+        <h3>${assignment.story?.story_title || 'Assignment'}: progress</h3>
+        ${students.length ? html`
+          <table>
+            <thead>
+              <tr><th>Student</th><th>Status</th><th>Read</th><th>Best score</th></tr>
+            </thead>
+            <tbody>
+              ${students.map(student => html`
+                <tr>
+                  <td>${student.display_name}</td>
+                  <td>
+                    <span class="status ${student.status} ${student.late ? 'late' : ''}">
+                      ${STATUS_LABELS[student.status]}${student.late ? ' (late)' : ''}
+                    </span>
+                  </td>
+                  <td>${this._formatDate(student.read_at)}</td>
+                  <td>${student.best_score !== null ? `${student.best_score}% (${student.attempts})` : ''}</td>
+                </tr>
+              `)}
+            </tbody>
+          </table>
+        ` : html`<p class="empty-state">No students have joined yet.</p>`}
+        <button class="link" @click=${() => { this._progress = null; }}>Hide progress</button>
+      </div>
+    `;
+  }
+
+  _renderTeacherView(classroom) {
+    const assignedIds = new Set(classroom.assignments.map(assignment => assignment.story_id));
+    const assignable = (this.stories || []).filter(story =>
+      (story.moderation_status || 'approved') === 'approved' && !assignedIds.has(story.id));
+
+    return html`
+      <div class="card">
+        <p>Students join with the code <span class="join-code">${classroom.join_code}</span></p>
+        <h3>Assignments</h3>
+        ${classroom.assignments.length ? html`
+          <ul>
+            ${classroom.assignments.map(assignment => html`
+              <li>
+                <div>
+                  <div>${assignment.story?.story_title || 'Untitled story'}</div>
+                  <div class="meta">
+                    ${assignment.due_at ? `Due ${this._formatDate(assignment.due_at)} · ` : ''}
+                    ${assignment.progress.read} of ${assignment.progress.students} read,
+                    ${assignment.progress.completed} completed
+                  </div>
+                </div>
+                <div>
+                  <button class="link" @click=${() => this._showProgress(assignment)}>Progress</button>
+                  <button class="link" @click=${() => this._unassign(assignment)}>Remove</button>
+                </div>
+              </li>
+            `)}
+          </ul>
+        ` : html`<p class="empty-state">No stories assigned yet.</p>`}
+        ${assignable.length ? html`
+          <form @submit=${this._assign}>
+            <select name="storyId" required>
+              ${assignable.map(story => html`<option value=${story.id}>${story.story_title || story.title}</option>`)}
+            </select>
+            <input name="dueAt" type="datetime-local" aria-label="Due date">
+            <button type="submit">Assign</button>
+          </form>
+        ` : ''}
+      </div>
+      ${this._progress ? this._renderProgress() : ''}
+      ${classroom.held?.length ? html`
+        <div class="card">
+          <h3>Waiting for your review</h3>
+          <ul>
+            ${classroom.held.map(item => html`
+              <li>
+                <div>
+                  <div>${item.story_title || 'Untitled story'}${item.chapter_number ? ` · Chapter ${item.chapter_number}` : ''}</div>
+                  <div class="meta">${item.display_name} · ${this._formatDate(item.created_at)}</div>
+                </div>
+                <button class="link" @click=${() => this._viewHeld(item)}>Review</button>
+              </li>
+            `)}
+          </ul>
+        </div>
+      ` : ''}
+      <div class="card">
+        <h3>Students (${classroom.members.length})</h3>
+        ${classroom.members.length ? html`
+          <ul>
+            ${classroom.members.map(member => html`
+              <li>
+                <span>${member.display_name}</span>
+                <button class="link" @click=${() => this._removeMember(member)}>Remove</button>
+              </li>
+            `)}
+          </ul>
+        ` : html`<p class="empty-state">Share the join code with your students.</p>`}
+      </div>
+      <button class="danger" @click=${this._deleteClassroom}>Delete classroom</button>
+    `;
+  }
+
+  _renderStudentView(classroom) {
+    return html`
+      <div class="card">
+        <h3>Assignments</h3>
+        ${classroom.assignments.length ? html`
+          <ul>
+            ${classroom.assignments.map(assignment => {
+              const progress = assignment.my_progress;
+              return html`
+                <li>
+                  <div>
+                    <div>${assignment.story?.story_title || 'Untitled story'}</div>
+                    <div class="meta">
+                      ${assignment.due_at ? `Due ${this._formatDate(assignment.due_at)}` : 'No due date'}
+                      ${progress.best_score !== null ? ` · Best score ${progress.best_score}%` : ''}
+                    </div>
+                  </div>
+                  <div>
+                    <span class="status ${progress.status} ${progress.late ? 'late' : ''}">
+                      ${STATUS_LABELS[progress.status]}${progress.late ? ' (late)' : ''}
+                    </span>
+                    <button @click=${() => this._viewAssignment(assignment)}>Open</button>
+                  </div>
+                </li>
+              `;
+            })}
+          </ul>
+        ` : html`<p class="empty-state">Your teacher hasn't assigned any stories yet.</p>`}
+      </div>
+      <button class="danger" @click=${this._leave}>Leave classroom</button>
+    `;
+  }
+
+  render() {
+    const classroom = this._selected;
+    return html`
+      ${this._error ? html`<div class="error" role="alert">${this._error}</div>` : ''}
+      ${classroom ? html`
+        <p><button class="link" @click=${() => { this._selected = null; this._progress = null; }}>← All classrooms</button></p>
+        <h3>${classroom.name}</h3>
+        ${classroom.role === 'teacher' ? this._renderTeacherView(classroom) : this._renderStudentView(classroom)}
+      ` : this._loading && !this._teaching.length && !this._enrolled.length
+        ? html`<div class="empty-state">Loading classrooms…</div>`
+        : this._renderLists()}
+    `;
+  }
+}
+
+customElements.define('classroom-panel', ClassroomPanel);
@@ -0,0 +1,251 @@
+import { LitElement, html, css } from 'https://cdn.jsdelivr.net/gh/lit/dist@2/core/lit-core.min.js';
+
+/**
+ * Flashcard review of the vocabulary deck. Shows the due cards one at a time:
+ * the word first, then its definition and example once flipped, and asks how
+ * well it was remembered. Each rating fires `flashcard-rated` with
+ * `{ cardId, rating }`; cards rated "again" come back at the end of the session.
+ */
+export class FlashcardReview extends LitElement {
+  static get properties() {
+    return {
+      cards: { type: Array },
+      // Deck size, as reported by GET /vocabulary
+      total: { type: Number },
+      loading: { type: Boolean }
+    };
+  }
+
+  static get styles() {
+    return css`
+      :host {
+        display: block;
+      }
+
+      .deck-status {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        margin-bottom: 1rem;
+        font-size: 0.95rem;
+        color: var(--text-secondary, #6c757d);
+      }
+
+      .flashcard {
+        min-height: 220px;
+        padding: 2rem;
+        border-radius: 16px;
+        background: var(--card-bg, white);
+        border: 1px solid var(--border, rgba(0, 0, 0, 0.1));
+        box-shadow: var(--shadow-md, 0 4px 6px rgba(0, 0, 0, 0.1));
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        text-align: center;
+        cursor: pointer;
+        animation: fadeIn 0.3s ease-in-out;
+      }
+
+      .flashcard.flipped {
+        cursor: default;
+      }
+
+      .word {
+        font-family: var(--font-heading, 'Inter', sans-serif);
+        font-size: 2rem;
+        font-weight: 700;
+        color: var(--text, #212529);
+      }
+
+      .part-of-speech {
+        margin-top: 0.25rem;
+        font-style: italic;
+        color: var(--text-secondary, #6c757d);
+      }
+
+      .definition {
+        margin-top: 1.25rem;
+        font-size: 1.15rem;
+        line-height: 1.5;
+        color: var(--text, #212529);
+      }
+
+      .example {
+        margin-top: 0.75rem;
+        font-style: italic;
+        line-height: 1.5;
+        color: var(--text-secondary, #6c757d);
+      }
+
+      .flip-prompt {
+        margin-top: 1.5rem;
+        font-size: 0.9rem;
+        color: var(--text-secondary, #6c757d);
+      }
+
+      .ratings {
+        display: grid;
+        grid-template-columns: repeat(4, 1fr);
+        gap: 0.75rem;
+        margin-top: 1.25rem;
+      }
+
+      button {
+        padding: 0.75rem 1rem;
+        font-size: 0.95rem;
+        font-weight: 600;
+        color: white;
+        background: var(--primary, #5e7ce6);
+        border: none;
+        border-radius: 12px;
+        cursor: pointer;
+        font-family: var(--font-heading, 'Inter', sans-serif);
+        transition: all 0.2s ease;
+      }
+
+      button:hover {
+        transform: translateY(-2px);
+      }
+
+      button.again {
+        background: var(--error, #f56565);
+      }
+
+      button.hard {
+        background: var(--warning, #ed8936);
+      }
+
+      button.good {
+        background: var(--success, #38b2ac);
+      }
+
+      .empty-state {
+        text-align: center;
+        padding: 2rem;
+        border-radius: 12px;
+        border: 1px dashed var(--border, rgba(0, 0, 0, 0.1));
+        color: var(--text-secondary, #6c757d);
+      }
+
+      @keyframes fadeIn {
+        from { opacity: 0; transform: translateY(10px); }
+        to { opacity: 1; transform: translateY(0); }
+      }
+
+      @media (max-width: 768px) {
+        .ratings {
+          grid-template-columns: repeat(2, 1fr);
+        }
+      }
+    `;
+  }
+
+  constructor() {
+    super();
+    this.cards = [];
+    this.total = 0;
+    this.loading = false;
+    this._queue = [];
+    this._flipped = false;
+    this._reviewed = 0;
+  }
+
+  willUpdate(changed) {
+    if (changed.has('cards')) {
+      this._queue = [...(this.cards || [])];
+      this._flipped = false;
+      this._reviewed = 0;
+    }
+  }
+
+  // Whether a review has started and cards are left, so a refresh of the
+  // deck shouldn't replace the queue under the student
+  get inSession() {
+    return this._reviewed > 0 && this._queue.length > 0;
+  }
+
+  _flip() {
+    if (this._flipped) return;
+    this._flipped = true;
+    this.requestUpdate();
+  }
+
+  _handleCardKeydown(e) {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      this._flip();
+    }
+  }
+
+  _rate(rating) {
+    const [card, ...rest] = this._queue;
+    this._queue = rating === 'again' ? [...rest, card] : rest;
+    this._flipped = false;
+    this._reviewed += 1;
+
+    this.dispatchEvent(new CustomEvent('flashcard-rated', {
+      detail: { cardId: card.id, rating },
+      bubbles: true,
+      composed: true
+    }));
+
+    this.requestUpdate();
+  }
+
+  _renderCard(card) {
+    return html`
+      <div class="flashcard ${this._flipped ? 'flipped' : ''}" role="button" tabindex="0"
+           aria-label=${this._flipped ? card.word : `${card.word}. Show the meaning`}
+           @click=${this._flip}
+           @keydown=${this._handleCardKeydown}>
+        <div class="word">${card.word}</div>
+        ${card.part_of_speech ? html`<div class="part-of-speech">${card.part_of_speech}</div>` : ''}
+        ${this._flipped ? html`
+          <div class="definition">${card.definition}</div>
+          ${card.example ? html`<div class="example">“${card.example}”</div>` : ''}
+        ` : html`
+          <div class="flip-prompt">Say what it means, then tap to check.</div>
+        `}
+      </div>
+      ${this._flipped ? html`
+        <div class="ratings" aria-label="How well did you remember it?">
+          <button class="again" @click=${() => this._rate('again')}>Again</button>
+          <button class="hard" @click=${() => this._rate('hard')}>Hard</button>
+          <button class="good" @click=${() => this._rate('good')}>Good</button>
+          <button class="easy" @click=${() => this._rate('easy')}>Easy</button>
+        </div>
+      ` : ''}
+    `;
+  }
+
+  render() {
+    if (this.loading) {
+      return html`<div class="empty-state">Loading your vocabulary…</div>`;
+    }
+
+    if (!this.total) {
+      return html`<div class="empty-state">Words from your stories will appear here for review.</div>`;
+    }
+
+    const card = this._queue[0];
+    if (!card) {
+      return html`
+        <div class="empty-state">
+          ${this._reviewed ? `Well done! You reviewed ${this._reviewed} ${this._reviewed === 1 ? 'card' : 'cards'}.` : ''}
+          No words are due right now. Come back later to keep them fresh.
+        </div>
+      `;
+    }
+
+    return html`
+      <div class="deck-status">
+        <span>${this._queue.length} to review</span>
+        <span>${this.total} ${this.total === 1 ? 'word' : 'words'} in your deck</span>
+      </div>
+      ${this._renderCard(card)}
+    `;
+  }
+}
+
+customElements.define('flashcard-review', FlashcardReview);
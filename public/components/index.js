@@ -37,6 +37,10 @@ const components = [
   'stories-grid',
   'story-display',
   'quiz-component',
+  'flashcard-review',
+  'vocabulary-export',
+  'classroom-panel',
+  'story-share',
   'story-form',
   'story-continuation',
   'story-content'
@@ -4,7 +4,11 @@ export class QuizComponent extends LitElement {
   static get properties() {
     return {
       quiz: { type: Object },
-      showResults: { type: Boolean }
+      showResults: { type: Boolean },
+      // Saved story and chapter the quiz belongs to, sent with quiz-completed
+      // so the attempt can be recorded
+      storyId: { type: String },
+      chapterNumber: { type: Number }
     };
   }
 
@@ -12,9 +16,14 @@ export class QuizComponent extends LitElement {
     super();
     this.quiz = null;
     this.showResults = false;
+    this.storyId = null;
+    this.chapterNumber = 1;
     this._selectedAnswers = {};
     this._score = 0;
     this._showFeedback = false;
+    this._correctCount = 0;
+    this._layouts = {};
+    this._hintsShown = {};
   }
 
   static get styles() {
@@ -142,6 +151,87 @@ export class QuizComponent extends LitElement {
         line-height: 1.5;
       }
 
+      .question-hint {
+        margin: -0.5rem 0 0.75rem;
+        font-size: 0.9rem;
+        color: var(--text-secondary, #6c757d);
+      }
+
+      .blank-input,
+      .match-row select {
+        width: 100%;
+        padding: 0.75rem 1rem;
+        font-size: 1rem;
+        border: 2px solid var(--border, rgba(0, 0, 0, 0.1));
+        border-radius: 12px;
+        background: var(--bg, #f8f9fa);
+        color: var(--text, #212529);
+        box-sizing: border-box;
+      }
+
+      .sequence {
+        list-style: decimal inside;
+        padding: 0;
+        margin: 0;
+        display: flex;
+        flex-direction: column;
+        gap: 0.75rem;
+      }
+
+      .sequence-item,
+      .match-row {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 0.75rem;
+        padding: 0.75rem 1rem;
+        background: var(--bg, #f8f9fa);
+        border: 2px solid var(--border, rgba(0, 0, 0, 0.1));
+        border-radius: 12px;
+      }
+
+      .matching {
+        display: flex;
+        flex-direction: column;
+        gap: 0.75rem;
+      }
+
+      .match-term {
+        font-weight: 600;
+        min-width: 8rem;
+      }
+
+      .sequence-controls {
+        display: flex;
+        gap: 0.25rem;
+      }
+
+      button.move {
+        padding: 0.25rem 0.6rem;
+        font-size: 0.9rem;
+        border-radius: 8px;
+      }
+
+      .blank-input.correct,
+      .sequence-item.correct,
+      .match-row.correct {
+        border-color: var(--success, #38b2ac);
+        background: rgba(56, 178, 172, 0.1);
+      }
+
+      .blank-input.incorrect,
+      .sequence-item.incorrect,
+      .match-row.incorrect {
+        border-color: var(--error, #f56565);
+        background: rgba(245, 101, 101, 0.1);
+      }
+
+      .answer-key {
+        margin-top: 0.5rem;
+        font-size: 0.95rem;
+        color: var(--success, #38b2ac);
+      }
+
       .question-feedback {
         margin-top: 1rem;
         padding: 1rem;
@@ -154,6 +244,42 @@ export class QuizComponent extends LitElement {
         animation: fadeIn 0.4s ease-in-out;
       }
 
+      .question-source {
+        margin-top: 0.5rem;
+        font-size: 0.85rem;
+        color: var(--text-secondary, #6c757d);
+      }
+
+      .hints {
+        margin-top: 1rem;
+      }
+
+      .hint {
+        margin-bottom: 0.5rem;
+        padding: 0.75rem 1rem;
+        border-radius: 8px;
+        font-size: 0.95rem;
+        line-height: 1.5;
+        color: var(--text, #212529);
+        background: var(--bg, #f8f9fa);
+        border-left: 4px solid var(--warning, #ecc94b);
+        animation: fadeIn 0.4s ease-in-out;
+      }
+
+      button.hint-button {
+        padding: 0.4rem 0.9rem;
+        font-size: 0.9rem;
+        color: var(--primary, #5e7ce6);
+        background: transparent;
+        border: 1px solid var(--primary, #5e7ce6);
+        border-radius: 8px;
+      }
+
+      button.hint-button:hover {
+        color: white;
+        background: var(--primary, #5e7ce6);
+      }
+
       .quiz-actions {
         margin-top: 2rem;
         display: flex;
@@ -232,40 +358,184 @@ export class QuizComponent extends LitElement {
     this._resetQuiz();
   }
 
+  willUpdate(changed) {
+    if (changed.has('quiz')) {
+      this._resetQuiz();
+    }
+  }
+
   _resetQuiz() {
-    if (this.quiz && this.quiz.questions) {
-      this._selectedAnswers = {};
-      this._score = 0;
-      this._showFeedback = false;
+    this._selectedAnswers = {};
+    this._score = 0;
+    this._correctCount = 0;
+    this._showFeedback = false;
+    this._layouts = {};
+    this._hintsShown = {};
+    this._startedAt = new Date();
+
+    // Sequencing items and matching definitions are stored in their correct
+    // order, so show them shuffled
+    (this.quiz?.questions || []).forEach((question, index) => {
+      if (question.type === 'sequencing') {
+        const order = this._shuffledIndexes(question.items.length);
+        this._selectedAnswers[index] = order;
+      } else if (question.type === 'matching') {
+        this._layouts[index] = this._shuffledIndexes(question.pairs.length);
+      }
+    });
+  }
+
+  _shuffledIndexes(length) {
+    const indexes = Array.from({ length }, (_, i) => i);
+    for (let i = indexes.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+    }
+    // Never start a sequence already in order
+    if (length > 1 && indexes.every((value, i) => value === i)) {
+      indexes.push(indexes.shift());
     }
+    return indexes;
   }
 
-  _handleOptionSelect(questionIndex, optionIndex) {
+  _correctAnswer(question) {
+    return question.correctAnswer ?? question.correct_answer;
+  }
+
+  _setAnswer(questionIndex, answer) {
     if (this.showResults) return;
-    
+
     this._selectedAnswers = {
       ...this._selectedAnswers,
-      [questionIndex]: optionIndex
+      [questionIndex]: answer
     };
-    
+
     this.requestUpdate();
   }
 
+  _handleOptionSelect(questionIndex, optionIndex) {
+    this._setAnswer(questionIndex, optionIndex);
+  }
+
+  _toggleOption(questionIndex, optionIndex) {
+    const selected = this._selectedAnswers[questionIndex] || [];
+    this._setAnswer(questionIndex, selected.includes(optionIndex)
+      ? selected.filter(index => index !== optionIndex)
+      : [...selected, optionIndex]);
+  }
+
+  _moveItem(questionIndex, position, offset) {
+    const order = [...this._selectedAnswers[questionIndex]];
+    const target = position + offset;
+    if (target < 0 || target >= order.length) return;
+    [order[position], order[target]] = [order[target], order[position]];
+    this._setAnswer(questionIndex, order);
+  }
+
+  _matchTerm(questionIndex, termIndex, definitionIndex) {
+    const matches = { ...(this._selectedAnswers[questionIndex] || {}) };
+    if (definitionIndex === '') {
+      delete matches[termIndex];
+    } else {
+      matches[termIndex] = parseInt(definitionIndex, 10);
+    }
+    this._setAnswer(questionIndex, matches);
+  }
+
+  // Hints go from a gentle nudge to nearly the answer; each click reveals the next
+  _showHint(questionIndex) {
+    this._hintsShown = {
+      ...this._hintsShown,
+      [questionIndex]: (this._hintsShown[questionIndex] || 0) + 1
+    };
+    this.requestUpdate();
+  }
+
+  _renderHints(question, index) {
+    const hints = Array.isArray(question.hints) ? question.hints : [];
+    if (hints.length === 0) return '';
+
+    const shown = this._hintsShown[index] || 0;
+    const canShowMore = !this.showResults && shown < hints.length;
+
+    return html`
+      <div class="hints" aria-live="polite">
+        ${hints.slice(0, shown).map(hint => html`<div class="hint">💡 ${hint}</div>`)}
+        ${canShowMore ? html`
+          <button class="hint-button" @click=${() => this._showHint(index)}>
+            ${shown === 0 ? 'Show a hint' : `Another hint (${shown + 1} of ${hints.length})`}
+          </button>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  // Case, accent and punctuation-insensitive comparison for typed answers
+  _normalizeText(text) {
+    return String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  _isAnswered(question, answer) {
+    switch (question.type) {
+      case 'multi_select':
+        return Array.isArray(answer) && answer.length > 0;
+      case 'fill_blank':
+        return typeof answer === 'string' && answer.trim() !== '';
+      case 'sequencing':
+        return Array.isArray(answer);
+      case 'matching':
+        return Boolean(answer) && Object.keys(answer).length === question.pairs.length;
+      default:
+        return answer !== undefined;
+    }
+  }
+
+  _isCorrect(question, answer) {
+    if (!this._isAnswered(question, answer)) return false;
+    const correct = this._correctAnswer(question);
+
+    switch (question.type) {
+      case 'multi_select':
+        return Array.isArray(correct) && answer.length === correct.length && correct.every(index => answer.includes(index));
+      case 'fill_blank':
+        return [correct, ...(question.acceptedAnswers || [])]
+          .some(accepted => this._normalizeText(accepted) === this._normalizeText(answer));
+      case 'sequencing':
+        return answer.every((itemIndex, position) => itemIndex === position);
+      case 'matching':
+        return question.pairs.every((_, termIndex) => answer[termIndex] === termIndex);
+      default:
+        return answer === correct;
+    }
+  }
+
+  // Answers in the shape the quiz-attempts API scores: matching answers become
+  // the chosen definition index per term, anything unanswered null
+  _answersForSubmission() {
+    return this.quiz.questions.map((question, i) => {
+      const answer = this._selectedAnswers[i];
+      if (!this._isAnswered(question, answer)) return null;
+      if (question.type === 'matching') {
+        return question.pairs.map((_, termIndex) => answer[termIndex]);
+      }
+      return answer;
+    });
+  }
+
   _checkAnswers() {
     if (!this.quiz || !this.quiz.questions) return;
     
-    let correctCount = 0;
     const totalQuestions = this.quiz.questions.length;
+    const correctCount = this.quiz.questions
+      .filter((question, i) => this._isCorrect(question, this._selectedAnswers[i]))
+      .length;
     
-    for (let i = 0; i < totalQuestions; i++) {
-      const selectedOption = this._selectedAnswers[i];
-      const correctOption = this.quiz.questions[i].correctAnswer;
-      
-      if (selectedOption === correctOption) {
-        correctCount++;
-      }
-    }
-    
+    this._correctCount = correctCount;
     this._score = Math.round((correctCount / totalQuestions) * 100);
     this._showFeedback = true;
     this.showResults = true;
@@ -275,7 +545,12 @@ export class QuizComponent extends LitElement {
       detail: {
         score: this._score,
         totalQuestions,
-        correctAnswers: correctCount
+        correctAnswers: correctCount,
+        answers: this._answersForSubmission(),
+        startedAt: this._startedAt.toISOString(),
+        timeTakenMs: Date.now() - this._startedAt.getTime(),
+        storyId: this.storyId,
+        chapterNumber: this.chapterNumber
       },
       bubbles: true,
       composed: true
@@ -297,39 +572,166 @@ export class QuizComponent extends LitElement {
     return "Keep studying! Try reviewing the content and taking the quiz again.";
   }
 
+  // One clickable option; `correct` marks the right answers once results are shown
+  _renderOption(marker, text, { selected, correct, onClick }) {
+    let optionClass = 'option';
+    if (selected) optionClass += ' selected';
+    if (this.showResults && correct) optionClass += ' correct';
+    if (this.showResults && selected && !correct) optionClass += ' incorrect';
+
+    return html`
+      <div class="${optionClass}" @click=${onClick}>
+        <div class="option-content">
+          <div class="option-marker">${marker}</div>
+          <div class="option-text">${text}</div>
+        </div>
+      </div>
+    `;
+  }
+
+  _renderChoices(question, index) {
+    const selected = this._selectedAnswers[index];
+    const correct = this._correctAnswer(question);
+
+    if (question.type === 'true_false') {
+      return html`
+        <div class="options">
+          ${[true, false].map(value => this._renderOption(value ? 'T' : 'F', value ? 'True' : 'False', {
+            selected: selected === value,
+            correct: correct === value,
+            onClick: () => this._setAnswer(index, value)
+          }))}
+        </div>
+      `;
+    }
+
+    if (question.type === 'multi_select') {
+      return html`
+        <div class="question-hint">Select all that apply.</div>
+        <div class="options">
+          ${question.options.map((option, optionIndex) => this._renderOption(String.fromCharCode(65 + optionIndex), option, {
+            selected: (selected || []).includes(optionIndex),
+            correct: (correct || []).includes(optionIndex),
+            onClick: () => this._toggleOption(index, optionIndex)
+          }))}
+        </div>
+      `;
+    }
+
+    return html`
+      <div class="options">
+        ${(question.options || []).map((option, optionIndex) => this._renderOption(String.fromCharCode(65 + optionIndex), option, {
+          selected: selected === optionIndex,
+          correct: correct === optionIndex,
+          onClick: () => this._handleOptionSelect(index, optionIndex)
+        }))}
+      </div>
+    `;
+  }
+
+  _renderFillBlank(question, index) {
+    const answer = this._selectedAnswers[index] || '';
+    const correct = this._isCorrect(question, answer);
+
+    return html`
+      <input type="text" class="blank-input ${this.showResults ? (correct ? 'correct' : 'incorrect') : ''}"
+             aria-label="Your answer"
+             .value=${answer}
+             ?disabled=${this.showResults}
+             @input=${(e) => this._setAnswer(index, e.target.value)}>
+      ${this.showResults && !correct ? html`
+        <div class="answer-key">Answer: ${this._correctAnswer(question)}</div>
+      ` : ''}
+    `;
+  }
+
+  _renderSequencing(question, index) {
+    const order = this._selectedAnswers[index] || [];
+
+    return html`
+      <ol class="sequence">
+        ${order.map((itemIndex, position) => html`
+          <li class="sequence-item ${this.showResults ? (itemIndex === position ? 'correct' : 'incorrect') : ''}">
+            <span class="option-text">${question.items[itemIndex]}</span>
+            ${this.showResults ? '' : html`
+              <span class="sequence-controls">
+                <button class="move" aria-label="Move up" ?disabled=${position === 0}
+                        @click=${() => this._moveItem(index, position, -1)}>↑</button>
+                <button class="move" aria-label="Move down" ?disabled=${position === order.length - 1}
+                        @click=${() => this._moveItem(index, position, 1)}>↓</button>
+              </span>
+            `}
+          </li>
+        `)}
+      </ol>
+      ${this.showResults && !this._isCorrect(question, order) ? html`
+        <div class="answer-key">Correct order: ${question.items.join(' → ')}</div>
+      ` : ''}
+    `;
+  }
+
+  _renderMatching(question, index) {
+    const matches = this._selectedAnswers[index] || {};
+    const layout = this._layouts[index] || [];
+
+    return html`
+      <div class="matching">
+        ${question.pairs.map((pair, termIndex) => html`
+          <label class="match-row ${this.showResults ? (matches[termIndex] === termIndex ? 'correct' : 'incorrect') : ''}">
+            <span class="match-term">${pair.term}</span>
+            <select ?disabled=${this.showResults}
+                    @change=${(e) => this._matchTerm(index, termIndex, e.target.value)}>
+              <option value="" ?selected=${matches[termIndex] === undefined}>Choose a match…</option>
+              ${layout.map(definitionIndex => html`
+                <option value=${definitionIndex} ?selected=${matches[termIndex] === definitionIndex}>
+                  ${question.pairs[definitionIndex].definition}
+                </option>
+              `)}
+            </select>
+          </label>
+          ${this.showResults && matches[termIndex] !== termIndex ? html`
+            <div class="answer-key">${pair.term}: ${pair.definition}</div>
+          ` : ''}
+        `)}
+      </div>
+    `;
+  }
+
   _renderQuestion(question, index) {
-    const selectedOption = this._selectedAnswers[index];
-    const isAnswered = selectedOption !== undefined;
+    const isAnswered = this._isAnswered(question, this._selectedAnswers[index]);
     const showFeedback = this._showFeedback && isAnswered;
+    // Older quizzes have a free-form `feedback` instead of an explanation
+    const explanation = question.explanation || question.feedback;
     
+    let body;
+    switch (question.type) {
+      case 'fill_blank':
+        body = this._renderFillBlank(question, index);
+        break;
+      case 'sequencing':
+        body = this._renderSequencing(question, index);
+        break;
+      case 'matching':
+        body = this._renderMatching(question, index);
+        break;
+      default:
+        body = this._renderChoices(question, index);
+    }
+
     return html`
       <div class="question">
         <div class="question-text">${index + 1}. ${question.question}</div>
-        <div class="options">
-          ${question.options.map((option, optionIndex) => {
-            const isSelected = selectedOption === optionIndex;
-            const isCorrect = this.showResults && question.correctAnswer === optionIndex;
-            const isIncorrect = this.showResults && isSelected && !isCorrect;
-            
-            let optionClass = 'option';
-            if (isSelected) optionClass += ' selected';
-            if (isCorrect) optionClass += ' correct';
-            if (isIncorrect) optionClass += ' incorrect';
-            
-            return html`
-              <div class="${optionClass}" @click=${() => this._handleOptionSelect(index, optionIndex)}>
-                <div class="option-content">
-                  <div class="option-marker">${String.fromCharCode(65 + optionIndex)}</div>
-                  <div class="option-text">${option}</div>
-                </div>
-              </div>
-            `;
-          })}
-        </div>
+        ${body}
+        ${this._renderHints(question, index)}
         
-        ${showFeedback && question.feedback ? html`
+        ${showFeedback && explanation ? html`
           <div class="question-feedback">
-            ${question.feedback}
+            ${explanation}
+          </div>
+        ` : ''}
+        ${showFeedback && question.source_passages?.length ? html`
+          <div class="question-source">
+            Source: ${question.source_passages.length > 1 ? 'passages' : 'passage'} ${question.source_passages.map(id => `[${id}]`).join(', ')} of the reference material
           </div>
         ` : ''}
       </div>
@@ -350,7 +752,7 @@ export class QuizComponent extends LitElement {
         <div class="quiz-actions">
           ${this.showResults 
             ? html`<button @click=${this._retakeQuiz}>Retake Quiz</button>` 
-            : html`<button @click=${this._checkAnswers} ?disabled=${Object.keys(this._selectedAnswers).length < this.quiz.questions.length}>Check Answers</button>`
+            : html`<button @click=${this._checkAnswers} ?disabled=${!this.quiz.questions.every((question, index) => this._isAnswered(question, this._selectedAnswers[index]))}>Check Answers</button>`
           }
         </div>
         
@@ -358,9 +760,7 @@ export class QuizComponent extends LitElement {
           <div class="quiz-results">
             <div class="quiz-score">Score: ${this._score}%</div>
             <div class="quiz-score-text">
-              You got ${Object.values(this._selectedAnswers).filter((selected, index) => 
-                selected === this.quiz.questions[index].correctAnswer
-              ).length} out of ${this.quiz.questions.length} questions correct.
+              You got ${this._correctCount} out of ${this.quiz.questions.length} questions correct.
             </div>
             <div class="quiz-feedback">
               ${this._getScoreFeedback(this._score)}
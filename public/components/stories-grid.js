@@ -81,6 +81,8 @@ export class StoriesGrid extends LitElement {
   }
 
   _handleViewStory(e) {
+    // Re-dispatch from the grid instead of letting the card's event through, so listeners fire once
+    e.stopPropagation();
     const { storyId } = e.detail;
     this.dispatchEvent(new CustomEvent('view-story', {
       detail: { storyId },
@@ -90,6 +92,7 @@ export class StoriesGrid extends LitElement {
   }
 
   _handleDeleteStory(e) {
+    e.stopPropagation();
     const { storyId } = e.detail;
     this.dispatchEvent(new CustomEvent('delete-story', {
       detail: { storyId },
@@ -98,6 +101,26 @@ export class StoriesGrid extends LitElement {
     }));
   }
 
+  _handleExportStory(e) {
+    e.stopPropagation();
+    const { storyId, format, options } = e.detail;
+    this.dispatchEvent(new CustomEvent('export-story', {
+      detail: { storyId, format, options },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  _handleExportVocabulary(e) {
+    e.stopPropagation();
+    const { storyId, format } = e.detail;
+    this.dispatchEvent(new CustomEvent('export-vocabulary', {
+      detail: { storyId, format },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
   render() {
     if (this.loading) {
       return html`
@@ -124,6 +147,8 @@ export class StoriesGrid extends LitElement {
             .story=${story} 
             @view-story=${this._handleViewStory}
             @delete-story=${this._handleDeleteStory}
+            @export-story=${this._handleExportStory}
+            @export-vocabulary=${this._handleExportVocabulary}
           ></story-card>
         `)}
       </div>
@@ -1,5 +1,13 @@
 import { LitElement, html, css } from 'lit';
 
+// Layout choices for printable worksheets
+const WORKSHEET_FONT_SIZES = [10, 12, 14, 16, 18];
+const WORKSHEET_LINE_SPACINGS = [
+  { label: 'Single spaced', value: 1 },
+  { label: '1.5 spaced', value: 1.5 },
+  { label: 'Double spaced', value: 2 }
+];
+
 export class StoryCard extends LitElement {
   static properties = {
     story: { type: Object },
@@ -61,6 +69,15 @@ export class StoryCard extends LitElement {
       display: inline-block;
     }
 
+    .story-source {
+      margin-left: 0.25rem;
+      padding: 0.25rem 0.75rem;
+      border: 1px solid var(--border, rgba(0, 0, 0, 0.15));
+      border-radius: 50px;
+      font-size: 0.8rem;
+      display: inline-block;
+    }
+
     .story-preview {
       color: var(--text-secondary, #6c757d);
       font-size: 0.95rem;
@@ -76,6 +93,19 @@ export class StoryCard extends LitElement {
       -webkit-line-clamp: 2;
     }
 
+    .quiz-scores {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.5rem 1rem;
+      margin: -0.75rem 0 1.25rem;
+      font-size: 0.85rem;
+      color: var(--text-secondary, #6c757d);
+    }
+
+    .quiz-scores strong {
+      color: var(--text, #212529);
+    }
+
     .story-actions {
       display: flex;
       gap: 0.75rem;
@@ -115,6 +145,32 @@ export class StoryCard extends LitElement {
       background: var(--gray-200, #e9ecef);
       color: var(--error, #f56565);
     }
+
+    .story-exports {
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+      margin-top: 0.75rem;
+      font-size: 0.85rem;
+      color: var(--text-secondary, #6c757d);
+    }
+
+    .story-exports button {
+      flex: 0 0 auto;
+      padding: 0.25rem 0.6rem;
+      font-size: 0.8rem;
+      background: none;
+      color: var(--primary, #5e7ce6);
+      border: 1px solid var(--primary, #5e7ce6);
+    }
+
+    .story-exports select {
+      padding: 0.2rem 0.3rem;
+      font-size: 0.8rem;
+      border: 1px solid var(--border, rgba(0, 0, 0, 0.15));
+      border-radius: 6px;
+      font-family: inherit;
+    }
   `;
 
   constructor() {
@@ -137,6 +193,19 @@ export class StoryCard extends LitElement {
     return text.length > length ? text.substring(0, length) + '...' : text;
   }
 
+  _renderQuizScores() {
+    const summary = this.story.quiz_summary;
+    if (!summary?.attempts) return '';
+
+    return html`
+      <div class="quiz-scores" aria-label="Past quiz scores">
+        <span>Last quiz score: <strong>${summary.last_score}%</strong></span>
+        <span>Best: <strong>${summary.best_score}%</strong></span>
+        <span>${summary.attempts} ${summary.attempts === 1 ? 'attempt' : 'attempts'}</span>
+      </div>
+    `;
+  }
+
   _handleViewClick() {
     this.dispatchEvent(new CustomEvent('view-story', {
       detail: { storyId: this.story.id },
@@ -153,6 +222,29 @@ export class StoryCard extends LitElement {
     }));
   }
 
+  _handleExportClick(format, options) {
+    this.dispatchEvent(new CustomEvent('export-story', {
+      detail: { storyId: this.story.id, format, options },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  _handleVocabularyExportClick(format) {
+    this.dispatchEvent(new CustomEvent('export-vocabulary', {
+      detail: { storyId: this.story.id, format },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  _handleWorksheetClick() {
+    this._handleExportClick('pdf', {
+      font_size: this.renderRoot.querySelector('#worksheetFontSize').value,
+      line_spacing: this.renderRoot.querySelector('#worksheetLineSpacing').value
+    });
+  }
+
   render() {
     if (!this.story || !this.story.id) {
       return html`<div>No story data</div>`;
@@ -162,14 +254,45 @@ export class StoryCard extends LitElement {
       <div class="story-card">
         <h3>${this.story.story_title}</h3>
         <div class="story-meta">
-          <span class="story-subject">${this.story.subject}</span>
+          <span>
+            <span class="story-subject">${this.story.subject}</span>
+            ${this.story.user_supplied ? html`<span class="story-source" title="Materials created for a passage you supplied">Your text</span>` : ''}
+          </span>
           <span class="story-date">${this._formatDate(this.story.created_at)}</span>
         </div>
         <div class="story-preview">${this._truncateText(this.story.story_text)}</div>
+        ${this._renderQuizScores()}
         <div class="story-actions">
           <button class="view-story" @click=${this._handleViewClick}>View Story</button>
           <button class="delete-story" @click=${this._handleDeleteClick}>Delete</button>
         </div>
+        ${(this.story.moderation_status || 'approved') === 'approved' ? html`
+          <div class="story-exports">
+            <span>Download:</span>
+            <button @click=${() => this._handleExportClick('markdown')}>Markdown</button>
+            <button @click=${() => this._handleExportClick('epub')}>EPUB</button>
+          </div>
+          <div class="story-exports">
+            <span>Quiz for LMS:</span>
+            <button @click=${() => this._handleExportClick('qti')}>QTI</button>
+            <button @click=${() => this._handleExportClick('gift')}>Moodle GIFT</button>
+          </div>
+          <div class="story-exports">
+            <span>Vocabulary:</span>
+            <button @click=${() => this._handleVocabularyExportClick('anki')}>Anki</button>
+            <button @click=${() => this._handleVocabularyExportClick('csv')}>CSV</button>
+          </div>
+          <div class="story-exports">
+            <span>Worksheet:</span>
+            <select id="worksheetFontSize" aria-label="Worksheet font size">
+              ${WORKSHEET_FONT_SIZES.map(size => html`<option value=${size} ?selected=${size === 12}>${size} pt</option>`)}
+            </select>
+            <select id="worksheetLineSpacing" aria-label="Worksheet line spacing">
+              ${WORKSHEET_LINE_SPACINGS.map(spacing => html`<option value=${spacing.value} ?selected=${spacing.value === 1.5}>${spacing.label}</option>`)}
+            </select>
+            <button @click=${this._handleWorksheetClick}>PDF</button>
+          </div>
+        ` : ''}
       </div>
     `;
   }
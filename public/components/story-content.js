@@ -11,7 +11,8 @@ export class StoryContent extends LitElement {
     vocabulary: null,
     learning_objectives: null,
     saved: null,
-    save_error: null
+    save_error: null,
+    readability: null
   };
 
   static styles = css`
@@ -81,6 +82,45 @@ export class StoryContent extends LitElement {
       color: var(--error, #f56565);
     }
 
+    .save-status.warning {
+      background-color: rgba(236, 201, 75, 0.1);
+      border: 1px solid var(--warning, #ecc94b);
+      color: var(--warning-text, #975a16);
+    }
+
+    .review-actions {
+      display: flex;
+      gap: 0.75rem;
+      margin-top: 0.75rem;
+    }
+
+    .review-actions button {
+      padding: 0.5rem 1.25rem;
+      border-radius: 8px;
+      border: 1px solid var(--border, rgba(0, 0, 0, 0.1));
+      background: var(--card-bg, white);
+      color: var(--text, #212529);
+      font-family: var(--font-heading, 'Inter', sans-serif);
+      font-weight: 500;
+      cursor: pointer;
+    }
+
+    .review-actions button.approve {
+      background: var(--primary, #5e7ce6);
+      border-color: var(--primary, #5e7ce6);
+      color: white;
+    }
+
+    .story-meta {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 1.5rem;
+      font-family: var(--font-heading, 'Inter', sans-serif);
+      font-size: 0.9rem;
+      color: var(--text-light, #6c757d);
+      margin-bottom: 1rem;
+    }
+
     h3 {
       font-family: var(--font-heading, 'Inter', sans-serif);
       font-size: 1.5rem;
@@ -90,7 +130,8 @@ export class StoryContent extends LitElement {
 
     .story-summary, 
     .learning-objectives, 
-    .vocabulary-section {
+    .vocabulary-section,
+    .reference-sources {
       margin-top: 2rem;
       padding-top: 0.5rem;
       border-top: 1px solid var(--border, rgba(0, 0, 0, 0.1));
@@ -100,6 +141,20 @@ export class StoryContent extends LitElement {
       line-height: 1.7;
     }
 
+    .reference-sources h4 {
+      margin: 1.25rem 0 0.5rem;
+    }
+
+    .reference-sources p {
+      font-size: 0.95rem;
+      line-height: 1.6;
+    }
+
+    .passage-number {
+      font-weight: 600;
+      color: var(--primary, #5e7ce6);
+    }
+
     ul {
       margin: 1rem 0;
       padding-left: 1.5rem;
@@ -164,6 +219,63 @@ export class StoryContent extends LitElement {
     }
   `;
 
+  _review(decision) {
+    this.dispatchEvent(new CustomEvent('review-story', {
+      detail: { storyId: this.story.id || this.story.story_id, decision },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  _renderModerationNotice(status, content, flags, access) {
+    if (status === 'rejected') {
+      return html`
+        <div class="save-status error">
+          <p>🚫 This story was rejected in review and is hidden from students.</p>
+        </div>
+      `;
+    }
+    if (status !== 'held') return '';
+
+    // Only the reviewer receives the text of a held story
+    if (!content) {
+      return html`
+        <div class="save-status warning">
+          <p>⏳ This story is waiting for a teacher to review it before it can be shown.</p>
+        </div>
+      `;
+    }
+
+    const categories = [...new Set((flags || []).map(flag => flag.category.replace(/_/g, ' ')))];
+    const held = html`⚠️ Held for review${categories.length ? html` (${categories.join(', ')})` : ''}.`;
+
+    // The author sees their own held text, but a teacher or reviewer decides on it
+    if (access !== 'reviewer') {
+      return html`
+        <div class="save-status warning">
+          <p>${held} Students can't see this story until a teacher approves it.</p>
+        </div>
+      `;
+    }
+
+    return html`
+      <div class="save-status warning">
+        <p>${held} Students can't see this story until you approve it.</p>
+        <div class="review-actions">
+          <button class="approve" @click=${() => this._review('approve')}>Approve</button>
+          <button @click=${() => this._review('reject')}>Reject</button>
+        </div>
+      </div>
+    `;
+  }
+
+  // Estimated grades are numeric: 0 is kindergarten, 13 and above university
+  _formatGrade(grade) {
+    if (grade < 1) return 'kindergarten level';
+    if (grade >= 13) return 'university level';
+    return `grade ${grade}`;
+  }
+
   render() {
     // Destructure story properties with defaults
     const { 
@@ -173,7 +285,17 @@ export class StoryContent extends LitElement {
       vocabulary = null, 
       learning_objectives = null,
       saved = null,
-      save_error = null
+      save_error = null,
+      readability = null,
+      academic_grade = null,
+      requested_word_count = null,
+      actual_word_count = null,
+      moderation_status = 'approved',
+      moderation_flags = null,
+      moderation = null,
+      reference_sources = null,
+      grounding = null,
+      access = 'owner'
     } = this.story;
 
     return html`
@@ -182,8 +304,21 @@ export class StoryContent extends LitElement {
           <h2 class="story-title">${title}</h2>
         ` : ''}
         
+        ${this._renderModerationNotice(moderation_status, content, moderation_flags || moderation?.flags, access)}
+        
+        ${readability?.estimated_grade != null || actual_word_count != null ? html`
+          <div class="story-meta">
+            ${readability?.estimated_grade != null ? html`
+              <span>Estimated reading level: ${this._formatGrade(readability.estimated_grade)}</span>
+            ` : ''}
+            ${actual_word_count != null ? html`
+              <span>${actual_word_count} words${requested_word_count ? ` (${requested_word_count} requested)` : ''}</span>
+            ` : ''}
+          </div>
+        ` : ''}
+        
         <div class="story-text">
-          ${content.split('\n').map(p => p ? html`<p>${p}</p>` : '')}
+          ${(content || '').split('\n').map(p => p ? html`<p>${p}</p>` : '')}
         </div>
         
         ${saved === true ? html`
@@ -198,6 +333,23 @@ export class StoryContent extends LitElement {
           </div>
         ` : ''}
         
+        ${readability?.flagged ? html`
+          <div class="save-status warning">
+            <p>⚠️ This story reads at about ${this._formatGrade(readability.estimated_grade)}${academic_grade ? `, outside the range for grade ${academic_grade}` : ''}. Review it before using it with students.</p>
+          </div>
+        ` : ''}
+        
+        ${grounding?.flagged && access !== 'student' ? html`
+          <div class="save-status warning">
+            <p>⚠️ These were not found in your reference material. Check them before using the story with students:</p>
+            <ul>
+              ${grounding.unsupported_claims.map(entry => html`
+                <li>${entry.field === 'quiz' ? `Quiz question ${entry.question}: ` : ''}${entry.claim}</li>
+              `)}
+            </ul>
+          </div>
+        ` : ''}
+        
         ${summary ? html`
           <div class="story-summary">
             <h3>Story Summary</h3>
@@ -227,6 +379,18 @@ export class StoryContent extends LitElement {
             </div>
           </div>
         ` : ''}
+        
+        ${reference_sources && reference_sources.length > 0 ? html`
+          <div class="reference-sources">
+            <h3>Reference Material</h3>
+            ${reference_sources.map((source, index) => html`
+              <h4>Source ${index + 1}${source.title ? `: ${source.title}` : ''}</h4>
+              ${source.passages.map(passage => html`
+                <p><span class="passage-number">[${passage.id}]</span> ${passage.text}</p>
+              `)}
+            `)}
+          </div>
+        ` : ''}
       </div>
     `;
   }
@@ -9,8 +9,9 @@ export class StoryContinuation extends LitElement {
   @property({ type: Boolean })
   isSubmitting = false;
 
-  @state()
-  _continuationContent = '';
+  // Saved continuation chapters, in order; the original story is chapter 1
+  @property({ type: Array })
+  chapters = [];
 
   @state()
   _showError = false;
@@ -21,7 +22,8 @@ export class StoryContinuation extends LitElement {
   @state()
   _settings = {
     length: '300',
-    difficulty: 'same'
+    difficulty: 'same',
+    materials: true
   };
 
   static styles = css`
@@ -145,6 +147,76 @@ export class StoryContinuation extends LitElement {
       margin-bottom: 1rem;
     }
 
+    .chapter-heading {
+      font-family: var(--font-heading, 'Inter', sans-serif);
+      font-size: 1.15rem;
+      color: var(--text, #212529);
+      margin: 1.5rem 0 0.75rem;
+    }
+
+    .chapter-materials {
+      margin-top: 1rem;
+      font-size: 0.95rem;
+    }
+
+    .chapter-materials h5 {
+      font-family: var(--font-heading, 'Inter', sans-serif);
+      font-size: 0.95rem;
+      color: var(--text-secondary, #6c757d);
+      margin: 1rem 0 0.5rem;
+    }
+
+    .chapter-materials ul {
+      margin: 0;
+      padding-left: 1.25rem;
+    }
+
+    .continuation-option.checkbox {
+      flex-direction: row;
+      align-items: center;
+      align-self: flex-end;
+    }
+
+    .chapter-unsaved {
+      font-size: 0.85rem;
+      color: var(--text-secondary, #6c757d);
+    }
+
+    .moderation-notice {
+      padding: 1rem;
+      border-radius: 8px;
+      margin: 1rem 0;
+      background-color: rgba(236, 201, 75, 0.1);
+      border: 1px solid var(--warning, #ecc94b);
+      color: var(--warning-text, #975a16);
+    }
+
+    .moderation-notice.rejected {
+      background-color: rgba(245, 101, 101, 0.1);
+      border-color: var(--error, #f56565);
+      color: var(--error, #f56565);
+    }
+
+    .review-actions {
+      display: flex;
+      gap: 0.75rem;
+      margin-top: 0.75rem;
+    }
+
+    .review-actions button {
+      padding: 0.5rem 1.25rem;
+      border-radius: 8px;
+      border: 1px solid var(--border, rgba(0, 0, 0, 0.1));
+      background: white;
+      cursor: pointer;
+    }
+
+    .review-actions button.approve {
+      background: var(--primary, #5e7ce6);
+      border-color: var(--primary, #5e7ce6);
+      color: white;
+    }
+
     .continuation-error {
       color: var(--error, #f56565);
       padding: 1rem;
@@ -172,10 +244,36 @@ export class StoryContinuation extends LitElement {
   `;
 
   _handleInputChange(e) {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     this._settings = {
       ...this._settings,
-      [name]: value
+      [name]: type === 'checkbox' ? checked : value
+    };
+  }
+
+  // Chapters that carry the story on; rejected ones are left out
+  _activeChapters() {
+    return this.chapters.filter(chapter => chapter.moderation_status !== 'rejected');
+  }
+
+  // Sequencing and matching questions share generic instructions, so their items tell them apart
+  _questionText(item) {
+    if (item.type === 'sequencing') return `${item.question} ${(item.items || []).join(' / ')}`;
+    if (item.type === 'matching') return `${item.question} ${(item.pairs || []).map(pair => pair.term).join(' / ')}`;
+    return item.question;
+  }
+
+  // Vocabulary words and quiz questions the story and its chapters already use
+  _usedMaterials() {
+    const sources = [
+      { vocabulary: this.originalStory.vocabulary, quiz: this.originalStory.quiz },
+      ...this._activeChapters().map(chapter => ({ vocabulary: chapter.vocabulary_list, quiz: chapter.quiz_questions }))
+    ];
+    return {
+      previous_vocabulary: sources.flatMap(source => (source.vocabulary || []).map(item => item.word)).filter(Boolean),
+      previous_questions: sources.flatMap(source => (source.quiz || []).map(item => this._questionText(item))).filter(Boolean),
+      // Keep the story's mix of quiz question types
+      quiz_types: [...new Set((this.originalStory.quiz || []).map(item => item.type || 'multiple_choice'))]
     };
   }
 
@@ -191,14 +289,24 @@ export class StoryContinuation extends LitElement {
     this._showError = false;
     
     try {
+      // Continue from the latest chapter; with a story_id the server loads the
+      // saved chain itself and stores the new chapter
+      const storySoFar = [
+        this.originalStory.content,
+        ...this._activeChapters().map(chapter => chapter.continuation_text)
+      ].filter(Boolean).join('\n\n');
+
       // Prepare continuation data
       const continuationData = {
-        original_story: this.originalStory.content,
+        story_id: this.originalStory.id || null,
+        original_story: storySoFar,
         word_count: parseInt(this._settings.length, 10),
         subject: this.originalStory.subject,
         academic_grade: this.originalStory.academic_grade,
         language: this.originalStory.language,
-        difficulty: this._settings.difficulty
+        difficulty: this._settings.difficulty,
+        generate_materials: this._settings.materials,
+        ...(this._settings.materials ? this._usedMaterials() : {})
       };
       
       // Adjust academic grade based on difficulty if specified
@@ -230,19 +338,50 @@ export class StoryContinuation extends LitElement {
       console.log('Story continuation response:', response);
       
       // Extract continuation content
-      let continuationContent = '';
+      let continuation = null;
       if (response.data && response.data.continuation) {
-        continuationContent = response.data.continuation.content;
+        continuation = response.data.continuation;
       } else if (response.continuation) {
-        continuationContent = response.continuation.content;
+        continuation = response.continuation;
       } else if (typeof response === 'string') {
-        continuationContent = response;
+        continuation = { content: response };
       } else {
-        continuationContent = 'Failed to generate continuation.';
+        continuation = { content: 'Failed to generate continuation.' };
       }
       
-      // Update state
-      this._continuationContent = continuationContent;
+      // Append the new chapter
+      this.chapters = [
+        ...this.chapters,
+        {
+          id: continuation.id || null,
+          chapter_number: continuation.chapter_number || this.chapters.length + 2,
+          continuation_text: continuation.content,
+          learning_objectives: continuation.learning_objectives || null,
+          vocabulary_list: continuation.vocabulary || null,
+          quiz_questions: continuation.quiz || null,
+          chapter_summary: continuation.summary || null,
+          moderation_status: continuation.moderation?.status || 'approved',
+          moderation_flags: continuation.moderation?.flags || [],
+          saved: Boolean(response.data?.saved)
+        }
+      ];
+      
+      if (continuation.moderation?.status === 'held') {
+        this.dispatchEvent(new CustomEvent('show-toast', {
+          detail: { message: 'The new chapter is held for teacher review before it can be shown.', type: 'warning', duration: 6000 },
+          bubbles: true,
+          composed: true
+        }));
+        return;
+      }
+
+      if (continuation.materials_error) {
+        this.dispatchEvent(new CustomEvent('show-toast', {
+          detail: { message: `Chapter added, but its quiz and vocabulary failed: ${continuation.materials_error}`, type: 'warning' },
+          bubbles: true,
+          composed: true
+        }));
+      }
       
       // Success message
       this.dispatchEvent(new CustomEvent('show-toast', {
@@ -253,7 +392,8 @@ export class StoryContinuation extends LitElement {
       
       // Scroll to output content
       setTimeout(() => {
-        const output = this.shadowRoot.querySelector('.continuation-output');
+        const outputs = this.shadowRoot.querySelectorAll('.continuation-output');
+        const output = outputs[outputs.length - 1];
         if (output) {
           output.scrollIntoView({ behavior: 'smooth', block: 'start' });
         }
@@ -284,7 +424,88 @@ export class StoryContinuation extends LitElement {
     }
   }
 
-  render() {
+  _review(chapter, decision) {
+    this.dispatchEvent(new CustomEvent('review-story', {
+      detail: { storyId: this.originalStory.id, decision, chapterNumber: chapter.chapter_number },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  _renderModerationNotice(chapter) {
+    if (chapter.moderation_status === 'rejected') {
+      return html`
+        <div class="moderation-notice rejected">
+          <p>🚫 This chapter was rejected in review and is hidden from students.</p>
+        </div>
+      `;
+    }
+
+    if (!chapter.continuation_text) {
+      return html`
+        <div class="moderation-notice">
+          <p>⏳ This chapter is waiting for a teacher to review it before it can be shown.</p>
+        </div>
+      `;
+    }
+
+    const categories = [...new Set((chapter.moderation_flags || []).map(flag => flag.category))];
+    const held = html`⚠️ Held for review${categories.length ? html` (${categories.join(', ')})` : ''}.`;
+
+    // The author sees their own held text, but a teacher or reviewer decides on it
+    if (this.originalStory?.access !== 'reviewer') {
+      return html`
+        <div class="moderation-notice">
+          <p>${held} Students can't see this chapter until a teacher approves it.</p>
+        </div>
+      `;
+    }
+
+    return html`
+      <div class="moderation-notice">
+        <p>${held} Students can't see this chapter until you approve it.</p>
+        <div class="review-actions">
+          <button class="approve" @click=${() => this._review(chapter, 'approve')}>Approve</button>
+          <button @click=${() => this._review(chapter, 'reject')}>Reject</button>
+        </div>
+      </div>
+    `;
+  }
+
+  _renderChapterMaterials(chapter) {
+    const hasMaterials = chapter.quiz_questions?.length || chapter.vocabulary_list?.length || chapter.chapter_summary;
+    if (!hasMaterials) return '';
+
+    return html`
+      <div class="chapter-materials">
+        ${chapter.learning_objectives?.length ? html`
+          <h5>Learning Objectives</h5>
+          <ul>${chapter.learning_objectives.map(objective => html`<li>${objective}</li>`)}</ul>
+        ` : ''}
+        ${chapter.vocabulary_list?.length ? html`
+          <h5>New Vocabulary</h5>
+          <ul>
+            ${chapter.vocabulary_list.map(item => html`
+              <li><strong>${item.word}</strong> (${item.part_of_speech}): ${item.definition}</li>
+            `)}
+          </ul>
+        ` : ''}
+        ${chapter.chapter_summary ? html`
+          <h5>Summary</h5>
+          <p>${chapter.chapter_summary}</p>
+        ` : ''}
+        ${chapter.quiz_questions?.length ? html`
+          <quiz-component .quiz=${{
+            title: `Chapter ${chapter.chapter_number} Quiz`,
+            questions: chapter.quiz_questions
+          }} .storyId=${chapter.id ? this.originalStory?.id : null} .chapterNumber=${chapter.chapter_number}></quiz-component>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  // Only the author continues their story; a reviewer just reads it
+  _renderContinueForm() {
     return html`
       <h3>Continue the Story</h3>
       <div class="continuation-form">
@@ -300,6 +521,14 @@ export class StoryContinuation extends LitElement {
             </select>
           </div>
           
+          <div class="continuation-option checkbox">
+            <input type="checkbox" id="materials" name="materials"
+                   .checked=${this._settings.materials}
+                   @change=${this._handleInputChange}
+                   ?disabled=${this.isSubmitting}>
+            <label for="materials">Add quiz &amp; vocabulary</label>
+          </div>
+
           <div class="continuation-option">
             <label for="difficulty">Difficulty:</label>
             <select id="difficulty" name="difficulty" 
@@ -318,16 +547,6 @@ export class StoryContinuation extends LitElement {
             : 'Continue Story'}
         </button>
       </div>
-      
-      ${this._continuationContent 
-        ? html`
-          <div class="continuation-output">
-            <div class="continuation-content">
-              ${this._continuationContent.split('\n').map(p => html`<p>${p}</p>`)}
-            </div>
-          </div>
-        ` 
-        : ''}
         
       ${this._showError 
         ? html`
@@ -338,4 +557,26 @@ export class StoryContinuation extends LitElement {
         : ''}
     `;
   }
+
+  render() {
+    return html`
+      ${this.chapters.map(chapter => html`
+        <div class="continuation-output">
+          <h4 class="chapter-heading">
+            Chapter ${chapter.chapter_number}
+            ${chapter.saved === false ? html`<span class="chapter-unsaved">(not saved)</span>` : ''}
+          </h4>
+          ${chapter.moderation_status && chapter.moderation_status !== 'approved' ? this._renderModerationNotice(chapter) : ''}
+          ${chapter.continuation_text ? html`
+            <div class="continuation-content">
+              ${chapter.continuation_text.split('\n').map(p => html`<p>${p}</p>`)}
+            </div>
+            ${this._renderChapterMaterials(chapter)}
+          ` : ''}
+        </div>
+      `)}
+
+      ${(this.originalStory?.access || 'owner') === 'owner' ? this._renderContinueForm() : ''}
+    `;
+  }
 } 
\ No newline at end of file
@@ -4,14 +4,20 @@ export class StoryDisplay extends LitElement {
   static get properties() {
     return {
       story: { type: Object },
-      showControls: { type: Boolean }
+      storyId: { type: String },
+      showControls: { type: Boolean },
+      streaming: { type: Boolean, reflect: true },
+      statusMessage: { type: String }
     };
   }
   
   constructor() {
     super();
     this.story = null;
+    this.storyId = null;
     this.showControls = true;
+    this.streaming = false;
+    this.statusMessage = '';
     this._isCopied = false;
   }
 
@@ -86,6 +92,30 @@ export class StoryDisplay extends LitElement {
         height: 1rem;
       }
 
+      .stream-status {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        margin-top: 1rem;
+        font-family: var(--font-heading, 'Inter', sans-serif);
+        font-size: 0.875rem;
+        color: var(--text-secondary, #6c757d);
+      }
+
+      .stream-cursor {
+        display: inline-block;
+        width: 0.5rem;
+        height: 1.1rem;
+        margin-left: 0.125rem;
+        vertical-align: text-bottom;
+        background: var(--primary, #5e7ce6);
+        animation: blink 1s step-end infinite;
+      }
+
+      @keyframes blink {
+        50% { opacity: 0; }
+      }
+
       @keyframes fadeIn {
         from { opacity: 0; transform: translateY(10px); }
         to { opacity: 1; transform: translateY(0); }
@@ -165,6 +195,13 @@ export class StoryDisplay extends LitElement {
     }
   }
 
+  // Download the quiz of a saved story for a learning management system
+  _handleQuizExport(format) {
+    if (this.storyId) {
+      window.story.export(this.storyId, format);
+    }
+  }
+
   _handleTextToSpeech(text) {
     if (window.speechSynthesis && text) {
       // Cancel any ongoing speech
@@ -186,14 +223,19 @@ export class StoryDisplay extends LitElement {
     if (!this.story) return html`<div class="story-display"></div>`;
 
     const paragraphs = this._sanitizeText(this.story.content);
+    const lastIndex = paragraphs.length - 1;
 
     return html`
       <div class="story-display">
         <div class="story-content">
-          ${paragraphs.map(p => html`<p>${p}</p>`)}
+          ${paragraphs.map((p, i) => html`<p>${p}${this.streaming && i === lastIndex ? html`<span class="stream-cursor"></span>` : ''}</p>`)}
         </div>
         
-        ${this.showControls ? html`
+        ${this.streaming && this.statusMessage ? html`
+          <div class="stream-status">${this.statusMessage}</div>
+        ` : ''}
+        
+        ${this.showControls && !this.streaming ? html`
           <div class="story-controls">
             <button @click=${this._handleCopy} class="control-button">
               <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -229,6 +271,24 @@ export class StoryDisplay extends LitElement {
               </svg>
               Read Aloud
             </button>
+            
+            ${this.storyId ? html`
+              <button @click=${() => this._handleQuizExport('qti')} class="control-button" title="Quiz as an IMS QTI 2.1 package">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <path d="M9 11l3 3L22 4"></path>
+                  <path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"></path>
+                </svg>
+                Quiz (QTI)
+              </button>
+              
+              <button @click=${() => this._handleQuizExport('gift')} class="control-button" title="Quiz as Moodle GIFT text">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <path d="M9 11l3 3L22 4"></path>
+                  <path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"></path>
+                </svg>
+                Quiz (Moodle)
+              </button>
+            ` : ''}
           </div>
         ` : ''}
       </div>
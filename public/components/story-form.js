@@ -1,5 +1,12 @@
 import { LitElement, html, css } from 'https://cdn.jsdelivr.net/gh/lit/dist@2/core/lit-core.min.js';
 
+// Passage files the server can read (see utils/passageText.js), and their size limit
+const PASSAGE_FILE_TYPES = ['.txt', '.md', '.docx'];
+const PASSAGE_MAX_BYTES = 2 * 1024 * 1024;
+
+// Sources a story can be grounded in (see utils/references.js)
+const MAX_REFERENCES = 5;
+
 export class StoryForm extends LitElement {
   static get properties() {
     return {
@@ -7,7 +14,12 @@ export class StoryForm extends LitElement {
       subjects: { type: Array },
       gradeLevels: { type: Array },
       wordCounts: { type: Array },
-      languages: { type: Array }
+      languages: { type: Array },
+      quizTypes: { type: Array },
+      _mode: { type: String, state: true },
+      _passageFile: { type: Object, state: true },
+      _referenceFiles: { type: Array, state: true },
+      _fieldErrors: { type: Object, state: true }
     };
   }
 
@@ -57,6 +69,16 @@ export class StoryForm extends LitElement {
       { value: 'Italian', label: 'Italian' }
     ];
 
+    // Question types the teacher can mix in the quiz
+    this.quizTypes = [
+      { value: 'multiple_choice', label: 'Multiple choice' },
+      { value: 'true_false', label: 'True / false' },
+      { value: 'multi_select', label: 'Multi-select' },
+      { value: 'fill_blank', label: 'Fill in the blank' },
+      { value: 'sequencing', label: 'Put events in order' },
+      { value: 'matching', label: 'Match words to definitions' }
+    ];
+
     this._formData = {
       academic_grade: '',
       subject: '',
@@ -67,10 +89,72 @@ export class StoryForm extends LitElement {
       word_count: '300',
       language: 'English',
       generate_vocabulary: false,
-      generate_summary: false
+      generate_summary: false,
+      quiz_types: ['multiple_choice']
     };
 
     this._showOtherSubject = false;
+    this._fieldErrors = {};
+
+    // 'generate' writes a new story; 'own_text' creates materials for the
+    // teacher's own passage, pasted or uploaded as { name, data (base64) }
+    this._mode = 'generate';
+    this._formData.text = '';
+    this._passageFile = null;
+
+    // Reference material a generated story must stick to: pasted text and/or files
+    this._formData.reference_text = '';
+    this._referenceFiles = [];
+  }
+
+  _setMode(mode) {
+    this._mode = mode;
+    this._fieldErrors = {};
+  }
+
+  // Read a file as { name, data } with base64 data, the way the server takes uploads
+  _readFile(file) {
+    return new Promise((resolve, reject) => {
+      if (file.size > PASSAGE_MAX_BYTES) {
+        reject(new Error(`${file.name} is larger than 2 MB.`));
+        return;
+      }
+      const reader = new FileReader();
+      // Drop the "data:...;base64," prefix
+      reader.onload = () => resolve({ name: file.name, data: String(reader.result).split(',')[1] || '' });
+      reader.onerror = () => reject(new Error(`${file.name} could not be read.`));
+      reader.readAsDataURL(file);
+    });
+  }
+
+  _clearFieldError(name) {
+    const { [name]: _, ...rest } = this._fieldErrors;
+    this._fieldErrors = rest;
+  }
+
+  async _handleFileChange(e) {
+    const file = e.target.files[0];
+    this._clearFieldError('file');
+    this._passageFile = null;
+    if (!file) return;
+
+    try {
+      this._passageFile = await this._readFile(file);
+    } catch (error) {
+      this._fieldErrors = { ...this._fieldErrors, file: error.message };
+      e.target.value = '';
+    }
+  }
+
+  async _handleReferenceFilesChange(e) {
+    this._clearFieldError('references');
+    try {
+      this._referenceFiles = await Promise.all([...e.target.files].map(file => this._readFile(file)));
+    } catch (error) {
+      this._referenceFiles = [];
+      this._fieldErrors = { ...this._fieldErrors, references: error.message };
+      e.target.value = '';
+    }
   }
 
   _handleInputChange(e) {
@@ -83,12 +167,30 @@ export class StoryForm extends LitElement {
       [name]: newValue
     };
 
+    if (this._fieldErrors[name]) {
+      const { [name]: _, ...rest } = this._fieldErrors;
+      this._fieldErrors = rest;
+    }
+
     // Show/hide other subject field
     if (name === 'subject') {
       this._showOtherSubject = value === 'other';
     }
   }
 
+  _handleQuizTypeChange(e) {
+    const { value, checked } = e.target;
+    const selected = this._formData.quiz_types.filter(type => type !== value);
+
+    this._formData = {
+      ...this._formData,
+      // Keep the order of this.quizTypes
+      quiz_types: this.quizTypes
+        .map(type => type.value)
+        .filter(type => (type === value ? checked : selected.includes(type)))
+    };
+  }
+
   _handleSubmit(e) {
     e.preventDefault();
     
@@ -98,7 +200,7 @@ export class StoryForm extends LitElement {
     }
     
     // Prepare data for submission
-    const formData = { ...this._formData };
+    const { text, reference_text, ...formData } = this._formData;
     
     // Handle special case for other subject
     if (formData.subject === 'other' && formData.other_subject) {
@@ -106,12 +208,31 @@ export class StoryForm extends LitElement {
       delete formData.other_subject;
     }
     
-    // Convert word_count to number
-    formData.word_count = parseInt(formData.word_count, 10);
+    if (this._mode === 'own_text') {
+      // The passage replaces the story elements and length
+      ['setting', 'main_character', 'word_count', 'generate_vocabulary', 'generate_summary']
+        .forEach(field => delete formData[field]);
+      if (this._passageFile) {
+        formData.file = this._passageFile;
+      } else {
+        formData.text = text;
+      }
+    } else {
+      // Convert word_count to number
+      formData.word_count = parseInt(formData.word_count, 10);
+      
+      const references = [
+        ...(reference_text.trim() ? [{ title: 'Pasted reference text', text: reference_text }] : []),
+        ...this._referenceFiles.map(file => ({ file }))
+      ];
+      if (references.length > 0) {
+        formData.references = references;
+      }
+    }
     
     // Dispatch form submit event
     this.dispatchEvent(new CustomEvent('story-form-submit', {
-      detail: { formData },
+      detail: { formData, mode: this._mode },
       bubbles: true,
       composed: true
     }));
@@ -133,10 +254,48 @@ export class StoryForm extends LitElement {
       this._showError('Please specify the other subject');
       return false;
     }
+
+    if (this._mode === 'generate' && this._referenceFiles.length + (this._formData.reference_text.trim() ? 1 : 0) > MAX_REFERENCES) {
+      this._showError(`Please attach at most ${MAX_REFERENCES} reference sources`);
+      return false;
+    }
+
+    if (this._mode === 'own_text' && !this._passageFile && !this._formData.text.trim()) {
+      this._showError('Please paste your text or upload a file');
+      return false;
+    }
+
+    if (this._formData.quiz_types.length === 0) {
+      this._showError('Please choose at least one quiz question type');
+      return false;
+    }
     
     return true;
   }
 
+  /**
+   * Mark the fields the server rejected, e.g. instruction-like or overlong text.
+   * @param {Array<{field: string, message: string}>} fields - `details.fields` of a 400 response
+   */
+  showFieldErrors(fields = []) {
+    this._fieldErrors = Object.fromEntries(fields.map(({ field, message }) => [
+      // A free-text subject comes from the "Specify Subject" input
+      field === 'subject' && this._showOtherSubject ? 'other_subject' : field,
+      message
+    ]));
+
+    this.updateComplete.then(() => {
+      const first = this.shadowRoot.querySelector('input.invalid, textarea.invalid');
+      if (first) first.focus();
+    });
+  }
+
+  _renderFieldError(name) {
+    return this._fieldErrors[name]
+      ? html`<p class="field-error" id="${name}-error">${this._fieldErrors[name]}</p>`
+      : '';
+  }
+
   _showError(message) {
     // If toast system is available, use it
     if (typeof window.showToast === 'function') {
@@ -215,7 +374,8 @@ export class StoryForm extends LitElement {
     }
 
     .form-group input,
-    .form-group select {
+    .form-group select,
+    .form-group textarea {
       width: 100%;
       padding: 1rem;
       font-size: 1rem;
@@ -228,12 +388,60 @@ export class StoryForm extends LitElement {
     }
 
     .form-group input:focus,
-    .form-group select:focus {
+    .form-group select:focus,
+    .form-group textarea:focus {
       outline: none;
       border-color: var(--primary, #5e7ce6);
       box-shadow: 0 0 0 3px rgba(94, 124, 230, 0.1);
     }
 
+    .form-group input.invalid,
+    .form-group textarea.invalid {
+      border-color: var(--error, #f56565);
+    }
+
+    .form-group textarea {
+      min-height: 14rem;
+      resize: vertical;
+      line-height: 1.6;
+    }
+
+    .mode-toggle {
+      display: flex;
+      gap: 0.5rem;
+      margin-bottom: 2rem;
+    }
+
+    .mode-toggle button {
+      flex: 1;
+      padding: 0.75rem 1rem;
+      font-size: 1rem;
+      font-weight: 600;
+      color: var(--primary, #5e7ce6);
+      background: none;
+      border: 2px solid var(--primary, #5e7ce6);
+      border-radius: 12px;
+      cursor: pointer;
+      font-family: var(--font-heading, 'Inter', sans-serif);
+    }
+
+    .mode-toggle button[aria-pressed="true"] {
+      color: white;
+      background: var(--primary, #5e7ce6);
+    }
+
+    .hint {
+      margin: 0.5rem 0 0;
+      color: var(--text-secondary, #6c757d);
+      font-size: 0.875rem;
+    }
+
+    .field-error {
+      margin: 0.5rem 0 0;
+      color: var(--error, #f56565);
+      font-size: 0.875rem;
+    }
+
     .form-group input::placeholder,
     .form-group select::placeholder {
       color: var(--gray-500, #adb5bd);
@@ -398,8 +606,17 @@ export class StoryForm extends LitElement {
   }
 
   render() {
+    const ownText = this._mode === 'own_text';
     return html`
       <div class="form-section">
+        <div class="mode-toggle" role="group" aria-label="What to create">
+          <button type="button" aria-pressed=${this._mode === 'generate' ? 'true' : 'false'}
+                  @click=${() => this._setMode('generate')}
+                  ?disabled=${this.isSubmitting}>Generate a story</button>
+          <button type="button" aria-pressed=${ownText ? 'true' : 'false'}
+                  @click=${() => this._setMode('own_text')}
+                  ?disabled=${this.isSubmitting}>Use my own text</button>
+        </div>
         <form @submit=${this._handleSubmit}>
           <div class="form-container">
             <fieldset class="form-group">
@@ -442,20 +659,54 @@ export class StoryForm extends LitElement {
                       placeholder="e.g., Astronomy"
                       .value=${this._formData.other_subject}
                       @input=${this._handleInputChange}
+                      maxlength="100"
+                      class=${this._fieldErrors.other_subject ? 'invalid' : ''}
+                      aria-invalid=${this._fieldErrors.other_subject ? 'true' : 'false'}
                       ?disabled=${this.isSubmitting}>
+                ${this._renderFieldError('other_subject')}
               </div>
 
               <div class="form-group">
-                <label for="subjectSpecification">Topic Focus</label>
+                <label for="subjectSpecification">${ownText ? 'Title' : 'Topic Focus'}</label>
                 <input type="text" id="subjectSpecification" name="subject_specification" 
-                      placeholder="e.g., Genetics for Biology"
+                      placeholder=${ownText ? 'e.g., The Water Cycle' : 'e.g., Genetics for Biology'}
                       .value=${this._formData.subject_specification}
                       @input=${this._handleInputChange}
+                      maxlength="200"
+                      class=${this._fieldErrors.subject_specification ? 'invalid' : ''}
+                      aria-invalid=${this._fieldErrors.subject_specification ? 'true' : 'false'}
                       ?disabled=${this.isSubmitting}>
+                ${this._renderFieldError('subject_specification')}
               </div>
             </fieldset>
 
-            <fieldset class="form-group">
+            <fieldset class="form-group" ?hidden=${!ownText}>
+              <legend>Your Text</legend>
+              <div class="form-group">
+                <label for="passageText">Paste your text</label>
+                <textarea id="passageText" name="text"
+                      placeholder="Paste a reading passage of 100 to 5000 words"
+                      .value=${this._formData.text}
+                      @input=${this._handleInputChange}
+                      class=${this._fieldErrors.text ? 'invalid' : ''}
+                      aria-invalid=${this._fieldErrors.text ? 'true' : 'false'}
+                      ?disabled=${this.isSubmitting || Boolean(this._passageFile)}></textarea>
+                ${this._renderFieldError('text')}
+              </div>
+              <div class="form-group">
+                <label for="passageFile">Or upload a file</label>
+                <input type="file" id="passageFile" name="file"
+                      accept=${PASSAGE_FILE_TYPES.join(',')}
+                      @change=${this._handleFileChange}
+                      class=${this._fieldErrors.file ? 'invalid' : ''}
+                      aria-invalid=${this._fieldErrors.file ? 'true' : 'false'}
+                      ?disabled=${this.isSubmitting}>
+                <p class="hint">A .txt, .md or .docx file of up to 2 MB. The text is used as written; only the objectives, vocabulary, quiz and summary are generated.</p>
+                ${this._renderFieldError('file')}
+              </div>
+            </fieldset>
+
+            <fieldset class="form-group" ?hidden=${ownText}>
               <legend>Story Elements</legend>
               <div class="form-row">
                 <div class="form-group">
@@ -464,7 +715,11 @@ export class StoryForm extends LitElement {
                         placeholder="e.g., a small village in the mountains"
                         .value=${this._formData.setting}
                         @input=${this._handleInputChange}
+                        maxlength="200"
+                        class=${this._fieldErrors.setting ? 'invalid' : ''}
+                        aria-invalid=${this._fieldErrors.setting ? 'true' : 'false'}
                         ?disabled=${this.isSubmitting}>
+                  ${this._renderFieldError('setting')}
                 </div>
 
                 <div class="form-group">
@@ -473,15 +728,42 @@ export class StoryForm extends LitElement {
                         placeholder="e.g., a curious young scientist"
                         .value=${this._formData.main_character}
                         @input=${this._handleInputChange}
+                        maxlength="200"
+                        class=${this._fieldErrors.main_character ? 'invalid' : ''}
+                        aria-invalid=${this._fieldErrors.main_character ? 'true' : 'false'}
                         ?disabled=${this.isSubmitting}>
+                  ${this._renderFieldError('main_character')}
                 </div>
               </div>
             </fieldset>
 
+            <fieldset class="form-group" ?hidden=${ownText}>
+              <legend>Reference Material</legend>
+              <p class="hint">Optional. Attach the facts the story must stick to, such as a textbook section or guidelines. The story and quiz answers are checked against them and anything they don't support is flagged.</p>
+              <div class="form-group">
+                <label for="referenceText">Paste reference text</label>
+                <textarea id="referenceText" name="reference_text"
+                      .value=${this._formData.reference_text}
+                      @input=${this._handleInputChange}
+                      class=${this._fieldErrors.references ? 'invalid' : ''}
+                      aria-invalid=${this._fieldErrors.references ? 'true' : 'false'}
+                      ?disabled=${this.isSubmitting}></textarea>
+              </div>
+              <div class="form-group">
+                <label for="referenceFiles">Or attach files</label>
+                <input type="file" id="referenceFiles" name="reference_files" multiple
+                      accept=${PASSAGE_FILE_TYPES.join(',')}
+                      @change=${this._handleReferenceFilesChange}
+                      ?disabled=${this.isSubmitting}>
+                <p class="hint">Up to ${MAX_REFERENCES} sources in all: .txt, .md or .docx files of up to 2 MB each, 10000 words together.</p>
+                ${this._renderFieldError('references')}
+              </div>
+            </fieldset>
+
             <fieldset class="form-group">
               <legend>Format Settings</legend>
               <div class="form-row">
-                <div class="form-group">
+                <div class="form-group" ?hidden=${ownText}>
                   <label for="wordCount">Story Length</label>
                   <select id="wordCount" name="word_count" 
                           @change=${this._handleInputChange} 
@@ -529,10 +811,27 @@ export class StoryForm extends LitElement {
               </div>
             </fieldset>
 
+            <fieldset class="form-group">
+              <legend>Quiz Questions</legend>
+              <div class="form-row">
+                ${this.quizTypes.map(type => html`
+                  <div class="form-group">
+                    <label class="checkbox-label">
+                      <input type="checkbox" name="quiz_types" value=${type.value}
+                            ?checked=${this._formData.quiz_types.includes(type.value)}
+                            @change=${this._handleQuizTypeChange}
+                            ?disabled=${this.isSubmitting}>
+                      <span>${type.label}</span>
+                    </label>
+                  </div>
+                `)}
+              </div>
+            </fieldset>
+
             <div class="form-actions">
               <button type="submit" ?disabled=${this.isSubmitting}>
                 <div class="spinner"></div>
-                Generate Story
+                ${ownText ? 'Create Materials' : 'Generate Story'}
               </button>
             </div>
           </div>
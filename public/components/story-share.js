@@ -0,0 +1,228 @@
+import { LitElement, html, css } from 'https://cdn.jsdelivr.net/gh/lit/dist@2/core/lit-core.min.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expiry choices, in days; null never expires
+const EXPIRY_OPTIONS = [
+  { label: 'Never expires', days: null },
+  { label: 'Expires in 1 day', days: 1 },
+  { label: 'Expires in 7 days', days: 7 },
+  { label: 'Expires in 30 days', days: 30 }
+];
+
+/**
+ * Share links for a saved story. The owner creates read-only links that open
+ * the story, its vocabulary and quiz without signing in, copies them, changes
+ * when they expire and revokes them.
+ */
+export class StoryShare extends LitElement {
+  static get properties() {
+    return {
+      storyId: { type: String },
+      _open: { state: true },
+      _shares: { state: true },
+      _copiedId: { state: true },
+      _error: { state: true }
+    };
+  }
+
+  static get styles() {
+    return css`
+      :host {
+        display: block;
+        margin-bottom: 2rem;
+      }
+
+      .share-panel {
+        margin-top: 1rem;
+        padding: 1.25rem;
+        border-radius: 12px;
+        background: var(--card-bg, white);
+        border: 1px solid var(--border, rgba(0, 0, 0, 0.1));
+      }
+
+      .share-row {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 0.5rem;
+        padding: 0.5rem 0;
+        border-bottom: 1px solid var(--border, rgba(0, 0, 0, 0.06));
+      }
+
+      .share-row:last-child {
+        border-bottom: none;
+      }
+
+      .share-url {
+        flex: 1;
+        min-width: 200px;
+        font-family: monospace;
+        font-size: 0.85rem;
+        overflow-wrap: anywhere;
+      }
+
+      .share-url.expired {
+        text-decoration: line-through;
+        color: var(--text-secondary, #6c757d);
+      }
+
+      button {
+        padding: 0.5rem 1rem;
+        font-size: 0.9rem;
+        font-weight: 600;
+        color: white;
+        background: var(--primary, #5e7ce6);
+        border: none;
+        border-radius: 8px;
+        cursor: pointer;
+        font-family: var(--font-heading, 'Inter', sans-serif);
+      }
+
+      button.secondary {
+        color: var(--primary, #5e7ce6);
+        background: none;
+        border: 1px solid var(--primary, #5e7ce6);
+      }
+
+      select {
+        padding: 0.45rem 0.5rem;
+        border: 1px solid var(--border, rgba(0, 0, 0, 0.15));
+        border-radius: 8px;
+        font-family: inherit;
+      }
+
+      .hint,
+      .error {
+        font-size: 0.9rem;
+        color: var(--text-secondary, #6c757d);
+      }
+
+      .error {
+        color: var(--error, #f56565);
+      }
+    `;
+  }
+
+  constructor() {
+    super();
+    this.storyId = null;
+    this._open = false;
+    this._shares = [];
+    this._copiedId = null;
+    this._error = '';
+  }
+
+  _shareUrl(share) {
+    return `${window.apiService.baseUrl}/s/${share.token}`;
+  }
+
+  _expiresAt(days) {
+    return days ? new Date(Date.now() + days * DAY_MS).toISOString() : null;
+  }
+
+  _isExpired(share) {
+    return Boolean(share.expires_at) && new Date(share.expires_at) <= new Date();
+  }
+
+  async _run(action) {
+    this._error = '';
+    try {
+      await action();
+    } catch (error) {
+      console.error('Share link error:', error);
+      this._error = error.message || 'Something went wrong';
+    }
+  }
+
+  async _toggle() {
+    this._open = !this._open;
+    if (this._open) {
+      await this._run(async () => {
+        this._shares = await window.apiService.getShareLinks(this.storyId);
+      });
+    }
+  }
+
+  _create() {
+    const days = EXPIRY_OPTIONS[this.renderRoot.querySelector('#newExpiry').selectedIndex].days;
+    return this._run(async () => {
+      const share = await window.apiService.createShareLink(this.storyId, this._expiresAt(days));
+      this._shares = [share, ...this._shares];
+      await this._copy(share);
+    });
+  }
+
+  async _copy(share) {
+    try {
+      await navigator.clipboard.writeText(this._shareUrl(share));
+      this._copiedId = share.id;
+      setTimeout(() => { this._copiedId = null; }, 2000);
+    } catch (error) {
+      console.error('Failed to copy: ', error);
+    }
+  }
+
+  _changeExpiry(share, e) {
+    const days = EXPIRY_OPTIONS[e.target.selectedIndex - 1]?.days;
+    e.target.selectedIndex = 0;
+    if (days === undefined) return;
+    return this._run(async () => {
+      const updated = await window.apiService.updateShareLink(this.storyId, share.id, this._expiresAt(days));
+      this._shares = this._shares.map(item => item.id === share.id ? updated : item);
+    });
+  }
+
+  _revoke(share) {
+    if (!confirm('Revoke this link? Anyone who has it will no longer be able to open the story.')) return;
+    return this._run(async () => {
+      await window.apiService.revokeShareLink(this.storyId, share.id);
+      this._shares = this._shares.filter(item => item.id !== share.id);
+    });
+  }
+
+  _renderShare(share) {
+    const expired = this._isExpired(share);
+    return html`
+      <div class="share-row">
+        <span class="share-url ${expired ? 'expired' : ''}">${this._shareUrl(share)}</span>
+        <span class="hint">
+          ${share.expires_at
+            ? `${expired ? 'Expired' : 'Expires'} ${new Date(share.expires_at).toLocaleString()}`
+            : 'Never expires'}
+        </span>
+        <button class="secondary" @click=${() => this._copy(share)} ?disabled=${expired}>
+          ${this._copiedId === share.id ? 'Copied!' : 'Copy'}
+        </button>
+        <select aria-label="Change expiry" @change=${(e) => this._changeExpiry(share, e)}>
+          <option selected disabled>Change expiry…</option>
+          ${EXPIRY_OPTIONS.map(option => html`<option>${option.label}</option>`)}
+        </select>
+        <button class="secondary" @click=${() => this._revoke(share)}>Revoke</button>
+      </div>
+    `;
+  }
+
+  render() {
+    if (!this.storyId) return html``;
+
+    return html`
+      <button @click=${this._toggle} aria-expanded=${this._open}>Share</button>
+      ${this._open ? html`
+        <div class="share-panel">
+          <p class="hint">Anyone with a link can read this story and take its quiz without signing in.</p>
+          ${this._error ? html`<p class="error" role="alert">${this._error}</p>` : ''}
+          ${this._shares.map(share => this._renderShare(share))}
+          <div class="share-row">
+            <select id="newExpiry" aria-label="Expiry of the new link">
+              ${EXPIRY_OPTIONS.map(option => html`<option>${option.label}</option>`)}
+            </select>
+            <button @click=${this._create}>Create link</button>
+          </div>
+        </div>
+      ` : ''}
+    `;
+  }
+}
+
+customElements.define('story-share', StoryShare);
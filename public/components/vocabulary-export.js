@@ -0,0 +1,102 @@
+import { LitElement, html, css } from 'https://cdn.jsdelivr.net/gh/lit/dist@2/core/lit-core.min.js';
+
+/**
+ * Download the vocabulary of several saved stories at once, narrowed by
+ * subject, language and tag. The choices come from the user's stories; each
+ * download fires `export-vocabulary` with `{ format, filters }`, where format
+ * is 'anki' or 'csv'.
+ */
+export class VocabularyExport extends LitElement {
+  static get properties() {
+    return {
+      stories: { type: Array }
+    };
+  }
+
+  static get styles() {
+    return css`
+      :host {
+        display: block;
+        margin-top: 1.5rem;
+      }
+
+      .export-row {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 0.5rem;
+        font-size: 0.9rem;
+        color: var(--text-secondary, #6c757d);
+      }
+
+      select {
+        padding: 0.4rem 0.5rem;
+        border: 1px solid var(--border, rgba(0, 0, 0, 0.15));
+        border-radius: 8px;
+        font-family: inherit;
+      }
+
+      button {
+        padding: 0.4rem 0.9rem;
+        font-size: 0.85rem;
+        font-weight: 600;
+        color: var(--primary, #5e7ce6);
+        background: none;
+        border: 1px solid var(--primary, #5e7ce6);
+        border-radius: 8px;
+        cursor: pointer;
+        font-family: var(--font-heading, 'Inter', sans-serif);
+      }
+    `;
+  }
+
+  constructor() {
+    super();
+    this.stories = [];
+  }
+
+  // The distinct, sorted values of a story field (or of every story's tags)
+  _choices(field) {
+    const values = this.stories.flatMap(story => (field === 'tags' ? story.tags || [] : [story[field]]));
+    return [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  }
+
+  _download(format) {
+    const value = (id) => this.renderRoot.querySelector(`#${id}`)?.value;
+    this.dispatchEvent(new CustomEvent('export-vocabulary', {
+      detail: {
+        format,
+        filters: { subject: value('exportSubject'), language: value('exportLanguage'), tag: value('exportTag') }
+      },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  _renderSelect(id, label, allLabel, values) {
+    return html`
+      <select id=${id} aria-label=${label}>
+        <option value="">${allLabel}</option>
+        ${values.map(value => html`<option value=${value}>${value}</option>`)}
+      </select>
+    `;
+  }
+
+  render() {
+    if (!this.stories.length) return html``;
+
+    const tags = this._choices('tags');
+    return html`
+      <div class="export-row">
+        <span>Download words from</span>
+        ${this._renderSelect('exportSubject', 'Subject', 'All subjects', this._choices('subject'))}
+        ${this._renderSelect('exportLanguage', 'Language', 'All languages', this._choices('language'))}
+        ${tags.length ? this._renderSelect('exportTag', 'Tag', 'All tags', tags) : ''}
+        <button @click=${() => this._download('anki')}>Anki</button>
+        <button @click=${() => this._download('csv')}>CSV</button>
+      </div>
+    `;
+  }
+}
+
+customElements.define('vocabulary-export', VocabularyExport);
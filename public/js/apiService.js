@@ -197,24 +197,11 @@ class ApiService {
     }
 
     /**
-     * Generate a story with the given data.
+     * Build the request body and headers shared by the story generation endpoints.
      * @param {Object} data - The story generation parameters
-     * @returns {Promise<Object>} The generated story
+     * @returns {Promise<{serverFormat: Object, headers: Object}>}
      */
-    async generateStory(data) {
-        // Wait for initialization if needed
-        try {
-            if (this.initPromise) {
-                await this.initPromise;
-            }
-        } catch (error) {
-            console.warn('API Service initialization had issues, but continuing with request anyway');
-            // Continue anyway using the default baseUrl
-        }
-        
-        console.log('Generating story with data:', data);
-        console.log('API baseUrl:', this.baseUrl); 
-        
+    async buildGenerationRequest(data) {
         // Get initial form values with proper defaults
         const subject = String(data.subject || "general").trim();
         const academicGrade = String(data.academic_grade || "5").trim();
@@ -249,23 +236,18 @@ class ApiService {
             word_count: wordCount, // Must be a number between 100-5000
             language: language, // Must match exact capitalization
             generate_vocabulary: data.generate_vocabulary === 'on', // Boolean for optional features
-            generate_summary: data.generate_summary === 'on' // Boolean for optional features
+            generate_summary: data.generate_summary === 'on', // Boolean for optional features
+            quiz_types: Array.isArray(data.quiz_types) && data.quiz_types.length ? data.quiz_types : ['multiple_choice']
         };
         
-        // Get anonymous user ID if available
-        let anonymousId = null;
-        if (window.localStorage) {
-            anonymousId = localStorage.getItem('anonymousUserId');
-            if (!anonymousId) {
-                // Generate a new anonymous ID if needed
-                anonymousId = 'anon-' + Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-                localStorage.setItem('anonymousUserId', anonymousId);
-                console.log('Generated new anonymous user ID:', anonymousId);
-            } else {
-                console.log('Using existing anonymous user ID:', anonymousId);
-            }
+        // Optional reference material the story must stick to: [{ title, text }] or [{ file: { name, data } }]
+        if (Array.isArray(data.references) && data.references.length) {
+            serverFormat.references = data.references;
         }
         
+        // Get anonymous user ID if available
+        const anonymousId = await this.getAnonymousId();
+        
         // Add anonymous ID to the request if available
         if (anonymousId) {
             console.log('Including anonymous user ID in request:', anonymousId);
@@ -298,6 +280,300 @@ class ApiService {
             console.warn('Failed to get auth token:', error);
         }
         
+        return { serverFormat, headers };
+    }
+
+    /**
+     * Generate a story over Server-Sent Events, reporting progress as it arrives.
+     * @param {Object} data - The story generation parameters
+     * @param {function(string, Object): void} onEvent - Called with (eventName, payload)
+     *   for status, text, objectives, vocabulary, quiz, summary and saved events
+     * @returns {Promise<Object>} The assembled story once the stream has finished
+     */
+    async generateStoryStream(data, onEvent = () => {}) {
+        try {
+            if (this.initPromise) {
+                await this.initPromise;
+            }
+        } catch (error) {
+            console.warn('API Service initialization had issues, but continuing with request anyway');
+        }
+        
+        const { serverFormat, headers } = await this.buildGenerationRequest(data);
+        headers['Accept'] = 'text/event-stream';
+        
+        console.log(`Sending streaming API request to ${this.baseUrl}/generate-story/stream`);
+        
+        const response = await fetch(`${this.baseUrl}/generate-story/stream`, {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify(serverFormat)
+        });
+        
+        if (!response.ok || !response.body) {
+            return this.handleResponse(response);
+        }
+        
+        // Assemble the same shape that /generate-story returns
+        const story = {
+            content: '',
+            learning_objectives: [],
+            vocabulary: [],
+            quiz: [],
+            summary: ''
+        };
+        
+        const applyEvent = (event, payload) => {
+            switch (event) {
+                case 'text':
+                    story.content += payload.delta;
+                    break;
+                case 'revision':
+                    story.content = payload.content;
+                    break;
+                case 'objectives':
+                    story.learning_objectives = payload.learning_objectives;
+                    break;
+                case 'vocabulary':
+                    story.vocabulary = payload.vocabulary;
+                    break;
+                case 'quiz':
+                    story.quiz = payload.quiz;
+                    break;
+                case 'summary':
+                    story.summary = payload.summary;
+                    break;
+                case 'word_count':
+                    Object.assign(story, payload);
+                    break;
+                case 'readability':
+                    story.readability = payload;
+                    break;
+                case 'grounding': {
+                    const { reference_sources, ...grounding } = payload;
+                    story.reference_sources = reference_sources;
+                    story.grounding = grounding;
+                    break;
+                }
+                case 'moderation':
+                    story.moderation = payload;
+                    break;
+                case 'generation':
+                    story.generation = payload;
+                    break;
+                case 'saved':
+                    Object.assign(story, payload);
+                    break;
+                case 'error':
+                    throw new ApiError(500, payload.error || 'Story generation failed', payload);
+            }
+            onEvent(event, payload);
+        };
+        
+        await this.readEventStream(response, applyEvent);
+        
+        return story;
+    }
+
+    /**
+     * Read a Server-Sent Events response until the server closes it.
+     * @param {Response} response - A fetch response with a readable body
+     * @param {function(string, Object): void} onEvent - Called with (eventName, payload)
+     */
+    async readEventStream(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            
+            buffer += decoder.decode(value, { stream: true });
+            
+            // Events are separated by a blank line
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const rawEvent = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+                
+                let event = 'message';
+                const dataLines = [];
+                rawEvent.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) {
+                        event = line.slice(6).trim();
+                    } else if (line.startsWith('data:')) {
+                        dataLines.push(line.slice(5).trim());
+                    }
+                });
+                
+                // Comment-only chunks are keep-alives
+                if (dataLines.length === 0) continue;
+                
+                onEvent(event, JSON.parse(dataLines.join('\n')));
+            }
+        }
+    }
+
+    /**
+     * Start a background generation job.
+     * @param {Object} data - The story generation parameters
+     * @returns {Promise<Object>} The queued job, including job_id
+     */
+    async startGenerationJob(data) {
+        try {
+            if (this.initPromise) {
+                await this.initPromise;
+            }
+        } catch (error) {
+            console.warn('API Service initialization had issues, but continuing with request anyway');
+        }
+        
+        const { serverFormat, headers } = await this.buildGenerationRequest(data);
+        serverFormat.async = true;
+        
+        const response = await fetch(`${this.baseUrl}/generate-story`, {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify(serverFormat)
+        });
+        return this.handleResponse(response);
+    }
+
+    /**
+     * Fetch the current state of a generation job.
+     * @param {string} jobId
+     * @returns {Promise<Object>}
+     */
+    async getJob(jobId) {
+        const response = await fetch(`${this.baseUrl}/jobs/${jobId}`, {
+            headers: await this.buildOwnerHeaders()
+        });
+        return this.handleResponse(response);
+    }
+
+    /**
+     * Follow a generation job until it is done or failed.
+     * Subscribes to the job's event stream and falls back to polling
+     * if streaming is unavailable or the connection drops.
+     * @param {string} jobId
+     * @param {function(Object): void} onStatus - Called with the job on every change
+     * @param {number} pollIntervalMs - Delay between polls in fallback mode
+     * @returns {Promise<Object>} The finished job; throws ApiError if it failed
+     */
+    async watchJob(jobId, onStatus = () => {}, pollIntervalMs = 3000) {
+        let job = null;
+        const track = (update) => {
+            job = update;
+            onStatus(update);
+        };
+        const isFinished = () => job && (job.status === 'done' || job.status === 'failed');
+        
+        if (window.ReadableStream) {
+            try {
+                const response = await fetch(`${this.baseUrl}/jobs/${jobId}/events`, {
+                    headers: {
+                        ...(await this.buildOwnerHeaders()),
+                        'Accept': 'text/event-stream'
+                    }
+                });
+                if (!response.ok || !response.body) {
+                    await this.handleResponse(response);
+                }
+                await this.readEventStream(response, (event, payload) => {
+                    if (event === 'status') track(payload);
+                });
+            } catch (error) {
+                // Missing or forbidden jobs won't appear by polling either
+                if (error instanceof ApiError && [400, 401, 403, 404].includes(error.status)) {
+                    throw error;
+                }
+                console.warn('Job event stream unavailable, polling instead:', error);
+            }
+        }
+        
+        while (!isFinished()) {
+            if (job) {
+                await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+            }
+            track(await this.getJob(jobId));
+        }
+        
+        if (job.status === 'failed') {
+            throw new ApiError(500, job.error || 'Story generation failed', job);
+        }
+        return job;
+    }
+
+    /**
+     * Move the stories, chapters, quiz attempts and other data saved under this
+     * browser's anonymous ID into the signed-in account.
+     * @returns {Promise<{anonymous_id: string, moved: Object<string, number>}>} Rows moved per table
+     */
+    async claimAnonymousData() {
+        try {
+            const response = await fetch(`${this.baseUrl}/account/claim-anonymous`, {
+                method: 'POST',
+                headers: {
+                    ...(await this.buildOwnerHeaders()),
+                    'X-Anonymous-Token': localStorage.getItem('anonymousUserToken') || ''
+                }
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error moving anonymous data into the account:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create learning materials for a passage the teacher supplies; the result
+     * is saved as a story like a generated one.
+     * @param {Object} data - subject, subject_specification (title), academic_grade,
+     *   language, quiz_types and either `text` or `file: { name, data (base64) }`
+     * @returns {Promise<Object>} The story with its materials and save result
+     */
+    async createStoryFromText(data) {
+        try {
+            // Saved stories need an owner; make sure there is an anonymous ID
+            await this.getAnonymousId();
+
+            const response = await fetch(`${this.baseUrl}/stories/from-text`, {
+                method: 'POST',
+                headers: {
+                    ...(await this.buildOwnerHeaders()),
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(data)
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error creating story from text:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Generate a story with the given data.
+     * @param {Object} data - The story generation parameters
+     * @returns {Promise<Object>} The generated story
+     */
+    async generateStory(data) {
+        // Wait for initialization if needed
+        try {
+            if (this.initPromise) {
+                await this.initPromise;
+            }
+        } catch (error) {
+            console.warn('API Service initialization had issues, but continuing with request anyway');
+            // Continue anyway using the default baseUrl
+        }
+        
+        console.log('Generating story with data:', data);
+        console.log('API baseUrl:', this.baseUrl); 
+        
+        const { serverFormat, headers } = await this.buildGenerationRequest(data);
+        
         console.log(`Sending API request to ${this.baseUrl}/generate-story`);
         console.log('Using validated server format:', serverFormat);
         
@@ -661,7 +937,9 @@ class ApiService {
                 return [];
             }
             
-            const response = await fetch(`${this.baseUrl}/user-stories/${userId}`);
+            const response = await fetch(`${this.baseUrl}/user-stories/${userId}`, {
+                headers: await this.buildOwnerHeaders()
+            });
             return this.handleResponse(response);
         } catch (error) {
             console.error('Error fetching user stories:', error);
@@ -669,6 +947,102 @@ class ApiService {
         }
     }
 
+    /**
+     * This browser's anonymous ID, asking the server for one the first time.
+     * The server also returns the ID's signature, kept under anonymousUserToken:
+     * it is sent only to move what was saved under the ID into an account.
+     * A server that can't sign IDs (503) leaves the browser to make up an
+     * unsigned one, as it used to, which is trusted on its first claim.
+     * @returns {Promise<string|null>} null when there is no ID and none could be issued
+     */
+    async getAnonymousId() {
+        if (!window.localStorage) return null;
+
+        const stored = localStorage.getItem('anonymousUserId');
+        if (stored) return stored;
+
+        // One request for callers that ask at the same time
+        if (!this.anonymousIdRequest) {
+            this.anonymousIdRequest = fetch(`${this.baseUrl}/anonymous-id`, {
+                method: 'POST',
+                headers: { 'Accept': 'application/json' }
+            })
+                .then(response => this.handleResponse(response))
+                .then(({ anonymous_id: anonymousId, anonymous_token: token }) => {
+                    localStorage.setItem('anonymousUserId', anonymousId);
+                    localStorage.setItem('anonymousUserToken', token);
+                    console.log('Got new anonymous user ID:', anonymousId);
+                    return anonymousId;
+                })
+                .catch(error => {
+                    if (error.status === 503 && window.crypto?.getRandomValues) {
+                        const digits = Array.from(window.crypto.getRandomValues(new Uint8Array(24)), byte => (byte % 36).toString(36));
+                        const anonymousId = `anon-${digits.join('')}`;
+                        localStorage.setItem('anonymousUserId', anonymousId);
+                        console.warn('The server does not issue anonymous IDs; using an unsigned one:', anonymousId);
+                        return anonymousId;
+                    }
+                    console.error('Error getting an anonymous user ID:', error);
+                    return null;
+                })
+                .finally(() => {
+                    this.anonymousIdRequest = null;
+                });
+        }
+        return this.anonymousIdRequest;
+    }
+
+    /**
+     * Headers identifying who owns a story: the auth token and/or the anonymous ID.
+     * @returns {Promise<Object>}
+     */
+    async buildOwnerHeaders() {
+        const headers = {
+            'Accept': 'application/json'
+        };
+
+        const anonymousId = window.localStorage ? localStorage.getItem('anonymousUserId') : null;
+        if (anonymousId) {
+            headers['X-Anonymous-ID'] = anonymousId;
+        }
+
+        try {
+            const token = await this.getAuthToken();
+            if (token) {
+                headers['Authorization'] = `Bearer ${token}`;
+            }
+        } catch (error) {
+            console.warn('Failed to get auth token:', error);
+        }
+
+        return headers;
+    }
+
+    /**
+     * List the current user's stories (signed-in and anonymous).
+     * @param {Object} filters - Optional subject, language, tag, limit and offset
+     * @returns {Promise<Array>} Story records, newest first
+     */
+    async listStories(filters = {}) {
+        try {
+            const params = new URLSearchParams();
+            Object.entries(filters).forEach(([key, value]) => {
+                if (value !== undefined && value !== null && value !== '') {
+                    params.set(key, value);
+                }
+            });
+            const query = params.toString();
+
+            const response = await fetch(`${this.baseUrl}/stories${query ? `?${query}` : ''}`, {
+                headers: await this.buildOwnerHeaders()
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error listing stories:', error);
+            throw error;
+        }
+    }
+
     async deleteStory(storyId) {
         try {
             if (!storyId) {
@@ -677,7 +1051,8 @@ class ApiService {
             }
             
             const response = await fetch(`${this.baseUrl}/stories/${storyId}`, {
-                method: 'DELETE'
+                method: 'DELETE',
+                headers: await this.buildOwnerHeaders()
             });
             return this.handleResponse(response);
         } catch (error) {
@@ -693,7 +1068,9 @@ class ApiService {
                 return null;
             }
             
-            const response = await fetch(`${this.baseUrl}/stories/${storyId}`);
+            const response = await fetch(`${this.baseUrl}/stories/${storyId}`, {
+                headers: await this.buildOwnerHeaders()
+            });
             return this.handleResponse(response);
         } catch (error) {
             console.error('Error getting story by ID:', error);
@@ -701,6 +1078,532 @@ class ApiService {
         }
     }
 
+    /**
+     * Update a saved story.
+     * @param {string} storyId
+     * @param {Object} changes - Any of story_title, story_text and tags
+     * @returns {Promise<Object>} The updated story record
+     */
+    async updateStory(storyId, changes) {
+        try {
+            if (!storyId) {
+                throw new Error('Story ID is required');
+            }
+
+            const response = await fetch(`${this.baseUrl}/stories/${storyId}`, {
+                method: 'PATCH',
+                headers: {
+                    ...(await this.buildOwnerHeaders()),
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(changes)
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error updating story:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Approve or reject a story, or one of its chapters, held for review.
+     * @param {string} storyId
+     * @param {'approve'|'reject'} decision
+     * @param {number} [chapterNumber] - Review this chapter instead of the story
+     * @returns {Promise<Object>} The updated story or chapter record
+     */
+    async reviewStory(storyId, decision, chapterNumber) {
+        try {
+            if (!storyId) {
+                throw new Error('Story ID is required');
+            }
+
+            const response = await fetch(`${this.baseUrl}/stories/${storyId}/review`, {
+                method: 'POST',
+                headers: {
+                    ...(await this.buildOwnerHeaders()),
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    decision,
+                    ...(chapterNumber && { chapter_number: chapterNumber })
+                })
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error reviewing story:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a completed quiz. The server scores the answers itself.
+     * @param {string} storyId
+     * @param {Object} attempt - answers (one per question, null if skipped),
+     *   chapterNumber, startedAt and timeTakenMs
+     * @returns {Promise<Object>} The saved attempt with its score
+     */
+    async recordQuizAttempt(storyId, { answers, chapterNumber, startedAt, timeTakenMs }) {
+        try {
+            if (!storyId) {
+                throw new Error('Story ID is required');
+            }
+
+            const response = await fetch(`${this.baseUrl}/stories/${storyId}/quiz-attempts`, {
+                method: 'POST',
+                headers: {
+                    ...(await this.buildOwnerHeaders()),
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    answers,
+                    chapter_number: chapterNumber || 1,
+                    started_at: startedAt,
+                    time_taken_ms: timeTakenMs
+                })
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error recording quiz attempt:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * The current user's attempts at a story's quizzes, newest first.
+     * @param {string} storyId
+     * @param {number} [chapterNumber] - Only attempts at this chapter's quiz
+     * @returns {Promise<Array>}
+     */
+    async getQuizAttempts(storyId, chapterNumber) {
+        try {
+            const query = chapterNumber ? `?chapter_number=${chapterNumber}` : '';
+            const response = await fetch(`${this.baseUrl}/stories/${storyId}/quiz-attempts${query}`, {
+                headers: await this.buildOwnerHeaders()
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error fetching quiz attempts:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Attempt count, best and last score per story, for the story cards.
+     * @returns {Promise<Array>} [{ story_id, attempts, best_score, last_score, last_attempted_at }]
+     */
+    async getQuizSummary() {
+        try {
+            const response = await fetch(`${this.baseUrl}/quiz-attempts/summary`, {
+                headers: await this.buildOwnerHeaders()
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error fetching quiz summary:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add the vocabulary of the user's stories to their flashcard deck.
+     * @returns {Promise<Object>} { added, words }
+     */
+    async syncVocabulary() {
+        try {
+            const response = await fetch(`${this.baseUrl}/vocabulary/sync`, {
+                method: 'POST',
+                headers: await this.buildOwnerHeaders()
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error syncing vocabulary:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * The user's vocabulary deck.
+     * @param {Object} [options] - due: only cards due now; limit
+     * @returns {Promise<Object>} { total, due, cards }
+     */
+    async getVocabularyDeck({ due = false, limit } = {}) {
+        try {
+            const params = new URLSearchParams();
+            if (due) params.set('due', 'true');
+            if (limit) params.set('limit', limit);
+            const query = params.toString();
+
+            const response = await fetch(`${this.baseUrl}/vocabulary${query ? `?${query}` : ''}`, {
+                headers: await this.buildOwnerHeaders()
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error fetching vocabulary deck:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record how well a flashcard was remembered.
+     * @param {string} cardId
+     * @param {'again'|'hard'|'good'|'easy'} rating
+     * @returns {Promise<Object>} The card with its next due date
+     */
+    async reviewVocabularyCard(cardId, rating) {
+        try {
+            const response = await fetch(`${this.baseUrl}/vocabulary/${cardId}/review`, {
+                method: 'POST',
+                headers: {
+                    ...(await this.buildOwnerHeaders()),
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ rating })
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error reviewing vocabulary card:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Download vocabulary as flashcards.
+     * @param {'anki'|'csv'} format - Anki tab-separated notes or plain CSV
+     * @param {Object} [filters] - story_id for one story, or subject, language and tag
+     * @returns {Promise<{blob: Blob, filename: string}>}
+     */
+    async exportVocabulary(format = 'anki', filters = {}) {
+        try {
+            const params = new URLSearchParams({ format });
+            Object.entries(filters).forEach(([key, value]) => {
+                if (value !== undefined && value !== null && value !== '') params.set(key, value);
+            });
+            const response = await fetch(`${this.baseUrl}/vocabulary/export?${params}`, {
+                headers: await this.buildOwnerHeaders()
+            });
+            if (!response.ok) {
+                return this.handleResponse(response);
+            }
+
+            const disposition = response.headers.get('content-disposition') || '';
+            const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || `vocabulary.${format === 'csv' ? 'csv' : 'tsv'}`;
+            return { blob: await response.blob(), filename };
+        } catch (error) {
+            console.error('Error exporting vocabulary:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Download a story with its chapters, glossary, quiz, answer key and summary.
+     * @param {string} storyId
+     * @param {'markdown'|'epub'|'pdf'|'qti'|'gift'} format
+     * @param {Object} [options] - Worksheet layout for pdf: font_size, line_spacing, page_size, answer_key
+     * @returns {Promise<{blob: Blob, filename: string}>}
+     */
+    async exportStory(storyId, format = 'markdown', options = {}) {
+        try {
+            const params = new URLSearchParams({ format });
+            Object.entries(options).forEach(([key, value]) => {
+                if (value !== undefined && value !== null) params.set(key, value);
+            });
+            const response = await fetch(`${this.baseUrl}/stories/${storyId}/export?${params}`, {
+                headers: await this.buildOwnerHeaders()
+            });
+            if (!response.ok) {
+                return this.handleResponse(response);
+            }
+
+            const disposition = response.headers.get('content-disposition') || '';
+            const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || `story.${{ epub: 'epub', pdf: 'pdf', qti: 'qti.zip', gift: 'gift.txt' }[format] || 'md'}`;
+            return { blob: await response.blob(), filename };
+        } catch (error) {
+            console.error('Error exporting story:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * A story's share links that haven't been revoked.
+     * @param {string} storyId
+     * @returns {Promise<Array>} [{ id, token, expires_at, created_at }]
+     */
+    async getShareLinks(storyId) {
+        try {
+            const response = await fetch(`${this.baseUrl}/stories/${storyId}/shares`, {
+                headers: await this.buildOwnerHeaders()
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error fetching share links:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a read-only link to a story that opens without signing in.
+     * @param {string} storyId
+     * @param {string|null} expiresAt - ISO 8601 timestamp; null never expires
+     * @returns {Promise<Object>} The share link; its URL is `${baseUrl}/s/${token}`
+     */
+    async createShareLink(storyId, expiresAt = null) {
+        try {
+            const response = await fetch(`${this.baseUrl}/stories/${storyId}/shares`, {
+                method: 'POST',
+                headers: {
+                    ...(await this.buildOwnerHeaders()),
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ expires_at: expiresAt })
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error creating share link:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Change when a share link expires.
+     * @param {string} storyId
+     * @param {string} shareId
+     * @param {string|null} expiresAt - ISO 8601 timestamp; null never expires
+     * @returns {Promise<Object>} The updated share link
+     */
+    async updateShareLink(storyId, shareId, expiresAt) {
+        try {
+            const response = await fetch(`${this.baseUrl}/stories/${storyId}/shares/${shareId}`, {
+                method: 'PATCH',
+                headers: {
+                    ...(await this.buildOwnerHeaders()),
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ expires_at: expiresAt })
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error updating share link:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke a share link.
+     * @param {string} storyId
+     * @param {string} shareId
+     * @returns {Promise<Object>}
+     */
+    async revokeShareLink(storyId, shareId) {
+        try {
+            const response = await fetch(`${this.baseUrl}/stories/${storyId}/shares/${shareId}`, {
+                method: 'DELETE',
+                headers: await this.buildOwnerHeaders()
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error revoking share link:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Classrooms the user teaches and has joined.
+     * @returns {Promise<Object>} { teaching, enrolled }
+     */
+    async getClassrooms() {
+        try {
+            const response = await fetch(`${this.baseUrl}/classrooms`, {
+                headers: await this.buildOwnerHeaders()
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error fetching classrooms:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * A classroom with its assignments; teachers also get its join code and roster.
+     * @param {string} classroomId
+     * @returns {Promise<Object>} The classroom, with role 'teacher' or 'student'
+     */
+    async getClassroom(classroomId) {
+        try {
+            const response = await fetch(`${this.baseUrl}/classrooms/${classroomId}`, {
+                headers: await this.buildOwnerHeaders()
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error fetching classroom:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a classroom taught by the signed-in user.
+     * @param {string} name
+     * @returns {Promise<Object>} The classroom, with its join code
+     */
+    async createClassroom(name) {
+        try {
+            const response = await fetch(`${this.baseUrl}/classrooms`, {
+                method: 'POST',
+                headers: {
+                    ...(await this.buildOwnerHeaders()),
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ name })
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error creating classroom:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a classroom the user teaches.
+     * @param {string} classroomId
+     * @returns {Promise<Object>}
+     */
+    async deleteClassroom(classroomId) {
+        try {
+            const response = await fetch(`${this.baseUrl}/classrooms/${classroomId}`, {
+                method: 'DELETE',
+                headers: await this.buildOwnerHeaders()
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error deleting classroom:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Join a classroom with the code from its teacher.
+     * @param {string} code
+     * @param {string} displayName - Shown to the teacher on the roster
+     * @returns {Promise<Object>} { id, name, membership }
+     */
+    async joinClassroom(code, displayName) {
+        try {
+            // Students don't need an account; make sure they have an anonymous ID
+            await this.getAnonymousId();
+
+            const response = await fetch(`${this.baseUrl}/classrooms/join`, {
+                method: 'POST',
+                headers: {
+                    ...(await this.buildOwnerHeaders()),
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ code, display_name: displayName })
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error joining classroom:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a student from a classroom (or leave it, for the student's own membership).
+     * @param {string} classroomId
+     * @param {string} memberId
+     * @returns {Promise<Object>}
+     */
+    async removeClassroomMember(classroomId, memberId) {
+        try {
+            const response = await fetch(`${this.baseUrl}/classrooms/${classroomId}/members/${memberId}`, {
+                method: 'DELETE',
+                headers: await this.buildOwnerHeaders()
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error removing classroom member:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Assign a saved story to a classroom.
+     * @param {string} classroomId
+     * @param {string} storyId
+     * @param {string|null} dueAt - ISO 8601 timestamp
+     * @returns {Promise<Object>} The assignment
+     */
+    async assignStory(classroomId, storyId, dueAt = null) {
+        try {
+            const response = await fetch(`${this.baseUrl}/classrooms/${classroomId}/assignments`, {
+                method: 'POST',
+                headers: {
+                    ...(await this.buildOwnerHeaders()),
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ story_id: storyId, due_at: dueAt })
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error assigning story:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove an assignment from a classroom.
+     * @param {string} classroomId
+     * @param {string} assignmentId
+     * @returns {Promise<Object>}
+     */
+    async removeAssignment(classroomId, assignmentId) {
+        try {
+            const response = await fetch(`${this.baseUrl}/classrooms/${classroomId}/assignments/${assignmentId}`, {
+                method: 'DELETE',
+                headers: await this.buildOwnerHeaders()
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error removing assignment:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Each student's progress on an assignment.
+     * @param {string} classroomId
+     * @param {string} assignmentId
+     * @returns {Promise<Array>} [{ member_id, display_name, status, read_at, completed_at, attempts, best_score, late }]
+     */
+    async getAssignmentProgress(classroomId, assignmentId) {
+        try {
+            const response = await fetch(`${this.baseUrl}/classrooms/${classroomId}/assignments/${assignmentId}/progress`, {
+                headers: await this.buildOwnerHeaders()
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error fetching assignment progress:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record that the student opened an assignment.
+     * @param {string} classroomId
+     * @param {string} assignmentId
+     * @returns {Promise<Object>}
+     */
+    async markAssignmentRead(classroomId, assignmentId) {
+        try {
+            const response = await fetch(`${this.baseUrl}/classrooms/${classroomId}/assignments/${assignmentId}/read`, {
+                method: 'POST',
+                headers: await this.buildOwnerHeaders()
+            });
+            return this.handleResponse(response);
+        } catch (error) {
+            console.error('Error recording assignment read:', error);
+            throw error;
+        }
+    }
+
     /**
      * Continue an existing story by generating additional content
      * @param {Object} data - Original story data plus continuation parameters
@@ -732,38 +1635,39 @@ class ApiService {
             };
             
             // Add optional parameters if they exist
+            if (data.story_id) continuationRequest.story_id = data.story_id;
             if (data.language) continuationRequest.language = data.language;
             if (data.academic_grade) continuationRequest.academic_grade = data.academic_grade;
             if (data.subject) continuationRequest.subject = data.subject;
             
+            // Chapter quiz, vocabulary and summary, avoiding what earlier chapters covered
+            if (data.generate_materials) {
+                continuationRequest.generate_materials = true;
+                continuationRequest.previous_vocabulary = data.previous_vocabulary || [];
+                continuationRequest.previous_questions = data.previous_questions || [];
+                if (data.quiz_types?.length) {
+                    continuationRequest.quiz_types = data.quiz_types;
+                }
+            }
+            
             // Add difficulty parameter if provided
             if (data.difficulty) {
                 continuationRequest.difficulty = data.difficulty;
                 console.log(`Using specified difficulty: ${data.difficulty}`);
             }
             
-            // Use development mode mock data if configured
-            if (window._config?.useMockData || window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
+            // Use mock data if configured (LLM_PROVIDER=fixture gives offline responses without it)
+            if (window._config?.useMockData) {
                 console.log('Using mock data for story continuation');
                 return this.getMockStoryContinuation(continuationRequest);
             }
             
-            // Build request headers
+            // Auth token and anonymous ID let the server save the chapter to its story
             const headers = {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
+                ...(await this.buildOwnerHeaders()),
+                'Content-Type': 'application/json'
             };
             
-            // Add auth token if available
-            try {
-                const token = await this.getAuthToken();
-                if (token) {
-                    headers['Authorization'] = `Bearer ${token}`;
-                }
-            } catch (error) {
-                console.warn('Failed to get auth token:', error);
-            }
-            
             console.log(`Sending API request to ${this.baseUrl}/continue-story`);
             
             try {
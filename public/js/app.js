@@ -71,7 +71,7 @@ window.generateStory = async function(formData) {
                 
                 // If no authenticated user, use anonymous ID
                 if (!userId) {
-                    userId = getAnonymousUserId();
+                    userId = await getAnonymousUserId();
                     console.log('Saving story for anonymous user:', userId);
                 }
                 
@@ -168,6 +168,219 @@ window.generateStory = async function(formData) {
     }
 }
 
+// Generate a story over Server-Sent Events, rendering the text as it arrives
+window.generateStoryStreaming = async function(formData) {
+    console.log('Streaming story with form data:', formData);
+    
+    if (!window.apiService || typeof window.apiService.generateStoryStream !== 'function' || !window.ReadableStream) {
+        console.warn('Streaming not available, falling back to regular generation');
+        return window.generateStory(formData);
+    }
+    
+    if (!storyOutput) return null;
+    
+    const stageMessages = {
+        generating: 'Writing your story...',
+        adjusting: 'Adjusting the story length...',
+        materials: 'Preparing objectives, vocabulary and quiz...',
+        moderating: 'Checking the story is suitable for your class...',
+        grounding: 'Checking the story against your reference material...',
+        saving: 'Saving your story...'
+    };
+    
+    // Show the text in a story-display while it streams
+    storyOutput.innerHTML = '';
+    const storyDisplay = document.createElement('story-display');
+    storyDisplay.streaming = true;
+    storyDisplay.statusMessage = stageMessages.generating;
+    storyDisplay.story = { content: '' };
+    storyOutput.appendChild(storyDisplay);
+    
+    formData.word_count = parseInt(formData.word_count, 10);
+    
+    try {
+        const story = await window.apiService.generateStoryStream(formData, (event, payload) => {
+            if (event === 'text') {
+                storyDisplay.story = { content: storyDisplay.story.content + payload.delta };
+            } else if (event === 'revision') {
+                storyDisplay.story = { content: payload.content };
+            } else if (event === 'status') {
+                storyDisplay.statusMessage = stageMessages[payload.stage] || '';
+            }
+        });
+        
+        // Swap the streaming view for the full story with materials and quiz
+        displayStory({
+            ...story,
+            title: formData.subject_specification || '',
+            subject: formData.subject,
+            academic_grade: formData.academic_grade,
+            language: formData.language
+        });
+        announceGeneratedStory(story);
+        
+        if (story.saved) {
+            loadUserStories(true);
+        }
+        
+        return story;
+    } catch (error) {
+        console.error('Error streaming story:', error);
+        storyDisplay.streaming = false;
+        showToast(error.message || 'Failed to generate story.', 'error', 10000);
+        throw error;
+    }
+};
+
+// Create objectives, vocabulary, quiz and summary for the teacher's own
+// passage (pasted `text` or an uploaded `file`); the passage is kept as written
+window.generateMaterialsFromText = async function(formData) {
+    window.showLoading('Preparing objectives, vocabulary and quiz...');
+    
+    try {
+        const story = await window.apiService.createStoryFromText(formData);
+        
+        displayStory({
+            ...story,
+            title: formData.subject_specification || (formData.file ? formData.file.name.replace(/\.[^.]+$/, '') : ''),
+            subject: formData.subject,
+            academic_grade: formData.academic_grade,
+            language: formData.language
+        });
+        announceGeneratedStory(story);
+        
+        if (story.saved) {
+            loadUserStories(true);
+        }
+        
+        return story;
+    } catch (error) {
+        console.error('Error creating materials from text:', error);
+        showToast(error.message || 'Failed to create materials for your text.', 'error', 10000);
+        throw error;
+    } finally {
+        window.hideLoading();
+    }
+};
+
+// Tell the user how generation ended; a story held for review is not shown yet
+function announceGeneratedStory(story) {
+    if (story.moderation?.status === 'held') {
+        showToast('This story was held for teacher review before it can be shown.', 'warning', 10000);
+    } else {
+        showToast(story.saved ? 'Story generated and saved!' : 'Story generated successfully!', 'success');
+    }
+}
+
+// localStorage key holding the ID of a generation job that hasn't finished yet
+const PENDING_JOB_KEY = 'pendingGenerationJob';
+
+// Stories at least this long are generated as background jobs, which survive
+// proxy timeouts and page reloads
+const ASYNC_JOB_MIN_WORDS = 1500;
+
+// Follow a generation job in the story output area until it finishes
+async function followGenerationJob(jobId, formData = null) {
+    if (!storyOutput) return null;
+    
+    const stageMessages = {
+        queued: 'Waiting to start...',
+        generating: 'Writing your story...',
+        validating: 'Checking the story and quiz...',
+        saving: 'Saving your story...'
+    };
+    
+    storyOutput.innerHTML = '';
+    const storyDisplay = document.createElement('story-display');
+    storyDisplay.streaming = true;
+    storyDisplay.statusMessage = stageMessages.queued;
+    storyDisplay.story = { content: '' };
+    storyOutput.appendChild(storyDisplay);
+    
+    try {
+        const job = await window.apiService.watchJob(jobId, (update) => {
+            storyDisplay.statusMessage = stageMessages[update.status] || '';
+        });
+        localStorage.removeItem(PENDING_JOB_KEY);
+        
+        // After a reload the form data is gone, so fall back to the job's own request
+        const request = formData || job.request || {};
+        const story = job.result;
+        displayStory({
+            ...story,
+            title: request.subject_specification || '',
+            subject: request.subject,
+            academic_grade: request.academic_grade,
+            language: request.language
+        });
+        announceGeneratedStory(story);
+        
+        if (story.saved) {
+            loadUserStories(true);
+        }
+        
+        return story;
+    } catch (error) {
+        // The server answered (job failed or is gone); on a network error keep
+        // the ID so the next page load can try to reattach
+        if (error instanceof ApiError) {
+            localStorage.removeItem(PENDING_JOB_KEY);
+        }
+        console.error('Error following generation job:', error);
+        storyDisplay.streaming = false;
+        storyDisplay.statusMessage = '';
+        showToast(error.message || 'Failed to generate story.', 'error', 10000);
+        throw error;
+    }
+}
+
+// Generate a story as a background job and wait for it
+window.generateStoryAsync = async function(formData) {
+    console.log('Starting story generation job with form data:', formData);
+    
+    const job = await window.apiService.startGenerationJob(formData);
+    localStorage.setItem(PENDING_JOB_KEY, job.job_id);
+    
+    return followGenerationJob(job.job_id, formData);
+};
+
+// Reattach to a job that was still running when the page was closed or reloaded
+async function resumePendingGenerationJob() {
+    const jobId = localStorage.getItem(PENDING_JOB_KEY);
+    if (!jobId || !window.apiService) return;
+    
+    console.log('Resuming generation job:', jobId);
+    try {
+        await followGenerationJob(jobId);
+    } catch (error) {
+        // Already reported to the user
+    }
+}
+
+// The story-form component dispatches this event instead of submitting a form
+document.addEventListener('story-form-submit', async (e) => {
+    const form = e.target;
+    if (form) form.isSubmitting = true;
+    try {
+        const formData = { ...e.detail.formData };
+        if (e.detail.mode === 'own_text') {
+            await window.generateMaterialsFromText(formData);
+        } else if (parseInt(formData.word_count, 10) >= ASYNC_JOB_MIN_WORDS) {
+            await window.generateStoryAsync(formData);
+        } else {
+            await window.generateStoryStreaming(formData);
+        }
+    } catch (error) {
+        // Already reported to the user; point at any field the server rejected
+        const fields = error.errorData?.details?.fields;
+        if (form && Array.isArray(fields) && typeof form.showFieldErrors === 'function') {
+            form.showFieldErrors(fields);
+        }
+    } finally {
+        if (form) form.isSubmitting = false;
+    }
+});
+
 // Initialize theme
 function initTheme() {
     const currentTheme = localStorage.getItem('theme') || 'light';
@@ -203,6 +416,74 @@ function setupEventListeners() {
         });
     }
 
+    // View and delete buttons on saved story cards
+    const storiesGrid = document.getElementById('storiesGrid');
+    if (storiesGrid) {
+        storiesGrid.addEventListener('view-story', (e) => {
+            if (e.detail?.storyId) window.story.view(e.detail.storyId);
+        });
+        storiesGrid.addEventListener('delete-story', (e) => {
+            if (e.detail?.storyId) window.story.delete(e.detail.storyId);
+        });
+        storiesGrid.addEventListener('export-story', (e) => {
+            if (e.detail?.storyId) window.story.export(e.detail.storyId, e.detail.format, e.detail.options);
+        });
+        storiesGrid.addEventListener('export-vocabulary', (e) => {
+            if (e.detail?.storyId) window.story.exportVocabulary(e.detail.format, { story_id: e.detail.storyId });
+        });
+    }
+
+    // Vocabulary downloads for a filtered set of stories
+    const vocabularyExport = document.getElementById('vocabularyExport');
+    if (vocabularyExport) {
+        vocabularyExport.addEventListener('export-vocabulary', (e) => {
+            window.story.exportVocabulary(e.detail.format, e.detail.filters);
+        });
+    }
+
+    // Flashcard ratings in the vocabulary review
+    const flashcardReview = document.getElementById('flashcardReview');
+    if (flashcardReview) {
+        flashcardReview.addEventListener('flashcard-rated', async (e) => {
+            try {
+                await window.apiService.reviewVocabularyCard(e.detail.cardId, e.detail.rating);
+            } catch (error) {
+                console.error('Failed to save flashcard review:', error);
+                showToast('Your review could not be saved', 'error');
+            }
+        });
+    }
+
+    // Opening a story assigned in a classroom counts as reading it
+    const classroomPanel = document.getElementById('classroomPanel');
+    if (classroomPanel) {
+        classroomPanel.addEventListener('view-assignment', async (e) => {
+            const { classroomId, assignmentId, storyId } = e.detail || {};
+            try {
+                await window.apiService.markAssignmentRead(classroomId, assignmentId);
+            } catch (error) {
+                console.warn('Failed to record assignment read:', error);
+            }
+            await window.story.view(storyId);
+            loadClassrooms();
+        });
+        // Teachers open their students' held stories to approve or reject them
+        classroomPanel.addEventListener('view-held-story', (e) => {
+            if (e.detail?.storyId) window.story.view(e.detail.storyId);
+        });
+    }
+
+    // Approve/reject buttons on stories and chapters held for review
+    if (storyOutput) {
+        storyOutput.addEventListener('review-story', (e) => {
+            const { storyId, decision, chapterNumber } = e.detail || {};
+            if (storyId) window.story.review(storyId, decision, chapterNumber);
+        });
+        storyOutput.addEventListener('quiz-completed', (e) => {
+            window.story.recordQuizAttempt(e.detail);
+        });
+    }
+
     // Story form submission
     if (storyForm) {
         storyForm.addEventListener('submit', handleStoryFormSubmit);
@@ -233,18 +514,10 @@ function setupEventListeners() {
     };
 }
 
-// Get or create anonymous user ID
-function getAnonymousUserId() {
+// Get the anonymous user ID, or one issued by the server (see apiService.getAnonymousId())
+async function getAnonymousUserId() {
     try {
-        let anonymousId = localStorage.getItem('anonymousUserId');
-        if (!anonymousId) {
-            anonymousId = 'anon-' + Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-            localStorage.setItem('anonymousUserId', anonymousId);
-            console.log('Created new anonymous user ID:', anonymousId);
-        } else {
-            console.log('Using existing anonymous user ID:', anonymousId);
-        }
-        return anonymousId;
+        return await window.apiService.getAnonymousId();
     } catch (error) {
         console.error('Error managing anonymous user ID:', error);
         return null;
@@ -364,7 +637,7 @@ async function handleStoryFormSubmit(e) {
                     
                     // If no authenticated user, use anonymous ID
                     if (!userId) {
-                        userId = getAnonymousUserId();
+                        userId = await getAnonymousUserId();
                         console.log('Saving story for anonymous user:', userId);
                     }
                     
@@ -584,7 +857,9 @@ function displayStory(storyData) {
         
         // Default fields if missing
         storyContent.title = storyContent.title || '';
-        storyContent.content = storyContent.content || 'Content could not be retrieved.';
+        storyContent.moderation_status = storyContent.moderation_status || storyContent.moderation?.status || 'approved';
+        // Held stories arrive without their text unless the viewer is the reviewer
+        storyContent.content = storyContent.content || (storyContent.moderation_status === 'approved' ? 'Content could not be retrieved.' : '');
         
         // Add save status if available
         if (storyData.saved !== undefined) {
@@ -601,6 +876,13 @@ function displayStory(storyData) {
         
         // Append the story content component
         storyOutput.appendChild(storyContentElement);
+
+        // Owners can share saved, approved stories by link
+        if (storyContent.id && (storyContent.access || 'owner') === 'owner' && storyContent.moderation_status === 'approved') {
+            const storyShareElement = document.createElement('story-share');
+            storyShareElement.storyId = storyContent.id;
+            storyOutput.appendChild(storyShareElement);
+        }
         
         // Check for quiz data in all possible locations
         let quizData = null;
@@ -619,128 +901,35 @@ function displayStory(storyData) {
             console.log('No quiz data found in response');
         }
         
-        // Ensure we have exactly 3 quiz questions
         if (quizData && quizData.length > 0) {
-            // If we have more than 3 questions, take only the first 3
-            if (quizData.length > 3) {
-                console.log(`Limiting quiz questions from ${quizData.length} to 3`);
-                quizData = quizData.slice(0, 3);
-            }
-            
-            // If we have fewer than 3 questions, generate additional ones
-            if (quizData.length < 3) {
-                console.log(`Adding additional quiz questions to reach 3 (currently have ${quizData.length})`);
-                const subject = storyContent.subject || storyData.subject || 'the topic';
-                
-                // Template questions to add if needed
-                const additionalQuestions = [
-                    {
-                        question: `What's an important concept to understand about ${subject}?`,
-                        options: [
-                            'Basic principles',
-                            'Advanced applications',
-                            'Historical context',
-                            'All of the above'
-                        ],
-                        correctAnswer: 3,
-                        correct_answer: 3
-                    },
-                    {
-                        question: `How might learning about ${subject} be useful in real life?`,
-                        options: [
-                            'Problem solving',
-                            'Better understanding of the world',
-                            'Career opportunities',
-                            'Personal enrichment'
-                        ],
-                        correctAnswer: 1,
-                        correct_answer: 1
-                    }
-                ];
-                
-                // Add questions until we have 3
-                while (quizData.length < 3 && additionalQuestions.length > 0) {
-                    quizData.push(additionalQuestions.shift());
-                }
-            }
-            
-            console.log('Quiz data available, attempting to initialize quiz:', quizData);
-            
-            // Structure quiz data properly with field name normalization
-            const normalizedQuizData = {
-                questions: quizData.map(q => {
-                    // Normalize field names to handle both correctAnswer and correct_answer formats
-                    let correctAnswerIndex = null;
-                    
-                    // Check for the different formats
-                    if (q.correct_answer !== undefined) {
-                        correctAnswerIndex = q.correct_answer;
-                    } else if (q.correctAnswer !== undefined) {
-                        correctAnswerIndex = q.correctAnswer;
-                    } else {
-                        // Default to first option if neither is available
-                        correctAnswerIndex = 0;
-                        console.warn('Quiz question missing correct answer field, defaulting to first option:', q);
-                    }
-                    
-                    return {
-                        question: q.question,
-                        options: q.options || [],
-                        correct_answer: correctAnswerIndex
-                    };
-                })
+            // The quiz component renders and scores every question type
+            // (multiple choice, true/false, multi-select, fill-in-the-blank,
+            // sequencing and matching); older records use correct_answer
+            const quizElement = document.createElement('quiz-component');
+            quizElement.quiz = {
+                title: 'Quiz',
+                questions: quizData.map(q => ({
+                    ...q,
+                    correctAnswer: q.correctAnswer ?? q.correct_answer
+                }))
             };
-            
-            // Create quiz container if not exists
-            let quizContainer = document.getElementById('quizContainer');
-            if (!quizContainer) {
-                quizContainer = document.createElement('div');
-                quizContainer.id = 'quizContainer';
-                quizContainer.className = 'quiz-container';
-                
-                // Add a clear heading to make quiz more visible
-                const quizHeading = document.createElement('h3');
-                quizHeading.className = 'quiz-heading';
-                quizHeading.textContent = 'Quiz';
-                quizContainer.appendChild(quizHeading);
-                
-                // Add as next element in story output
-                storyOutput.appendChild(quizContainer);
-                
-                console.log('Created new quiz container:', quizContainer);
-            } else {
-                console.log('Using existing quiz container:', quizContainer);
-                // Clear existing content
-                quizContainer.innerHTML = '<h3 class="quiz-heading">Quiz</h3>';
-            }
-            
-            // Check if window.quiz is available
-            if (window.quiz && typeof window.quiz.init === 'function') {
-                try {
-                    console.log('Initializing quiz with normalized data:', normalizedQuizData);
-                    window.quiz.init(normalizedQuizData);
-                    console.log('Quiz initialized successfully');
-                    
-                    // Make sure quiz is visible by scrolling to it
-                    setTimeout(() => {
-                        quizContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
-                        console.log('Scrolled to quiz container');
-                    }, 500);
-                } catch (quizError) {
-                    console.error('Error initializing quiz:', quizError);
-                    quizContainer.innerHTML = '<div class="quiz-error">There was an error initializing the quiz. Please try again.</div>';
-                }
-            } else {
-                console.warn('Quiz module not available, cannot initialize quiz');
-                quizContainer.innerHTML = '<div class="quiz-error">Quiz functionality is currently unavailable.</div>';
-            }
+            quizElement.storyId = storyContent.id || storyData.story_id || null;
+            storyOutput.appendChild(quizElement);
         } else {
             console.log('No valid quiz data available');
         }
         
+        // Students reading an assigned story can't continue their teacher's story
+        if (storyContent.access === 'student') return;
+
         // Now add the story continuation component
         const storyContinuationElement = document.createElement('story-continuation');
-        storyContinuationElement.originalStory = storyContent;
+        storyContinuationElement.originalStory = {
+            ...storyContent,
+            // Freshly generated stories only carry the ID returned by the save
+            id: storyContent.id || storyData.story_id || null
+        };
+        storyContinuationElement.chapters = storyContent.chapters || [];
         
         // Add the component to the story output
         storyOutput.appendChild(storyContinuationElement);
@@ -788,6 +977,10 @@ function updateUIForLoggedInUser(user) {
             myStoriesSection.style.display = 'block';
             loadUserStories();
         }
+
+        const classroomPanel = document.getElementById('classroomPanel');
+        if (classroomPanel) classroomPanel.signedIn = true;
+        loadClassrooms();
     } catch (error) {
         console.error('Error updating UI for logged in user:', error);
     }
@@ -801,6 +994,7 @@ function updateUIForLoggedOutUser() {
         const userProfile = document.getElementById('userProfile');
         const myStoriesSection = document.getElementById('myStoriesSection');
         const storiesGrid = document.getElementById('storiesGrid');
+        const vocabularySection = document.getElementById('vocabularySection');
         const loginReminder = document.getElementById('loginReminder');
         
         if (loginBtn) loginBtn.style.display = 'block';
@@ -809,7 +1003,16 @@ function updateUIForLoggedOutUser() {
         if (userProfile) userProfile.style.display = 'none';
         if (myStoriesSection) myStoriesSection.style.display = 'none';
         if (storiesGrid) storiesGrid.innerHTML = '';
+        if (vocabularySection) vocabularySection.style.display = 'none';
         if (loginReminder) loginReminder.style.display = 'flex';
+
+        // Students can join classrooms without an account
+        const classroomPanel = document.getElementById('classroomPanel');
+        if (classroomPanel) {
+            classroomPanel.signedIn = false;
+            classroomPanel.stories = [];
+        }
+        loadClassrooms();
     } catch (error) {
         console.error('Error updating UI for logged out user:', error);
     }
@@ -860,6 +1063,9 @@ async function init() {
             updateUIForLoggedOutUser();
         }
         
+        // Pick up a generation job left running by a previous page load
+        resumePendingGenerationJob();
+        
         console.log('App initialized successfully');
     } catch (error) {
         console.error('Error initializing app:', error);
@@ -906,9 +1112,13 @@ async function loadUserStories(includeAnonymous = false) {
         }
     }
     
-    // For anonymous stories
-    if (includeAnonymous) {
-        anonymousId = getAnonymousUserId();
+    // For anonymous stories. Signing in moves them into the account (see
+    // auth.claimAnonymousData()) and clears the ID, so a signed-in user only
+    // has one left if that failed
+    if (user && user.id) {
+        anonymousId = localStorage.getItem('anonymousUserId');
+    } else if (includeAnonymous) {
+        anonymousId = await getAnonymousUserId();
     }
 
     // Exit if no user identifiers available
@@ -922,7 +1132,7 @@ async function loadUserStories(includeAnonymous = false) {
     const myStoriesSection = document.getElementById('myStoriesSection');
     if (!storiesGrid || !myStoriesSection) return;
 
-    storiesGrid.innerHTML = '<div class="loading-spinner-small"></div> Loading stories...'; // Show loading state
+    storiesGrid.loading = true; // Show loading state
     myStoriesSection.style.display = 'block';
 
     try {
@@ -935,7 +1145,7 @@ async function loadUserStories(includeAnonymous = false) {
             }
         }
         
-        if (includeAnonymous && anonymousId) {
+        if (anonymousId) {
             const anonStories = await window.apiService.fetchUserStories(anonymousId);
             if (Array.isArray(anonStories)) {
                 stories = stories.concat(anonStories);
@@ -944,19 +1154,33 @@ async function loadUserStories(includeAnonymous = false) {
         
         // Sort by creation date (newest first)
         stories.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-        
-        storiesGrid.innerHTML = ''; // Clear loading state
-        if (stories && stories.length > 0) {
-            stories.forEach(story => {
-                const storyElement = createStorySummaryElement(story);
-                storiesGrid.appendChild(storyElement);
-            });
-        } else {
-            storiesGrid.innerHTML = '<p>No stories saved yet.</p>';
+
+        // Past quiz scores for each card; the stories still show without them
+        try {
+            const summaries = await window.apiService.getQuizSummary();
+            const byStory = new Map(summaries.map(summary => [summary.story_id, summary]));
+            stories = stories.map(story => ({ ...story, quiz_summary: byStory.get(story.id) || null }));
+        } catch (error) {
+            console.warn('Failed to load quiz scores:', error);
         }
+        
+        // stories-grid renders one story-card per story, or its own empty state
+        storiesGrid.stories = stories;
+        storiesGrid.loading = false;
+
+        // Saved stories can be assigned to the user's classrooms
+        const classroomPanel = document.getElementById('classroomPanel');
+        if (classroomPanel) classroomPanel.stories = stories;
+
+        // Their words can be downloaded by subject, language and tag
+        const vocabularyExport = document.getElementById('vocabularyExport');
+        if (vocabularyExport) vocabularyExport.stories = stories;
+
+        loadVocabularyDeck();
     } catch (error) {
         console.error('Failed to load stories:', error);
-        storiesGrid.innerHTML = '<p>Could not load stories.</p>'; // Clear loading state
+        storiesGrid.stories = [];
+        storiesGrid.loading = false;
         // Provide more detail in the error message
         const errorMsg = error instanceof ApiError 
             ? `${error.message} (Status: ${error.status})` 
@@ -966,6 +1190,36 @@ async function loadUserStories(includeAnonymous = false) {
     }
 }
 
+// Collect the words of the user's stories into their vocabulary deck and show
+// the flashcards due for review
+async function loadVocabularyDeck() {
+    const vocabularySection = document.getElementById('vocabularySection');
+    const flashcardReview = document.getElementById('flashcardReview');
+    if (!vocabularySection || !flashcardReview) return;
+
+    try {
+        await window.apiService.syncVocabulary();
+        const deck = await window.apiService.getVocabularyDeck({ due: true });
+
+        flashcardReview.total = deck.total;
+        if (!flashcardReview.inSession) {
+            flashcardReview.cards = deck.cards;
+        }
+        vocabularySection.style.display = deck.total > 0 ? 'block' : 'none';
+    } catch (error) {
+        console.warn('Failed to load vocabulary deck:', error);
+    }
+}
+
+// Refresh the classrooms the user teaches or has joined
+async function loadClassrooms() {
+    const classroomPanel = document.getElementById('classroomPanel');
+    if (!classroomPanel) return;
+
+    await customElements.whenDefined('classroom-panel');
+    await classroomPanel.refresh();
+}
+
 // Initialize app when DOM is loaded
 document.addEventListener('DOMContentLoaded', init);
 
@@ -973,6 +1227,8 @@ document.addEventListener('DOMContentLoaded', init);
 window.app = {
     init,
     loadUserStories,
+    loadVocabularyDeck,
+    loadClassrooms,
     updateUIForLoggedInUser,
     updateUIForLoggedOutUser,
     showToast,
@@ -113,12 +113,37 @@ const auth = {
         }
     },
 
-    handleAuthSuccess(user) {
+    async handleAuthSuccess(user) {
+        await this.claimAnonymousData();
         if (window.uiHandler) {
             window.uiHandler.updateUIForLoggedInUser(user);
         }
     },
 
+    // Move what this browser saved before signing in into the account, then
+    // start a fresh anonymous ID for anything made after signing out
+    async claimAnonymousData() {
+        const anonymousId = window.localStorage ? localStorage.getItem('anonymousUserId') : null;
+        if (!anonymousId || !window.apiService) return;
+
+        try {
+            const { moved } = await window.apiService.claimAnonymousData();
+            if (localStorage.getItem('anonymousUserId') === anonymousId) {
+                localStorage.removeItem('anonymousUserId');
+                localStorage.removeItem('anonymousUserToken');
+            }
+            if (moved?.stories > 0 && typeof window.showToast === 'function') {
+                window.showToast(`${moved.stories} ${moved.stories === 1 ? 'story' : 'stories'} from before you signed in moved to your account`, 'success');
+            }
+        } catch (error) {
+            // The stories stay under the anonymous ID, which is still listed alongside the account
+            console.warn('Failed to move anonymous data into the account:', error);
+            if (typeof window.showToast === 'function') {
+                window.showToast(`Stories from before you signed in couldn't be moved to your account: ${error.message}`, 'warning', 8000);
+            }
+        }
+    },
+
     handleAuthSignOut() {
         if (window.uiHandler) {
             window.uiHandler.updateUIForLoggedOutUser();
@@ -165,6 +165,10 @@ const requiredComponents = [
   'stories-grid',
   'story-display',
   'quiz-component',
+  'flashcard-review',
+  'vocabulary-export',
+  'classroom-panel',
+  'story-share',
   'story-form',
   'story-continuation',
   'story-content'
@@ -0,0 +1,108 @@
+// Public view of a shared story (/s/<token>). Needs no session: the token in
+// the URL is all the server asks for.
+import '/components/quiz-component.js';
+
+const container = document.getElementById('sharedStory');
+
+// Create an element with plain-text content
+function element(tag, text, className) {
+    const node = document.createElement(tag);
+    if (text) node.textContent = text;
+    if (className) node.className = className;
+    return node;
+}
+
+function renderText(parent, text) {
+    (text || '').split('\n').filter(Boolean).forEach(paragraph => {
+        parent.appendChild(element('p', paragraph));
+    });
+}
+
+function renderVocabulary(parent, vocabulary) {
+    if (!Array.isArray(vocabulary) || vocabulary.length === 0) return;
+
+    parent.appendChild(element('h3', 'Vocabulary'));
+    const list = element('ul', null, 'vocabulary-list');
+    vocabulary.forEach(item => {
+        const entry = element('li');
+        entry.appendChild(element('strong', item.word));
+        entry.appendChild(element('div', item.definition));
+        list.appendChild(entry);
+    });
+    parent.appendChild(list);
+}
+
+function renderQuiz(parent, questions, title) {
+    if (!Array.isArray(questions) || questions.length === 0) return;
+
+    // No storyId, so attempts on a shared story aren't recorded
+    const quiz = document.createElement('quiz-component');
+    quiz.quiz = {
+        title,
+        questions: questions.map(q => ({ ...q, correctAnswer: q.correctAnswer ?? q.correct_answer }))
+    };
+    parent.appendChild(quiz);
+}
+
+function renderStory(story) {
+    document.title = `${story.story_title || 'Shared story'} - EASY STORY EASY LIFE`;
+    container.innerHTML = '';
+
+    const article = element('article', null, 'shared-story');
+    article.appendChild(element('h1', story.story_title || 'Story'));
+    article.appendChild(element('div', [story.subject, story.academic_grade && `Grade ${story.academic_grade}`, story.language]
+        .filter(Boolean).join(' · '), 'story-meta'));
+    renderText(article, story.story_text);
+
+    story.chapters.forEach(chapter => {
+        article.appendChild(element('h2', `Chapter ${chapter.chapter_number}`));
+        renderText(article, chapter.continuation_text);
+    });
+
+    if (story.story_summary) {
+        article.appendChild(element('h3', 'Story Summary'));
+        article.appendChild(element('p', story.story_summary));
+    }
+    renderVocabulary(article, [
+        ...(story.vocabulary_list || []),
+        ...story.chapters.flatMap(chapter => chapter.vocabulary_list || [])
+    ]);
+    container.appendChild(article);
+
+    renderQuiz(container, story.quiz_questions, 'Quiz');
+    story.chapters.forEach(chapter => {
+        renderQuiz(container, chapter.quiz_questions, `Chapter ${chapter.chapter_number} Quiz`);
+    });
+
+    if (story.expires_at) {
+        container.appendChild(element('p', `This link works until ${new Date(story.expires_at).toLocaleString()}.`, 'share-notice'));
+    }
+}
+
+function renderError(message) {
+    container.innerHTML = '';
+    const notice = element('div', null, 'share-error');
+    notice.appendChild(element('h1', 'Story unavailable'));
+    notice.appendChild(element('p', message, 'share-notice'));
+    container.appendChild(notice);
+}
+
+async function loadSharedStory() {
+    const token = decodeURIComponent(window.location.pathname.split('/').pop() || '');
+
+    try {
+        const response = await fetch(`/shared/${encodeURIComponent(token)}`, {
+            headers: { 'Accept': 'application/json' }
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'This story could not be loaded');
+        }
+        renderStory(data);
+    } catch (error) {
+        console.error('Error loading shared story:', error);
+        renderError(error.message || 'This story could not be loaded');
+    }
+}
+
+loadSharedStory();
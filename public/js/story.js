@@ -1,3 +1,15 @@
+// Save a downloaded file through a temporary link
+function saveDownload(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
 // Story functionality
 const story = {
     async generate(formData) {
@@ -91,16 +103,50 @@ const story = {
         }
     },
 
+    // Map a stored `stories` row to the shape app.displayStory() renders
+    fromRecord(record) {
+        return {
+            id: record.id,
+            title: record.story_title,
+            content: record.story_text,
+            subject: record.subject,
+            academic_grade: record.academic_grade,
+            language: record.language,
+            tags: record.tags || [],
+            learning_objectives: record.learning_objectives || [],
+            vocabulary: record.vocabulary_list || [],
+            quiz: record.quiz_questions || [],
+            summary: record.story_summary || '',
+            chapters: record.chapters || [],
+            requested_word_count: record.word_count,
+            actual_word_count: record.actual_word_count,
+            readability: record.estimated_grade != null ? {
+                formula: record.readability_formula,
+                score: record.readability_score,
+                estimated_grade: Number(record.estimated_grade),
+                flagged: record.readability_flagged
+            } : null,
+            moderation_status: record.moderation_status || 'approved',
+            moderation_flags: record.moderation_flags || [],
+            reference_sources: record.reference_sources || null,
+            grounding: record.reference_sources ? {
+                unsupported_claims: record.unsupported_claims || [],
+                flagged: (record.unsupported_claims || []).length > 0
+            } : null,
+            created_at: record.created_at,
+            // 'owner', 'student' for a story assigned in a classroom, or
+            // 'reviewer' for a teacher deciding on a student's held story
+            access: record.access || 'owner'
+        };
+    },
+
     async view(storyId) {
         try {
-            window.uiHandler.showLoading();
-            const story = await window.apiService.getStoryById(storyId);
-            window.uiHandler.showStory(story);
-            
-            // Initialize quiz if available
-            if (story.metadata.quiz && window.quiz) {
-                window.quiz.init(story.metadata.quiz);
-            }
+            window.uiHandler.showLoading('Loading story...');
+            const record = await window.apiService.getStoryById(storyId);
+            const story = this.fromRecord(record);
+            window.app.displayStory(story);
+            document.getElementById('storyOutput')?.scrollIntoView({ behavior: 'smooth' });
             
             return story;
         } catch (error) {
@@ -116,17 +162,12 @@ const story = {
         if (!confirm('Are you sure you want to delete this story?')) return;
         
         try {
-            window.uiHandler.showLoading();
+            window.uiHandler.showLoading('Deleting story...');
             await window.apiService.deleteStory(storyId);
             window.uiHandler.showSuccess('Story deleted successfully');
             
             // Refresh stories grid
-            if (window.supabase) {
-                const { data: { session } } = await window.supabase.auth.getSession();
-                if (session) {
-                    await this.loadUserStories(session.user.id);
-                }
-            }
+            await window.app.loadUserStories(true);
         } catch (error) {
             console.error('Error deleting story:', error);
             window.uiHandler.showError(error.message || 'Failed to delete story');
@@ -134,6 +175,68 @@ const story = {
         } finally {
             window.uiHandler.hideLoading();
         }
+    },
+
+    // Download a story with its materials as Markdown, EPUB or a PDF worksheet,
+    // or its quiz as QTI or GIFT
+    async export(storyId, format, options) {
+        try {
+            window.uiHandler.showLoading('Preparing download...');
+            const { blob, filename } = await window.apiService.exportStory(storyId, format, options);
+            saveDownload(blob, filename);
+        } catch (error) {
+            console.error('Error exporting story:', error);
+            window.uiHandler.showError(error.message || 'Failed to export story');
+        } finally {
+            window.uiHandler.hideLoading();
+        }
+    },
+
+    // Download vocabulary as Anki notes or CSV, for one story ({ story_id }) or
+    // the stories matching the subject, language and tag filters
+    async exportVocabulary(format, filters) {
+        try {
+            window.uiHandler.showLoading('Preparing download...');
+            const { blob, filename } = await window.apiService.exportVocabulary(format, filters);
+            saveDownload(blob, filename);
+        } catch (error) {
+            console.error('Error exporting vocabulary:', error);
+            window.uiHandler.showError(error.message || 'Failed to export vocabulary');
+        } finally {
+            window.uiHandler.hideLoading();
+        }
+    },
+
+    // Approve or reject a story (or one chapter) held for review, then show it again
+    async review(storyId, decision, chapterNumber) {
+        try {
+            window.uiHandler.showLoading(decision === 'approve' ? 'Approving...' : 'Rejecting...');
+            await window.apiService.reviewStory(storyId, decision, chapterNumber);
+            window.uiHandler.showSuccess(decision === 'approve' ? 'Approved for students' : 'Rejected');
+        } catch (error) {
+            console.error('Error reviewing story:', error);
+            window.uiHandler.showError(error.message || 'Failed to record review');
+            throw error;
+        } finally {
+            window.uiHandler.hideLoading();
+        }
+
+        await this.view(storyId);
+        await window.app.loadUserStories(true);
+    },
+
+    // Save a finished quiz (the quiz-completed event detail) to the story's score history
+    async recordQuizAttempt(result) {
+        if (!result?.storyId) return;
+
+        try {
+            await window.apiService.recordQuizAttempt(result.storyId, result);
+            await window.app.loadUserStories(true);
+            await window.app.loadClassrooms();
+        } catch (error) {
+            console.error('Error recording quiz attempt:', error);
+            window.uiHandler.showError('Your quiz score could not be saved');
+        }
     }
 };
 
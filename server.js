@@ -2,10 +2,31 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const { createClient } = require('@supabase/supabase-js');
-const axios = require('axios');
+const config = require('./config');
 const logger = require('./utils/logger');
 const { AppError, handleError } = require('./utils/errorHandler');
+const { createProvider } = require('./utils/llmProvider');
+const { openEventStream } = require('./utils/sse');
+const { JobStore, isFinal } = require('./utils/jobStore');
+const { PromptLibrary } = require('./utils/promptTemplates');
+const { assessGradeBand } = require('./utils/readability');
+const { countWords, checkWordCount } = require('./utils/wordCount');
+const { Moderator, createClassifier, publicFlags, MODERATION_ACTIONS } = require('./utils/moderation');
+const { checkFreeTextInputs, stripDelimiters } = require('./utils/promptInjection');
+const { DEFAULT_QUIZ_TYPES, parseQuizTypes, quizTypesOf, quizFormat } = require('./utils/quizTypes');
+const { scoreAttempt } = require('./utils/quizScoring');
+const { REVIEW_RATINGS, scheduleReview, deckEntries } = require('./utils/vocabularyDeck');
+const { generateJoinCode, identityKey, assignmentProgress, progressSummary } = require('./utils/classrooms');
+const { issueAnonymousId, verifyAnonymousToken, isLegacyAnonymousId } = require('./utils/anonymousIds');
+const { buildExport, toMarkdown, toEpub, exportFilename } = require('./utils/storyExport');
+const { toWorksheetPdf, parseWorksheetOptions } = require('./utils/worksheet');
+const { toQtiPackage, toGift } = require('./utils/quizExport');
+const { vocabularyRows, toAnkiTsv, toVocabularyCsv } = require('./utils/vocabularyExport');
+const { cleanPassage, passageFromUpload } = require('./utils/passageText');
+const { parseReferences, formatReferences, applyGrounding } = require('./utils/references');
+const { storySchema, materialsSchema, quizSchema, groundingSchema, validate, parseStructured, formatErrors } = require('./utils/storySchema');
 const path = require('path');
+const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 
@@ -32,7 +53,11 @@ app.use(helmet({
 // Rate limiting
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100 // limit each IP to 100 requests per windowMs
+    max: 100, // limit each IP to 100 requests per windowMs
+    // Job status polling and the requests under readLimiter are limited
+    // separately, and static files not at all, so a class sharing one network
+    // can open the app and share links together
+    skip: (req) => hasOwnLimiter(req) || isStaticFile(req)
 });
 app.use(limiter);
 
@@ -42,6 +67,43 @@ const apiLimiter = rateLimit({
     max: 10 // limit each IP to 10 requests per windowMs
 });
 
+// Job status rate limiting, generous enough for polling every few seconds
+const jobStatusLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 60 // limit each IP to 60 requests per windowMs
+});
+
+// Rate limiting for cheap requests made often: the reads every page load
+// makes, share links and anonymous IDs a whole class fetches at once and one
+// per flashcard rated during a review session
+const readLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 120 // limit each IP to 120 requests per windowMs
+});
+
+// Requests under jobStatusLimiter or readLimiter, which the global limiter skips
+const OWN_LIMITER_ROUTES = [
+    ['GET', /^\/jobs\//],
+    ['GET', /^\/user-stories\/[^/]+$/],
+    ['GET', /^\/stories$/],
+    ['GET', /^\/stories\/[^/]+(\/chapters|\/quiz-attempts|\/shares)?$/],
+    ['GET', /^\/quiz-attempts\/summary$/],
+    ['GET', /^\/classrooms(\/[^/]+(\/assignments\/[^/]+\/progress)?)?$/],
+    ['GET', /^\/(shared|s)\/[^/]+$/],
+    ['POST', /^\/anonymous-id$/],
+    ['GET', /^\/vocabulary$/],
+    ['POST', /^\/vocabulary\/sync$/],
+    ['POST', /^\/vocabulary\/[^/]+\/review$/]
+];
+
+function hasOwnLimiter(req) {
+    return OWN_LIMITER_ROUTES.some(([method, pattern]) => req.method === method && pattern.test(req.path));
+}
+
+function isStaticFile(req) {
+    return req.method === 'GET' && /\.[a-z0-9]+$/i.test(req.path);
+}
+
 // Detailed environment variable logging
 logger.info('Environment variables check:', {
     hasSupabaseUrl: !!process.env.SUPABASE_URL,
@@ -49,6 +111,7 @@ logger.info('Environment variables check:', {
     supabaseUrl: process.env.SUPABASE_URL,
     supabaseKeyLength: process.env.SUPABASE_KEY?.length,
     nodeEnv: process.env.NODE_ENV,
+    llmProvider: config.llm.provider,
     hasOpenRouterKey: !!process.env.OPENROUTER_API_KEY
 });
 
@@ -63,11 +126,31 @@ if (!process.env.SUPABASE_KEY) {
     process.exit(1);
 }
 
-if (!process.env.OPENROUTER_API_KEY) {
+// Optional: without them the routes that need them answer 503 (see adminClient()
+// and anonymousIdSecret()), so local and fixture setups still start
+if (!config.supabase.serviceRoleKey) {
+    logger.warn('SUPABASE_SERVICE_ROLE_KEY is not set; claiming anonymous data, joining classrooms and reviewing held content are unavailable');
+}
+
+if (!config.anonymousIds.secret) {
+    logger.warn('ANONYMOUS_ID_SECRET is not set; anonymous IDs are not issued and can\'t be claimed');
+}
+
+if (config.llm.provider === 'openrouter' && !process.env.OPENROUTER_API_KEY) {
     logger.error('OPENROUTER_API_KEY is not set');
     process.exit(1);
 }
 
+// Initialize the LLM provider selected in config.js
+let llm;
+try {
+    llm = createProvider(config.llm, config.openrouter);
+    logger.info(`LLM provider initialized: ${llm.name}`);
+} catch (error) {
+    logger.error('Failed to initialize LLM provider:', error);
+    process.exit(1);
+}
+
 // Validate Supabase URL format
 try {
     new URL(process.env.SUPABASE_URL);
@@ -78,23 +161,73 @@ try {
 
 // Initialize Supabase client
 let supabase;
+let supabaseAdmin;
 try {
     supabase = createClient(
         process.env.SUPABASE_URL,
         process.env.SUPABASE_KEY
     );
+    // Only for what the browser's key must not be able to do, like moving
+    // anonymous data into an account
+    if (config.supabase.serviceRoleKey) {
+        supabaseAdmin = createClient(process.env.SUPABASE_URL, config.supabase.serviceRoleKey, {
+            auth: { persistSession: false }
+        });
+    }
     logger.info('Supabase client initialized successfully');
 } catch (error) {
     logger.error('Failed to initialize Supabase client:', error);
     process.exit(1);
 }
 
+// The service-role client, for a route that needs it; 503 when it isn't configured
+function adminClient() {
+    if (!supabaseAdmin) {
+        throw new AppError('This feature is not available: the server has no SUPABASE_SERVICE_ROLE_KEY', 503);
+    }
+    return supabaseAdmin;
+}
+
+// The key anonymous IDs are signed with; 503 when it isn't configured
+function anonymousIdSecret() {
+    if (!config.anonymousIds.secret) {
+        throw new AppError('Anonymous IDs are not available: the server has no ANONYMOUS_ID_SECRET', 503);
+    }
+    return config.anonymousIds.secret;
+}
+
+// Versioned prompt templates (see prompts/ and utils/promptTemplates.js)
+const prompts = new PromptLibrary(config.prompts);
+
+// Background generation jobs (see utils/jobStore.js)
+const jobs = new JobStore(supabase, config.jobs);
+
+// Child-safety moderation (see utils/moderation.js)
+if (!MODERATION_ACTIONS.includes(config.moderation.action) || !['block', 'review'].includes(config.moderation.fallbackAction)) {
+    logger.error(`Invalid moderation settings: action must be one of ${MODERATION_ACTIONS.join(', ')} and the fallback action block or review`);
+    process.exit(1);
+}
+
+let moderator;
+try {
+    moderator = new Moderator(supabase, {
+        classifier: createClassifier(config.moderation.classifier, { llm, prompts })
+    });
+    logger.info(`Moderation initialized: rules${moderator.classifier ? ` + ${moderator.classifier.name} classifier` : ''}, action ${config.moderation.action}`);
+} catch (error) {
+    logger.error('Failed to initialize moderation classifier:', error);
+    process.exit(1);
+}
+
 // Middleware
 app.use(cors({
     origin: '*',
-    methods: ['GET', 'POST', 'OPTIONS', 'PUT', 'DELETE'],
+    methods: ['GET', 'POST', 'OPTIONS', 'PUT', 'PATCH', 'DELETE'],
     allowedHeaders: '*'
 }));
+// Passages and reference material are uploaded base64-encoded, so these get a larger body limit
+app.use('/stories/from-text', express.json({ limit: '3mb' }));
+app.use('/generate-story', express.json({ limit: '15mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -174,11 +307,31 @@ const authenticateUser = async (req, res, next) => {
 // Input sanitization function
 const sanitizeInput = (str) => str.replace(/[<>]/g, '').trim();
 
+// Free-text fields of a story request (see utils/promptInjection.js)
+const STORY_FREE_TEXT_FIELDS = ['subject', 'subject_specification', 'setting', 'main_character'];
+
+// A prompt template version picked by the client, for comparing prompt
+// revisions. Only versions that wrap user text in <user_input> tags can be
+// picked; older ones are reachable through PROMPT_VERSIONS alone. Returns
+// undefined when none is given and null when the value isn't allowed.
+function parsePromptVersion(value, names) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    const version = parseInt(value, 10);
+    if (isNaN(version) || version < 1) {
+        return null;
+    }
+    const allowed = names.every(name =>
+        !prompts.listVersions(name).includes(version) || prompts.delimitsUserInput(name, version));
+    return allowed ? version : null;
+}
+
 // Validate and sanitize input data
 function validateInputs(inputs) {
     try {
         // Log the validation process
-        logger.info('Validating input data:', JSON.stringify(inputs));
+        logger.info('Validating input data:', JSON.stringify({ ...inputs, references: undefined }));
         
         // Check for required fields with detailed logging
         const requiredFields = ['subject', 'academic_grade', 'word_count', 'language'];
@@ -234,6 +387,26 @@ function validateInputs(inputs) {
             return false;
         }
         
+        // Optional mix of quiz question types; multiple choice only by default
+        const quizTypes = parseQuizTypes(inputs.quiz_types);
+        if (!quizTypes) {
+            logger.error(`Validation failed: quiz_types must be a list of supported question types, got: ${JSON.stringify(inputs.quiz_types)}`);
+            return false;
+        }
+        inputs.quiz_types = quizTypes;
+        
+        // Optional prompt template version, for comparing prompt revisions
+        const promptVersion = parsePromptVersion(inputs.prompt_version, ['story', 'story_text']);
+        if (promptVersion === null) {
+            logger.error(`Validation failed: prompt_version must be a story prompt version that delimits user input, got: ${inputs.prompt_version}`);
+            return false;
+        }
+        if (promptVersion === undefined) {
+            delete inputs.prompt_version;
+        } else {
+            inputs.prompt_version = promptVersion;
+        }
+        
         // All validations passed
         logger.info('Input data validation successful');
         return true;
@@ -243,463 +416,3225 @@ function validateInputs(inputs) {
     }
 }
 
-// Validate quiz structure
+// Validate quiz structure; accepts the bare question array or `{ questions: [...] }`
 const validateQuizStructure = (quiz) => {
-    if (!quiz || !Array.isArray(quiz.questions)) {
-        return false;
-    }
-    
-    return quiz.questions.every(q => {
-        return q.question && 
-               Array.isArray(q.options) && 
-               q.options.length === 4 && 
-               typeof q.correctAnswer === 'number' &&
-               q.correctAnswer >= 0 && 
-               q.correctAnswer < 4;
-    });
+    const questions = Array.isArray(quiz) ? quiz : quiz?.questions;
+    return validate(questions, quizSchema).length === 0;
 };
 
-// Generate story using OpenRouter
-async function generateStoryWithOpenRouter(inputs) {
-    try {
-        const prompt = `Write a story about ${inputs.subject} for ${inputs.academic_grade} level students.
-Setting: ${inputs.setting}
-Main Character: ${inputs.main_character}
-Subject details: ${inputs.subject_specification}
-Language: ${inputs.language}
-Word count: ${inputs.word_count}
-
-The story should:
-1. Be engaging and age-appropriate
-2. Include clear learning objectives
-3. Use appropriate vocabulary
-4. Have a clear structure
-5. Include a quiz at the end
-6. Include a vocabulary list
-7. Include a summary
-
-IMPORTANT: Your response must be a valid JSON object with exactly this structure:
-{
-    "content": "the story text",
-    "learning_objectives": ["objective 1", "objective 2", "objective 3"],
-    "vocabulary": [
-        {
-            "word": "word1",
-            "definition": "definition1",
-            "example": "example1",
-            "part_of_speech": "noun"
-        }
-    ],
-    "quiz": [
-        {
-            "question": "question1",
-            "options": ["option1", "option2", "option3", "option4"],
-            "correctAnswer": 0
-        }
-    ],
-    "summary": "brief summary"
-}
-
-Do not include any text before or after the JSON object.`;
-
-        const response = await axios.post('https://openrouter.ai/api/v1/chat/completions', {
-            model: 'openai/gpt-4-turbo-preview',
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are a professional educational storyteller. You must ALWAYS respond with a valid JSON object containing the story and its components. Never include any text before or after the JSON object.'
-                },
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
-            temperature: 0.7,
-            max_tokens: 4000
-        }, {
-            headers: {
-                'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-                'Content-Type': 'application/json'
-            }
-        });
+// Run a completion whose output must match `schema`. Local repairs are tried
+// first; if the payload still fails, the model is re-prompted with the exact
+// validation errors, up to config.llm.maxRepairRetries times.
+// `onStage` (optional) is told when each attempt is 'generating' or 'validating'.
+// Resolves to { value, model }.
+async function completeStructured(request, schema, label, onStage = () => {}) {
+    let messages = request.messages;
+    let errors = [];
+
+    for (let attempt = 0; attempt <= config.llm.maxRepairRetries; attempt++) {
+        await onStage('generating');
+        const completion = await llm.complete({ ...request, messages });
+        logger.debug(`Raw ${llm.name} ${label} response:`, completion.content);
 
-        if (!response.data?.choices?.[0]?.message?.content) {
-            logger.error('OpenRouter response missing content:', response.data);
-            throw new AppError('Invalid response from OpenRouter', 500);
+        await onStage('validating');
+        const result = parseStructured(completion.content, schema);
+        if (result.errors.length === 0) {
+            return { value: result.value, model: completion.model };
         }
 
-        const content = response.data.choices[0].message.content;
-        logger.info('Raw OpenRouter response:', content);
+        errors = result.errors;
+        logger.warn(`${label} failed validation (attempt ${attempt + 1}):\n${formatErrors(errors)}`);
 
-        let parsedContent;
-        try {
-            // Try to find JSON content between curly braces
-            const jsonMatch = content.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                parsedContent = JSON.parse(jsonMatch[0]);
-            } else {
-                parsedContent = JSON.parse(content);
+        messages = [
+            ...request.messages,
+            { role: 'assistant', content: completion.content },
+            {
+                role: 'user',
+                content: `Your previous response did not match the required structure. Fix these problems:
+${formatErrors(errors)}
+
+Respond again with the complete corrected JSON object only, following this schema:
+${JSON.stringify(schema)}`
             }
-        } catch (error) {
-            logger.error('Failed to parse OpenRouter response:', error);
-            logger.error('Raw content:', content);
-            throw new AppError('Invalid response format from OpenRouter', 500);
-        }
+        ];
+    }
 
-        // Validate the response structure
-        const requiredFields = ['content', 'learning_objectives', 'vocabulary', 'quiz', 'summary'];
-        const missingFields = requiredFields.filter(field => !parsedContent[field]);
-        
-        if (missingFields.length > 0) {
-            logger.error('Missing required fields:', missingFields);
-            logger.error('Parsed content:', parsedContent);
-            throw new AppError(`Invalid response structure: missing ${missingFields.join(', ')}`, 500);
-        }
+    throw new AppError(`Generated ${label} failed validation`, 502, { fields: errors });
+}
+
+// Convert provider failures into the AppError the routes expect
+function toGenerationError(error, fallbackMessage) {
+    if (error.response?.data?.error?.message) {
+        return new AppError(error.response.data.error.message, 500);
+    }
+    if (error instanceof AppError) {
+        return error;
+    }
+    return new AppError(fallbackMessage, 500);
+}
 
-        // Validate arrays
-        if (!Array.isArray(parsedContent.learning_objectives)) {
-            throw new AppError('learning_objectives must be an array', 500);
+// Variables and variant selection shared by the story prompt templates
+function storyPromptArgs(inputs) {
+    return {
+        variables: {
+            subject: inputs.subject,
+            academic_grade: inputs.academic_grade,
+            setting: inputs.setting,
+            main_character: inputs.main_character,
+            subject_specification: inputs.subject_specification,
+            language: inputs.language,
+            word_count: inputs.word_count,
+            quiz_format: quizFormat(inputs.quiz_types || DEFAULT_QUIZ_TYPES)
+        },
+        options: {
+            version: inputs.prompt_version,
+            language: inputs.language,
+            grade: inputs.academic_grade
         }
-        if (!Array.isArray(parsedContent.vocabulary)) {
-            throw new AppError('vocabulary must be an array', 500);
+    };
+}
+
+// Add the teacher's reference material, if any, to the end of a story request
+// so every fact in the story has to come from it
+function withReferences(messages, inputs) {
+    if (!inputs.references) return messages;
+
+    const { messages: reference } = prompts.render('reference_material', {
+        subject: inputs.subject,
+        sources: formatReferences(inputs.references)
+    }, { language: inputs.language, grade: inputs.academic_grade });
+
+    const last = messages[messages.length - 1];
+    return [
+        ...messages.slice(0, -1),
+        { ...last, content: `${last.content}\n\n${reference.map(message => message.content).join('\n\n')}` }
+    ];
+}
+
+const READING_LEVEL_ADJUSTMENTS = {
+    simpler: 'use shorter sentences and simpler, more common words.',
+    harder: 'use longer, more varied sentences and richer vocabulary.'
+};
+
+// Score a story's reading level against the requested grade band.
+// Returns null when the text is too short to score.
+function assessReadability(text, inputs) {
+    return assessGradeBand(text, inputs.language, inputs.academic_grade, config.readability.toleranceGrades);
+}
+
+const WORD_COUNT_ADJUSTMENTS = {
+    expand: 'Make it longer by developing scenes, dialogue and explanations; do not pad it with repetition.',
+    trim: 'Make it shorter by tightening descriptions and dropping minor details; keep every key event.'
+};
+
+// Measure a story against the requested word count
+function checkLength(text, inputs) {
+    return checkWordCount(text, parseInt(inputs.word_count, 10), {
+        language: inputs.language,
+        tolerance: config.wordCount.tolerance
+    });
+}
+
+// Follow-up messages asking for a story to be brought within the word count.
+// `template` is 'story_length' (JSON payload) or 'story_text_length' (prose only).
+function lengthFeedback(template, length, inputs) {
+    return prompts.render(template, {
+        actual_word_count: length.actual_word_count,
+        word_count: length.requested_word_count,
+        adjustment: WORD_COUNT_ADJUSTMENTS[length.adjustment]
+    }, { language: inputs.language, grade: inputs.academic_grade }).messages;
+}
+
+// Length fields reported with a generated story
+function lengthReport(length, adjustments) {
+    return {
+        requested_word_count: length.requested_word_count,
+        actual_word_count: length.actual_word_count,
+        length_adjustments: adjustments
+    };
+}
+
+// Word count and reading level columns of a story whose text has changed,
+// measured as for a generated story
+function measuredColumns(text, story) {
+    const readability = assessReadability(text, story);
+    return {
+        actual_word_count: countWords(text, story.language),
+        readability_formula: readability?.formula || null,
+        readability_score: readability?.score ?? null,
+        estimated_grade: readability?.estimated_grade ?? null,
+        readability_flagged: readability ? !readability.within_band : false
+    };
+}
+
+// Summarize moderation flags for a rewrite prompt, e.g. "violence in content"
+function describeConcerns(flags) {
+    return [...new Set(flags.map(flag => {
+        const where = flag.field === '(all)' ? 'the material' : flag.field;
+        return `${flag.category.replace(/_/g, ' ')} in ${where}`;
+    }))].join(', ');
+}
+
+const BLOCKED_MESSAGE = 'The generated content did not pass child-safety checks. Please try different story settings.';
+
+// Moderate generated content and apply config.moderation.action.
+// `regenerate(feedbackMessages)` resolves to a replacement payload, given the
+// rendered `template` follow-up describing what was flagged. Without it
+// (text a person wrote), flagged content gets the fallback action straight
+// away. Every decision
+// is recorded along with `context` (content_type, user_id, is_anonymous...).
+// Resolves to { value, moderation: { status: 'approved' | 'held', flags, regenerations } };
+// throws a 422 AppError when the content is blocked.
+async function moderateGenerated(value, inputs, context, { template, regenerate, blockedMessage = BLOCKED_MESSAGE } = {}) {
+    const checkContext = { grade: inputs.academic_grade, language: inputs.language };
+    const entry = { ...context, academic_grade: inputs.academic_grade, language: inputs.language };
+
+    let result = await moderator.check(value, checkContext);
+    let regenerations = 0;
+
+    while (result.flagged && regenerate && config.moderation.action === 'regenerate' && regenerations < config.moderation.maxRegenerations) {
+        regenerations++;
+        await moderator.record({ ...entry, decision: 'regenerate', flags: result.flags });
+
+        const feedback = prompts.render(template, {
+            academic_grade: inputs.academic_grade,
+            concerns: describeConcerns(result.flags)
+        }, { language: inputs.language, grade: inputs.academic_grade });
+
+        value = await regenerate(feedback.messages);
+        result = await moderator.check(value, checkContext);
+    }
+
+    if (!result.flagged) {
+        await moderator.record({ ...entry, decision: 'allow' });
+        return { value, moderation: { status: 'approved', flags: [], regenerations } };
+    }
+
+    const action = config.moderation.action === 'regenerate' ? config.moderation.fallbackAction : config.moderation.action;
+    if (action === 'review') {
+        await moderator.record({ ...entry, decision: 'hold', flags: result.flags });
+        return { value, moderation: { status: 'held', flags: result.flags, regenerations } };
+    }
+
+    await moderator.record({ ...entry, decision: 'block', flags: result.flags });
+    throw new AppError(blockedMessage, 422, {
+        moderation: { status: 'blocked', flags: publicFlags(result.flags) }
+    });
+}
+
+// Student-facing fields of a generated story or chapter payload
+const GENERATED_CONTENT_FIELDS = ['content', 'learning_objectives', 'vocabulary', 'quiz', 'summary', 'grounding'];
+
+// What a client may see of a freshly generated payload: content held for
+// review is withheld until a teacher approves it
+function withholdIfHeld(payload) {
+    if (payload.moderation?.status !== 'held') {
+        return payload;
+    }
+
+    const visible = {
+        ...payload,
+        moderation: { ...payload.moderation, flags: publicFlags(payload.moderation.flags) }
+    };
+    GENERATED_CONTENT_FIELDS.forEach(key => delete visible[key]);
+    return visible;
+}
+
+// Generate story using the configured LLM provider.
+// A story whose reading level lands outside the grade band is regenerated up
+// to config.readability.maxRegenerations times, then returned with
+// `readability.flagged` set. A story outside the word count tolerance then
+// gets up to config.wordCount.maxAdjustments expand-or-trim passes.
+// The result is then moderated (see moderateGenerated()); `owner`
+// ({ user_id, is_anonymous, job_id }) is recorded with the decision.
+// Resolves to the story payload plus `readability`, the length report
+// (`requested_word_count`, `actual_word_count`, `length_adjustments`),
+// `moderation` and `generation: { model, prompt }`. With reference material
+// (`inputs.references`), the story is checked against it last: each quiz
+// question gets `source_passages` and the response carries `reference_sources`
+// and `grounding: { unsupported_claims, flagged }`.
+async function generateStory(inputs, { onStage, owner = {} } = {}) {
+    try {
+        const { variables, options } = storyPromptArgs(inputs);
+        const rendered = prompts.render('story', variables, options);
+        const { template } = rendered;
+        const messages = withReferences(rendered.messages, inputs);
+        const request = {
+            task: 'story',
+            messages,
+            temperature: 0.7,
+            maxTokens: 4000
+        };
+
+        let { value, model } = await completeStructured(request, storySchema, 'story', onStage);
+
+        // Ask for a revision of the current payload
+        const revise = (feedbackMessages) => completeStructured({
+            ...request,
+            messages: [
+                ...messages,
+                { role: 'assistant', content: JSON.stringify(value) },
+                ...feedbackMessages
+            ]
+        }, storySchema, 'story', onStage);
+
+        let readability = assessReadability(value.content, inputs);
+        let regenerations = 0;
+
+        while (readability && !readability.within_band && regenerations < config.readability.maxRegenerations) {
+            regenerations++;
+            logger.warn(`Story reads at grade ${readability.estimated_grade}, requested ${inputs.academic_grade}; regenerating (${regenerations}/${config.readability.maxRegenerations})`);
+
+            const feedback = prompts.render('reading_level', {
+                estimated_grade: readability.estimated_grade,
+                academic_grade: inputs.academic_grade,
+                adjustment: READING_LEVEL_ADJUSTMENTS[readability.direction]
+            }, { language: inputs.language, grade: inputs.academic_grade });
+
+            ({ value, model } = await revise(feedback.messages));
+            readability = assessReadability(value.content, inputs);
         }
-        if (!Array.isArray(parsedContent.quiz)) {
-            throw new AppError('quiz must be an array', 500);
+
+        let length = checkLength(value.content, inputs);
+        let adjustments = 0;
+
+        while (!length.within_tolerance && adjustments < config.wordCount.maxAdjustments) {
+            adjustments++;
+            logger.warn(`Story is ${length.actual_word_count} words, requested ${length.requested_word_count}; ${length.adjustment === 'expand' ? 'expanding' : 'trimming'} (${adjustments}/${config.wordCount.maxAdjustments})`);
+
+            ({ value, model } = await revise(lengthFeedback('story_length', length, inputs)));
+            length = checkLength(value.content, inputs);
         }
 
-        // Validate quiz structure
-        parsedContent.quiz.forEach((q, index) => {
-            if (!q.question || !Array.isArray(q.options) || q.options.length !== 4 || typeof q.correctAnswer !== 'number') {
-                throw new AppError(`Invalid quiz question at index ${index}`, 500);
+        const moderated = await moderateGenerated(value, inputs, { content_type: 'story', ...owner }, {
+            template: 'content_safety',
+            regenerate: async (feedbackMessages) => {
+                ({ value, model } = await revise(feedbackMessages));
+                return value;
             }
         });
+        value = moderated.value;
+
+        let grounding = null;
+        if (inputs.references) {
+            await onStage?.('validating');
+            grounding = await checkGrounding(inputs, value.content, value.quiz);
+            value = { ...value, quiz: grounding.quiz };
+        }
+
+        if (adjustments > 0 || moderated.moderation.regenerations > 0) {
+            // Rescore the text that is actually returned
+            readability = assessReadability(value.content, inputs);
+            length = checkLength(value.content, inputs);
+        }
 
-        // Validate vocabulary structure
-        parsedContent.vocabulary.forEach((v, index) => {
-            if (!v.word || !v.definition || !v.example || !v.part_of_speech) {
-                throw new AppError(`Invalid vocabulary item at index ${index}`, 500);
+        if (readability) {
+            readability.flagged = !readability.within_band;
+            readability.regenerations = regenerations;
+            if (readability.flagged) {
+                logger.warn(`Story still reads at grade ${readability.estimated_grade} for requested grade ${inputs.academic_grade}; flagging`);
             }
-        });
+        }
 
-        return parsedContent;
+        return {
+            ...value,
+            ...lengthReport(length, adjustments),
+            readability,
+            moderation: moderated.moderation,
+            ...groundingReport(inputs, grounding),
+            generation: { model, prompt: template }
+        };
     } catch (error) {
         logger.error('Error generating story:', error);
-        if (error.response?.data?.error?.message) {
-            throw new AppError(error.response.data.error.message, 500);
+        throw toGenerationError(error, 'Failed to generate story');
+    }
+}
+
+// Stream the story prose only; learning materials are generated afterwards.
+// Resolves to { content, generation: { model, prompt } }.
+async function streamStoryText(inputs, onDelta) {
+    try {
+        const { variables, options } = storyPromptArgs(inputs);
+        const { messages, template } = prompts.render('story_text', variables, options);
+
+        const completion = await llm.stream({
+            task: 'story_text',
+            messages: withReferences(messages, inputs),
+            temperature: 0.7,
+            maxTokens: 4000
+        }, onDelta);
+
+        return {
+            content: completion.content.trim(),
+            generation: { model: completion.model, prompt: template }
+        };
+    } catch (error) {
+        logger.error('Error streaming story text:', error);
+        throw toGenerationError(error, 'Failed to generate story');
+    }
+}
+
+// Ask for a rewrite of streamed story text, given follow-up messages saying what to change.
+// Resolves to { content, model }.
+async function reviseStoryText(inputs, content, feedbackMessages) {
+    const { variables, options } = storyPromptArgs(inputs);
+    const { messages } = prompts.render('story_text', variables, options);
+
+    const completion = await llm.complete({
+        task: 'story_text',
+        messages: [
+            ...withReferences(messages, inputs),
+            { role: 'assistant', content },
+            ...feedbackMessages
+        ],
+        temperature: 0.7,
+        maxTokens: 4000
+    });
+
+    return { content: completion.content.trim(), model: completion.model };
+}
+
+// Bring streamed story text within the word count tolerance, with up to
+// config.wordCount.maxAdjustments expand-or-trim passes.
+// Resolves to { content, model, length, adjustments }; `model` is null if no pass ran.
+async function fitStoryTextLength(inputs, content) {
+    let length = checkLength(content, inputs);
+    let adjustments = 0;
+    let model = null;
+
+    try {
+        while (!length.within_tolerance && adjustments < config.wordCount.maxAdjustments) {
+            adjustments++;
+            logger.warn(`Streamed story is ${length.actual_word_count} words, requested ${length.requested_word_count}; ${length.adjustment === 'expand' ? 'expanding' : 'trimming'} (${adjustments}/${config.wordCount.maxAdjustments})`);
+
+            ({ content, model } = await reviseStoryText(inputs, content, lengthFeedback('story_text_length', length, inputs)));
+            length = checkLength(content, inputs);
         }
-        throw new AppError('Failed to generate story', 500);
+
+        return { content, model, length, adjustments };
+    } catch (error) {
+        logger.error('Error adjusting story length:', error);
+        throw toGenerationError(error, 'Failed to adjust story length');
     }
 }
 
-// Generate story endpoint
-app.post('/generate-story', apiLimiter, async (req, res) => {
+// Index just past the last sentence break in `text`, or 0 if there is none
+function lastSentenceEnd(text) {
+    let end = 0;
+    for (const match of text.matchAll(/[.!?…]['"”’»)]*\s+|\n+/g)) {
+        end = match.index + match[0].length;
+    }
+    return end;
+}
+
+// Pass streamed story text on a sentence at a time, once the local moderation
+// rules have cleared it. After a rule hit nothing more is passed on; with a
+// classifier configured everything is held back, since the classifier only
+// sees the finished text. `released` is the text sent so far.
+function createModerationGate(inputs, send) {
+    const context = { grade: inputs.academic_grade, language: inputs.language };
+    let pending = '';
+    let closed = Boolean(moderator.classifier);
+
+    const gate = {
+        released: '',
+        push(delta) {
+            pending += delta;
+            if (closed) return;
+
+            const end = lastSentenceEnd(pending);
+            if (end === 0) return;
+
+            const sentences = pending.slice(0, end);
+            if (moderator.checkRules([{ field: 'content', text: sentences }], context).length > 0) {
+                closed = true;
+                return;
+            }
+
+            pending = pending.slice(end);
+            gate.released += sentences;
+            send(sentences);
+        }
+    };
+    return gate;
+}
+
+// Generate objectives, vocabulary, quiz and summary for an existing story text.
+// `template` is 'passage_materials' for a passage supplied by a teacher; when
+// a `generation` object is passed, the model and prompt template are recorded on it.
+async function generateMaterials(inputs, storyText, { template = 'materials', generation } = {}) {
     try {
-        const inputs = req.body;
-        logger.info('Received story generation request:', {
+        const { messages, template: prompt } = prompts.render(template, {
+            academic_grade: inputs.academic_grade,
             subject: inputs.subject,
+            language: inputs.language,
+            story_text: storyText,
+            quiz_format: quizFormat(inputs.quiz_types || DEFAULT_QUIZ_TYPES)
+        }, {
+            language: inputs.language,
+            grade: inputs.academic_grade
+        });
+
+        const { value, model } = await completeStructured({
+            task: 'materials',
+            messages,
+            temperature: 0.5,
+            maxTokens: 2500
+        }, materialsSchema, 'learning materials');
+
+        if (generation) Object.assign(generation, { model, prompt });
+        return value;
+    } catch (error) {
+        logger.error('Error generating learning materials:', error);
+        throw toGenerationError(error, 'Failed to generate learning materials');
+    }
+}
+
+// Ask which reference passages support each quiz answer and each factual
+// claim of a story. Resolves to applyGrounding()'s { quiz, unsupported_claims }.
+async function checkGrounding(inputs, storyText, quiz) {
+    try {
+        const { messages } = prompts.render('grounding', {
             academic_grade: inputs.academic_grade,
-            word_count: inputs.word_count,
-            language: inputs.language
+            language: inputs.language,
+            sources: formatReferences(inputs.references),
+            story_text: stripDelimiters(storyText),
+            quiz: JSON.stringify(quiz.map((question, index) => ({ number: index + 1, ...question })), null, 2)
+        }, {
+            language: inputs.language,
+            grade: inputs.academic_grade
         });
 
-        // Validate inputs
-        if (!validateInputs(inputs)) {
-            logger.error('Invalid input data:', inputs);
-            throw new AppError('Invalid input data', 400);
+        const { value } = await completeStructured({
+            task: 'grounding',
+            messages,
+            temperature: 0,
+            maxTokens: 2500
+        }, groundingSchema, 'source citations');
+
+        const grounding = applyGrounding(inputs.references, quiz, value);
+        if (grounding.unsupported_claims.length > 0) {
+            logger.warn(`${grounding.unsupported_claims.length} claim(s) not supported by the reference material; flagging`);
         }
+        return grounding;
+    } catch (error) {
+        logger.error('Error checking story against reference material:', error);
+        throw toGenerationError(error, 'Failed to check the story against the reference material');
+    }
+}
 
-        // Generate story using OpenRouter
-        const response = await generateStoryWithOpenRouter(inputs);
-        logger.info('Story generated successfully');
-        
-        // Check for authenticated user first
-        const authHeader = req.headers.authorization;
-        let userId = null;
-        let isAnonymous = true;
-        
-        if (authHeader) {
-            try {
-                const token = authHeader.split(' ')[1];
-                logger.info('Auth token received, attempting to identify user');
-                
-                const { data: { user }, error: userError } = await supabase.auth.getUser(token);
-                
-                if (userError) {
-                    logger.error('Error identifying user:', userError);
-                } else if (user) {
-                    userId = user.id;
-                    isAnonymous = false;
-                    logger.info(`Authenticated user identified: ${userId}`);
-                } else {
-                    logger.warn('No user found with provided token');
-                }
-            } catch (error) {
-                logger.error('Error handling user authentication:', error);
-            }
+// The reference material and unsupported claims of a response; empty without references
+function groundingReport(inputs, grounding) {
+    if (!inputs.references) return {};
+    return {
+        reference_sources: inputs.references,
+        grounding: {
+            unsupported_claims: grounding.unsupported_claims,
+            flagged: grounding.unsupported_claims.length > 0
         }
-        
-        // Check for anonymous user ID in headers or body if no authenticated user
-        if (!userId) {
-            userId = req.headers['x-anonymous-id'] || inputs.anonymous_id;
+    };
+}
+
+// Work out who a request belongs to: authenticated user first, then anonymous ID
+async function identifyUser(req, inputs = {}) {
+    const authHeader = req.headers.authorization;
+    let userId = null;
+    let isAnonymous = true;
+    
+    if (authHeader) {
+        try {
+            const token = authHeader.split(' ')[1];
+            logger.info('Auth token received, attempting to identify user');
             
-            if (userId) {
-                logger.info(`Anonymous user ID provided: ${userId}`);
-                isAnonymous = true;
+            const { data: { user }, error: userError } = await supabase.auth.getUser(token);
+            
+            if (userError) {
+                logger.error('Error identifying user:', userError);
+            } else if (user) {
+                userId = user.id;
+                isAnonymous = false;
+                logger.info(`Authenticated user identified: ${userId}`);
             } else {
-                // Generate a random anonymous ID if none was provided
-                userId = 'anon-' + Math.random().toString(36).substring(2, 15);
-                isAnonymous = true;
-                logger.info(`Generated anonymous user ID: ${userId}`);
+                logger.warn('No user found with provided token');
             }
+        } catch (error) {
+            logger.error('Error handling user authentication:', error);
         }
+    }
+    
+    // Check for anonymous user ID in headers or body if no authenticated user;
+    // anything not shaped like one the app creates is ignored
+    if (!userId) {
+        userId = [req.headers['x-anonymous-id'], inputs.anonymous_id]
+            .find(id => typeof id === 'string' && ANONYMOUS_ID_PATTERN.test(id));
         
-        // Save the story if we have a user ID (authenticated or anonymous)
         if (userId) {
-            logger.info(`Saving story for ${isAnonymous ? 'anonymous' : 'authenticated'} user: ${userId}`);
-            
-            try {
-                const story = {
-                    user_id: userId,
-                    is_anonymous: isAnonymous,
-                    academic_grade: inputs.academic_grade,
-                    subject: inputs.subject,
-                    subject_specification: inputs.subject_specification || '',
-                    setting: inputs.setting || '',
-                    main_character: inputs.main_character || '',
-                    word_count: inputs.word_count,
-                    language: inputs.language,
-                    story_text: response.content,
-                    story_title: inputs.subject_specification || 'Untitled Story',
-                    learning_objectives: response.learning_objectives || [],
-                    quiz_questions: response.quiz || [],
-                    vocabulary_list: response.vocabulary || [],
-                    story_summary: response.summary || '',
-                    is_continuation: false
-                };
-                
-                logger.info('Saving story with data:', { 
-                    user_id: userId, 
-                    is_anonymous: isAnonymous,
-                    subject: inputs.subject
-                });
-
-                const { data, error } = await supabase
-                    .from('stories')
-                    .insert(story)
-                    .select()
-                    .single();
-
-                if (error) {
-                    logger.error('Error saving story to Supabase:', error);
-                    logger.error('Error details:', JSON.stringify(error));
-                    
-                    // Add error info to the response
-                    response.saved = false;
-                    response.save_error = 'Database error: ' + error.message;
-                } else {
-                    logger.info('Story saved to Supabase successfully:', { storyId: data.id });
-                    // Add saved flag to response
-                    response.saved = true;
-                    response.story_id = data.id;
-                }
-            } catch (error) {
-                logger.error('Error handling Supabase save:', error);
-                logger.error('Error stack:', error.stack);
-                response.saved = false;
-                response.save_error = 'Exception during save: ' + error.message;
-            }
+            logger.info(`Anonymous user ID provided: ${userId}`);
+            isAnonymous = true;
         } else {
-            logger.info('No user identification, skipping database save');
-            response.saved = false;
-            response.save_error = 'No user identification available';
+            // Generate a random anonymous ID if none was provided
+            userId = 'anon-' + Math.random().toString(36).substring(2, 15);
+            isAnonymous = true;
+            logger.info(`Generated anonymous user ID: ${userId}`);
         }
+    }
 
-        res.json(response);
-    } catch (error) {
-        logger.error('Error in generate-story endpoint:', error);
-        if (error.response?.data?.error?.message) {
-            res.status(error.response.status || 500).json({
-                error: error.response.data.error.message
-            });
-        } else {
-            res.status(500).json({
-                error: error.message || 'Failed to generate story'
-            });
-        }
+    return { userId, isAnonymous };
+}
+
+// Save a generated story; resolves to { saved, story_id } or { saved, save_error }
+async function saveStory(inputs, response, userId, isAnonymous) {
+    if (!userId) {
+        logger.info('No user identification, skipping database save');
+        return { saved: false, save_error: 'No user identification available' };
     }
-});
 
-// Get user's stories endpoint - modified to support anonymous users
-app.get('/user-stories/:userId', apiLimiter, async (req, res) => {
+    logger.info(`Saving story for ${isAnonymous ? 'anonymous' : 'authenticated'} user: ${userId}`);
+    
     try {
-        const { userId } = req.params;
+        const story = {
+            user_id: userId,
+            is_anonymous: isAnonymous,
+            academic_grade: inputs.academic_grade,
+            subject: inputs.subject,
+            subject_specification: inputs.subject_specification || '',
+            setting: inputs.setting || '',
+            main_character: inputs.main_character || '',
+            word_count: inputs.word_count,
+            actual_word_count: response.actual_word_count ?? countWords(response.content, inputs.language),
+            language: inputs.language,
+            story_text: response.content,
+            story_title: inputs.subject_specification || 'Untitled Story',
+            learning_objectives: response.learning_objectives || [],
+            quiz_questions: response.quiz || [],
+            vocabulary_list: response.vocabulary || [],
+            story_summary: response.summary || '',
+            is_continuation: false,
+            model: response.generation?.model || null,
+            prompt_template: response.generation?.prompt?.name || null,
+            prompt_version: response.generation?.prompt?.version || null,
+            prompt_variant: response.generation?.prompt?.variant || null,
+            readability_formula: response.readability?.formula || null,
+            readability_score: response.readability?.score ?? null,
+            estimated_grade: response.readability?.estimated_grade ?? null,
+            readability_flagged: response.readability?.flagged || false,
+            moderation_status: response.moderation?.status || 'approved',
+            moderation_flags: response.moderation?.flags || [],
+            user_supplied: Boolean(response.user_supplied),
+            reference_sources: response.reference_sources || null,
+            unsupported_claims: response.grounding?.unsupported_claims || []
+        };
         
-        if (!userId) {
-            return res.status(400).json({ error: 'User ID is required' });
+        logger.info('Saving story with data:', { 
+            user_id: userId, 
+            is_anonymous: isAnonymous,
+            subject: inputs.subject
+        });
+
+        const { data, error } = await supabase
+            .from('stories')
+            .insert(story)
+            .select()
+            .single();
+
+        if (error) {
+            logger.error('Error saving story to Supabase:', error);
+            logger.error('Error details:', JSON.stringify(error));
+            return { saved: false, save_error: 'Database error: ' + error.message };
+        }
+
+        logger.info('Story saved to Supabase successfully:', { storyId: data.id });
+        return { saved: true, story_id: data.id };
+    } catch (error) {
+        logger.error('Error handling Supabase save:', error);
+        logger.error('Error stack:', error.stack);
+        return { saved: false, save_error: 'Exception during save: ' + error.message };
+    }
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Anonymous IDs as the app creates them ('anon-' and random letters and digits)
+const ANONYMOUS_ID_PATTERN = /^anon-[A-Za-z0-9_-]{8,64}$/;
+
+// Resolve everyone a request can act as: the signed-in user (token verified)
+// and/or the anonymous ID sent in X-Anonymous-ID. Throws 401 if neither is
+// present and 400 if the anonymous ID isn't one the app would have created.
+async function getRequester(req) {
+    const requester = { userId: null, anonymousId: null };
+
+    const authHeader = req.headers.authorization;
+    if (authHeader) {
+        const token = authHeader.split(' ')[1];
+        const { data: { user }, error } = await supabase.auth.getUser(token);
+
+        if (error || !user) {
+            throw new AppError('Invalid authentication', 401);
+        }
+        requester.userId = user.id;
+    }
+
+    const anonymousId = req.headers['x-anonymous-id'];
+    if (anonymousId) {
+        if (!ANONYMOUS_ID_PATTERN.test(anonymousId)) {
+            throw new AppError('Invalid anonymous ID', 400);
+        }
+        requester.anonymousId = anonymousId;
+    }
+
+    if (!requester.userId && !requester.anonymousId) {
+        throw new AppError('Authentication or anonymous ID required', 401);
+    }
+
+    req.requester = requester;
+    return requester;
+}
+
+// Whether the requester owns a row with user_id/is_anonymous columns (stories, jobs)
+function ownsRecord(requester, record) {
+    if (record.is_anonymous) {
+        return record.user_id === requester.anonymousId;
+    }
+    return record.user_id === requester.userId;
+}
+
+// PostgREST .or() filter matching rows owned by any of the requester's identities.
+// The IDs are written into the filter string, so anything not shaped like an ID
+// is refused rather than risk it adding conditions of its own.
+function ownerFilter(requester) {
+    if ((requester.userId && !UUID_PATTERN.test(requester.userId)) ||
+        (requester.anonymousId && !ANONYMOUS_ID_PATTERN.test(requester.anonymousId))) {
+        throw new AppError('Invalid requester identity', 400);
+    }
+
+    const owners = [];
+    if (requester.userId) {
+        owners.push(`and(user_id.eq.${requester.userId},is_anonymous.eq.false)`);
+    }
+    if (requester.anonymousId) {
+        owners.push(`and(user_id.eq.${requester.anonymousId},is_anonymous.eq.true)`);
+    }
+    return owners.join(',');
+}
+
+// Owner columns for a row the requester creates for themselves (quiz attempts,
+// vocabulary cards): the signed-in user if there is one, else the anonymous ID
+function requesterOwner(requester) {
+    return requester.userId
+        ? { user_id: requester.userId, is_anonymous: false }
+        : { user_id: requester.anonymousId, is_anonymous: true };
+}
+
+// Text columns hidden from everyone but its author and reviewers until a story or chapter is approved
+const MODERATED_COLUMNS = ['story_text', 'continuation_text', 'learning_objectives', 'quiz_questions', 'vocabulary_list', 'story_summary', 'chapter_summary', 'unsupported_claims'];
+
+// A signed-in author sees their own held content, to fix it; anonymous users
+// may be students, so theirs stays hidden until a reviewer approves it
+function seesHeldContent(requester, record) {
+    return Boolean(requester?.userId) && !record.is_anonymous && record.user_id === requester.userId;
+}
+
+// Held content is approved or rejected by someone other than its author: an
+// account listed in MODERATION_REVIEWERS, or the teacher of a classroom the
+// author belongs to
+async function isReviewer(requester, record) {
+    if (!requester?.userId || ownsRecord(requester, record)) {
+        return false;
+    }
+    if (config.moderation.reviewers.includes(requester.userId)) {
+        return true;
+    }
+
+    const { data: memberships, error } = await supabase
+        .from('classroom_members')
+        .select('id, classroom:classrooms!inner(teacher_id)')
+        .eq('user_id', record.user_id)
+        .eq('is_anonymous', Boolean(record.is_anonymous))
+        .eq('classroom.teacher_id', requester.userId)
+        .limit(1);
+
+    if (error) {
+        logger.error('Supabase query error:', error);
+        throw new AppError('Failed to check reviewer access', 500, error.message);
+    }
+
+    return memberships.length > 0;
+}
+
+// Hide the text of a story or chapter row that has not been approved,
+// unless the requester is the one who reviews it
+function redactUnapproved(record, requester) {
+    if (!record.moderation_status || record.moderation_status === 'approved' || seesHeldContent(requester, record)) {
+        return record;
+    }
+
+    const redacted = { ...record };
+    MODERATED_COLUMNS.forEach(column => {
+        if (column in redacted) redacted[column] = null;
+    });
+    redacted.moderation_flags = publicFlags(record.moderation_flags || []);
+    return redacted;
+}
+
+
+async function loadStory(storyId) {
+    const { data: story, error } = await supabase
+        .from('stories')
+        .select('*')
+        .eq('id', storyId)
+        .maybeSingle();
+
+    if (error) {
+        logger.error('Supabase query error:', error);
+        throw new AppError('Failed to fetch story', 500, error.message);
+    }
+    if (!story) {
+        throw new AppError('Story not found', 404);
+    }
+
+    return story;
+}
+
+// Load a story and check the requester may access it
+async function findOwnedStory(req, storyId) {
+    if (!UUID_PATTERN.test(storyId)) {
+        throw new AppError('Invalid story ID', 400);
+    }
+
+    const requester = await getRequester(req);
+    const story = await loadStory(storyId);
+
+    if (!ownsRecord(requester, story)) {
+        throw new AppError('Unauthorized access to this story', 403);
+    }
+
+    return story;
+}
+
+// Whether the story is assigned to a classroom the requester is a student in
+async function isAssignedTo(requester, storyId) {
+    const { data: assignments, error } = await supabase
+        .from('classroom_assignments')
+        .select('classroom_id')
+        .eq('story_id', storyId);
+
+    if (error) {
+        logger.error('Supabase query error:', error);
+        throw new AppError('Failed to check classroom assignments', 500, error.message);
+    }
+    if (assignments.length === 0) {
+        return false;
+    }
+
+    const { data: memberships, error: memberError } = await supabase
+        .from('classroom_members')
+        .select('id')
+        .in('classroom_id', assignments.map(assignment => assignment.classroom_id))
+        .or(ownerFilter(requester))
+        .limit(1);
+
+    if (memberError) {
+        logger.error('Supabase query error:', memberError);
+        throw new AppError('Failed to check classroom assignments', 500, memberError.message);
+    }
+
+    return memberships.length > 0;
+}
+
+// Load a story the requester owns, an approved one assigned to a classroom
+// they are a student in, for reading and taking its quizzes, or one they can
+// review (see isReviewer()). Sets req.storyAccess to 'owner', 'student' or
+// 'reviewer'.
+async function findAccessibleStory(req, storyId) {
+    if (!UUID_PATTERN.test(storyId)) {
+        throw new AppError('Invalid story ID', 400);
+    }
+
+    const requester = await getRequester(req);
+    const story = await loadStory(storyId);
+
+    if (ownsRecord(requester, story)) {
+        req.storyAccess = 'owner';
+    } else if (story.moderation_status === 'approved' && await isAssignedTo(requester, story.id)) {
+        req.storyAccess = 'student';
+    } else if (await isReviewer(requester, story)) {
+        req.storyAccess = 'reviewer';
+    } else {
+        throw new AppError('Unauthorized access to this story', 403);
+    }
+
+    return story;
+}
+
+// Longest story text an owner can save by editing (about 10000 words)
+const MAX_STORY_TEXT_LENGTH = 60000;
+
+// Check a PATCH /stories/:id body; returns the columns to update
+function validateStoryUpdate(body) {
+    const updates = {};
+    const errors = [];
+
+    if (body.story_title !== undefined) {
+        if (typeof body.story_title !== 'string' || !body.story_title.trim() || body.story_title.length > 200) {
+            errors.push({ field: 'story_title', message: 'must be a non-empty string of at most 200 characters' });
+        } else {
+            updates.story_title = sanitizeInput(body.story_title);
+        }
+    }
+
+    if (body.story_text !== undefined) {
+        if (typeof body.story_text !== 'string' || !body.story_text.trim() || body.story_text.length > MAX_STORY_TEXT_LENGTH) {
+            errors.push({ field: 'story_text', message: `must be a non-empty string of at most ${MAX_STORY_TEXT_LENGTH} characters` });
+        } else {
+            updates.story_text = body.story_text.trim();
+        }
+    }
+
+    if (body.tags !== undefined) {
+        const validTags = Array.isArray(body.tags) &&
+            body.tags.length <= 20 &&
+            body.tags.every(tag => typeof tag === 'string' && tag.trim() && tag.length <= 40);
+        if (!validTags) {
+            errors.push({ field: 'tags', message: 'must be an array of at most 20 non-empty strings of at most 40 characters' });
+        } else {
+            updates.tags = [...new Set(body.tags.map(tag => sanitizeInput(tag).toLowerCase()))];
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new AppError('Invalid story update', 400, { fields: errors });
+    }
+    if (Object.keys(updates).length === 0) {
+        throw new AppError('Nothing to update: send story_title, story_text or tags', 400);
+    }
+
+    return updates;
+}
+
+// Run a queued generation job to completion, recording each stage
+async function runGenerationJob(job, inputs) {
+    try {
+        const response = await generateStory(inputs, {
+            onStage: (stage) => jobs.update(job.id, { status: stage }),
+            owner: { user_id: job.user_id, is_anonymous: job.is_anonymous, job_id: job.id }
+        });
+
+        await jobs.update(job.id, { status: 'saving' });
+        const saveResult = await saveStory(inputs, response, job.user_id, job.is_anonymous);
+        Object.assign(response, saveResult);
+
+        await jobs.update(job.id, {
+            status: 'done',
+            result: withholdIfHeld(response),
+            story_id: saveResult.story_id || null
+        });
+        logger.info(`Generation job ${job.id} finished`);
+    } catch (error) {
+        logger.error(`Generation job ${job.id} failed:`, error);
+        await jobs.update(job.id, {
+            status: 'failed',
+            error: error.message || 'Failed to generate story',
+            error_details: error.details || null
+        }).catch(updateError => logger.error('Failed to record job failure:', updateError));
+    }
+}
+
+// Public view of a job
+function serializeJob(job) {
+    return {
+        job_id: job.id,
+        status: job.status,
+        story_id: job.story_id,
+        request: job.request,
+        result: job.status === 'done' ? job.result : null,
+        error: job.error,
+        ...(job.error_details && { details: job.error_details }),
+        created_at: job.created_at,
+        updated_at: job.updated_at
+    };
+}
+
+// Load a job and check the requester may access it
+async function findOwnedJob(req, jobId) {
+    if (!UUID_PATTERN.test(jobId)) {
+        throw new AppError('Invalid job ID', 400);
+    }
+
+    const requester = await getRequester(req);
+    const job = await jobs.get(jobId);
+
+    if (!job) {
+        throw new AppError('Job not found', 404);
+    }
+    if (!ownsRecord(requester, job)) {
+        throw new AppError('Unauthorized access to this job', 403);
+    }
+
+    return job;
+}
+
+// Generate story endpoint.
+// Send `"async": true` (or `?async=true`) to get a job ID back immediately
+// and follow progress on GET /jobs/:id or GET /jobs/:id/events instead.
+app.post('/generate-story', apiLimiter, async (req, res) => {
+    try {
+        const inputs = req.body;
+        logger.info('Received story generation request:', {
+            subject: inputs.subject,
+            academic_grade: inputs.academic_grade,
+            word_count: inputs.word_count,
+            language: inputs.language
+        });
+
+        // Validate inputs; instruction-like or overlong free text is rejected by field
+        checkFreeTextInputs(inputs, STORY_FREE_TEXT_FIELDS);
+        inputs.references = parseReferences(inputs.references, inputs.language);
+        if (!validateInputs(inputs)) {
+            logger.error('Invalid input data:', inputs);
+            throw new AppError('Invalid input data', 400);
+        }
+
+        if (inputs.async === true || req.query.async === 'true') {
+            // The job is polled with the same headers, so it must be owned by
+            // an identity getRequester() recognises; never a generated one
+            const owner = requesterOwner(await getRequester(req));
+            const request = { ...inputs };
+            delete request.async;
+            delete request.anonymous_id;
+            const job = await jobs.create({ userId: owner.user_id, isAnonymous: owner.is_anonymous }, request);
+            logger.info(`Queued generation job ${job.id}`);
+
+            res.status(202).json({
+                ...serializeJob(job),
+                status_url: `/jobs/${job.id}`,
+                events_url: `/jobs/${job.id}/events`
+            });
+
+            // Deliberately not awaited: the job records its own outcome
+            return runGenerationJob(job, request);
+        }
+
+        const { userId, isAnonymous } = await identifyUser(req, inputs);
+
+        // Generate story using the configured LLM provider
+        const response = await generateStory(inputs, {
+            owner: { user_id: userId, is_anonymous: isAnonymous }
+        });
+        logger.info('Story generated successfully');
+        
+        Object.assign(response, await saveStory(inputs, response, userId, isAnonymous));
+
+        res.json(withholdIfHeld(response));
+    } catch (error) {
+        logger.error('Error in generate-story endpoint:', error);
+        if (error.response?.data?.error?.message) {
+            res.status(error.response.status || 500).json({
+                error: error.response.data.error.message
+            });
+        } else {
+            res.status(error.statusCode || 500).json({
+                error: error.message || 'Failed to generate story',
+                ...(error.details && { details: error.details })
+            });
+        }
+    }
+});
+
+// Streaming variant of /generate-story using Server-Sent Events.
+// Emits: status, text (story deltas), revision (the full text, replacing what
+// was streamed), objectives, vocabulary, quiz, summary, word_count,
+// readability, grounding (with reference material only), moderation,
+// generation (model and prompt template), then a final saved event with the
+// story_id (or error on failure).
+// Text is only streamed once the local moderation rules have cleared it (see
+// createModerationGate()); a length adjustment, a moderation rewrite or text
+// held back by the gate arrive as a revision. The text has already been shown
+// by the time its reading level is known, so an out-of-band story is flagged
+// rather than regenerated. Content held for review is withheld entirely.
+app.post('/generate-story/stream', apiLimiter, async (req, res) => {
+    const inputs = req.body;
+    logger.info('Received streaming story generation request:', {
+        subject: inputs.subject,
+        academic_grade: inputs.academic_grade,
+        word_count: inputs.word_count,
+        language: inputs.language
+    });
+
+    // Reject bad input before switching the response to an event stream
+    try {
+        checkFreeTextInputs(inputs, STORY_FREE_TEXT_FIELDS);
+        inputs.references = parseReferences(inputs.references, inputs.language);
+    } catch (error) {
+        return handleError(error, req, res);
+    }
+    if (!validateInputs(inputs)) {
+        logger.error('Invalid input data:', inputs);
+        return res.status(400).json({ error: 'Invalid input data' });
+    }
+
+    const stream = openEventStream(res);
+    const gate = createModerationGate(inputs, delta => stream.send('text', { delta }));
+
+    try {
+        const { userId, isAnonymous } = await identifyUser(req, inputs);
+
+        stream.send('status', { stage: 'generating' });
+        const streamed = await streamStoryText(inputs, delta => gate.push(delta));
+        const generation = streamed.generation;
+
+        let fitted = { content: streamed.content, length: checkLength(streamed.content, inputs), adjustments: 0 };
+        if (!fitted.length.within_tolerance) {
+            stream.send('status', { stage: 'adjusting' });
+            fitted = await fitStoryTextLength(inputs, streamed.content);
+            generation.model = fitted.model || generation.model;
+        }
+
+        stream.send('status', { stage: 'materials' });
+        let content = fitted.content;
+        let materials = await generateMaterials(inputs, content);
+
+        stream.send('status', { stage: 'moderating' });
+        const moderated = await moderateGenerated({ content, ...materials }, inputs, {
+            content_type: 'story',
+            user_id: userId,
+            is_anonymous: isAnonymous
+        }, {
+            template: 'content_safety_text',
+            regenerate: async (feedbackMessages) => {
+                const rewrite = await reviseStoryText(inputs, content, feedbackMessages);
+                generation.model = rewrite.model;
+                return { content: rewrite.content, ...(await generateMaterials(inputs, rewrite.content)) };
+            }
+        });
+        ({ content, ...materials } = moderated.value);
+
+        let grounding = null;
+        if (inputs.references) {
+            stream.send('status', { stage: 'grounding' });
+            grounding = await checkGrounding(inputs, content, materials.quiz);
+            materials.quiz = grounding.quiz;
+        }
+
+        const length = lengthReport(checkLength(content, inputs), fitted.adjustments);
+        const readability = assessReadability(content, inputs);
+        if (readability) {
+            readability.flagged = !readability.within_band;
+            readability.regenerations = 0;
+        }
+        const response = {
+            content,
+            ...materials,
+            ...length,
+            readability,
+            moderation: moderated.moderation,
+            ...groundingReport(inputs, grounding),
+            generation
+        };
+
+        if (moderated.moderation.status === 'held') {
+            stream.send('revision', { content: '' });
+        } else {
+            if (content !== gate.released) {
+                stream.send('revision', { content });
+            }
+            stream.send('objectives', { learning_objectives: materials.learning_objectives });
+            stream.send('vocabulary', { vocabulary: materials.vocabulary });
+            stream.send('quiz', { quiz: materials.quiz });
+            stream.send('summary', { summary: materials.summary });
+            stream.send('readability', readability);
+            if (response.grounding) {
+                stream.send('grounding', { reference_sources: response.reference_sources, ...response.grounding });
+            }
+        }
+        stream.send('word_count', length);
+        stream.send('moderation', withholdIfHeld(response).moderation);
+        stream.send('generation', generation);
+
+        // Save even if the client went away, so the story still shows up in their list
+        stream.send('status', { stage: 'saving' });
+        const saveResult = await saveStory(inputs, response, userId, isAnonymous);
+
+        stream.send('saved', saveResult);
+    } catch (error) {
+        logger.error('Error in generate-story stream endpoint:', error);
+        if (error.details?.moderation) {
+            // Take back whatever was streamed before the story was blocked
+            stream.send('revision', { content: '' });
+        }
+        stream.send('error', {
+            error: error.message || 'Failed to generate story',
+            ...(error.details && { details: error.details })
+        });
+    } finally {
+        stream.close();
+    }
+});
+
+// Create learning materials for a passage the teacher brings, pasted as `text`
+// or uploaded as `file: { name, data }` (base64 .txt, .md or .docx). Only the
+// objectives, vocabulary, quiz and summary are generated; the passage itself is
+// stored as given, flagged `user_supplied`, with `subject_specification` (or
+// the file name) as its title. The passage can't be rewritten, so a moderation
+// regenerate only redoes the materials.
+app.post('/stories/from-text', apiLimiter, async (req, res) => {
+    try {
+        const body = req.body || {};
+        logger.info('Received story-from-text request:', {
+            subject: body.subject,
+            academic_grade: body.academic_grade,
+            language: body.language,
+            source: body.file ? 'file' : 'text'
+        });
+
+        const hasText = typeof body.text === 'string' && body.text.trim() !== '';
+        if (hasText === Boolean(body.file)) {
+            throw new AppError('Invalid passage', 400, {
+                fields: [{ field: 'text', message: 'Paste a passage or upload a file (one of the two).' }]
+            });
+        }
+        const passage = hasText ? cleanPassage(body.text) : passageFromUpload(body.file);
+        const title = body.subject_specification
+            || (body.file ? path.basename(body.file.name, path.extname(body.file.name)) : '')
+            || 'Untitled Story';
+
+        const inputs = {
+            subject: body.subject,
+            subject_specification: title,
+            academic_grade: body.academic_grade,
+            language: body.language,
+            quiz_types: body.quiz_types,
+            anonymous_id: body.anonymous_id
+        };
+
+        const passageWords = countWords(passage, inputs.language);
+        if (passageWords < 100 || passageWords > 5000) {
+            throw new AppError('Invalid passage', 400, {
+                fields: [{ field: hasText ? 'text' : 'file', message: `The passage must be between 100 and 5000 words (got ${passageWords}).` }]
+            });
+        }
+        inputs.word_count = passageWords;
+
+        checkFreeTextInputs(inputs, ['subject', 'subject_specification']);
+        if (!validateInputs(inputs)) {
+            logger.error('Invalid input data:', { ...inputs, word_count: passageWords });
+            throw new AppError('Invalid input data', 400);
+        }
+        // No story elements for a passage the teacher wrote
+        inputs.setting = '';
+        inputs.main_character = '';
+
+        const { userId, isAnonymous } = await identifyUser(req, inputs);
+
+        const generation = {};
+        const materialsFor = () => generateMaterials(inputs, stripDelimiters(passage), {
+            template: 'passage_materials',
+            generation
+        });
+
+        const moderated = await moderateGenerated({ content: passage, ...(await materialsFor()) }, inputs, {
+            content_type: 'story',
+            user_id: userId,
+            is_anonymous: isAnonymous
+        }, {
+            template: 'content_safety_text',
+            regenerate: async () => ({ content: passage, ...(await materialsFor()) })
+        });
+        const { content, ...materials } = moderated.value;
+
+        const readability = assessReadability(content, inputs);
+        if (readability) {
+            readability.flagged = !readability.within_band;
+            readability.regenerations = 0;
+        }
+        const response = {
+            content,
+            ...materials,
+            ...lengthReport(checkLength(content, inputs), 0),
+            readability,
+            moderation: moderated.moderation,
+            generation,
+            user_supplied: true
+        };
+        logger.info('Materials generated for supplied passage');
+
+        Object.assign(response, await saveStory(inputs, response, userId, isAnonymous));
+
+        res.json(withholdIfHeld(response));
+    } catch (error) {
+        logger.error('Error in stories from-text endpoint:', error);
+        handleError(error, req, res);
+    }
+});
+
+// A new anonymous ID for a browser without an account, and its signature
+// (anonymous_token), which the browser keeps to itself and sends only to move
+// what it saved into an account
+app.post('/anonymous-id', readLimiter, (req, res) => {
+    try {
+        res.status(201).json(issueAnonymousId(anonymousIdSecret()));
+    } catch (error) {
+        logger.error('Error issuing an anonymous ID:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Move everything saved under the requester's anonymous ID (X-Anonymous-ID)
+// into their account in one transaction: stories, chapters, quiz attempts,
+// vocabulary cards, classroom memberships and reads, share links and jobs
+// (claim_anonymous_data() in setup.sql). The ID is no proof of who sent it, so
+// the request also needs the signature issued with it (X-Anonymous-Token),
+// except for a legacy ID the browser made up itself, which has none and is
+// trusted on its first claim. An ID moved into one account can't be claimed
+// by another. Responds with the number of rows moved per table.
+app.post('/account/claim-anonymous', apiLimiter, async (req, res) => {
+    try {
+        const admin = adminClient();
+        const secret = anonymousIdSecret();
+        const requester = await getRequester(req);
+        if (!requester.userId) {
+            throw new AppError('Sign in to move anonymous stories into your account', 401);
+        }
+        if (!requester.anonymousId) {
+            throw new AppError('An anonymous ID (X-Anonymous-ID header) is required', 400);
+        }
+        const token = req.headers['x-anonymous-token'];
+        const trusted = token
+            ? verifyAnonymousToken(requester.anonymousId, token, secret)
+            : isLegacyAnonymousId(requester.anonymousId);
+        if (!trusted) {
+            throw new AppError('The anonymous ID was not issued to this browser (X-Anonymous-Token header)', 403);
+        }
+
+        const { data: moved, error } = await admin.rpc('claim_anonymous_data', {
+            claimed_id: requester.anonymousId,
+            claiming_user: requester.userId
+        });
+
+        if (error) {
+            if (error.code === '23505') {
+                throw new AppError('These anonymous stories have already been moved into another account', 409);
+            }
+            logger.error('Supabase query error:', error);
+            throw new AppError('Failed to move anonymous data', 500, error.message);
+        }
+
+        logger.info(`Moved anonymous data of ${requester.anonymousId} into account ${requester.userId}:`, moved);
+        res.json({ anonymous_id: requester.anonymousId, moved });
+    } catch (error) {
+        logger.error('Error claiming anonymous data:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Get user's stories endpoint - modified to support anonymous users
+app.get('/user-stories/:userId', readLimiter, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        
+        if (!userId) {
+            return res.status(400).json({ error: 'User ID is required' });
+        }
+        
+        // Check if this is an anonymous user ID
+        const isAnonymous = userId.startsWith('anon-');
+        
+        // If it's an authenticated user ID, verify token unless in development
+        if (!isAnonymous && process.env.NODE_ENV !== 'development') {
+            const authHeader = req.headers.authorization;
+            if (!authHeader) {
+                return res.status(401).json({ error: 'Authentication required for user stories' });
+            }
+            
+            const token = authHeader.split(' ')[1];
+            const { data: { user }, error } = await supabase.auth.getUser(token);
+            
+            if (error || !user) {
+                return res.status(401).json({ error: 'Invalid authentication' });
+            }
+            
+            // Verify the user is requesting their own stories
+            if (user.id !== userId) {
+                return res.status(403).json({ error: 'Unauthorized access to other user stories' });
+            }
+        }
+        
+        logger.info(`Fetching stories for ${isAnonymous ? 'anonymous' : 'authenticated'} user: ${userId}`);
+        
+        // Query stories based on user_id
+        let query = supabase
+            .from('stories')
+            .select('*')
+            .eq('user_id', userId);
+            
+        // If anonymous, add additional filter
+        if (isAnonymous) {
+            query = query.eq('is_anonymous', true);
+        }
+        
+        const { data: stories, error } = await query.order('created_at', { ascending: false });
+
+        if (error) {
+            logger.error('Supabase query error:', error);
+            throw new AppError('Failed to fetch stories', 500, error.message);
+        }
+
+        const requester = { userId: isAnonymous ? null : userId };
+        res.json(stories.map(story => redactUnapproved(story, requester)));
+    } catch (error) {
+        logger.error('Error fetching user stories:', error);
+        handleError(error, req, res);
+    }
+});
+
+// List the requester's stories (authenticated and/or anonymous).
+// Optional filters: ?subject=&language=&tag=&limit=&offset=
+app.get('/stories', readLimiter, async (req, res) => {
+    try {
+        const requester = await getRequester(req);
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        let query = supabase
+            .from('stories')
+            .select('*')
+            .or(ownerFilter(requester));
+
+        if (req.query.subject) {
+            query = query.eq('subject', req.query.subject);
+        }
+        if (req.query.language) {
+            query = query.eq('language', req.query.language);
+        }
+        if (req.query.tag) {
+            query = query.contains('tags', [String(req.query.tag).toLowerCase()]);
+        }
+
+        const { data: stories, error } = await query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) {
+            logger.error('Supabase query error:', error);
+            throw new AppError('Failed to fetch stories', 500, error.message);
+        }
+
+        res.json(stories.map(story => redactUnapproved(story, requester)));
+    } catch (error) {
+        logger.error('Error listing stories:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Get a single story with its continuation chapters. `access` is 'student'
+// when the story was opened through a classroom assignment.
+app.get('/stories/:id', readLimiter, async (req, res) => {
+    try {
+        const story = await findAccessibleStory(req, req.params.id);
+        const chapters = await fetchChapters(story.id);
+        const shown = (record) => (req.storyAccess === 'reviewer' ? record : redactUnapproved(record, req.requester));
+        res.json({
+            ...shown(story),
+            chapters: chapters.map(shown),
+            access: req.storyAccess
+        });
+    } catch (error) {
+        logger.error('Error fetching story:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Update a story's title, text or tags
+app.patch('/stories/:id', apiLimiter, async (req, res) => {
+    try {
+        const updates = validateStoryUpdate(req.body || {});
+        const current = await findOwnedStory(req, req.params.id);
+
+        // Edited text goes through the same child-safety check as generated
+        // text. A flagged edit is blocked (422) or saved held for review. A
+        // clean edit releases a story the checks held, and sends a rejected
+        // one back to a reviewer.
+        if (updates.story_title !== undefined || updates.story_text !== undefined) {
+            const { moderation } = await moderateGenerated({
+                title: updates.story_title ?? current.story_title,
+                content: updates.story_text ?? current.story_text
+            }, current, {
+                content_type: 'story',
+                user_id: current.user_id,
+                is_anonymous: current.is_anonymous,
+                story_id: current.id
+            }, { blockedMessage: 'The edited story did not pass child-safety checks.' });
+            if (moderation.status === 'held') {
+                updates.moderation_status = 'held';
+                updates.moderation_flags = moderation.flags;
+            } else if (current.moderation_status === 'held' || current.moderation_status === 'rejected') {
+                updates.moderation_status = current.moderation_status === 'held' ? 'approved' : 'held';
+                updates.moderation_flags = [];
+            }
+        }
+
+        if (updates.story_text !== undefined) {
+            Object.assign(updates, measuredColumns(updates.story_text, current));
+        }
+
+        // Only the service role may change moderation_status (see
+        // protect_moderation_status() in setup.sql)
+        const client = updates.moderation_status === undefined ? supabase : adminClient();
+        const { data: story, error } = await client
+            .from('stories')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .select()
+            .single();
+
+        if (error) {
+            logger.error('Supabase update error:', error);
+            throw new AppError('Failed to update story', 500, error.message);
+        }
+
+        logger.info(`Story updated: ${story.id}`, { fields: Object.keys(updates) });
+        res.json(redactUnapproved(story, req.requester));
+    } catch (error) {
+        logger.error('Error updating story:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Delete a story
+app.delete('/stories/:id', apiLimiter, async (req, res) => {
+    try {
+        await findOwnedStory(req, req.params.id);
+
+        const { error } = await supabase
+            .from('stories')
+            .delete()
+            .eq('id', req.params.id);
+
+        if (error) {
+            logger.error('Supabase delete error:', error);
+            throw new AppError('Failed to delete story', 500, error.message);
+        }
+
+        logger.info(`Story deleted: ${req.params.id}`);
+        res.json({ success: true, id: req.params.id });
+    } catch (error) {
+        logger.error('Error deleting story:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Approve or reject a story, or one of its chapters, held for review.
+// Body: { decision: 'approve' | 'reject', chapter_number? }. Only a reviewer
+// can decide (see isReviewer()), never the story's author.
+app.post('/stories/:id/review', apiLimiter, async (req, res) => {
+    try {
+        const story = await findAccessibleStory(req, req.params.id);
+        if (req.storyAccess !== 'reviewer') {
+            throw new AppError('Held content is reviewed by a teacher of its author or a moderation reviewer, not its author', 403);
+        }
+
+        const { decision, chapter_number: chapterNumber } = req.body || {};
+        if (!['approve', 'reject'].includes(decision)) {
+            throw new AppError('Invalid review', 400, {
+                fields: [{ field: 'decision', message: 'must be approve or reject' }]
+            });
+        }
+
+        let target = story;
+        let table = 'stories';
+        if (chapterNumber !== undefined && chapterNumber !== null) {
+            target = (await fetchChapters(story.id)).find(chapter => chapter.chapter_number === Number(chapterNumber));
+            table = 'story_continuations';
+            if (!target) {
+                throw new AppError('Chapter not found', 404);
+            }
+        }
+        const contentType = table === 'stories' ? 'story' : 'chapter';
+
+        if (target.moderation_status !== 'held') {
+            throw new AppError(`This ${contentType} is not awaiting review`, 409);
+        }
+
+        const { data: updated, error } = await adminClient()
+            .from(table)
+            .update({
+                moderation_status: decision === 'approve' ? 'approved' : 'rejected',
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', target.id)
+            .select()
+            .single();
+
+        if (error) {
+            logger.error('Supabase update error:', error);
+            throw new AppError(`Failed to review ${contentType}`, 500, error.message);
+        }
+
+        await moderator.record({
+            content_type: contentType,
+            decision,
+            story_id: story.id,
+            chapter_number: target.chapter_number || null,
+            user_id: story.user_id,
+            is_anonymous: story.is_anonymous,
+            academic_grade: target.academic_grade,
+            language: target.language,
+            flags: target.moderation_flags || []
+        });
+
+        res.json(updated);
+    } catch (error) {
+        logger.error('Error reviewing story:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Job status, for polling
+app.get('/jobs/:id', jobStatusLimiter, async (req, res) => {
+    try {
+        const job = await findOwnedJob(req, req.params.id);
+        res.json(serializeJob(job));
+    } catch (error) {
+        logger.error('Error fetching job:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Job status as Server-Sent Events: a `status` event on every change,
+// then the stream closes once the job is done or failed
+app.get('/jobs/:id/events', jobStatusLimiter, async (req, res) => {
+    let job;
+    try {
+        job = await findOwnedJob(req, req.params.id);
+    } catch (error) {
+        logger.error('Error fetching job:', error);
+        return handleError(error, req, res);
+    }
+
+    const stream = openEventStream(res);
+    stream.send('status', serializeJob(job));
+    if (isFinal(job.status)) {
+        return stream.close();
+    }
+
+    const onUpdate = (updated) => {
+        stream.send('status', serializeJob(updated));
+        if (isFinal(updated.status)) {
+            stream.close();
+        }
+    };
+
+    let stop;
+    if (jobs.isLocal(job.id)) {
+        stop = jobs.subscribe(job.id, onUpdate);
+    } else {
+        // Running on another server instance: follow it through the database
+        let lastUpdate = job.updated_at;
+        const timer = setInterval(async () => {
+            try {
+                const latest = await jobs.get(job.id);
+                if (latest && latest.updated_at !== lastUpdate) {
+                    lastUpdate = latest.updated_at;
+                    onUpdate(latest);
+                }
+            } catch (error) {
+                logger.warn(`Failed to refresh job ${job.id}:`, error.message);
+            }
+        }, 3000);
+        stop = () => clearInterval(timer);
+    }
+
+    res.on('close', stop);
+});
+
+// List prompt templates with their available and active versions
+app.get('/prompts', apiLimiter, (req, res) => {
+    try {
+        const templates = ['story', 'story_text', 'materials', 'continuation', 'chapter_materials'].map(name => ({
+            name,
+            versions: prompts.listVersions(name),
+            active_version: prompts.activeVersion(name)
+        }));
+        res.json(templates);
+    } catch (error) {
+        logger.error('Error listing prompt templates:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Continuation chapters of a story, in reading order
+async function fetchChapters(storyId) {
+    const { data: chapters, error } = await supabase
+        .from('story_continuations')
+        .select('*')
+        .eq('story_id', storyId)
+        .order('chapter_number', { ascending: true });
+
+    if (error) {
+        logger.error('Supabase query error:', error);
+        throw new AppError('Failed to fetch story chapters', 500, error.message);
+    }
+
+    return chapters;
+}
+
+// Append a chapter to a story. The parent story is chapter 1, so continuations
+// start at 2. Resolves to { saved, chapter } or { saved, save_error }.
+async function saveChapter(parent, chapter) {
+    // Two clients continuing at once can race for the same number; retry once
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            const { data: last, error: lastError } = await supabase
+                .from('story_continuations')
+                .select('chapter_number')
+                .eq('story_id', parent.id)
+                .order('chapter_number', { ascending: false })
+                .limit(1)
+                .maybeSingle();
+
+            if (lastError) {
+                throw lastError;
+            }
+
+            const { data, error } = await supabase
+                .from('story_continuations')
+                .insert({
+                    ...chapter,
+                    story_id: parent.id,
+                    user_id: parent.user_id,
+                    is_anonymous: parent.is_anonymous,
+                    chapter_number: (last?.chapter_number || 1) + 1
+                })
+                .select()
+                .single();
+
+            if (error?.code === '23505' && attempt === 0) {
+                logger.warn(`Chapter number conflict on story ${parent.id}, retrying`);
+                continue;
+            }
+            if (error) {
+                throw error;
+            }
+
+            logger.info('Chapter saved to Supabase successfully:', { storyId: parent.id, chapter: data.chapter_number });
+            return { saved: true, chapter: data };
+        } catch (error) {
+            logger.error('Error saving chapter to Supabase:', error);
+            return { saved: false, save_error: 'Database error: ' + error.message };
+        }
+    }
+}
+
+// Story chapters endpoint
+app.get('/stories/:id/chapters', readLimiter, async (req, res) => {
+    try {
+        const story = await findAccessibleStory(req, req.params.id);
+        const chapters = await fetchChapters(story.id);
+        res.json(req.storyAccess === 'reviewer' ? chapters : chapters.map(chapter => redactUnapproved(chapter, req.requester)));
+    } catch (error) {
+        logger.error('Error fetching story chapters:', error);
+        handleError(error, req, res);
+    }
+});
+
+const EXPORT_FORMATS = {
+    markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8', render: toMarkdown },
+    epub: { extension: 'epub', contentType: 'application/epub+zip', render: (doc) => toEpub(doc) },
+    pdf: { extension: 'pdf', contentType: 'application/pdf', render: toWorksheetPdf },
+    qti: { extension: 'qti.zip', contentType: 'application/zip', render: (doc) => toQtiPackage(doc) },
+    gift: { extension: 'gift.txt', contentType: 'text/plain; charset=utf-8', render: toGift }
+};
+
+// Download a story with its approved chapters, glossary, quiz, answer key and
+// summary. Query: ?format=markdown (default), epub or pdf. A pdf is a printable
+// worksheet laid out by ?font_size=, line_spacing=, page_size= and answer_key=.
+// format=qti (an IMS QTI 2.1 package) and gift (Moodle GIFT) hold only the quiz,
+// for importing into a learning management system
+app.get('/stories/:id/export', apiLimiter, async (req, res) => {
+    try {
+        const format = EXPORT_FORMATS[req.query.format || 'markdown'];
+        if (!format) {
+            throw new AppError('Invalid export format', 400, {
+                fields: [{ field: 'format', message: `must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` }]
+            });
+        }
+
+        const { options, errors } = parseWorksheetOptions(req.query);
+        if (errors.length > 0) {
+            throw new AppError('Invalid worksheet options', 400, { fields: errors });
+        }
+
+        const story = await findOwnedStory(req, req.params.id);
+        if (story.moderation_status !== 'approved') {
+            throw new AppError('Only approved stories can be exported', 409);
+        }
+        const chapters = (await fetchChapters(story.id)).filter(chapter => chapter.moderation_status === 'approved');
+
+        const body = format.render(buildExport(story, chapters), options);
+        res.attachment(exportFilename(story.story_title, format.extension));
+        res.set('Content-Type', format.contentType);
+        res.send(body);
+    } catch (error) {
+        logger.error('Error exporting story:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Longest quiz attempt recorded, to reject clocks left running for days
+const MAX_QUIZ_TIME_MS = 24 * 60 * 60 * 1000;
+
+// Check a POST /stories/:id/quiz-attempts body
+function validateQuizAttempt(body) {
+    const errors = [];
+
+    const chapterNumber = body.chapter_number ?? 1;
+    if (!Number.isInteger(chapterNumber) || chapterNumber < 1) {
+        errors.push({ field: 'chapter_number', message: 'must be a whole number of at least 1' });
+    }
+
+    if (!Array.isArray(body.answers)) {
+        errors.push({ field: 'answers', message: 'must be an array with one answer per question (null if skipped)' });
+    }
+
+    const timeTakenMs = body.time_taken_ms ?? null;
+    if (timeTakenMs !== null && !(Number.isInteger(timeTakenMs) && timeTakenMs >= 0 && timeTakenMs <= MAX_QUIZ_TIME_MS)) {
+        errors.push({ field: 'time_taken_ms', message: 'must be a whole number of milliseconds, at most 24 hours' });
+    }
+
+    const startedAt = body.started_at ?? null;
+    if (startedAt !== null && (typeof startedAt !== 'string' || Number.isNaN(Date.parse(startedAt)))) {
+        errors.push({ field: 'started_at', message: 'must be an ISO 8601 timestamp' });
+    }
+
+    if (errors.length > 0) {
+        throw new AppError('Invalid quiz attempt', 400, { fields: errors });
+    }
+
+    return {
+        chapterNumber,
+        answers: body.answers,
+        timeTakenMs,
+        startedAt: startedAt && new Date(startedAt).toISOString()
+    };
+}
+
+// Record an attempt at a story's quiz (chapter 1) or a chapter's quiz, by its
+// owner or a student it is assigned to. Body: { answers, chapter_number?, time_taken_ms?, started_at? }. The answers
+// are scored here against the saved questions; see utils/quizScoring.js.
+app.post('/stories/:id/quiz-attempts', apiLimiter, async (req, res) => {
+    try {
+        const attempt = validateQuizAttempt(req.body || {});
+        const story = await findAccessibleStory(req, req.params.id);
+
+        let quizSource = story;
+        if (attempt.chapterNumber > 1) {
+            quizSource = (await fetchChapters(story.id)).find(chapter => chapter.chapter_number === attempt.chapterNumber);
+            if (!quizSource) {
+                throw new AppError('Chapter not found', 404);
+            }
+        }
+        if (quizSource.moderation_status && quizSource.moderation_status !== 'approved') {
+            throw new AppError('This quiz is not available until its content is approved', 409);
+        }
+
+        const questions = Array.isArray(quizSource.quiz_questions) ? quizSource.quiz_questions : [];
+        if (questions.length === 0) {
+            throw new AppError('There is no quiz to record an attempt for', 409);
+        }
+        if (attempt.answers.length > questions.length) {
+            throw new AppError('Invalid quiz attempt', 400, {
+                fields: [{ field: 'answers', message: `has more answers than the quiz has questions (${questions.length})` }]
+            });
+        }
+
+        const scored = scoreAttempt(questions, attempt.answers);
+
+        const { data, error } = await supabase
+            .from('quiz_attempts')
+            .insert({
+                story_id: story.id,
+                chapter_number: attempt.chapterNumber,
+                ...requesterOwner(req.requester),
+                ...scored,
+                time_taken_ms: attempt.timeTakenMs,
+                started_at: attempt.startedAt
+            })
+            .select()
+            .single();
+
+        if (error) {
+            logger.error('Supabase insert error:', error);
+            throw new AppError('Failed to save quiz attempt', 500, error.message);
+        }
+
+        logger.info(`Quiz attempt recorded: ${data.id}`, { storyId: story.id, chapter: attempt.chapterNumber, score: scored.score });
+        res.status(201).json(data);
+    } catch (error) {
+        logger.error('Error recording quiz attempt:', error);
+        handleError(error, req, res);
+    }
+});
+
+// The requester's attempts at a story's quizzes, newest first.
+// Optional filter: ?chapter_number=
+app.get('/stories/:id/quiz-attempts', readLimiter, async (req, res) => {
+    try {
+        const story = await findAccessibleStory(req, req.params.id);
+
+        let query = supabase
+            .from('quiz_attempts')
+            .select('*')
+            .eq('story_id', story.id)
+            .or(ownerFilter(req.requester));
+
+        if (req.query.chapter_number !== undefined) {
+            const chapterNumber = Number(req.query.chapter_number);
+            if (!Number.isInteger(chapterNumber) || chapterNumber < 1) {
+                throw new AppError('Invalid chapter number', 400);
+            }
+            query = query.eq('chapter_number', chapterNumber);
+        }
+
+        const { data: attempts, error } = await query
+            .order('created_at', { ascending: false })
+            .limit(100);
+
+        if (error) {
+            logger.error('Supabase query error:', error);
+            throw new AppError('Failed to fetch quiz attempts', 500, error.message);
+        }
+
+        res.json(attempts);
+    } catch (error) {
+        logger.error('Error fetching quiz attempts:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Per-story score summary of the requester's attempts at each story's own
+// quiz (chapter 1; chapter quizzes are left out), for story cards:
+// [{ story_id, attempts, best_score, last_score, last_attempted_at }]
+app.get('/quiz-attempts/summary', readLimiter, async (req, res) => {
+    try {
+        const requester = await getRequester(req);
+
+        const { data: attempts, error } = await supabase
+            .from('quiz_attempts')
+            .select('story_id, score, created_at')
+            .or(ownerFilter(requester))
+            .eq('chapter_number', 1)
+            .order('created_at', { ascending: false })
+            .limit(1000);
+
+        if (error) {
+            logger.error('Supabase query error:', error);
+            throw new AppError('Failed to fetch quiz attempts', 500, error.message);
+        }
+
+        const summaries = new Map();
+        attempts.forEach(attempt => {
+            const summary = summaries.get(attempt.story_id);
+            if (!summary) {
+                summaries.set(attempt.story_id, {
+                    story_id: attempt.story_id,
+                    attempts: 1,
+                    best_score: attempt.score,
+                    last_score: attempt.score,
+                    last_attempted_at: attempt.created_at
+                });
+                return;
+            }
+            summary.attempts += 1;
+            summary.best_score = Math.max(summary.best_score, attempt.score);
+        });
+
+        res.json([...summaries.values()]);
+    } catch (error) {
+        logger.error('Error summarising quiz attempts:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Add the vocabulary of the requester's approved stories and chapters to their
+// deck. Words already in the deck keep their card and review history.
+app.post('/vocabulary/sync', readLimiter, async (req, res) => {
+    try {
+        const requester = await getRequester(req);
+
+        const { data: stories, error: storiesError } = await supabase
+            .from('stories')
+            .select('id, language, vocabulary_list')
+            .or(ownerFilter(requester))
+            .eq('moderation_status', 'approved')
+            .order('created_at', { ascending: true })
+            .limit(1000);
+
+        if (storiesError) {
+            logger.error('Supabase query error:', storiesError);
+            throw new AppError('Failed to fetch stories', 500, storiesError.message);
+        }
+
+        let chapters = [];
+        if (stories.length > 0) {
+            const { data, error } = await supabase
+                .from('story_continuations')
+                .select('story_id, chapter_number, language, vocabulary_list')
+                .in('story_id', stories.map(story => story.id))
+                .eq('moderation_status', 'approved')
+                .order('chapter_number', { ascending: true });
+
+            if (error) {
+                logger.error('Supabase query error:', error);
+                throw new AppError('Failed to fetch story chapters', 500, error.message);
+            }
+            chapters = data;
+        }
+
+        const owner = requesterOwner(requester);
+        const entries = deckEntries(stories, chapters).map(entry => ({ ...entry, ...owner }));
+
+        let added = [];
+        if (entries.length > 0) {
+            const { data, error } = await supabase
+                .from('vocabulary_cards')
+                .upsert(entries, { onConflict: 'user_id,is_anonymous,language,word_key', ignoreDuplicates: true })
+                .select('id');
+
+            if (error) {
+                logger.error('Supabase upsert error:', error);
+                throw new AppError('Failed to update vocabulary deck', 500, error.message);
+            }
+            added = data || [];
+        }
+
+        logger.info('Vocabulary deck synced', { userId: owner.user_id, words: entries.length, added: added.length });
+        res.json({ added: added.length, words: entries.length });
+    } catch (error) {
+        logger.error('Error syncing vocabulary deck:', error);
+        handleError(error, req, res);
+    }
+});
+
+// The requester's vocabulary deck, soonest due first, with how many cards are
+// due now. Optional: ?due=true for due cards only, ?limit= (default 50, max 200)
+app.get('/vocabulary', readLimiter, async (req, res) => {
+    try {
+        const requester = await getRequester(req);
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const now = new Date().toISOString();
+
+        const { data: cards, error } = await supabase
+            .from('vocabulary_cards')
+            .select('*')
+            .or(ownerFilter(requester))
+            .order('due_at', { ascending: true })
+            .limit(2000);
+
+        if (error) {
+            logger.error('Supabase query error:', error);
+            throw new AppError('Failed to fetch vocabulary deck', 500, error.message);
+        }
+
+        const dueCards = cards.filter(card => card.due_at <= now);
+        res.json({
+            total: cards.length,
+            due: dueCards.length,
+            cards: (req.query.due === 'true' ? dueCards : cards).slice(0, limit)
+        });
+    } catch (error) {
+        logger.error('Error fetching vocabulary deck:', error);
+        handleError(error, req, res);
+    }
+});
+
+const VOCABULARY_EXPORT_FORMATS = {
+    anki: { extension: 'tsv', contentType: 'text/tab-separated-values; charset=utf-8', render: toAnkiTsv },
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8', render: toVocabularyCsv }
+};
+
+// Download the vocabulary of the requester's approved stories and chapters as
+// flashcards. Query: ?format=anki (default, tab-separated for Anki) or csv;
+// ?story_id= for one story, or the ?subject=, language= and tag= filters of GET /stories
+app.get('/vocabulary/export', apiLimiter, async (req, res) => {
+    try {
+        const format = VOCABULARY_EXPORT_FORMATS[req.query.format || 'anki'];
+        if (!format) {
+            throw new AppError('Invalid export format', 400, {
+                fields: [{ field: 'format', message: `must be one of: ${Object.keys(VOCABULARY_EXPORT_FORMATS).join(', ')}` }]
+            });
+        }
+        if (req.query.story_id !== undefined && !UUID_PATTERN.test(req.query.story_id)) {
+            throw new AppError('Invalid story ID', 400, {
+                fields: [{ field: 'story_id', message: 'must be a story ID' }]
+            });
+        }
+
+        const requester = await getRequester(req);
+        let query = supabase
+            .from('stories')
+            .select('id, story_title, language, vocabulary_list')
+            .or(ownerFilter(requester))
+            .eq('moderation_status', 'approved');
+
+        if (req.query.story_id) {
+            query = query.eq('id', req.query.story_id);
+        }
+        if (req.query.subject) {
+            query = query.eq('subject', req.query.subject);
+        }
+        if (req.query.language) {
+            query = query.eq('language', req.query.language);
+        }
+        if (req.query.tag) {
+            query = query.contains('tags', [String(req.query.tag).toLowerCase()]);
+        }
+
+        const { data: stories, error: storiesError } = await query
+            .order('created_at', { ascending: true })
+            .limit(1000);
+
+        if (storiesError) {
+            logger.error('Supabase query error:', storiesError);
+            throw new AppError('Failed to fetch stories', 500, storiesError.message);
+        }
+        if (req.query.story_id && stories.length === 0) {
+            throw new AppError('Story not found', 404);
+        }
+
+        let chapters = [];
+        if (stories.length > 0) {
+            const { data, error } = await supabase
+                .from('story_continuations')
+                .select('story_id, chapter_number, language, vocabulary_list')
+                .in('story_id', stories.map(story => story.id))
+                .eq('moderation_status', 'approved')
+                .order('chapter_number', { ascending: true });
+
+            if (error) {
+                logger.error('Supabase query error:', error);
+                throw new AppError('Failed to fetch story chapters', 500, error.message);
+            }
+            chapters = data;
+        }
+
+        const name = req.query.story_id ? `${stories[0].story_title || 'story'} vocabulary` : 'vocabulary';
+        res.attachment(exportFilename(name, format.extension));
+        res.set('Content-Type', format.contentType);
+        res.send(format.render(vocabularyRows(stories, chapters)));
+    } catch (error) {
+        logger.error('Error exporting vocabulary:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Record a flashcard review and schedule the next one.
+// Body: { rating: 'again' | 'hard' | 'good' | 'easy' }
+app.post('/vocabulary/:id/review', readLimiter, async (req, res) => {
+    try {
+        if (!UUID_PATTERN.test(req.params.id)) {
+            throw new AppError('Invalid card ID', 400);
+        }
+
+        const { rating } = req.body || {};
+        if (!Object.prototype.hasOwnProperty.call(REVIEW_RATINGS, rating)) {
+            throw new AppError('Invalid review', 400, {
+                fields: [{ field: 'rating', message: `must be one of ${Object.keys(REVIEW_RATINGS).join(', ')}` }]
+            });
+        }
+
+        const requester = await getRequester(req);
+
+        const { data: card, error: findError } = await supabase
+            .from('vocabulary_cards')
+            .select('*')
+            .eq('id', req.params.id)
+            .maybeSingle();
+
+        if (findError) {
+            logger.error('Supabase query error:', findError);
+            throw new AppError('Failed to fetch vocabulary card', 500, findError.message);
+        }
+        if (!card) {
+            throw new AppError('Card not found', 404);
+        }
+        if (!ownsRecord(requester, card)) {
+            throw new AppError('Unauthorized access to this card', 403);
+        }
+
+        const { data: updated, error } = await supabase
+            .from('vocabulary_cards')
+            .update({ ...scheduleReview(card, rating), updated_at: new Date().toISOString() })
+            .eq('id', card.id)
+            .select()
+            .single();
+
+        if (error) {
+            logger.error('Supabase update error:', error);
+            throw new AppError('Failed to save review', 500, error.message);
+        }
+
+        res.json(updated);
+    } catch (error) {
+        logger.error('Error reviewing vocabulary card:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Classrooms can only be created and managed from a teacher account
+function requireTeacher(requester) {
+    if (!requester.userId) {
+        throw new AppError('Sign in to manage classrooms', 403);
+    }
+}
+
+// A short display text from a request body, e.g. a classroom or student name
+function validateName(value, field, maxLength) {
+    if (typeof value !== 'string' || !value.trim() || value.length > maxLength) {
+        throw new AppError(`Invalid ${field.replace('_', ' ')}`, 400, {
+            fields: [{ field, message: `must be a non-empty string of at most ${maxLength} characters` }]
+        });
+    }
+    return sanitizeInput(value);
+}
+
+// An optional due date from a request body; null clears it
+function validateDueAt(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+        throw new AppError('Invalid due date', 400, {
+            fields: [{ field: 'due_at', message: 'must be an ISO 8601 timestamp' }]
+        });
+    }
+    return new Date(value).toISOString();
+}
+
+// Load a classroom and work out whether the requester teaches it or is one of
+// its students. Resolves to { classroom, role, membership }.
+async function findClassroom(req, classroomId) {
+    if (!UUID_PATTERN.test(classroomId)) {
+        throw new AppError('Invalid classroom ID', 400);
+    }
+
+    const requester = await getRequester(req);
+
+    const { data: classroom, error } = await supabase
+        .from('classrooms')
+        .select('*')
+        .eq('id', classroomId)
+        .maybeSingle();
+
+    if (error) {
+        logger.error('Supabase query error:', error);
+        throw new AppError('Failed to fetch classroom', 500, error.message);
+    }
+    if (!classroom) {
+        throw new AppError('Classroom not found', 404);
+    }
+    if (requester.userId && classroom.teacher_id === requester.userId) {
+        return { classroom, role: 'teacher', membership: null };
+    }
+
+    const { data: membership, error: memberError } = await supabase
+        .from('classroom_members')
+        .select('*')
+        .eq('classroom_id', classroom.id)
+        .or(ownerFilter(requester))
+        .limit(1)
+        .maybeSingle();
+
+    if (memberError) {
+        logger.error('Supabase query error:', memberError);
+        throw new AppError('Failed to fetch classroom', 500, memberError.message);
+    }
+    if (!membership) {
+        throw new AppError('You are not a member of this classroom', 403);
+    }
+
+    return { classroom, role: 'student', membership };
+}
+
+// A classroom's students. Their identities are only for matching reads and
+// attempts: a student's anonymous ID is all it takes to act as them, so
+// responses list students with rosterOf().
+async function fetchMembers(classroomId) {
+    const { data: members, error } = await supabase
+        .from('classroom_members')
+        .select('id, display_name, joined_at, user_id, is_anonymous')
+        .eq('classroom_id', classroomId)
+        .order('display_name', { ascending: true });
+
+    if (error) {
+        logger.error('Supabase query error:', error);
+        throw new AppError('Failed to fetch classroom roster', 500, error.message);
+    }
+
+    return members;
+}
+
+// Stories and chapters by a classroom's students that are held for the
+// teacher to review, newest first, named by the student's roster name
+async function fetchHeldContent(members) {
+    if (members.length === 0) {
+        return [];
+    }
+
+    const authors = members
+        .map(member => ownerFilter(member.is_anonymous ? { anonymousId: member.user_id } : { userId: member.user_id }))
+        .join(',');
+    const [stories, chapters] = await Promise.all([
+        supabase
+            .from('stories')
+            .select('id, story_title, user_id, is_anonymous, created_at')
+            .eq('moderation_status', 'held')
+            .or(authors),
+        supabase
+            .from('story_continuations')
+            .select('story_id, chapter_number, user_id, is_anonymous, created_at, story:stories(story_title)')
+            .eq('moderation_status', 'held')
+            .or(authors)
+    ]);
+    const error = stories.error || chapters.error;
+    if (error) {
+        logger.error('Supabase query error:', error);
+        throw new AppError('Failed to fetch content held for review', 500, error.message);
+    }
+
+    const names = new Map(members.map(member => [identityKey(member), member.display_name]));
+    return [
+        ...stories.data.map(story => ({ ...story, story_id: story.id, chapter_number: null })),
+        ...chapters.data.map(chapter => ({ ...chapter, story_title: chapter.story?.story_title }))
+    ]
+        .map(record => ({
+            story_id: record.story_id,
+            story_title: record.story_title || 'Untitled Story',
+            chapter_number: record.chapter_number,
+            display_name: names.get(identityKey(record)),
+            created_at: record.created_at
+        }))
+        .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+}
+
+function rosterOf(members) {
+    return members.map(({ id, display_name, joined_at }) => ({ id, display_name, joined_at }));
+}
+
+async function findAssignment(classroomId, assignmentId) {
+    if (!UUID_PATTERN.test(assignmentId)) {
+        throw new AppError('Invalid assignment ID', 400);
+    }
+
+    const { data: assignment, error } = await supabase
+        .from('classroom_assignments')
+        .select('*')
+        .eq('id', assignmentId)
+        .eq('classroom_id', classroomId)
+        .maybeSingle();
+
+    if (error) {
+        logger.error('Supabase query error:', error);
+        throw new AppError('Failed to fetch assignment', 500, error.message);
+    }
+    if (!assignment) {
+        throw new AppError('Assignment not found', 404);
+    }
+
+    return assignment;
+}
+
+// Reads of some assignments and attempts at their stories' own quizzes,
+// limited to one student's identities when `requester` is given
+async function fetchAssignmentActivity(assignments, requester = null) {
+    if (assignments.length === 0) {
+        return { reads: [], attempts: [] };
+    }
+
+    let readsQuery = supabase
+        .from('assignment_reads')
+        .select('assignment_id, user_id, is_anonymous, read_at')
+        .in('assignment_id', assignments.map(assignment => assignment.id));
+    let attemptsQuery = supabase
+        .from('quiz_attempts')
+        .select('story_id, user_id, is_anonymous, score, created_at')
+        .in('story_id', [...new Set(assignments.map(assignment => assignment.story_id))])
+        .eq('chapter_number', 1);
+
+    if (requester) {
+        readsQuery = readsQuery.or(ownerFilter(requester));
+        attemptsQuery = attemptsQuery.or(ownerFilter(requester));
+    }
+
+    const [reads, attempts] = await Promise.all([readsQuery, attemptsQuery]);
+    const error = reads.error || attempts.error;
+    if (error) {
+        logger.error('Supabase query error:', error);
+        throw new AppError('Failed to fetch assignment progress', 500, error.message);
+    }
+
+    return { reads: reads.data, attempts: attempts.data };
+}
+
+function progressOf(assignment, members, activity) {
+    return assignmentProgress(
+        assignment,
+        members,
+        activity.reads.filter(read => read.assignment_id === assignment.id),
+        activity.attempts.filter(attempt => attempt.story_id === assignment.story_id)
+    );
+}
+
+// Create a classroom. Body: { name }
+app.post('/classrooms', apiLimiter, async (req, res) => {
+    try {
+        const requester = await getRequester(req);
+        requireTeacher(requester);
+        const name = validateName((req.body || {}).name, 'name', 100);
+
+        // Join codes are random; retry on the rare collision
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const { data: classroom, error } = await supabase
+                .from('classrooms')
+                .insert({ teacher_id: requester.userId, name, join_code: generateJoinCode() })
+                .select()
+                .single();
+
+            if (error?.code === '23505') {
+                continue;
+            }
+            if (error) {
+                logger.error('Supabase insert error:', error);
+                throw new AppError('Failed to create classroom', 500, error.message);
+            }
+
+            logger.info(`Classroom created: ${classroom.id}`);
+            return res.status(201).json(classroom);
+        }
+
+        throw new AppError('Failed to create classroom: could not generate a unique join code', 500);
+    } catch (error) {
+        logger.error('Error creating classroom:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Classrooms the requester teaches (with roster sizes) and is a student in
+app.get('/classrooms', readLimiter, async (req, res) => {
+    try {
+        const requester = await getRequester(req);
+
+        let teaching = [];
+        if (requester.userId) {
+            const { data, error } = await supabase
+                .from('classrooms')
+                .select('*, classroom_members(count)')
+                .eq('teacher_id', requester.userId)
+                .order('created_at', { ascending: false });
+
+            if (error) {
+                logger.error('Supabase query error:', error);
+                throw new AppError('Failed to fetch classrooms', 500, error.message);
+            }
+            teaching = data.map(({ classroom_members: members, ...classroom }) => ({
+                ...classroom,
+                member_count: members?.[0]?.count || 0
+            }));
+        }
+
+        const { data: memberships, error } = await supabase
+            .from('classroom_members')
+            .select('id, display_name, joined_at, classroom:classrooms(id, name)')
+            .or(ownerFilter(requester))
+            .order('joined_at', { ascending: false });
+
+        if (error) {
+            logger.error('Supabase query error:', error);
+            throw new AppError('Failed to fetch classrooms', 500, error.message);
+        }
+
+        res.json({
+            teaching,
+            enrolled: memberships
+                .filter(membership => membership.classroom)
+                .map(({ classroom, ...membership }) => ({ ...classroom, membership }))
+        });
+    } catch (error) {
+        logger.error('Error listing classrooms:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Join a classroom with its code. Body: { code, display_name }. The code is
+// checked and the membership added by join_classroom() in setup.sql, the same
+// function clients talking to Supabase directly use.
+app.post('/classrooms/join', apiLimiter, async (req, res) => {
+    try {
+        const requester = await getRequester(req);
+        const body = req.body || {};
+        if (typeof body.code !== 'string' || !body.code.trim()) {
+            throw new AppError('Invalid join code', 400, {
+                fields: [{ field: 'code', message: 'must be the 8-character code your teacher gave you' }]
+            });
+        }
+        const displayName = validateName(body.display_name, 'display_name', 60);
+        const owner = requesterOwner(requester);
+
+        const { data: membership, error } = await adminClient().rpc('join_classroom', {
+            code: body.code,
+            member_name: displayName,
+            member_id: owner.user_id,
+            member_is_anonymous: owner.is_anonymous
+        });
+
+        if (error?.code === 'P0002') {
+            throw new AppError('No classroom has that join code', 404);
+        }
+        if (error?.code === '23514') {
+            throw new AppError('You teach this classroom', 409);
+        }
+        if (error?.code === '23505') {
+            throw new AppError('You have already joined this classroom', 409);
+        }
+        if (error) {
+            logger.error('Supabase query error:', error);
+            throw new AppError('Failed to join classroom', 500, error.message);
+        }
+
+        const { data: classroom, error: classroomError } = await supabase
+            .from('classrooms')
+            .select('id, name')
+            .eq('id', membership.classroom_id)
+            .single();
+
+        if (classroomError) {
+            logger.error('Supabase query error:', classroomError);
+            throw new AppError('Failed to join classroom', 500, classroomError.message);
+        }
+
+        logger.info(`Student joined classroom ${classroom.id}`, { memberId: membership.id });
+        res.status(201).json({ id: classroom.id, name: classroom.name, membership });
+    } catch (error) {
+        logger.error('Error joining classroom:', error);
+        handleError(error, req, res);
+    }
+});
+
+// A classroom with its assignments. Teachers also get the join code, roster
+// and how many students have read and completed each assignment; students get
+// their own progress on each.
+app.get('/classrooms/:id', readLimiter, async (req, res) => {
+    try {
+        const { classroom, role, membership } = await findClassroom(req, req.params.id);
+
+        const { data: assignments, error } = await supabase
+            .from('classroom_assignments')
+            .select('*, story:stories(id, story_title, subject, academic_grade, language)')
+            .eq('classroom_id', classroom.id)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            logger.error('Supabase query error:', error);
+            throw new AppError('Failed to fetch assignments', 500, error.message);
         }
-        
-        // Check if this is an anonymous user ID
-        const isAnonymous = userId.startsWith('anon-');
-        
-        // If it's an authenticated user ID, verify token unless in development
-        if (!isAnonymous && process.env.NODE_ENV !== 'development') {
-            const authHeader = req.headers.authorization;
-            if (!authHeader) {
-                return res.status(401).json({ error: 'Authentication required for user stories' });
-            }
-            
-            const token = authHeader.split(' ')[1];
-            const { data: { user }, error } = await supabase.auth.getUser(token);
-            
-            if (error || !user) {
-                return res.status(401).json({ error: 'Invalid authentication' });
-            }
-            
-            // Verify the user is requesting their own stories
-            if (user.id !== userId) {
-                return res.status(403).json({ error: 'Unauthorized access to other user stories' });
-            }
+
+        if (role === 'teacher') {
+            const members = await fetchMembers(classroom.id);
+            const activity = await fetchAssignmentActivity(assignments);
+            return res.json({
+                ...classroom,
+                role,
+                members: rosterOf(members),
+                held: await fetchHeldContent(members),
+                assignments: assignments.map(assignment => ({
+                    ...assignment,
+                    progress: progressSummary(progressOf(assignment, members, activity))
+                }))
+            });
         }
-        
-        logger.info(`Fetching stories for ${isAnonymous ? 'anonymous' : 'authenticated'} user: ${userId}`);
-        
-        // Query stories based on user_id
-        let query = supabase
-            .from('stories')
-            .select('*')
-            .eq('user_id', userId);
-            
-        // If anonymous, add additional filter
-        if (isAnonymous) {
-            query = query.eq('is_anonymous', true);
+
+        const { join_code: joinCode, ...details } = classroom;
+        const activity = await fetchAssignmentActivity(assignments, req.requester);
+        res.json({
+            ...details,
+            role,
+            membership,
+            assignments: assignments.map(assignment => ({
+                ...assignment,
+                my_progress: progressOf(assignment, [membership], activity)[0]
+            }))
+        });
+    } catch (error) {
+        logger.error('Error fetching classroom:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Delete a classroom, with its roster and assignments
+app.delete('/classrooms/:id', apiLimiter, async (req, res) => {
+    try {
+        const { classroom, role } = await findClassroom(req, req.params.id);
+        if (role !== 'teacher') {
+            throw new AppError('Only the teacher can delete this classroom', 403);
         }
-        
-        const { data: stories, error } = await query.order('created_at', { ascending: false });
+
+        const { error } = await supabase
+            .from('classrooms')
+            .delete()
+            .eq('id', classroom.id);
+
+        if (error) {
+            logger.error('Supabase delete error:', error);
+            throw new AppError('Failed to delete classroom', 500, error.message);
+        }
+
+        logger.info(`Classroom deleted: ${classroom.id}`);
+        res.json({ success: true, id: classroom.id });
+    } catch (error) {
+        logger.error('Error deleting classroom:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Remove a student from a classroom: the teacher can remove anyone, a student
+// only themselves
+app.delete('/classrooms/:id/members/:memberId', apiLimiter, async (req, res) => {
+    try {
+        const { classroom, role, membership } = await findClassroom(req, req.params.id);
+        if (role !== 'teacher' && membership.id !== req.params.memberId) {
+            throw new AppError('Only the teacher can remove other students', 403);
+        }
+
+        const { data: removed, error } = await supabase
+            .from('classroom_members')
+            .delete()
+            .eq('id', req.params.memberId)
+            .eq('classroom_id', classroom.id)
+            .select('id');
+
+        if (error) {
+            logger.error('Supabase delete error:', error);
+            throw new AppError('Failed to remove student', 500, error.message);
+        }
+        if (removed.length === 0) {
+            throw new AppError('Student not found', 404);
+        }
+
+        res.json({ success: true, id: req.params.memberId });
+    } catch (error) {
+        logger.error('Error removing classroom member:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Assign one of the teacher's saved stories. Body: { story_id, due_at? }
+app.post('/classrooms/:id/assignments', apiLimiter, async (req, res) => {
+    try {
+        const { classroom, role } = await findClassroom(req, req.params.id);
+        if (role !== 'teacher') {
+            throw new AppError('Only the teacher can assign stories', 403);
+        }
+
+        const body = req.body || {};
+        const dueAt = validateDueAt(body.due_at);
+        const story = await findOwnedStory(req, String(body.story_id || ''));
+        if (story.moderation_status !== 'approved') {
+            throw new AppError('Only approved stories can be assigned', 409);
+        }
+
+        const { data: assignment, error } = await supabase
+            .from('classroom_assignments')
+            .insert({ classroom_id: classroom.id, story_id: story.id, due_at: dueAt })
+            .select()
+            .single();
+
+        if (error?.code === '23505') {
+            throw new AppError('This story is already assigned to the classroom', 409);
+        }
+        if (error) {
+            logger.error('Supabase insert error:', error);
+            throw new AppError('Failed to assign story', 500, error.message);
+        }
+
+        logger.info(`Story ${story.id} assigned to classroom ${classroom.id}`);
+        res.status(201).json(assignment);
+    } catch (error) {
+        logger.error('Error assigning story:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Change an assignment's due date. Body: { due_at } (null clears it)
+app.patch('/classrooms/:id/assignments/:assignmentId', apiLimiter, async (req, res) => {
+    try {
+        const { classroom, role } = await findClassroom(req, req.params.id);
+        if (role !== 'teacher') {
+            throw new AppError('Only the teacher can change assignments', 403);
+        }
+
+        const dueAt = validateDueAt((req.body || {}).due_at);
+        const assignment = await findAssignment(classroom.id, req.params.assignmentId);
+
+        const { data: updated, error } = await supabase
+            .from('classroom_assignments')
+            .update({ due_at: dueAt })
+            .eq('id', assignment.id)
+            .select()
+            .single();
+
+        if (error) {
+            logger.error('Supabase update error:', error);
+            throw new AppError('Failed to update assignment', 500, error.message);
+        }
+
+        res.json(updated);
+    } catch (error) {
+        logger.error('Error updating assignment:', error);
+        handleError(error, req, res);
+    }
+});
+
+app.delete('/classrooms/:id/assignments/:assignmentId', apiLimiter, async (req, res) => {
+    try {
+        const { classroom, role } = await findClassroom(req, req.params.id);
+        if (role !== 'teacher') {
+            throw new AppError('Only the teacher can remove assignments', 403);
+        }
+
+        const assignment = await findAssignment(classroom.id, req.params.assignmentId);
+
+        const { error } = await supabase
+            .from('classroom_assignments')
+            .delete()
+            .eq('id', assignment.id);
+
+        if (error) {
+            logger.error('Supabase delete error:', error);
+            throw new AppError('Failed to remove assignment', 500, error.message);
+        }
+
+        res.json({ success: true, id: assignment.id });
+    } catch (error) {
+        logger.error('Error removing assignment:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Each student's progress on an assignment: not_started, read or completed,
+// with their best quiz score and whether they were late
+app.get('/classrooms/:id/assignments/:assignmentId/progress', readLimiter, async (req, res) => {
+    try {
+        const { classroom, role } = await findClassroom(req, req.params.id);
+        if (role !== 'teacher') {
+            throw new AppError('Only the teacher can see class progress', 403);
+        }
+
+        const assignment = await findAssignment(classroom.id, req.params.assignmentId);
+        const members = await fetchMembers(classroom.id);
+        const activity = await fetchAssignmentActivity([assignment]);
+
+        res.json(progressOf(assignment, members, activity));
+    } catch (error) {
+        logger.error('Error fetching assignment progress:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Record that a student opened an assignment; only the first read is kept
+app.post('/classrooms/:id/assignments/:assignmentId/read', apiLimiter, async (req, res) => {
+    try {
+        const { classroom, role, membership } = await findClassroom(req, req.params.id);
+        if (role !== 'student') {
+            throw new AppError('Only students record reads', 409);
+        }
+
+        const assignment = await findAssignment(classroom.id, req.params.assignmentId);
+
+        const { error } = await supabase
+            .from('assignment_reads')
+            .upsert({
+                assignment_id: assignment.id,
+                user_id: membership.user_id,
+                is_anonymous: membership.is_anonymous
+            }, { onConflict: 'assignment_id,user_id,is_anonymous', ignoreDuplicates: true });
+
+        if (error) {
+            logger.error('Supabase upsert error:', error);
+            throw new AppError('Failed to record read', 500, error.message);
+        }
+
+        res.json({ success: true, assignment_id: assignment.id });
+    } catch (error) {
+        logger.error('Error recording assignment read:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Share tokens are 24 random bytes, base64url-encoded
+const SHARE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+// Columns of a share link returned to its owner
+const SHARE_COLUMNS = 'id, story_id, token, expires_at, revoked_at, created_at';
+
+// An optional expiry for a share link; it must be in the future, null never expires
+function validateExpiresAt(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (typeof value !== 'string' || Number.isNaN(Date.parse(value)) || Date.parse(value) <= Date.now()) {
+        throw new AppError('Invalid expiry', 400, {
+            fields: [{ field: 'expires_at', message: 'must be an ISO 8601 timestamp in the future' }]
+        });
+    }
+    return new Date(value).toISOString();
+}
+
+async function findShare(storyId, shareId) {
+    if (!UUID_PATTERN.test(shareId)) {
+        throw new AppError('Invalid share ID', 400);
+    }
+
+    const { data: share, error } = await supabase
+        .from('story_shares')
+        .select(SHARE_COLUMNS)
+        .eq('id', shareId)
+        .eq('story_id', storyId)
+        .is('revoked_at', null)
+        .maybeSingle();
+
+    if (error) {
+        logger.error('Supabase query error:', error);
+        throw new AppError('Failed to fetch share link', 500, error.message);
+    }
+    if (!share) {
+        throw new AppError('Share link not found', 404);
+    }
+
+    return share;
+}
+
+// Create a public read-only link to a story. Body: { expires_at? }
+app.post('/stories/:id/shares', apiLimiter, async (req, res) => {
+    try {
+        const story = await findOwnedStory(req, req.params.id);
+        if (story.moderation_status !== 'approved') {
+            throw new AppError('Only approved stories can be shared', 409);
+        }
+        const expiresAt = validateExpiresAt((req.body || {}).expires_at);
+
+        const { data: share, error } = await supabase
+            .from('story_shares')
+            .insert({
+                story_id: story.id,
+                token: crypto.randomBytes(24).toString('base64url'),
+                expires_at: expiresAt,
+                ...requesterOwner(req.requester)
+            })
+            .select(SHARE_COLUMNS)
+            .single();
+
+        if (error) {
+            logger.error('Supabase insert error:', error);
+            throw new AppError('Failed to create share link', 500, error.message);
+        }
+
+        logger.info(`Share link created for story ${story.id}`, { shareId: share.id });
+        res.status(201).json(share);
+    } catch (error) {
+        logger.error('Error creating share link:', error);
+        handleError(error, req, res);
+    }
+});
+
+// A story's share links that haven't been revoked, newest first. Expired
+// links are included so the owner can extend them.
+app.get('/stories/:id/shares', readLimiter, async (req, res) => {
+    try {
+        const story = await findOwnedStory(req, req.params.id);
+
+        const { data: shares, error } = await supabase
+            .from('story_shares')
+            .select(SHARE_COLUMNS)
+            .eq('story_id', story.id)
+            .is('revoked_at', null)
+            .order('created_at', { ascending: false });
 
         if (error) {
             logger.error('Supabase query error:', error);
-            throw new AppError('Failed to fetch stories', 500, error.message);
+            throw new AppError('Failed to fetch share links', 500, error.message);
         }
 
-        res.json(stories);
+        res.json(shares);
     } catch (error) {
-        logger.error('Error fetching user stories:', error);
+        logger.error('Error listing share links:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Change when a share link expires. Body: { expires_at } (null never expires)
+app.patch('/stories/:id/shares/:shareId', apiLimiter, async (req, res) => {
+    try {
+        const story = await findOwnedStory(req, req.params.id);
+        const expiresAt = validateExpiresAt((req.body || {}).expires_at);
+        const share = await findShare(story.id, req.params.shareId);
+
+        const { data: updated, error } = await supabase
+            .from('story_shares')
+            .update({ expires_at: expiresAt })
+            .eq('id', share.id)
+            .select(SHARE_COLUMNS)
+            .single();
+
+        if (error) {
+            logger.error('Supabase update error:', error);
+            throw new AppError('Failed to update share link', 500, error.message);
+        }
+
+        res.json(updated);
+    } catch (error) {
+        logger.error('Error updating share link:', error);
+        handleError(error, req, res);
+    }
+});
+
+// Revoke a share link. The row is kept, so the token is never reissued.
+app.delete('/stories/:id/shares/:shareId', apiLimiter, async (req, res) => {
+    try {
+        const story = await findOwnedStory(req, req.params.id);
+        const share = await findShare(story.id, req.params.shareId);
+
+        const { error } = await supabase
+            .from('story_shares')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', share.id);
+
+        if (error) {
+            logger.error('Supabase update error:', error);
+            throw new AppError('Failed to revoke share link', 500, error.message);
+        }
+
+        logger.info(`Share link revoked for story ${story.id}`, { shareId: share.id });
+        res.json({ success: true, id: share.id });
+    } catch (error) {
+        logger.error('Error revoking share link:', error);
+        handleError(error, req, res);
+    }
+});
+
+// A shared story, for anyone with the link; no session or anonymous ID needed.
+// Unknown, revoked and expired tokens all look the same.
+app.get('/shared/:token', readLimiter, async (req, res) => {
+    try {
+        if (!SHARE_TOKEN_PATTERN.test(req.params.token)) {
+            throw new AppError('This share link does not exist, has expired or was revoked', 404);
+        }
+
+        const { data: story, error } = await supabase.rpc('get_shared_story', { share_token: req.params.token });
+
+        if (error) {
+            logger.error('Supabase query error:', error);
+            throw new AppError('Failed to fetch shared story', 500, error.message);
+        }
+        if (!story) {
+            throw new AppError('This share link does not exist, has expired or was revoked', 404);
+        }
+
+        // A revoked link must stop working straight away
+        res.set('Cache-Control', 'no-store');
+        res.json(story);
+    } catch (error) {
+        logger.error('Error fetching shared story:', error);
         handleError(error, req, res);
     }
 });
 
-// Story continuation endpoint
+// The page that renders a shared story
+app.get('/s/:token', readLimiter, (req, res) => {
+    res.set('X-Robots-Tag', 'noindex');
+    res.sendFile(path.join(__dirname, 'public', 'shared.html'));
+});
+
+// What a quiz question asks. Sequencing and matching questions share generic
+// instructions ("Put these events in order"), so their items tell them apart.
+function questionText(item) {
+    if (item.type === 'sequencing') return `${item.question} ${(item.items || []).join(' / ')}`;
+    if (item.type === 'matching') return `${item.question} ${(item.pairs || []).map(pair => pair.term).join(' / ')}`;
+    return item.question;
+}
+
+// Vocabulary words and quiz questions already used by a story and its chapters
+function collectUsedMaterials(parent, chapters, extra = {}) {
+    const sources = parent ? [
+        { vocabulary: parent.vocabulary_list, quiz: parent.quiz_questions },
+        ...chapters.map(chapter => ({ vocabulary: chapter.vocabulary_list, quiz: chapter.quiz_questions }))
+    ] : [];
+
+    const listFrom = (value) => (Array.isArray(value) ? value.slice(0, 200).map(String) : []);
+    const words = new Set(listFrom(extra.previous_vocabulary));
+    const questions = new Set(listFrom(extra.previous_questions));
+    sources.forEach(source => {
+        (source.vocabulary || []).forEach(item => item?.word && words.add(item.word));
+        (source.quiz || []).forEach(item => item?.question && questions.add(questionText(item)));
+    });
+
+    return { words: [...words], questions: [...questions] };
+}
+
+// Case, accent and punctuation-insensitive key for spotting repeats
+const repeatKey = (text) => String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+// Generate objectives, vocabulary, quiz and summary for one chapter, leaving out
+// anything earlier chapters already covered
+async function generateChapterMaterials(context, chapterText, used) {
+    try {
+        const { messages } = prompts.render('chapter_materials', {
+            academic_grade: context.academic_grade || 'the same',
+            subject: context.subject || 'the story topic',
+            language: context.language,
+            chapter_text: chapterText,
+            previous_vocabulary: used.words.length ? used.words.join(', ') : '(none)',
+            previous_questions: used.questions.length ? used.questions.map(q => `- ${q}`).join('\n') : '(none)',
+            quiz_format: quizFormat(context.quiz_types || DEFAULT_QUIZ_TYPES)
+        }, {
+            language: context.language,
+            grade: context.academic_grade
+        });
+
+        const { value } = await completeStructured({
+            task: 'chapter_materials',
+            messages,
+            temperature: 0.5,
+            maxTokens: 2000
+        }, materialsSchema, 'chapter materials');
+
+        // The prompt asks for no repeats; enforce it in case the model ignores that
+        const usedWords = new Set(used.words.map(repeatKey));
+        const usedQuestions = new Set(used.questions.map(repeatKey));
+        const vocabulary = value.vocabulary.filter(item => !usedWords.has(repeatKey(item.word)));
+        const quiz = value.quiz.filter(item => !usedQuestions.has(repeatKey(questionText(item))));
+
+        const dropped = (value.vocabulary.length - vocabulary.length) + (value.quiz.length - quiz.length);
+        if (dropped > 0) {
+            logger.warn(`Dropped ${dropped} repeated vocabulary words or quiz questions from chapter materials`);
+        }
+        if (quiz.length === 0) {
+            throw new AppError('Chapter quiz only repeated earlier questions', 502);
+        }
+
+        return { ...value, vocabulary, quiz };
+    } catch (error) {
+        logger.error('Error generating chapter materials:', error);
+        throw toGenerationError(error, 'Failed to generate chapter materials');
+    }
+}
+
+// Story continuation endpoint.
+// With `story_id`, the whole chapter chain is continued and the new chapter is
+// saved to that story; with only `original_story` text, nothing is saved.
+// `generate_materials: true` adds objectives, vocabulary, quiz and summary for
+// the new chapter (unsaved stories can pass previous_vocabulary/previous_questions
+// to avoid repeats).
 app.post('/continue-story', apiLimiter, async (req, res) => {
     try {
         const inputs = req.body;
         logger.info('Received story continuation request:', {
+            story_id: inputs.story_id,
             word_count: inputs.word_count,
             language: inputs.language,
             is_continuation: inputs.is_continuation
         });
 
-        // Validate inputs
-        if (!inputs.original_story) {
+        // Validate inputs; the text of an unsaved story is screened like the
+        // other free text, since it goes into the prompt too
+        checkFreeTextInputs(inputs, inputs.story_id ? ['continuation_prompt'] : ['continuation_prompt', 'original_story']);
+        const promptVersion = parsePromptVersion(inputs.prompt_version, ['continuation']);
+        if (promptVersion === null) {
+            throw new AppError('Invalid prompt version', 400, {
+                fields: [{ field: 'prompt_version', message: 'must be a continuation prompt version that delimits user input' }]
+            });
+        }
+        const requester = await getRequester(req);
+        let parent = null;
+        let chapters = [];
+        if (inputs.story_id) {
+            parent = await findOwnedStory(req, inputs.story_id);
+            if (parent.moderation_status && parent.moderation_status !== 'approved') {
+                throw new AppError('This story is awaiting teacher review and cannot be continued yet', 409);
+            }
+            // Rejected chapters are left out of the story the model continues
+            chapters = (await fetchChapters(parent.id)).filter(chapter => chapter.moderation_status !== 'rejected');
+        } else if (!inputs.original_story) {
             logger.error('Missing original_story in continuation request');
-            throw new AppError('Original story content is required', 400);
+            throw new AppError('Original story content or story_id is required', 400);
         }
 
-        // Continue story using OpenRouter
-        const prompt = `
-        Continue the following story. Make it engaging and educational.
-        Original story: ${inputs.original_story}
-        
-        Continuation prompt: ${inputs.continuation_prompt || 'Continue the story'}
-        
-        Word count: approximately ${inputs.word_count || 300} words.
-        `;
+        // The model sees every chapter written so far, without anything that
+        // could close the <story> tag it is quoted in
+        const storySoFar = stripDelimiters(parent
+            ? [parent.story_text, ...chapters.map(chapter => chapter.continuation_text)].join('\n\n')
+            : String(inputs.original_story));
+        const language = inputs.language || parent?.language || 'English';
+        const academicGrade = inputs.academic_grade || parent?.academic_grade;
+        // Chapter quizzes keep the story's mix of question types unless the request picks one
+        const quizTypes = inputs.quiz_types ? parseQuizTypes(inputs.quiz_types) : quizTypesOf(parent?.quiz_questions);
+        if (!quizTypes) {
+            throw new AppError('Invalid quiz types', 400, {
+                fields: [{ field: 'quiz_types', message: 'must be a list of supported question types' }]
+            });
+        }
+        const continuationPrompt = inputs.continuation_prompt || 'Continue the story';
+        const wordCount = parseInt(inputs.word_count, 10) || 300;
+
+        // Continue story using the configured LLM provider
+        const { messages, template } = prompts.render('continuation', {
+            original_story: storySoFar,
+            continuation_prompt: continuationPrompt,
+            word_count: wordCount
+        }, {
+            version: promptVersion,
+            language,
+            grade: academicGrade
+        });
 
-        // Similar structure to generateStoryWithOpenRouter but simplified for continuation
+        let completion;
+        const startedAt = Date.now();
         try {
-            logger.info('Sending continuation request to OpenRouter');
+            logger.info(`Sending continuation request to ${llm.name}`);
             
-            const response = await axios.post('https://openrouter.ai/api/v1/chat/completions', {
-                model: 'openai/gpt-3.5-turbo',
-                messages: [
-                    { role: "system", content: "You are a creative educational story generator." },
-                    { role: "user", content: prompt }
-                ],
+            completion = await llm.complete({
+                task: 'continuation',
+                messages,
                 temperature: 0.7,
-                max_tokens: 1500,
-                top_p: 1,
-                frequency_penalty: 0,
-                presence_penalty: 0
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-                    'Content-Type': 'application/json'
+                maxTokens: 1500,
+                extra: {
+                    top_p: 1,
+                    frequency_penalty: 0,
+                    presence_penalty: 0
                 }
             });
 
-            logger.info('OpenRouter continuation response received');
-            const continuationContent = response.data.choices[0].message.content;
+            logger.info(`${llm.name} continuation response received`);
+        } catch (error) {
+            logger.error(`Error in ${llm.name} continuation request:`, error);
+            throw new AppError('Failed to generate story continuation', 500);
+        }
 
-            // If user is logged in, save continuation to Supabase
-            const authHeader = req.headers.authorization;
-            if (authHeader) {
+        let continuationContent = completion.content;
+
+        // Optional learning materials scoped to the new chapter. A failure here
+        // is reported alongside the chapter rather than losing the chapter.
+        let materials = null;
+        let materialsError = null;
+        const writeMaterials = async () => {
+            if (!inputs.generate_materials) return;
+            try {
+                const used = collectUsedMaterials(parent, chapters, inputs);
+                materials = await generateChapterMaterials({
+                    academic_grade: academicGrade,
+                    subject: inputs.subject || parent?.subject,
+                    language,
+                    quiz_types: quizTypes
+                }, continuationContent, used);
+                materialsError = null;
+            } catch (error) {
+                materials = null;
+                materialsError = error.message || 'Failed to generate chapter materials';
+            }
+        };
+        await writeMaterials();
+
+        const { moderation } = await moderateGenerated({ content: continuationContent, ...materials }, {
+            academic_grade: academicGrade,
+            language
+        }, {
+            content_type: 'chapter',
+            story_id: parent?.id || null,
+            ...(parent ? { user_id: parent.user_id, is_anonymous: parent.is_anonymous } : requesterOwner(requester))
+        }, {
+            template: 'content_safety_text',
+            regenerate: async (feedbackMessages) => {
                 try {
-                    const token = authHeader.split(' ')[1];
-                    logger.info('Auth token received, attempting to identify user for continuation save');
-                    
-                    const { data: { user }, error: userError } = await supabase.auth.getUser(token);
-                    
-                    if (userError) {
-                        logger.error('Error identifying user for continuation:', userError);
-                    } else if (user) {
-                        logger.info(`User identified: ${user.id}, saving continuation to database`);
-                        
-                        const { data, error } = await supabase
-                            .from('story_continuations')
-                            .insert({
-                                user_id: user.id,
-                                original_story: inputs.original_story,
-                                continuation_text: continuationContent,
-                                word_count: inputs.word_count || 300,
-                                language: inputs.language || 'English',
-                                created_at: new Date().toISOString()
-                            })
-                            .select()
-                            .single();
-
-                        if (error) {
-                            logger.error('Error saving continuation to Supabase:', error);
-                        } else {
-                            logger.info('Continuation saved to Supabase successfully:', { continuationId: data.id });
-                        }
-                    } else {
-                        logger.warn('No user found with provided token for continuation');
-                    }
+                    completion = await llm.complete({
+                        task: 'continuation',
+                        messages: [
+                            ...messages,
+                            { role: 'assistant', content: continuationContent },
+                            ...feedbackMessages
+                        ],
+                        temperature: 0.7,
+                        maxTokens: 1500
+                    });
                 } catch (error) {
-                    logger.error('Error handling continuation Supabase save:', error);
+                    logger.error(`Error in ${llm.name} continuation rewrite:`, error);
+                    throw new AppError('Failed to generate story continuation', 500);
                 }
+                continuationContent = completion.content;
+                await writeMaterials();
+                return { content: continuationContent, ...materials };
             }
+        });
+
+        let saveResult = { saved: false };
+        if (parent) {
+            saveResult = await saveChapter(parent, {
+                continuation_text: continuationContent,
+                continuation_prompt: continuationPrompt,
+                word_count: wordCount,
+                language,
+                academic_grade: academicGrade,
+                difficulty: inputs.difficulty || null,
+                model: completion.model,
+                prompt_template: template.name,
+                prompt_version: template.version,
+                prompt_variant: template.variant,
+                learning_objectives: materials?.learning_objectives || null,
+                vocabulary_list: materials?.vocabulary || null,
+                quiz_questions: materials?.quiz || null,
+                chapter_summary: materials?.summary || null,
+                moderation_status: moderation.status,
+                moderation_flags: moderation.flags
+            });
+        }
 
-            const responseObj = {
-                success: true,
-                data: {
-                    continuation: {
-                        content: continuationContent,
-                        original_story: inputs.original_story,
-                        word_count: continuationContent.split(/\s+/).length,
-                        timestamp: new Date().toISOString()
-                    }
+        const continuation = withholdIfHeld({
+            content: continuationContent,
+            ...(materials && {
+                learning_objectives: materials.learning_objectives,
+                vocabulary: materials.vocabulary,
+                quiz: materials.quiz,
+                summary: materials.summary
+            }),
+            moderation
+        });
+
+        const responseObj = {
+            success: true,
+            data: {
+                continuation: {
+                    id: saveResult.chapter?.id || null,
+                    story_id: parent?.id || null,
+                    chapter_number: saveResult.chapter?.chapter_number || null,
+                    original_story: inputs.original_story,
+                    word_count: countWords(continuationContent, language),
+                    requested_word_count: wordCount,
+                    timestamp: new Date().toISOString(),
+                    ...continuation,
+                    ...(materialsError && { materials_error: materialsError })
                 },
-                meta: {
-                    processing_time: `${((Date.now() - new Date(response.data.created * 1000).getTime()) / 1000).toFixed(2)}s`,
-                    model: response.data.model
-                }
-            };
+                saved: saveResult.saved,
+                ...(saveResult.save_error && { save_error: saveResult.save_error })
+            },
+            meta: {
+                processing_time: `${((Date.now() - startedAt) / 1000).toFixed(2)}s`,
+                model: completion.model,
+                prompt: template
+            }
+        };
 
-            res.json(responseObj);
-        } catch (error) {
-            logger.error('Error in OpenRouter continuation request:', error);
-            throw new AppError('Failed to generate story continuation', 500);
-        }
+        res.json(responseObj);
     } catch (error) {
         logger.error('Error in continue-story endpoint:', error);
         handleError(error, req, res);
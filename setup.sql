@@ -1,5 +1,8 @@
--- Drop existing table if needed (uncomment if you want to start fresh)
-DROP TABLE IF EXISTS stories;
+-- Creates the schema of a new database. To upgrade an existing one, apply
+-- the files in supabase/migrations instead.
+-- Drop existing tables if needed (uncomment if you want to start fresh; this deletes every story)
+-- DROP TABLE IF EXISTS stories CASCADE;
+-- DROP TABLE IF EXISTS story_continuations;
 
 -- Enable necessary extensions
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
@@ -152,23 +155,58 @@ CREATE TABLE IF NOT EXISTS stories (
     setting TEXT,
     main_character TEXT,
     word_count INTEGER,
+    actual_word_count INTEGER,
     language TEXT,
     learning_objectives JSONB,
     quiz_questions JSONB,
     vocabulary_list JSONB,
     story_summary TEXT,
     is_continuation BOOLEAN DEFAULT FALSE,
+    tags TEXT[] DEFAULT '{}',
+    model TEXT,
+    prompt_template TEXT,
+    prompt_version INTEGER,
+    prompt_variant TEXT,
+    readability_formula TEXT,
+    readability_score NUMERIC(6,1),
+    estimated_grade NUMERIC(4,1),
+    readability_flagged BOOLEAN DEFAULT FALSE,
+    moderation_status TEXT NOT NULL DEFAULT 'approved'
+        CHECK (moderation_status IN ('approved', 'held', 'rejected')),
+    moderation_flags JSONB DEFAULT '[]',
+    user_supplied BOOLEAN DEFAULT FALSE,
+    reference_sources JSONB,
+    unsupported_claims JSONB DEFAULT '[]',
     created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
 );
 
 -- For existing tables, add the is_anonymous column if it doesn't exist
 ALTER TABLE stories ADD COLUMN IF NOT EXISTS is_anonymous BOOLEAN DEFAULT FALSE;
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS model TEXT;
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS prompt_template TEXT;
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS prompt_version INTEGER;
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS prompt_variant TEXT;
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS actual_word_count INTEGER;
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS readability_formula TEXT;
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS readability_score NUMERIC(6,1);
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS estimated_grade NUMERIC(4,1);
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS readability_flagged BOOLEAN DEFAULT FALSE;
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS moderation_status TEXT NOT NULL DEFAULT 'approved'
+    CHECK (moderation_status IN ('approved', 'held', 'rejected'));
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS moderation_flags JSONB DEFAULT '[]';
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS user_supplied BOOLEAN DEFAULT FALSE;
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS reference_sources JSONB;
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS unsupported_claims JSONB DEFAULT '[]';
 
 -- Create indexes for better query performance
 CREATE INDEX IF NOT EXISTS stories_user_id_idx ON stories(user_id);
 CREATE INDEX IF NOT EXISTS stories_is_anonymous_idx ON stories(is_anonymous);
 CREATE INDEX IF NOT EXISTS stories_created_at_idx ON stories(created_at DESC);
+CREATE INDEX IF NOT EXISTS stories_tags_idx ON stories USING GIN (tags);
+CREATE INDEX IF NOT EXISTS stories_prompt_idx ON stories(prompt_template, prompt_version);
+CREATE INDEX IF NOT EXISTS stories_moderation_status_idx ON stories(moderation_status) WHERE moderation_status <> 'approved';
 
 -- Enable Row Level Security on the stories table
 ALTER TABLE stories ENABLE ROW LEVEL SECURITY;
@@ -184,12 +222,560 @@ CREATE POLICY "Users can insert their own stories"
 
 CREATE POLICY "Users can update their own stories" 
     ON stories FOR UPDATE 
-    USING (user_id = auth.uid()::TEXT);
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
 
 CREATE POLICY "Users can delete their own stories" 
     ON stories FOR DELETE 
     USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
 
+-- Story continuations, stored as ordered chapters of their parent story.
+-- The parent story is chapter 1; continuations are numbered from 2.
+CREATE TABLE IF NOT EXISTS story_continuations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    is_anonymous BOOLEAN DEFAULT FALSE,
+    chapter_number INTEGER NOT NULL CHECK (chapter_number >= 2),
+    continuation_text TEXT NOT NULL,
+    continuation_prompt TEXT,
+    word_count INTEGER,
+    language TEXT,
+    academic_grade TEXT,
+    difficulty TEXT,
+    model TEXT,
+    prompt_template TEXT,
+    prompt_version INTEGER,
+    prompt_variant TEXT,
+    learning_objectives JSONB,
+    vocabulary_list JSONB,
+    quiz_questions JSONB,
+    chapter_summary TEXT,
+    moderation_status TEXT NOT NULL DEFAULT 'approved'
+        CHECK (moderation_status IN ('approved', 'held', 'rejected')),
+    moderation_flags JSONB DEFAULT '[]',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    UNIQUE (story_id, chapter_number)
+);
+
+ALTER TABLE story_continuations ADD COLUMN IF NOT EXISTS moderation_status TEXT NOT NULL DEFAULT 'approved'
+    CHECK (moderation_status IN ('approved', 'held', 'rejected'));
+ALTER TABLE story_continuations ADD COLUMN IF NOT EXISTS moderation_flags JSONB DEFAULT '[]';
+
+CREATE INDEX IF NOT EXISTS story_continuations_user_id_idx ON story_continuations(user_id);
+
+ALTER TABLE story_continuations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own story continuations" 
+    ON story_continuations FOR SELECT 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Users can insert their own story continuations" 
+    ON story_continuations FOR INSERT 
+    WITH CHECK (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Users can delete their own story continuations" 
+    ON story_continuations FOR DELETE 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+-- Held content may only be approved or rejected through the API server
+-- (service role), which checks that the reviewer isn't its author, so no one
+-- can release content through the REST API
+CREATE OR REPLACE FUNCTION protect_moderation_status()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.moderation_status IS DISTINCT FROM OLD.moderation_status
+        AND coalesce(auth.role(), '') <> 'service_role' THEN
+        RAISE EXCEPTION 'Only the API server can change the moderation status';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS stories_protect_moderation_status ON stories;
+CREATE TRIGGER stories_protect_moderation_status
+    BEFORE UPDATE ON stories
+    FOR EACH ROW
+    EXECUTE FUNCTION protect_moderation_status();
+
+DROP TRIGGER IF EXISTS story_continuations_protect_moderation_status ON story_continuations;
+CREATE TRIGGER story_continuations_protect_moderation_status
+    BEFORE UPDATE ON story_continuations
+    FOR EACH ROW
+    EXECUTE FUNCTION protect_moderation_status();
+
+-- Every child-safety moderation decision, automatic or by a reviewer
+CREATE TABLE IF NOT EXISTS moderation_decisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    content_type TEXT NOT NULL CHECK (content_type IN ('story', 'chapter')),
+    decision TEXT NOT NULL
+        CHECK (decision IN ('allow', 'regenerate', 'block', 'hold', 'approve', 'reject')),
+    flags JSONB DEFAULT '[]',
+    user_id TEXT,
+    is_anonymous BOOLEAN DEFAULT FALSE,
+    story_id UUID REFERENCES stories(id) ON DELETE SET NULL,
+    chapter_number INTEGER,
+    job_id UUID,
+    academic_grade TEXT,
+    language TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS moderation_decisions_user_id_idx ON moderation_decisions(user_id);
+CREATE INDEX IF NOT EXISTS moderation_decisions_decision_idx ON moderation_decisions(decision, created_at DESC);
+
+ALTER TABLE moderation_decisions ENABLE ROW LEVEL SECURITY;
+
+-- Written by the API server only; owners can read the decisions about their content
+CREATE POLICY "Users can view moderation decisions about their content" 
+    ON moderation_decisions FOR SELECT 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+-- Background story generation jobs (POST /generate-story with "async": true)
+CREATE TABLE IF NOT EXISTS generation_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id TEXT NOT NULL,
+    is_anonymous BOOLEAN DEFAULT FALSE,
+    status TEXT NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'generating', 'validating', 'saving', 'done', 'failed')),
+    request JSONB NOT NULL,
+    result JSONB,
+    error TEXT,
+    error_details JSONB,
+    story_id UUID REFERENCES stories(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS generation_jobs_user_id_idx ON generation_jobs(user_id);
+CREATE INDEX IF NOT EXISTS generation_jobs_status_idx ON generation_jobs(status);
+
+ALTER TABLE generation_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own generation jobs" 
+    ON generation_jobs FOR SELECT 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Users can insert their own generation jobs" 
+    ON generation_jobs FOR INSERT 
+    WITH CHECK (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Users can update their own generation jobs" 
+    ON generation_jobs FOR UPDATE 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+-- Attempts at a story's quizzes, scored by the API server
+CREATE TABLE IF NOT EXISTS quiz_attempts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+    chapter_number INTEGER NOT NULL DEFAULT 1 CHECK (chapter_number >= 1),
+    user_id TEXT NOT NULL,
+    is_anonymous BOOLEAN DEFAULT FALSE,
+    answers JSONB NOT NULL DEFAULT '[]',
+    correct_count INTEGER NOT NULL,
+    question_count INTEGER NOT NULL,
+    score INTEGER NOT NULL CHECK (score BETWEEN 0 AND 100),
+    time_taken_ms INTEGER CHECK (time_taken_ms >= 0),
+    started_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS quiz_attempts_user_id_idx ON quiz_attempts(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS quiz_attempts_story_id_idx ON quiz_attempts(story_id, chapter_number);
+
+ALTER TABLE quiz_attempts ENABLE ROW LEVEL SECURITY;
+
+-- Attempts are never edited, so there are no update policies
+CREATE POLICY "Users can view their own quiz attempts" 
+    ON quiz_attempts FOR SELECT 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Users can insert their own quiz attempts" 
+    ON quiz_attempts FOR INSERT 
+    WITH CHECK (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+-- Personal vocabulary deck built from the words in a user's stories, with
+-- each card's spaced-repetition state (see utils/vocabularyDeck.js)
+CREATE TABLE IF NOT EXISTS vocabulary_cards (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id TEXT NOT NULL,
+    is_anonymous BOOLEAN DEFAULT FALSE,
+    word TEXT NOT NULL,
+    word_key TEXT NOT NULL,
+    language TEXT NOT NULL DEFAULT '',
+    definition TEXT NOT NULL,
+    example TEXT,
+    part_of_speech TEXT,
+    story_id UUID REFERENCES stories(id) ON DELETE SET NULL,
+    chapter_number INTEGER,
+    ease_factor NUMERIC(4,2) NOT NULL DEFAULT 2.5,
+    interval_days INTEGER NOT NULL DEFAULT 0,
+    repetitions INTEGER NOT NULL DEFAULT 0,
+    lapses INTEGER NOT NULL DEFAULT 0,
+    due_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+    last_reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    UNIQUE (user_id, is_anonymous, language, word_key)
+);
+
+CREATE INDEX IF NOT EXISTS vocabulary_cards_due_idx ON vocabulary_cards(user_id, due_at);
+
+ALTER TABLE vocabulary_cards ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own vocabulary cards" 
+    ON vocabulary_cards FOR SELECT 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Users can insert their own vocabulary cards" 
+    ON vocabulary_cards FOR INSERT 
+    WITH CHECK (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Users can update their own vocabulary cards" 
+    ON vocabulary_cards FOR UPDATE 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Users can delete their own vocabulary cards" 
+    ON vocabulary_cards FOR DELETE 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+-- Classrooms a signed-in teacher creates and students join with join_code
+CREATE TABLE IF NOT EXISTS classrooms (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    teacher_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    join_code TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Students in a classroom, signed in or anonymous
+CREATE TABLE IF NOT EXISTS classroom_members (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    classroom_id UUID NOT NULL REFERENCES classrooms(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    is_anonymous BOOLEAN DEFAULT FALSE,
+    display_name TEXT NOT NULL,
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    UNIQUE (classroom_id, user_id, is_anonymous)
+);
+
+-- Stories assigned to a classroom
+CREATE TABLE IF NOT EXISTS classroom_assignments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    classroom_id UUID NOT NULL REFERENCES classrooms(id) ON DELETE CASCADE,
+    story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+    due_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    UNIQUE (classroom_id, story_id)
+);
+
+-- When each student first opened an assignment
+CREATE TABLE IF NOT EXISTS assignment_reads (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    assignment_id UUID NOT NULL REFERENCES classroom_assignments(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    is_anonymous BOOLEAN DEFAULT FALSE,
+    read_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    UNIQUE (assignment_id, user_id, is_anonymous)
+);
+
+CREATE INDEX IF NOT EXISTS classrooms_teacher_id_idx ON classrooms(teacher_id);
+CREATE INDEX IF NOT EXISTS classroom_members_user_id_idx ON classroom_members(user_id);
+CREATE INDEX IF NOT EXISTS classroom_assignments_story_id_idx ON classroom_assignments(story_id);
+
+-- Membership and ownership checks for the classroom policies. They are
+-- SECURITY DEFINER so the policies on classrooms and classroom_members can
+-- refer to each other without recursing.
+CREATE OR REPLACE FUNCTION is_classroom_member(target UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM classroom_members m
+        WHERE m.classroom_id = target
+            AND (m.user_id = auth.uid()::TEXT OR (m.is_anonymous = true AND m.user_id = current_setting('request.headers')::json->>'x-anonymous-id'))
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION is_classroom_teacher(target UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (SELECT 1 FROM classrooms c WHERE c.id = target AND c.teacher_id = auth.uid()::TEXT);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+ALTER TABLE classrooms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE classroom_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE classroom_assignments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE assignment_reads ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Teachers can manage their own classrooms" 
+    ON classrooms FOR ALL 
+    USING (teacher_id = auth.uid()::TEXT)
+    WITH CHECK (teacher_id = auth.uid()::TEXT);
+
+CREATE POLICY "Students can view classrooms they belong to" 
+    ON classrooms FOR SELECT 
+    USING (is_classroom_member(id));
+
+CREATE POLICY "Students can view their own memberships" 
+    ON classroom_members FOR SELECT 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Students can leave classrooms" 
+    ON classroom_members FOR DELETE 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Teachers can manage their classroom rosters" 
+    ON classroom_members FOR ALL 
+    USING (is_classroom_teacher(classroom_id));
+
+CREATE POLICY "Teachers can manage their classroom assignments" 
+    ON classroom_assignments FOR ALL 
+    USING (is_classroom_teacher(classroom_id))
+    WITH CHECK (is_classroom_teacher(classroom_id) AND EXISTS (
+        SELECT 1 FROM stories s
+        WHERE s.id = classroom_assignments.story_id AND s.user_id = auth.uid()::TEXT AND s.is_anonymous = false
+    ));
+
+CREATE POLICY "Students can view their classroom assignments" 
+    ON classroom_assignments FOR SELECT 
+    USING (is_classroom_member(classroom_id));
+
+CREATE POLICY "Students can view their own assignment reads" 
+    ON assignment_reads FOR SELECT 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Students can record their own assignment reads" 
+    ON assignment_reads FOR INSERT 
+    WITH CHECK (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Teachers can view reads of their assignments" 
+    ON assignment_reads FOR SELECT 
+    USING (EXISTS (
+        SELECT 1 FROM classroom_assignments a
+        WHERE a.id = assignment_reads.assignment_id AND is_classroom_teacher(a.classroom_id)
+    ));
+
+-- Students join with the classroom's join code, so there is no INSERT policy
+-- on classroom_members: this checks the code and adds the caller, signed in
+-- or by the anonymous ID they send, under the name they give. It is the only
+-- way to join: the API server calls it too, as the service role, passing the
+-- identity it has already verified as member_id and member_is_anonymous.
+DROP FUNCTION IF EXISTS join_classroom(TEXT, TEXT);
+CREATE OR REPLACE FUNCTION join_classroom(
+    code TEXT,
+    member_name TEXT,
+    member_id TEXT DEFAULT NULL,
+    member_is_anonymous BOOLEAN DEFAULT NULL
+)
+RETURNS classroom_members AS $$
+DECLARE
+    joining_user TEXT := auth.uid()::TEXT;
+    anonymous_id TEXT := current_setting('request.headers', true)::json->>'x-anonymous-id';
+    target classrooms;
+    joined classroom_members;
+BEGIN
+    IF member_id IS NOT NULL THEN
+        IF coalesce(auth.role(), '') <> 'service_role' THEN
+            RAISE EXCEPTION 'Only the API server can join on behalf of a student' USING ERRCODE = '42501';
+        END IF;
+        joining_user := CASE WHEN member_is_anonymous THEN NULL ELSE member_id END;
+        anonymous_id := CASE WHEN member_is_anonymous THEN member_id END;
+    END IF;
+
+    SELECT * INTO target FROM classrooms WHERE join_code = upper(regexp_replace(code, '[[:space:]-]+', '', 'g'));
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'No classroom has that join code' USING ERRCODE = 'P0002';
+    END IF;
+    IF joining_user IS NULL AND anonymous_id IS NULL THEN
+        RAISE EXCEPTION 'Sign in or send an anonymous ID to join' USING ERRCODE = '28000';
+    END IF;
+    IF target.teacher_id = joining_user THEN
+        RAISE EXCEPTION 'You teach this classroom' USING ERRCODE = '23514';
+    END IF;
+
+    INSERT INTO classroom_members (classroom_id, user_id, is_anonymous, display_name)
+        VALUES (target.id, coalesce(joining_user, anonymous_id), joining_user IS NULL, member_name)
+        RETURNING * INTO joined;
+    RETURN joined;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Students can read approved stories, and their chapters, assigned to their classrooms
+CREATE POLICY "Students can view stories assigned to them" 
+    ON stories FOR SELECT 
+    USING (moderation_status = 'approved' AND EXISTS (
+        SELECT 1 FROM classroom_assignments a
+        WHERE a.story_id = stories.id AND is_classroom_member(a.classroom_id)
+    ));
+
+CREATE POLICY "Students can view chapters of stories assigned to them" 
+    ON story_continuations FOR SELECT 
+    USING (moderation_status = 'approved' AND EXISTS (
+        SELECT 1 FROM classroom_assignments a
+        WHERE a.story_id = story_continuations.story_id AND is_classroom_member(a.classroom_id)
+    ));
+
+-- Teachers see their students' attempts at the quizzes of their stories
+CREATE POLICY "Teachers can view quiz attempts on their stories" 
+    ON quiz_attempts FOR SELECT 
+    USING (EXISTS (
+        SELECT 1 FROM stories s
+        WHERE s.id = quiz_attempts.story_id AND s.is_anonymous = false AND s.user_id = auth.uid()::TEXT
+    ));
+
+-- Read-only links to a story that work without signing in. The token is the
+-- only way in: there is no policy letting the public read shared stories,
+-- they are fetched through get_shared_story() instead.
+CREATE TABLE IF NOT EXISTS story_shares (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+    token TEXT NOT NULL UNIQUE,
+    user_id TEXT NOT NULL,
+    is_anonymous BOOLEAN DEFAULT FALSE,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS story_shares_story_id_idx ON story_shares(story_id);
+
+ALTER TABLE story_shares ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own story shares" 
+    ON story_shares FOR SELECT 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Users can insert their own story shares" 
+    ON story_shares FOR INSERT 
+    WITH CHECK (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Users can update their own story shares" 
+    ON story_shares FOR UPDATE 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+-- The approved story, and its approved chapters, behind a share token that is
+-- neither revoked nor expired; NULL otherwise. Only reader-facing columns are
+-- returned.
+CREATE OR REPLACE FUNCTION get_shared_story(share_token TEXT)
+RETURNS JSONB AS $$
+    SELECT jsonb_build_object(
+        'story_title', s.story_title,
+        'subject', s.subject,
+        'academic_grade', s.academic_grade,
+        'language', s.language,
+        'story_text', s.story_text,
+        'story_summary', s.story_summary,
+        'learning_objectives', s.learning_objectives,
+        'vocabulary_list', s.vocabulary_list,
+        'quiz_questions', s.quiz_questions,
+        'expires_at', sh.expires_at,
+        'chapters', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'chapter_number', c.chapter_number,
+                'continuation_text', c.continuation_text,
+                'chapter_summary', c.chapter_summary,
+                'vocabulary_list', c.vocabulary_list,
+                'quiz_questions', c.quiz_questions
+            ) ORDER BY c.chapter_number)
+            FROM story_continuations c
+            WHERE c.story_id = s.id AND c.moderation_status = 'approved'
+        ), '[]'::jsonb)
+    )
+    FROM story_shares sh
+    JOIN stories s ON s.id = sh.story_id
+    WHERE sh.token = share_token
+        AND sh.revoked_at IS NULL
+        AND (sh.expires_at IS NULL OR sh.expires_at > now())
+        AND s.moderation_status = 'approved';
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Anonymous IDs whose data has been moved into an account. An ID is only
+-- ever moved into one account; claiming it again from the same account moves
+-- anything saved under it since.
+CREATE TABLE IF NOT EXISTS anonymous_claims (
+    anonymous_id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    claimed_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS anonymous_claims_user_id_idx ON anonymous_claims(user_id);
+
+ALTER TABLE anonymous_claims ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own anonymous claims" 
+    ON anonymous_claims FOR SELECT 
+    USING (user_id = auth.uid()::TEXT);
+
+-- Move everything saved under an anonymous ID into an account, in one
+-- transaction. Only the server can call this (it runs with the service-role
+-- key), once it has checked the caller's session and the signature of the
+-- anonymous ID it issued them; an anonymous ID alone proves nothing, since
+-- anyone who has seen it can send it. Where the account already has the same
+-- vocabulary word, classroom membership or assignment read, the account's row
+-- is kept (with the earlier read time) and the anonymous one dropped. Returns
+-- the number of rows moved per table.
+CREATE OR REPLACE FUNCTION claim_anonymous_data(claimed_id TEXT, claiming_user TEXT)
+RETURNS JSONB AS $$
+DECLARE
+    account TEXT := claiming_user;
+    owned_table TEXT;
+    row_total INTEGER;
+    moved JSONB := '{}'::jsonb;
+BEGIN
+    IF account IS NULL THEN
+        RAISE EXCEPTION 'No account to move the anonymous data into' USING ERRCODE = '22023';
+    END IF;
+    IF claimed_id IS NULL OR claimed_id NOT LIKE 'anon-%' THEN
+        RAISE EXCEPTION 'Not an anonymous ID' USING ERRCODE = '22023';
+    END IF;
+
+    -- Waits for a concurrent claim of the same ID to finish
+    INSERT INTO anonymous_claims (anonymous_id, user_id)
+        VALUES (claimed_id, account)
+        ON CONFLICT (anonymous_id) DO NOTHING;
+    IF NOT EXISTS (SELECT 1 FROM anonymous_claims WHERE anonymous_id = claimed_id AND user_id = account) THEN
+        RAISE EXCEPTION 'The anonymous ID has been claimed by another account' USING ERRCODE = '23505';
+    END IF;
+
+    -- Rows that would break a unique key once moved
+    DELETE FROM vocabulary_cards anon
+        USING vocabulary_cards own
+        WHERE anon.user_id = claimed_id AND anon.is_anonymous = true
+            AND own.user_id = account AND own.is_anonymous = false
+            AND own.language = anon.language AND own.word_key = anon.word_key;
+    DELETE FROM classroom_members anon
+        USING classroom_members own
+        WHERE anon.user_id = claimed_id AND anon.is_anonymous = true
+            AND own.user_id = account AND own.is_anonymous = false
+            AND own.classroom_id = anon.classroom_id;
+    UPDATE assignment_reads own
+        SET read_at = LEAST(own.read_at, anon.read_at)
+        FROM assignment_reads anon
+        WHERE anon.user_id = claimed_id AND anon.is_anonymous = true
+            AND own.user_id = account AND own.is_anonymous = false
+            AND own.assignment_id = anon.assignment_id;
+    DELETE FROM assignment_reads anon
+        USING assignment_reads own
+        WHERE anon.user_id = claimed_id AND anon.is_anonymous = true
+            AND own.user_id = account AND own.is_anonymous = false
+            AND own.assignment_id = anon.assignment_id;
+
+    FOREACH owned_table IN ARRAY ARRAY[
+        'stories', 'story_continuations', 'quiz_attempts', 'vocabulary_cards', 'classroom_members',
+        'assignment_reads', 'story_shares', 'generation_jobs', 'moderation_decisions'
+    ] LOOP
+        EXECUTE format('UPDATE %I SET user_id = $1, is_anonymous = false WHERE user_id = $2 AND is_anonymous = true', owned_table)
+            USING account, claimed_id;
+        GET DIAGNOSTICS row_total = ROW_COUNT;
+        moved := moved || jsonb_build_object(owned_table, row_total);
+    END LOOP;
+
+    RETURN moved;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION claim_anonymous_data(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_anonymous_data(TEXT, TEXT) TO service_role;
+
 -- Drop existing trigger and function if they exist
 DROP TRIGGER IF EXISTS on_user_deletion ON auth.users;
 DROP FUNCTION IF EXISTS handle_user_deletion() CASCADE;
@@ -198,6 +784,15 @@ DROP FUNCTION IF EXISTS handle_user_deletion() CASCADE;
 CREATE OR REPLACE FUNCTION handle_user_deletion()
 RETURNS TRIGGER AS $$
 BEGIN
+    DELETE FROM generation_jobs WHERE user_id = OLD.id::TEXT;
+    DELETE FROM moderation_decisions WHERE user_id = OLD.id::TEXT;
+    DELETE FROM quiz_attempts WHERE user_id = OLD.id::TEXT;
+    DELETE FROM vocabulary_cards WHERE user_id = OLD.id::TEXT;
+    DELETE FROM assignment_reads WHERE user_id = OLD.id::TEXT;
+    DELETE FROM classroom_members WHERE user_id = OLD.id::TEXT;
+    DELETE FROM classrooms WHERE teacher_id = OLD.id::TEXT;
+    DELETE FROM story_shares WHERE user_id = OLD.id::TEXT;
+    DELETE FROM anonymous_claims WHERE user_id = OLD.id::TEXT;
     DELETE FROM stories WHERE user_id = OLD.id::TEXT;
     RETURN OLD;
 END;
@@ -218,19 +813,82 @@ COMMENT ON COLUMN stories.subject IS 'Main subject area of the story';
 COMMENT ON COLUMN stories.subject_specification IS 'Specific topic or focus within the subject';
 COMMENT ON COLUMN stories.setting IS 'Story setting or environment';
 COMMENT ON COLUMN stories.main_character IS 'Main character or protagonist of the story';
-COMMENT ON COLUMN stories.word_count IS 'Approximate number of words in the story';
+COMMENT ON COLUMN stories.word_count IS 'Requested number of words in the story';
+COMMENT ON COLUMN stories.actual_word_count IS 'Measured number of words in story_text';
 COMMENT ON COLUMN stories.language IS 'Language in which the story is written';
 COMMENT ON COLUMN stories.story_text IS 'The actual content of the story';
 COMMENT ON COLUMN stories.story_title IS 'Title of the story';
 COMMENT ON COLUMN stories.learning_objectives IS 'Array of learning objectives for the story';
-COMMENT ON COLUMN stories.quiz_questions IS 'JSON array of quiz questions and answers';
+COMMENT ON COLUMN stories.quiz_questions IS 'JSON array of quiz questions and answers; each has a type (multiple_choice, true_false, multi_select, fill_blank, sequencing, matching), multiple_choice when absent';
 COMMENT ON COLUMN stories.vocabulary_list IS 'JSON array of vocabulary words and their definitions';
 COMMENT ON COLUMN stories.story_summary IS 'Brief summary of the story''s key theme and main points';
 COMMENT ON COLUMN stories.is_continuation IS 'Whether this story is a continuation of a previous story';
+COMMENT ON COLUMN stories.tags IS 'Lower-case labels the owner uses to organise and filter stories';
+COMMENT ON COLUMN stories.model IS 'LLM model that generated the story';
+COMMENT ON COLUMN stories.prompt_template IS 'Prompt template used, from prompts/';
+COMMENT ON COLUMN stories.prompt_version IS 'Version of the prompt template';
+COMMENT ON COLUMN stories.prompt_variant IS 'Language/grade variant of the template (base if none matched)';
+COMMENT ON COLUMN stories.readability_formula IS 'Readability formula used for the story language (e.g. flesch-kincaid, gulpease)';
+COMMENT ON COLUMN stories.readability_score IS 'Raw score from readability_formula';
+COMMENT ON COLUMN stories.estimated_grade IS 'Estimated reading grade of the story text (K = 0, university = 13+)';
+COMMENT ON COLUMN stories.readability_flagged IS 'Whether the estimated grade is outside the band around academic_grade';
+COMMENT ON COLUMN stories.moderation_status IS 'approved, held (awaiting teacher review) or rejected; only approved text is shown to students';
+COMMENT ON COLUMN stories.moderation_flags IS 'Moderation rule and classifier hits behind a held status';
+COMMENT ON COLUMN stories.user_supplied IS 'Whether story_text is a passage supplied by the teacher rather than generated';
+COMMENT ON COLUMN stories.reference_sources IS 'Reference material the story was grounded in: [{title, passages: [{id, text}]}]; quiz questions cite passage ids in source_passages';
+COMMENT ON COLUMN stories.unsupported_claims IS 'Claims in the story or quiz answers not supported by reference_sources: [{field, claim, question?}]';
 COMMENT ON COLUMN stories.created_at IS 'Timestamp when the story was created';
 COMMENT ON COLUMN stories.updated_at IS 'Timestamp when the story was last updated';
 
+COMMENT ON TABLE story_continuations IS 'Continuation chapters of a story, in chapter_number order';
+COMMENT ON COLUMN story_continuations.story_id IS 'The story this chapter continues';
+COMMENT ON COLUMN story_continuations.chapter_number IS 'Position in the story; the parent story itself is chapter 1';
+COMMENT ON COLUMN story_continuations.continuation_prompt IS 'Direction the reader gave for this chapter';
+COMMENT ON COLUMN story_continuations.vocabulary_list IS 'Vocabulary introduced in this chapter (none repeated from earlier chapters)';
+COMMENT ON COLUMN story_continuations.quiz_questions IS 'Quiz questions about this chapter only';
+COMMENT ON COLUMN story_continuations.chapter_summary IS 'Brief summary of this chapter';
+COMMENT ON COLUMN story_continuations.moderation_status IS 'approved, held (awaiting teacher review) or rejected';
+
+COMMENT ON TABLE generation_jobs IS 'Asynchronous story generation requests and their progress';
+COMMENT ON COLUMN generation_jobs.status IS 'queued, generating, validating, saving, done or failed';
+COMMENT ON COLUMN generation_jobs.request IS 'Validated generation inputs';
+COMMENT ON COLUMN generation_jobs.result IS 'The generated story payload once the job is done';
+COMMENT ON COLUMN generation_jobs.story_id IS 'The saved story, if saving succeeded';
+
+COMMENT ON TABLE moderation_decisions IS 'Audit log of child-safety moderation decisions';
+COMMENT ON COLUMN moderation_decisions.decision IS 'allow, regenerate, block or hold (automatic); approve or reject (reviewer)';
+COMMENT ON COLUMN moderation_decisions.flags IS 'Rule and classifier hits: source, rule, category, field and matched text';
+COMMENT ON COLUMN moderation_decisions.job_id IS 'Generation job the decision was made in, if any';
+
+COMMENT ON TABLE quiz_attempts IS 'Completed quiz attempts, one row per submission';
+COMMENT ON COLUMN quiz_attempts.chapter_number IS 'Chapter whose quiz was taken; 1 is the story''s own quiz';
+COMMENT ON COLUMN quiz_attempts.answers IS 'Per-question results: question_index, type, answer and correct';
+COMMENT ON COLUMN quiz_attempts.score IS 'Percentage of questions answered correctly';
+COMMENT ON COLUMN quiz_attempts.time_taken_ms IS 'Time from the quiz being shown to the answers being checked';
+
+COMMENT ON TABLE vocabulary_cards IS 'Flashcards for the vocabulary of a user''s stories, one per word and language';
+COMMENT ON COLUMN vocabulary_cards.word_key IS 'Lower-cased word used to avoid duplicate cards';
+COMMENT ON COLUMN vocabulary_cards.story_id IS 'Story the word was first collected from';
+COMMENT ON COLUMN vocabulary_cards.ease_factor IS 'SM-2 ease factor; higher means the interval grows faster';
+COMMENT ON COLUMN vocabulary_cards.interval_days IS 'Days between the last review and the next; 0 while relearning';
+COMMENT ON COLUMN vocabulary_cards.repetitions IS 'Successful reviews in a row';
+COMMENT ON COLUMN vocabulary_cards.lapses IS 'Times the word was forgotten';
+COMMENT ON COLUMN vocabulary_cards.due_at IS 'When the card is next due for review';
+
+COMMENT ON TABLE classrooms IS 'Classes created by a signed-in teacher';
+COMMENT ON COLUMN classrooms.join_code IS 'Code students enter to join the class';
+COMMENT ON TABLE classroom_members IS 'Students on a classroom roster';
+COMMENT ON COLUMN classroom_members.display_name IS 'Name the student gave when joining, shown to the teacher';
+COMMENT ON TABLE classroom_assignments IS 'Stories assigned to a classroom';
+COMMENT ON COLUMN classroom_assignments.due_at IS 'When students should have read the story and taken its quiz';
+COMMENT ON TABLE assignment_reads IS 'When each student first opened an assigned story';
+
+COMMENT ON TABLE story_shares IS 'Public read-only links to a story';
+COMMENT ON COLUMN story_shares.token IS 'Unguessable token in the share URL (/s/<token>)';
+COMMENT ON COLUMN story_shares.expires_at IS 'When the link stops working; never if NULL';
+COMMENT ON COLUMN story_shares.revoked_at IS 'When the owner turned the link off';
+
 -- Set up storage for story related files if needed
 -- INSERT INTO storage.buckets (id, name, public) VALUES ('story_assets', 'Story Assets', true);
 -- CREATE POLICY "Public Access" ON storage.objects FOR SELECT USING (bucket_id = 'story_assets');
--- CREATE POLICY "Authenticated users can upload" ON storage.objects FOR INSERT WITH CHECK (bucket_id = 'story_assets' AND auth.role() = 'authenticated'); 
\ No newline at end of file
+-- CREATE POLICY "Authenticated users can upload" ON storage.objects FOR INSERT WITH CHECK (bucket_id = 'story_assets' AND auth.role() = 'authenticated'); 
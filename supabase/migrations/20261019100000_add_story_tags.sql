@@ -0,0 +1,11 @@
+-- Tags on stories, and anonymous owners may update their own stories
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS stories_tags_idx ON stories USING GIN (tags);
+
+DROP POLICY IF EXISTS "Users can update their own stories" ON stories;
+CREATE POLICY "Users can update their own stories" 
+    ON stories FOR UPDATE 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+COMMENT ON COLUMN stories.tags IS 'Lower-case labels the owner uses to organise and filter stories';
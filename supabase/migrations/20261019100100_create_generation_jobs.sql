@@ -0,0 +1,47 @@
+-- Background story generation jobs (POST /generate-story with "async": true)
+CREATE TABLE IF NOT EXISTS generation_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id TEXT NOT NULL,
+    is_anonymous BOOLEAN DEFAULT FALSE,
+    status TEXT NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'generating', 'validating', 'saving', 'done', 'failed')),
+    request JSONB NOT NULL,
+    result JSONB,
+    error TEXT,
+    error_details JSONB,
+    story_id UUID REFERENCES stories(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS generation_jobs_user_id_idx ON generation_jobs(user_id);
+CREATE INDEX IF NOT EXISTS generation_jobs_status_idx ON generation_jobs(status);
+
+ALTER TABLE generation_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own generation jobs" 
+    ON generation_jobs FOR SELECT 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Users can insert their own generation jobs" 
+    ON generation_jobs FOR INSERT 
+    WITH CHECK (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Users can update their own generation jobs" 
+    ON generation_jobs FOR UPDATE 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE OR REPLACE FUNCTION handle_user_deletion()
+RETURNS TRIGGER AS $$
+BEGIN
+    DELETE FROM generation_jobs WHERE user_id = OLD.id::TEXT;
+    DELETE FROM stories WHERE user_id = OLD.id::TEXT;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON TABLE generation_jobs IS 'Asynchronous story generation requests and their progress';
+COMMENT ON COLUMN generation_jobs.status IS 'queued, generating, validating, saving, done or failed';
+COMMENT ON COLUMN generation_jobs.request IS 'Validated generation inputs';
+COMMENT ON COLUMN generation_jobs.result IS 'The generated story payload once the job is done';
+COMMENT ON COLUMN generation_jobs.story_id IS 'The saved story, if saving succeeded';
@@ -0,0 +1,12 @@
+-- The model and prompt template each story was generated with
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS model TEXT;
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS prompt_template TEXT;
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS prompt_version INTEGER;
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS prompt_variant TEXT;
+
+CREATE INDEX IF NOT EXISTS stories_prompt_idx ON stories(prompt_template, prompt_version);
+
+COMMENT ON COLUMN stories.model IS 'LLM model that generated the story';
+COMMENT ON COLUMN stories.prompt_template IS 'Prompt template used, from prompts/';
+COMMENT ON COLUMN stories.prompt_version IS 'Version of the prompt template';
+COMMENT ON COLUMN stories.prompt_variant IS 'Language/grade variant of the template (base if none matched)';
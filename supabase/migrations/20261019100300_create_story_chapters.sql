@@ -0,0 +1,57 @@
+-- Story continuations, stored as ordered chapters of their parent story.
+-- The parent story is chapter 1; continuations are numbered from 2.
+
+-- Continuations saved before chapters existed have no link to their story.
+-- They are kept as story_continuations_legacy rather than dropped.
+DO $$
+BEGIN
+    IF to_regclass('public.story_continuations') IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'story_continuations' AND column_name = 'story_id'
+    ) THEN
+        ALTER TABLE story_continuations RENAME TO story_continuations_legacy;
+        ALTER INDEX IF EXISTS story_continuations_user_id_idx RENAME TO story_continuations_legacy_user_id_idx;
+    END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS story_continuations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    is_anonymous BOOLEAN DEFAULT FALSE,
+    chapter_number INTEGER NOT NULL CHECK (chapter_number >= 2),
+    continuation_text TEXT NOT NULL,
+    continuation_prompt TEXT,
+    word_count INTEGER,
+    language TEXT,
+    academic_grade TEXT,
+    difficulty TEXT,
+    model TEXT,
+    prompt_template TEXT,
+    prompt_version INTEGER,
+    prompt_variant TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    UNIQUE (story_id, chapter_number)
+);
+
+CREATE INDEX IF NOT EXISTS story_continuations_user_id_idx ON story_continuations(user_id);
+
+ALTER TABLE story_continuations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own story continuations" 
+    ON story_continuations FOR SELECT 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Users can insert their own story continuations" 
+    ON story_continuations FOR INSERT 
+    WITH CHECK (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Users can delete their own story continuations" 
+    ON story_continuations FOR DELETE 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+COMMENT ON TABLE story_continuations IS 'Continuation chapters of a story, in chapter_number order';
+COMMENT ON COLUMN story_continuations.story_id IS 'The story this chapter continues';
+COMMENT ON COLUMN story_continuations.chapter_number IS 'Position in the story; the parent story itself is chapter 1';
+COMMENT ON COLUMN story_continuations.continuation_prompt IS 'Direction the reader gave for this chapter';
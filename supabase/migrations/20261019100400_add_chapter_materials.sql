@@ -0,0 +1,9 @@
+-- Each chapter's own objectives, vocabulary, quiz and summary
+ALTER TABLE story_continuations ADD COLUMN IF NOT EXISTS learning_objectives JSONB;
+ALTER TABLE story_continuations ADD COLUMN IF NOT EXISTS vocabulary_list JSONB;
+ALTER TABLE story_continuations ADD COLUMN IF NOT EXISTS quiz_questions JSONB;
+ALTER TABLE story_continuations ADD COLUMN IF NOT EXISTS chapter_summary TEXT;
+
+COMMENT ON COLUMN story_continuations.vocabulary_list IS 'Vocabulary introduced in this chapter (none repeated from earlier chapters)';
+COMMENT ON COLUMN story_continuations.quiz_questions IS 'Quiz questions about this chapter only';
+COMMENT ON COLUMN story_continuations.chapter_summary IS 'Brief summary of this chapter';
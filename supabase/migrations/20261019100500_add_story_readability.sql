@@ -0,0 +1,10 @@
+-- Readability score and estimated grade of each story
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS readability_formula TEXT;
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS readability_score NUMERIC(6,1);
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS estimated_grade NUMERIC(4,1);
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS readability_flagged BOOLEAN DEFAULT FALSE;
+
+COMMENT ON COLUMN stories.readability_formula IS 'Readability formula used for the story language (e.g. flesch-kincaid, gulpease)';
+COMMENT ON COLUMN stories.readability_score IS 'Raw score from readability_formula';
+COMMENT ON COLUMN stories.estimated_grade IS 'Estimated reading grade of the story text (K = 0, university = 13+)';
+COMMENT ON COLUMN stories.readability_flagged IS 'Whether the estimated grade is outside the band around academic_grade';
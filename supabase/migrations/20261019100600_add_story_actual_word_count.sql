@@ -0,0 +1,5 @@
+-- Measured length of each story, next to the requested word_count
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS actual_word_count INTEGER;
+
+COMMENT ON COLUMN stories.word_count IS 'Requested number of words in the story';
+COMMENT ON COLUMN stories.actual_word_count IS 'Measured number of words in story_text';
@@ -0,0 +1,80 @@
+-- Child-safety moderation status of stories and chapters, and the log of decisions
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS moderation_status TEXT NOT NULL DEFAULT 'approved'
+    CHECK (moderation_status IN ('approved', 'held', 'rejected'));
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS moderation_flags JSONB DEFAULT '[]';
+ALTER TABLE story_continuations ADD COLUMN IF NOT EXISTS moderation_status TEXT NOT NULL DEFAULT 'approved'
+    CHECK (moderation_status IN ('approved', 'held', 'rejected'));
+ALTER TABLE story_continuations ADD COLUMN IF NOT EXISTS moderation_flags JSONB DEFAULT '[]';
+
+CREATE INDEX IF NOT EXISTS stories_moderation_status_idx ON stories(moderation_status) WHERE moderation_status <> 'approved';
+
+-- Held content may only be approved or rejected by the API server (service
+-- role) or a signed-in owner, so students can't release it through the REST API
+CREATE OR REPLACE FUNCTION protect_moderation_status()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.moderation_status IS DISTINCT FROM OLD.moderation_status
+        AND coalesce(auth.role(), '') <> 'service_role'
+        AND (OLD.is_anonymous OR auth.uid()::TEXT IS DISTINCT FROM OLD.user_id) THEN
+        RAISE EXCEPTION 'Only a signed-in owner can change the moderation status';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS stories_protect_moderation_status ON stories;
+CREATE TRIGGER stories_protect_moderation_status
+    BEFORE UPDATE ON stories
+    FOR EACH ROW
+    EXECUTE FUNCTION protect_moderation_status();
+
+DROP TRIGGER IF EXISTS story_continuations_protect_moderation_status ON story_continuations;
+CREATE TRIGGER story_continuations_protect_moderation_status
+    BEFORE UPDATE ON story_continuations
+    FOR EACH ROW
+    EXECUTE FUNCTION protect_moderation_status();
+
+-- Every child-safety moderation decision, automatic or by a reviewer
+CREATE TABLE IF NOT EXISTS moderation_decisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    content_type TEXT NOT NULL CHECK (content_type IN ('story', 'chapter')),
+    decision TEXT NOT NULL
+        CHECK (decision IN ('allow', 'regenerate', 'block', 'hold', 'approve', 'reject')),
+    flags JSONB DEFAULT '[]',
+    user_id TEXT,
+    is_anonymous BOOLEAN DEFAULT FALSE,
+    story_id UUID REFERENCES stories(id) ON DELETE SET NULL,
+    chapter_number INTEGER,
+    job_id UUID,
+    academic_grade TEXT,
+    language TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS moderation_decisions_user_id_idx ON moderation_decisions(user_id);
+CREATE INDEX IF NOT EXISTS moderation_decisions_decision_idx ON moderation_decisions(decision, created_at DESC);
+
+ALTER TABLE moderation_decisions ENABLE ROW LEVEL SECURITY;
+
+-- Written by the API server only; owners can read the decisions about their content
+CREATE POLICY "Users can view moderation decisions about their content" 
+    ON moderation_decisions FOR SELECT 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE OR REPLACE FUNCTION handle_user_deletion()
+RETURNS TRIGGER AS $$
+BEGIN
+    DELETE FROM generation_jobs WHERE user_id = OLD.id::TEXT;
+    DELETE FROM moderation_decisions WHERE user_id = OLD.id::TEXT;
+    DELETE FROM stories WHERE user_id = OLD.id::TEXT;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON COLUMN stories.moderation_status IS 'approved, held (awaiting teacher review) or rejected; only approved text is shown to students';
+COMMENT ON COLUMN stories.moderation_flags IS 'Moderation rule and classifier hits behind a held status';
+COMMENT ON COLUMN story_continuations.moderation_status IS 'approved, held (awaiting teacher review) or rejected';
+COMMENT ON TABLE moderation_decisions IS 'Audit log of child-safety moderation decisions';
+COMMENT ON COLUMN moderation_decisions.decision IS 'allow, regenerate, block or hold (automatic); approve or reject (reviewer)';
+COMMENT ON COLUMN moderation_decisions.flags IS 'Rule and classifier hits: source, rule, category, field and matched text';
+COMMENT ON COLUMN moderation_decisions.job_id IS 'Generation job the decision was made in, if any';
@@ -0,0 +1,2 @@
+-- Quiz questions record their type
+COMMENT ON COLUMN stories.quiz_questions IS 'JSON array of quiz questions and answers; each has a type (multiple_choice, true_false, multi_select, fill_blank, sequencing, matching), multiple_choice when absent';
@@ -0,0 +1,46 @@
+-- Attempts at a story's quizzes, scored by the API server
+CREATE TABLE IF NOT EXISTS quiz_attempts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+    chapter_number INTEGER NOT NULL DEFAULT 1 CHECK (chapter_number >= 1),
+    user_id TEXT NOT NULL,
+    is_anonymous BOOLEAN DEFAULT FALSE,
+    answers JSONB NOT NULL DEFAULT '[]',
+    correct_count INTEGER NOT NULL,
+    question_count INTEGER NOT NULL,
+    score INTEGER NOT NULL CHECK (score BETWEEN 0 AND 100),
+    time_taken_ms INTEGER CHECK (time_taken_ms >= 0),
+    started_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS quiz_attempts_user_id_idx ON quiz_attempts(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS quiz_attempts_story_id_idx ON quiz_attempts(story_id, chapter_number);
+
+ALTER TABLE quiz_attempts ENABLE ROW LEVEL SECURITY;
+
+-- Attempts are never edited, so there are no update policies
+CREATE POLICY "Users can view their own quiz attempts" 
+    ON quiz_attempts FOR SELECT 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Users can insert their own quiz attempts" 
+    ON quiz_attempts FOR INSERT 
+    WITH CHECK (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE OR REPLACE FUNCTION handle_user_deletion()
+RETURNS TRIGGER AS $$
+BEGIN
+    DELETE FROM generation_jobs WHERE user_id = OLD.id::TEXT;
+    DELETE FROM moderation_decisions WHERE user_id = OLD.id::TEXT;
+    DELETE FROM quiz_attempts WHERE user_id = OLD.id::TEXT;
+    DELETE FROM stories WHERE user_id = OLD.id::TEXT;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON TABLE quiz_attempts IS 'Completed quiz attempts, one row per submission';
+COMMENT ON COLUMN quiz_attempts.chapter_number IS 'Chapter whose quiz was taken; 1 is the story''s own quiz';
+COMMENT ON COLUMN quiz_attempts.answers IS 'Per-question results: question_index, type, answer and correct';
+COMMENT ON COLUMN quiz_attempts.score IS 'Percentage of questions answered correctly';
+COMMENT ON COLUMN quiz_attempts.time_taken_ms IS 'Time from the quiz being shown to the answers being checked';
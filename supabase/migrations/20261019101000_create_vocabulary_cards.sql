@@ -0,0 +1,65 @@
+-- Personal vocabulary deck built from the words in a user's stories, with
+-- each card's spaced-repetition state (see utils/vocabularyDeck.js)
+CREATE TABLE IF NOT EXISTS vocabulary_cards (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id TEXT NOT NULL,
+    is_anonymous BOOLEAN DEFAULT FALSE,
+    word TEXT NOT NULL,
+    word_key TEXT NOT NULL,
+    language TEXT NOT NULL DEFAULT '',
+    definition TEXT NOT NULL,
+    example TEXT,
+    part_of_speech TEXT,
+    story_id UUID REFERENCES stories(id) ON DELETE SET NULL,
+    chapter_number INTEGER,
+    ease_factor NUMERIC(4,2) NOT NULL DEFAULT 2.5,
+    interval_days INTEGER NOT NULL DEFAULT 0,
+    repetitions INTEGER NOT NULL DEFAULT 0,
+    lapses INTEGER NOT NULL DEFAULT 0,
+    due_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+    last_reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    UNIQUE (user_id, is_anonymous, language, word_key)
+);
+
+CREATE INDEX IF NOT EXISTS vocabulary_cards_due_idx ON vocabulary_cards(user_id, due_at);
+
+ALTER TABLE vocabulary_cards ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own vocabulary cards" 
+    ON vocabulary_cards FOR SELECT 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Users can insert their own vocabulary cards" 
+    ON vocabulary_cards FOR INSERT 
+    WITH CHECK (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Users can update their own vocabulary cards" 
+    ON vocabulary_cards FOR UPDATE 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Users can delete their own vocabulary cards" 
+    ON vocabulary_cards FOR DELETE 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE OR REPLACE FUNCTION handle_user_deletion()
+RETURNS TRIGGER AS $$
+BEGIN
+    DELETE FROM generation_jobs WHERE user_id = OLD.id::TEXT;
+    DELETE FROM moderation_decisions WHERE user_id = OLD.id::TEXT;
+    DELETE FROM quiz_attempts WHERE user_id = OLD.id::TEXT;
+    DELETE FROM vocabulary_cards WHERE user_id = OLD.id::TEXT;
+    DELETE FROM stories WHERE user_id = OLD.id::TEXT;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON TABLE vocabulary_cards IS 'Flashcards for the vocabulary of a user''s stories, one per word and language';
+COMMENT ON COLUMN vocabulary_cards.word_key IS 'Lower-cased word used to avoid duplicate cards';
+COMMENT ON COLUMN vocabulary_cards.story_id IS 'Story the word was first collected from';
+COMMENT ON COLUMN vocabulary_cards.ease_factor IS 'SM-2 ease factor; higher means the interval grows faster';
+COMMENT ON COLUMN vocabulary_cards.interval_days IS 'Days between the last review and the next; 0 while relearning';
+COMMENT ON COLUMN vocabulary_cards.repetitions IS 'Successful reviews in a row';
+COMMENT ON COLUMN vocabulary_cards.lapses IS 'Times the word was forgotten';
+COMMENT ON COLUMN vocabulary_cards.due_at IS 'When the card is next due for review';
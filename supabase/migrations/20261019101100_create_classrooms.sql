@@ -0,0 +1,161 @@
+-- Classrooms a signed-in teacher creates and students join with join_code
+CREATE TABLE IF NOT EXISTS classrooms (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    teacher_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    join_code TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Students in a classroom, signed in or anonymous
+CREATE TABLE IF NOT EXISTS classroom_members (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    classroom_id UUID NOT NULL REFERENCES classrooms(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    is_anonymous BOOLEAN DEFAULT FALSE,
+    display_name TEXT NOT NULL,
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    UNIQUE (classroom_id, user_id, is_anonymous)
+);
+
+-- Stories assigned to a classroom
+CREATE TABLE IF NOT EXISTS classroom_assignments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    classroom_id UUID NOT NULL REFERENCES classrooms(id) ON DELETE CASCADE,
+    story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+    due_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    UNIQUE (classroom_id, story_id)
+);
+
+-- When each student first opened an assignment
+CREATE TABLE IF NOT EXISTS assignment_reads (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    assignment_id UUID NOT NULL REFERENCES classroom_assignments(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    is_anonymous BOOLEAN DEFAULT FALSE,
+    read_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    UNIQUE (assignment_id, user_id, is_anonymous)
+);
+
+CREATE INDEX IF NOT EXISTS classrooms_teacher_id_idx ON classrooms(teacher_id);
+CREATE INDEX IF NOT EXISTS classroom_members_user_id_idx ON classroom_members(user_id);
+CREATE INDEX IF NOT EXISTS classroom_assignments_story_id_idx ON classroom_assignments(story_id);
+
+-- Membership and ownership checks for the classroom policies. They are
+-- SECURITY DEFINER so the policies on classrooms and classroom_members can
+-- refer to each other without recursing.
+CREATE OR REPLACE FUNCTION is_classroom_member(target UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM classroom_members m
+        WHERE m.classroom_id = target
+            AND (m.user_id = auth.uid()::TEXT OR (m.is_anonymous = true AND m.user_id = current_setting('request.headers')::json->>'x-anonymous-id'))
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION is_classroom_teacher(target UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (SELECT 1 FROM classrooms c WHERE c.id = target AND c.teacher_id = auth.uid()::TEXT);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+ALTER TABLE classrooms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE classroom_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE classroom_assignments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE assignment_reads ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Teachers can manage their own classrooms" 
+    ON classrooms FOR ALL 
+    USING (teacher_id = auth.uid()::TEXT)
+    WITH CHECK (teacher_id = auth.uid()::TEXT);
+
+CREATE POLICY "Students can view classrooms they belong to" 
+    ON classrooms FOR SELECT 
+    USING (is_classroom_member(id));
+
+CREATE POLICY "Students can view their own memberships" 
+    ON classroom_members FOR SELECT 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Students can join classrooms" 
+    ON classroom_members FOR INSERT 
+    WITH CHECK (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Students can leave classrooms" 
+    ON classroom_members FOR DELETE 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Teachers can manage their classroom rosters" 
+    ON classroom_members FOR ALL 
+    USING (is_classroom_teacher(classroom_id));
+
+CREATE POLICY "Teachers can manage their classroom assignments" 
+    ON classroom_assignments FOR ALL 
+    USING (is_classroom_teacher(classroom_id))
+    WITH CHECK (is_classroom_teacher(classroom_id));
+
+CREATE POLICY "Students can view their classroom assignments" 
+    ON classroom_assignments FOR SELECT 
+    USING (is_classroom_member(classroom_id));
+
+CREATE POLICY "Students can view their own assignment reads" 
+    ON assignment_reads FOR SELECT 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Students can record their own assignment reads" 
+    ON assignment_reads FOR INSERT 
+    WITH CHECK (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Teachers can view reads of their assignments" 
+    ON assignment_reads FOR SELECT 
+    USING (EXISTS (
+        SELECT 1 FROM classroom_assignments a
+        WHERE a.id = assignment_reads.assignment_id AND is_classroom_teacher(a.classroom_id)
+    ));
+
+-- Students can read approved stories, and their chapters, assigned to their classrooms
+CREATE POLICY "Students can view stories assigned to them" 
+    ON stories FOR SELECT 
+    USING (moderation_status = 'approved' AND EXISTS (
+        SELECT 1 FROM classroom_assignments a
+        WHERE a.story_id = stories.id AND is_classroom_member(a.classroom_id)
+    ));
+
+CREATE POLICY "Students can view chapters of stories assigned to them" 
+    ON story_continuations FOR SELECT 
+    USING (moderation_status = 'approved' AND EXISTS (
+        SELECT 1 FROM classroom_assignments a
+        WHERE a.story_id = story_continuations.story_id AND is_classroom_member(a.classroom_id)
+    ));
+
+-- Teachers see their students' attempts at the quizzes of their stories
+CREATE POLICY "Teachers can view quiz attempts on their stories" 
+    ON quiz_attempts FOR SELECT 
+    USING (EXISTS (
+        SELECT 1 FROM stories s
+        WHERE s.id = quiz_attempts.story_id AND s.is_anonymous = false AND s.user_id = auth.uid()::TEXT
+    ));
+
+CREATE OR REPLACE FUNCTION handle_user_deletion()
+RETURNS TRIGGER AS $$
+BEGIN
+    DELETE FROM generation_jobs WHERE user_id = OLD.id::TEXT;
+    DELETE FROM moderation_decisions WHERE user_id = OLD.id::TEXT;
+    DELETE FROM quiz_attempts WHERE user_id = OLD.id::TEXT;
+    DELETE FROM vocabulary_cards WHERE user_id = OLD.id::TEXT;
+    DELETE FROM assignment_reads WHERE user_id = OLD.id::TEXT;
+    DELETE FROM classroom_members WHERE user_id = OLD.id::TEXT;
+    DELETE FROM classrooms WHERE teacher_id = OLD.id::TEXT;
+    DELETE FROM stories WHERE user_id = OLD.id::TEXT;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON TABLE classrooms IS 'Classes created by a signed-in teacher';
+COMMENT ON COLUMN classrooms.join_code IS 'Code students enter to join the class';
+COMMENT ON TABLE classroom_members IS 'Students on a classroom roster';
+COMMENT ON COLUMN classroom_members.display_name IS 'Name the student gave when joining, shown to the teacher';
+COMMENT ON TABLE classroom_assignments IS 'Stories assigned to a classroom';
+COMMENT ON COLUMN classroom_assignments.due_at IS 'When students should have read the story and taken its quiz';
+COMMENT ON TABLE assignment_reads IS 'When each student first opened an assigned story';
@@ -0,0 +1,86 @@
+-- Read-only links to a story that work without signing in. The token is the
+-- only way in: there is no policy letting the public read shared stories,
+-- they are fetched through get_shared_story() instead.
+CREATE TABLE IF NOT EXISTS story_shares (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+    token TEXT NOT NULL UNIQUE,
+    user_id TEXT NOT NULL,
+    is_anonymous BOOLEAN DEFAULT FALSE,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS story_shares_story_id_idx ON story_shares(story_id);
+
+ALTER TABLE story_shares ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own story shares" 
+    ON story_shares FOR SELECT 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Users can insert their own story shares" 
+    ON story_shares FOR INSERT 
+    WITH CHECK (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+CREATE POLICY "Users can update their own story shares" 
+    ON story_shares FOR UPDATE 
+    USING (user_id = auth.uid()::TEXT OR (is_anonymous = true AND user_id = current_setting('request.headers')::json->>'x-anonymous-id'));
+
+-- The approved story, and its approved chapters, behind a share token that is
+-- neither revoked nor expired; NULL otherwise. Only reader-facing columns are
+-- returned.
+CREATE OR REPLACE FUNCTION get_shared_story(share_token TEXT)
+RETURNS JSONB AS $$
+    SELECT jsonb_build_object(
+        'story_title', s.story_title,
+        'subject', s.subject,
+        'academic_grade', s.academic_grade,
+        'language', s.language,
+        'story_text', s.story_text,
+        'story_summary', s.story_summary,
+        'learning_objectives', s.learning_objectives,
+        'vocabulary_list', s.vocabulary_list,
+        'quiz_questions', s.quiz_questions,
+        'expires_at', sh.expires_at,
+        'chapters', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'chapter_number', c.chapter_number,
+                'continuation_text', c.continuation_text,
+                'chapter_summary', c.chapter_summary,
+                'vocabulary_list', c.vocabulary_list,
+                'quiz_questions', c.quiz_questions
+            ) ORDER BY c.chapter_number)
+            FROM story_continuations c
+            WHERE c.story_id = s.id AND c.moderation_status = 'approved'
+        ), '[]'::jsonb)
+    )
+    FROM story_shares sh
+    JOIN stories s ON s.id = sh.story_id
+    WHERE sh.token = share_token
+        AND sh.revoked_at IS NULL
+        AND (sh.expires_at IS NULL OR sh.expires_at > now())
+        AND s.moderation_status = 'approved';
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION handle_user_deletion()
+RETURNS TRIGGER AS $$
+BEGIN
+    DELETE FROM generation_jobs WHERE user_id = OLD.id::TEXT;
+    DELETE FROM moderation_decisions WHERE user_id = OLD.id::TEXT;
+    DELETE FROM quiz_attempts WHERE user_id = OLD.id::TEXT;
+    DELETE FROM vocabulary_cards WHERE user_id = OLD.id::TEXT;
+    DELETE FROM assignment_reads WHERE user_id = OLD.id::TEXT;
+    DELETE FROM classroom_members WHERE user_id = OLD.id::TEXT;
+    DELETE FROM classrooms WHERE teacher_id = OLD.id::TEXT;
+    DELETE FROM story_shares WHERE user_id = OLD.id::TEXT;
+    DELETE FROM stories WHERE user_id = OLD.id::TEXT;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON TABLE story_shares IS 'Public read-only links to a story';
+COMMENT ON COLUMN story_shares.token IS 'Unguessable token in the share URL (/s/<token>)';
+COMMENT ON COLUMN story_shares.expires_at IS 'When the link stops working; never if NULL';
+COMMENT ON COLUMN story_shares.revoked_at IS 'When the owner turned the link off';
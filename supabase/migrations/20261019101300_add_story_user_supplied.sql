@@ -0,0 +1,4 @@
+-- Stories whose text the teacher supplied (POST /stories/from-text)
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS user_supplied BOOLEAN DEFAULT FALSE;
+
+COMMENT ON COLUMN stories.user_supplied IS 'Whether story_text is a passage supplied by the teacher rather than generated';
@@ -0,0 +1,6 @@
+-- Reference material a story was grounded in, and what it doesn't support
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS reference_sources JSONB;
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS unsupported_claims JSONB DEFAULT '[]';
+
+COMMENT ON COLUMN stories.reference_sources IS 'Reference material the story was grounded in: [{title, passages: [{id, text}]}]; quiz questions cite passage ids in source_passages';
+COMMENT ON COLUMN stories.unsupported_claims IS 'Claims in the story or quiz answers not supported by reference_sources: [{field, claim, question?}]';
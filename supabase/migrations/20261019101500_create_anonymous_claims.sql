@@ -0,0 +1,101 @@
+-- Anonymous IDs whose data has been moved into an account. An ID is only
+-- ever moved into one account; claiming it again from the same account moves
+-- anything saved under it since.
+CREATE TABLE IF NOT EXISTS anonymous_claims (
+    anonymous_id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    claimed_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS anonymous_claims_user_id_idx ON anonymous_claims(user_id);
+
+ALTER TABLE anonymous_claims ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own anonymous claims" 
+    ON anonymous_claims FOR SELECT 
+    USING (user_id = auth.uid()::TEXT);
+
+-- Move everything saved under an anonymous ID into the signed-in caller's
+-- account, in one transaction. The caller shows they hold the anonymous ID by
+-- sending it in the X-Anonymous-ID header, as for every anonymous request.
+-- Where the account already has the same vocabulary word, classroom
+-- membership or assignment read, the account's row is kept (with the earlier
+-- read time) and the anonymous one dropped. Returns the number of rows moved
+-- per table.
+CREATE OR REPLACE FUNCTION claim_anonymous_data(claimed_id TEXT)
+RETURNS JSONB AS $$
+DECLARE
+    account TEXT := auth.uid()::TEXT;
+    owned_table TEXT;
+    row_total INTEGER;
+    moved JSONB := '{}'::jsonb;
+BEGIN
+    IF account IS NULL THEN
+        RAISE EXCEPTION 'Sign in to claim anonymous data' USING ERRCODE = '28000';
+    END IF;
+    IF claimed_id IS NULL OR claimed_id NOT LIKE 'anon-%'
+        OR claimed_id IS DISTINCT FROM current_setting('request.headers', true)::json->>'x-anonymous-id' THEN
+        RAISE EXCEPTION 'The anonymous ID was not sent by the caller' USING ERRCODE = '42501';
+    END IF;
+
+    -- Waits for a concurrent claim of the same ID to finish
+    INSERT INTO anonymous_claims (anonymous_id, user_id)
+        VALUES (claimed_id, account)
+        ON CONFLICT (anonymous_id) DO NOTHING;
+    IF NOT EXISTS (SELECT 1 FROM anonymous_claims WHERE anonymous_id = claimed_id AND user_id = account) THEN
+        RAISE EXCEPTION 'The anonymous ID has been claimed by another account' USING ERRCODE = '23505';
+    END IF;
+
+    -- Rows that would break a unique key once moved
+    DELETE FROM vocabulary_cards anon
+        USING vocabulary_cards own
+        WHERE anon.user_id = claimed_id AND anon.is_anonymous = true
+            AND own.user_id = account AND own.is_anonymous = false
+            AND own.language = anon.language AND own.word_key = anon.word_key;
+    DELETE FROM classroom_members anon
+        USING classroom_members own
+        WHERE anon.user_id = claimed_id AND anon.is_anonymous = true
+            AND own.user_id = account AND own.is_anonymous = false
+            AND own.classroom_id = anon.classroom_id;
+    UPDATE assignment_reads own
+        SET read_at = LEAST(own.read_at, anon.read_at)
+        FROM assignment_reads anon
+        WHERE anon.user_id = claimed_id AND anon.is_anonymous = true
+            AND own.user_id = account AND own.is_anonymous = false
+            AND own.assignment_id = anon.assignment_id;
+    DELETE FROM assignment_reads anon
+        USING assignment_reads own
+        WHERE anon.user_id = claimed_id AND anon.is_anonymous = true
+            AND own.user_id = account AND own.is_anonymous = false
+            AND own.assignment_id = anon.assignment_id;
+
+    FOREACH owned_table IN ARRAY ARRAY[
+        'stories', 'story_continuations', 'quiz_attempts', 'vocabulary_cards', 'classroom_members',
+        'assignment_reads', 'story_shares', 'generation_jobs', 'moderation_decisions'
+    ] LOOP
+        EXECUTE format('UPDATE %I SET user_id = $1, is_anonymous = false WHERE user_id = $2 AND is_anonymous = true', owned_table)
+            USING account, claimed_id;
+        GET DIAGNOSTICS row_total = ROW_COUNT;
+        moved := moved || jsonb_build_object(owned_table, row_total);
+    END LOOP;
+
+    RETURN moved;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION handle_user_deletion()
+RETURNS TRIGGER AS $$
+BEGIN
+    DELETE FROM generation_jobs WHERE user_id = OLD.id::TEXT;
+    DELETE FROM moderation_decisions WHERE user_id = OLD.id::TEXT;
+    DELETE FROM quiz_attempts WHERE user_id = OLD.id::TEXT;
+    DELETE FROM vocabulary_cards WHERE user_id = OLD.id::TEXT;
+    DELETE FROM assignment_reads WHERE user_id = OLD.id::TEXT;
+    DELETE FROM classroom_members WHERE user_id = OLD.id::TEXT;
+    DELETE FROM classrooms WHERE teacher_id = OLD.id::TEXT;
+    DELETE FROM story_shares WHERE user_id = OLD.id::TEXT;
+    DELETE FROM anonymous_claims WHERE user_id = OLD.id::TEXT;
+    DELETE FROM stories WHERE user_id = OLD.id::TEXT;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -0,0 +1,40 @@
+-- Students join classrooms only with the join code (join_classroom()), and
+-- teachers can assign only their own stories
+DROP POLICY IF EXISTS "Students can join classrooms" ON classroom_members;
+
+-- Students join with the classroom's join code, so there is no INSERT policy
+-- on classroom_members: this checks the code and adds the caller, signed in
+-- or by the anonymous ID they send, under the name they give.
+CREATE OR REPLACE FUNCTION join_classroom(code TEXT, member_name TEXT)
+RETURNS classroom_members AS $$
+DECLARE
+    anonymous_id TEXT := current_setting('request.headers', true)::json->>'x-anonymous-id';
+    target classrooms;
+    joined classroom_members;
+BEGIN
+    SELECT * INTO target FROM classrooms WHERE join_code = upper(regexp_replace(code, '[[:space:]-]+', '', 'g'));
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'No classroom has that join code' USING ERRCODE = 'P0002';
+    END IF;
+    IF auth.uid() IS NULL AND anonymous_id IS NULL THEN
+        RAISE EXCEPTION 'Sign in or send an anonymous ID to join' USING ERRCODE = '28000';
+    END IF;
+    IF target.teacher_id = auth.uid()::TEXT THEN
+        RAISE EXCEPTION 'You teach this classroom' USING ERRCODE = '23514';
+    END IF;
+
+    INSERT INTO classroom_members (classroom_id, user_id, is_anonymous, display_name)
+        VALUES (target.id, coalesce(auth.uid()::TEXT, anonymous_id), auth.uid() IS NULL, member_name)
+        RETURNING * INTO joined;
+    RETURN joined;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP POLICY IF EXISTS "Teachers can manage their classroom assignments" ON classroom_assignments;
+CREATE POLICY "Teachers can manage their classroom assignments" 
+    ON classroom_assignments FOR ALL 
+    USING (is_classroom_teacher(classroom_id))
+    WITH CHECK (is_classroom_teacher(classroom_id) AND EXISTS (
+        SELECT 1 FROM stories s
+        WHERE s.id = classroom_assignments.story_id AND s.user_id = auth.uid()::TEXT AND s.is_anonymous = false
+    ));
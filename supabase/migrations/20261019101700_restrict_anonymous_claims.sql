@@ -0,0 +1,75 @@
+-- claim_anonymous_data() takes the account to move the data into and can only
+-- be called by the server, which checks that the caller holds the anonymous ID
+-- (the signature it issued with it) before calling it
+DROP FUNCTION IF EXISTS claim_anonymous_data(TEXT);
+
+-- Move everything saved under an anonymous ID into an account, in one
+-- transaction. Only the server can call this (it runs with the service-role
+-- key), once it has checked the caller's session and the signature of the
+-- anonymous ID it issued them; an anonymous ID alone proves nothing, since
+-- anyone who has seen it can send it. Where the account already has the same
+-- vocabulary word, classroom membership or assignment read, the account's row
+-- is kept (with the earlier read time) and the anonymous one dropped. Returns
+-- the number of rows moved per table.
+CREATE OR REPLACE FUNCTION claim_anonymous_data(claimed_id TEXT, claiming_user TEXT)
+RETURNS JSONB AS $$
+DECLARE
+    account TEXT := claiming_user;
+    owned_table TEXT;
+    row_total INTEGER;
+    moved JSONB := '{}'::jsonb;
+BEGIN
+    IF account IS NULL THEN
+        RAISE EXCEPTION 'No account to move the anonymous data into' USING ERRCODE = '22023';
+    END IF;
+    IF claimed_id IS NULL OR claimed_id NOT LIKE 'anon-%' THEN
+        RAISE EXCEPTION 'Not an anonymous ID' USING ERRCODE = '22023';
+    END IF;
+
+    -- Waits for a concurrent claim of the same ID to finish
+    INSERT INTO anonymous_claims (anonymous_id, user_id)
+        VALUES (claimed_id, account)
+        ON CONFLICT (anonymous_id) DO NOTHING;
+    IF NOT EXISTS (SELECT 1 FROM anonymous_claims WHERE anonymous_id = claimed_id AND user_id = account) THEN
+        RAISE EXCEPTION 'The anonymous ID has been claimed by another account' USING ERRCODE = '23505';
+    END IF;
+
+    -- Rows that would break a unique key once moved
+    DELETE FROM vocabulary_cards anon
+        USING vocabulary_cards own
+        WHERE anon.user_id = claimed_id AND anon.is_anonymous = true
+            AND own.user_id = account AND own.is_anonymous = false
+            AND own.language = anon.language AND own.word_key = anon.word_key;
+    DELETE FROM classroom_members anon
+        USING classroom_members own
+        WHERE anon.user_id = claimed_id AND anon.is_anonymous = true
+            AND own.user_id = account AND own.is_anonymous = false
+            AND own.classroom_id = anon.classroom_id;
+    UPDATE assignment_reads own
+        SET read_at = LEAST(own.read_at, anon.read_at)
+        FROM assignment_reads anon
+        WHERE anon.user_id = claimed_id AND anon.is_anonymous = true
+            AND own.user_id = account AND own.is_anonymous = false
+            AND own.assignment_id = anon.assignment_id;
+    DELETE FROM assignment_reads anon
+        USING assignment_reads own
+        WHERE anon.user_id = claimed_id AND anon.is_anonymous = true
+            AND own.user_id = account AND own.is_anonymous = false
+            AND own.assignment_id = anon.assignment_id;
+
+    FOREACH owned_table IN ARRAY ARRAY[
+        'stories', 'story_continuations', 'quiz_attempts', 'vocabulary_cards', 'classroom_members',
+        'assignment_reads', 'story_shares', 'generation_jobs', 'moderation_decisions'
+    ] LOOP
+        EXECUTE format('UPDATE %I SET user_id = $1, is_anonymous = false WHERE user_id = $2 AND is_anonymous = true', owned_table)
+            USING account, claimed_id;
+        GET DIAGNOSTICS row_total = ROW_COUNT;
+        moved := moved || jsonb_build_object(owned_table, row_total);
+    END LOOP;
+
+    RETURN moved;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION claim_anonymous_data(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_anonymous_data(TEXT, TEXT) TO service_role;
@@ -0,0 +1,12 @@
+-- Authors can no longer approve their own held content: only the API server,
+-- on behalf of a reviewer, changes moderation_status
+CREATE OR REPLACE FUNCTION protect_moderation_status()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.moderation_status IS DISTINCT FROM OLD.moderation_status
+        AND coalesce(auth.role(), '') <> 'service_role' THEN
+        RAISE EXCEPTION 'Only the API server can change the moderation status';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,41 @@
+-- The API server joins students through join_classroom() as well, instead of
+-- inserting into classroom_members itself, so there is one join path
+DROP FUNCTION IF EXISTS join_classroom(TEXT, TEXT);
+CREATE OR REPLACE FUNCTION join_classroom(
+    code TEXT,
+    member_name TEXT,
+    member_id TEXT DEFAULT NULL,
+    member_is_anonymous BOOLEAN DEFAULT NULL
+)
+RETURNS classroom_members AS $$
+DECLARE
+    joining_user TEXT := auth.uid()::TEXT;
+    anonymous_id TEXT := current_setting('request.headers', true)::json->>'x-anonymous-id';
+    target classrooms;
+    joined classroom_members;
+BEGIN
+    IF member_id IS NOT NULL THEN
+        IF coalesce(auth.role(), '') <> 'service_role' THEN
+            RAISE EXCEPTION 'Only the API server can join on behalf of a student' USING ERRCODE = '42501';
+        END IF;
+        joining_user := CASE WHEN member_is_anonymous THEN NULL ELSE member_id END;
+        anonymous_id := CASE WHEN member_is_anonymous THEN member_id END;
+    END IF;
+
+    SELECT * INTO target FROM classrooms WHERE join_code = upper(regexp_replace(code, '[[:space:]-]+', '', 'g'));
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'No classroom has that join code' USING ERRCODE = 'P0002';
+    END IF;
+    IF joining_user IS NULL AND anonymous_id IS NULL THEN
+        RAISE EXCEPTION 'Sign in or send an anonymous ID to join' USING ERRCODE = '28000';
+    END IF;
+    IF target.teacher_id = joining_user THEN
+        RAISE EXCEPTION 'You teach this classroom' USING ERRCODE = '23514';
+    END IF;
+
+    INSERT INTO classroom_members (classroom_id, user_id, is_anonymous, display_name)
+        VALUES (target.id, coalesce(joining_user, anonymous_id), joining_user IS NULL, member_name)
+        RETURNING * INTO joined;
+    RETURN joined;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { issueAnonymousId, verifyAnonymousToken, isLegacyAnonymousId } = require('../utils/anonymousIds');
+
+const secret = 'test-secret';
+
+test('issueAnonymousId returns a fresh ID with its signature', () => {
+    const first = issueAnonymousId(secret);
+    const second = issueAnonymousId(secret);
+
+    assert.match(first.anonymous_id, /^anon-s-[A-Za-z0-9_-]{22}$/);
+    assert.notEqual(first.anonymous_id, second.anonymous_id);
+    assert.equal(verifyAnonymousToken(first.anonymous_id, first.anonymous_token, secret), true);
+});
+
+test('verifyAnonymousToken rejects another ID, another secret and malformed tokens', () => {
+    const { anonymous_id: anonymousId, anonymous_token: token } = issueAnonymousId(secret);
+
+    assert.equal(verifyAnonymousToken(issueAnonymousId(secret).anonymous_id, token, secret), false);
+    assert.equal(verifyAnonymousToken(anonymousId, token, 'other-secret'), false);
+    assert.equal(verifyAnonymousToken(anonymousId, token.slice(1), secret), false);
+    assert.equal(verifyAnonymousToken(anonymousId, undefined, secret), false);
+    assert.equal(verifyAnonymousToken(anonymousId, '', secret), false);
+});
+
+test('isLegacyAnonymousId recognises IDs browsers made up, never issued ones', () => {
+    assert.equal(isLegacyAnonymousId('anon-k3j9x0q2m1z8p7w4v6'), true);
+    assert.equal(isLegacyAnonymousId('anon-x7k2m9q1'), true);
+    assert.equal(isLegacyAnonymousId('anon-abc'), false);
+    assert.equal(isLegacyAnonymousId('anon-ABCdef123456'), false);
+    assert.equal(isLegacyAnonymousId(null), false);
+    for (let i = 0; i < 50; i++) {
+        assert.equal(isLegacyAnonymousId(issueAnonymousId(secret).anonymous_id), false);
+    }
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeAnswer, isCorrect, scoreAttempt } = require('../utils/quizScoring');
+
+const questions = [
+    { question: 'What did Mia plant?', options: ['A seed', 'A tree', 'A flower', 'A rock'], correctAnswer: 0 },
+    { type: 'true_false', question: 'Mia forgot to water it.', correctAnswer: false },
+    { type: 'multi_select', question: 'What does a seed need?', options: ['Water', 'Rocks', 'Sunlight', 'Noise'], correctAnswer: [0, 2] },
+    { type: 'fill_blank', question: 'Mia watered it every ___.', correctAnswer: 'day', acceptedAnswers: ['morning'] },
+    { type: 'sequencing', question: 'Put these in order.', items: ['Plant', 'Water', 'Sprout'], correctAnswer: [0, 1, 2] },
+    { type: 'matching', question: 'Match the words.', pairs: [{ term: 'seed', definition: 'a' }, { term: 'root', definition: 'b' }], correctAnswer: [0, 1] }
+];
+
+test('normalizeAnswer reduces answers to the stored shape and drops malformed ones', () => {
+    assert.equal(normalizeAnswer(questions[0], 2), 2);
+    assert.equal(normalizeAnswer(questions[0], '2'), null);
+    assert.equal(normalizeAnswer(questions[1], 'false'), null);
+    assert.deepEqual(normalizeAnswer(questions[2], [2, 0, 2]), [0, 2]);
+    assert.equal(normalizeAnswer(questions[3], `  ${'x'.repeat(300)} `).length, 200);
+    assert.equal(normalizeAnswer(questions[3], '   '), null);
+    assert.equal(normalizeAnswer(questions[4], undefined), null);
+});
+
+test('isCorrect scores every question type', () => {
+    assert.equal(isCorrect(questions[0], 0), true);
+    assert.equal(isCorrect(questions[1], false), true);
+    assert.equal(isCorrect(questions[2], [0, 2]), true);
+    assert.equal(isCorrect(questions[2], [0]), false);
+    assert.equal(isCorrect(questions[2], [0, 1, 2]), false);
+    assert.equal(isCorrect(questions[3], 'Day!'), true);
+    assert.equal(isCorrect(questions[3], 'mórning'), true);
+    assert.equal(isCorrect(questions[4], [0, 2, 1]), false);
+    assert.equal(isCorrect(questions[5], [0, 1]), true);
+    assert.equal(isCorrect(questions[0], null), false);
+});
+
+test('isCorrect reads correct_answer from older records', () => {
+    assert.equal(isCorrect({ options: ['a', 'b', 'c', 'd'], correct_answer: 3 }, 3), true);
+});
+
+test('scoreAttempt re-scores each answer and rounds the percentage', () => {
+    const result = scoreAttempt(questions, [0, true, [2, 0], 'day', [0, 1, 2], null]);
+
+    assert.deepEqual(result.answers.map(answer => answer.correct), [true, false, true, true, true, false]);
+    assert.equal(result.answers[5].answer, null);
+    assert.equal(result.correct_count, 4);
+    assert.equal(result.question_count, 6);
+    assert.equal(result.score, 67);
+    assert.equal(scoreAttempt([], []).score, 0);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { storySchema, quizSchema, validate, parseJsonLoose, normalizePayload, parseStructured } = require('../utils/storySchema');
+
+const story = () => ({
+    content: 'Mia planted a seed and watered it every day.',
+    learning_objectives: ['Explain what a seed needs to grow'],
+    vocabulary: [{ word: 'seed', definition: 'What a plant grows from', example: 'Mia planted a seed.', part_of_speech: 'noun' }],
+    quiz: [{
+        question: 'What did Mia plant?',
+        options: ['A seed', 'A tree', 'A flower', 'A rock'],
+        correctAnswer: 0,
+        explanation: 'The story says Mia planted a seed.'
+    }],
+    summary: 'Mia grows a plant.'
+});
+
+test('validate accepts a complete story', () => {
+    assert.deepEqual(validate(story(), storySchema), []);
+});
+
+test('validate names each missing or malformed field', () => {
+    const payload = story();
+    delete payload.summary;
+    payload.quiz[0].options = ['A seed', 'A tree'];
+
+    assert.deepEqual(validate(payload, storySchema), [
+        { field: 'summary', message: 'is required' },
+        { field: 'quiz[0].options', message: 'must have exactly 4 items, got 2' }
+    ]);
+});
+
+test('validate picks the question schema by type and rejects unknown types', () => {
+    assert.deepEqual(validate([{ type: 'true_false', question: 'Mia planted a seed.', correctAnswer: 'yes', explanation: 'She did.' }], quizSchema), [
+        { field: '[0].correctAnswer', message: 'must be a boolean, got string' }
+    ]);
+    assert.deepEqual(validate([{ type: 'essay', question: 'Why?' }], quizSchema), [
+        { field: '[0].type', message: 'must be one of multiple_choice, true_false, multi_select, fill_blank, sequencing, matching, got "essay"' }
+    ]);
+});
+
+test('parseJsonLoose recovers JSON from fences, prose, smart quotes and trailing commas', () => {
+    assert.deepEqual(parseJsonLoose('```json\n{"a": 1}\n```'), { a: 1 });
+    assert.deepEqual(parseJsonLoose('Here is your story: {"a": [1, 2,],} Enjoy!'), { a: [1, 2] });
+    assert.deepEqual(parseJsonLoose('{“a”: “b”}'), { a: 'b' });
+    assert.throws(() => parseJsonLoose('no json here'), SyntaxError);
+});
+
+test('normalizePayload renames aliases and converts answers to the stored shapes', () => {
+    const payload = normalizePayload({
+        story: 'Text',
+        questions: [
+            { question_type: 'MCQ', question: 'Q', choices: ['a', 'b', 'c', 'd'], answer: 'C' },
+            { type: 'True/False', question: 'Q', correct_answer: 'False' },
+            { type: 'select all', question: 'Q', options: ['a', 'b', 'c', 'd'], correctAnswers: 'd, A, D' },
+            { type: 'multiple_choice', question: 'Q', options: ['red', 'blue', 'green', 'pink'], correctAnswer: 'Blue', hint: 'Think of the sky' }
+        ]
+    });
+
+    assert.equal(payload.content, 'Text');
+    assert.deepEqual(payload.quiz.map(question => [question.type, question.correctAnswer]), [
+        ['multiple_choice', 2],
+        ['true_false', false],
+        ['multi_select', [0, 3]],
+        ['multiple_choice', 1]
+    ]);
+    assert.deepEqual(payload.quiz[3].hints, ['Think of the sky']);
+});
+
+test('parseStructured reports invalid JSON as a root error', () => {
+    const result = parseStructured('not json', storySchema);
+    assert.equal(result.value, null);
+    assert.equal(result.errors[0].field, '(root)');
+});
+
+test('parseStructured repairs and validates in one step', () => {
+    const raw = `\`\`\`json\n${JSON.stringify({ ...story(), quiz_questions: story().quiz, quiz: undefined })}\n\`\`\``;
+    const result = parseStructured(raw, storySchema);
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.value.quiz[0].correctAnswer, 0);
+});
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+/**
+ * Anonymous IDs: the server issues each browser an ID with a signature (an
+ * HMAC of the ID under ANONYMOUS_ID_SECRET). The ID travels with every
+ * anonymous request and can be seen wherever it is shared, so only the
+ * signature, which the browser keeps to itself, shows that a caller is the
+ * browser the ID was issued to; moving anonymous data into an account
+ * requires it.
+ *
+ * Browsers used to make up their own IDs, which have no signature. Those
+ * legacy IDs are trusted on their first claim instead: the account that
+ * claims one first gets its data, and no other account can claim it after.
+ * Issued IDs start with `anon-s-`, so they never look like a legacy one.
+ */
+
+// `anon-` and 8 to 26 lowercase base-36 characters, from Math.random()
+const LEGACY_ID_PATTERN = /^anon-[a-z0-9]{8,26}$/;
+
+const signature = (anonymousId, secret) =>
+    crypto.createHmac('sha256', secret).update(anonymousId).digest('base64url');
+
+/**
+ * A new anonymous ID and its signature.
+ * @param {string} secret
+ * @returns {{anonymous_id: string, anonymous_token: string}}
+ */
+function issueAnonymousId(secret) {
+    const anonymousId = `anon-s-${crypto.randomBytes(16).toString('base64url')}`;
+    return { anonymous_id: anonymousId, anonymous_token: signature(anonymousId, secret) };
+}
+
+/**
+ * Whether a token is the signature of an anonymous ID, i.e. the ID was issued
+ * by issueAnonymousId() with this secret to whoever sent the token.
+ * @param {string} anonymousId
+ * @param {*} token
+ * @param {string} secret
+ * @returns {boolean}
+ */
+function verifyAnonymousToken(anonymousId, token, secret) {
+    if (typeof token !== 'string') return false;
+    const expected = Buffer.from(signature(anonymousId, secret));
+    const given = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Whether an anonymous ID was made up by a browser rather than issued, so it
+ * has no signature to check.
+ * @param {*} anonymousId
+ * @returns {boolean}
+ */
+function isLegacyAnonymousId(anonymousId) {
+    return typeof anonymousId === 'string' && LEGACY_ID_PATTERN.test(anonymousId);
+}
+
+module.exports = {
+    issueAnonymousId,
+    verifyAnonymousToken,
+    isLegacyAnonymousId
+};
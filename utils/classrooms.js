@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+/**
+ * Classrooms: a signed-in teacher creates one, students (signed in or
+ * anonymous) join it with its code, and the teacher assigns saved stories
+ * with a due date. A student has read an assignment once they open it, and
+ * completed it once they have an attempt at the story's quiz.
+ */
+
+// No 0/O or 1/I/L, so a code read off the board is typed correctly
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 8;
+
+/**
+ * A random classroom join code.
+ * @returns {string}
+ */
+function generateJoinCode() {
+    let code = '';
+    for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+        code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+// Identifies a user across tables with user_id/is_anonymous columns
+const identityKey = (record) => `${record.is_anonymous ? 'anon' : 'user'}:${record.user_id}`;
+
+/**
+ * Where each student in a classroom is with an assignment.
+ * @param {Object} assignment - Row with due_at
+ * @param {Array<Object>} members - classroom_members rows
+ * @param {Array<Object>} reads - assignment_reads rows for the assignment
+ * @param {Array<Object>} attempts - quiz_attempts rows for the story's own quiz
+ * @param {Date} [now]
+ * @returns {Array<{member_id: string, display_name: string, status: string, read_at: string|null,
+ *   completed_at: string|null, attempts: number, best_score: number|null, late: boolean}>}
+ *   status is not_started, read or completed
+ */
+function assignmentProgress(assignment, members, reads, attempts, now = new Date()) {
+    const readAt = new Map(reads.map(read => [identityKey(read), read.read_at]));
+    const attemptsBy = new Map();
+    attempts.forEach(attempt => {
+        const key = identityKey(attempt);
+        attemptsBy.set(key, [...(attemptsBy.get(key) || []), attempt]);
+    });
+
+    const dueAt = assignment.due_at ? new Date(assignment.due_at) : null;
+
+    return members.map(member => {
+        const key = identityKey(member);
+        const own = attemptsBy.get(key) || [];
+        const completedAt = own.length
+            ? own.map(attempt => attempt.created_at).sort()[0]
+            : null;
+
+        return {
+            member_id: member.id,
+            display_name: member.display_name,
+            status: completedAt ? 'completed' : (readAt.has(key) ? 'read' : 'not_started'),
+            read_at: readAt.get(key) || null,
+            completed_at: completedAt,
+            attempts: own.length,
+            best_score: own.length ? Math.max(...own.map(attempt => attempt.score)) : null,
+            late: Boolean(dueAt) && (completedAt ? new Date(completedAt) > dueAt : now > dueAt)
+        };
+    });
+}
+
+/**
+ * Counts of students per status, for an assignment list.
+ * @param {Array<Object>} progress - From assignmentProgress()
+ * @returns {{students: number, read: number, completed: number}} read includes completed
+ */
+function progressSummary(progress) {
+    return {
+        students: progress.length,
+        read: progress.filter(entry => entry.status !== 'not_started').length,
+        completed: progress.filter(entry => entry.status === 'completed').length
+    };
+}
+
+module.exports = {
+    JOIN_CODE_LENGTH,
+    generateJoinCode,
+    identityKey,
+    assignmentProgress,
+    progressSummary
+};
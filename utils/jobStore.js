@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+const { AppError } = require('./errorHandler');
+
+const JOB_STATUSES = ['queued', 'generating', 'validating', 'saving', 'done', 'failed'];
+const FINAL_STATUSES = ['done', 'failed'];
+
+const isFinal = (status) => FINAL_STATUSES.includes(status);
+
+/**
+ * Background story generation jobs.
+ *
+ * Jobs are written through to the `generation_jobs` table so a client can
+ * reattach after a page reload, and kept in memory while running (plus a
+ * short while after) so status reads and subscriptions don't hit the
+ * database on every poll. A failed database write is logged, never fatal:
+ * the job still runs and can be followed from this process.
+ */
+class JobStore {
+    constructor(supabase, { table = 'generation_jobs', staleAfterMs = 600000, retainMs = 600000 } = {}) {
+        this.supabase = supabase;
+        this.table = table;
+        this.staleAfterMs = staleAfterMs;
+        this.retainMs = retainMs;
+        this.jobs = new Map();
+        this.events = new EventEmitter();
+        this.events.setMaxListeners(0);
+    }
+
+    /**
+     * Create a queued job.
+     * @param {Object} owner - `{ userId, isAnonymous }` from identifyUser()
+     * @param {Object} request - The validated generation inputs
+     * @returns {Promise<Object>} The job record
+     */
+    async create({ userId, isAnonymous }, request) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            user_id: userId,
+            is_anonymous: isAnonymous,
+            status: 'queued',
+            request,
+            result: null,
+            error: null,
+            error_details: null,
+            story_id: null,
+            created_at: now,
+            updated_at: now
+        };
+
+        this.jobs.set(job.id, job);
+
+        const { error } = await this.supabase.from(this.table).insert(job);
+        if (error) {
+            logger.warn(`Could not persist job ${job.id}; it will only be visible to this server:`, error.message);
+        }
+
+        return job;
+    }
+
+    /**
+     * Apply changes to a running job, notify subscribers and persist.
+     * @param {string} id
+     * @param {Object} changes - Any of status, result, error, error_details, story_id
+     * @returns {Promise<Object>} The updated job
+     */
+    async update(id, changes) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            throw new AppError(`Job ${id} is not running on this server`, 500);
+        }
+        if (changes.status && !JOB_STATUSES.includes(changes.status)) {
+            throw new AppError(`Unknown job status: ${changes.status}`, 500);
+        }
+
+        Object.assign(job, changes, { updated_at: new Date().toISOString() });
+        this.events.emit(id, job);
+
+        if (isFinal(job.status)) {
+            // Keep finished jobs around briefly for clients that poll after the fact
+            setTimeout(() => this.jobs.delete(id), this.retainMs).unref();
+        }
+
+        const { error } = await this.supabase
+            .from(this.table)
+            .update({ ...changes, updated_at: job.updated_at })
+            .eq('id', id);
+        if (error) {
+            logger.warn(`Could not persist job ${id} update:`, error.message);
+        }
+
+        return job;
+    }
+
+    /**
+     * Look up a job, from memory first and then the database.
+     * A job that stopped reporting progress (e.g. the server restarted mid-run)
+     * is reported, and recorded, as failed.
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async get(id) {
+        if (this.jobs.has(id)) {
+            return this.jobs.get(id);
+        }
+
+        const { data: job, error } = await this.supabase
+            .from(this.table)
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) {
+            logger.error('Supabase query error:', error);
+            throw new AppError('Failed to fetch job', 500, error.message);
+        }
+
+        if (job && !isFinal(job.status) && Date.now() - Date.parse(job.updated_at) > this.staleAfterMs) {
+            const interrupted = {
+                status: 'failed',
+                error: 'The job was interrupted before it finished. Please try again.',
+                updated_at: new Date().toISOString()
+            };
+            await this.supabase.from(this.table).update(interrupted).eq('id', id);
+            return { ...job, ...interrupted };
+        }
+
+        return job;
+    }
+
+    /**
+     * Whether the job is running (or just finished) in this process,
+     * i.e. whether subscribe() will see its updates.
+     * @param {string} id
+     * @returns {boolean}
+     */
+    isLocal(id) {
+        return this.jobs.has(id);
+    }
+
+    /**
+     * Listen for updates to a job.
+     * @param {string} id
+     * @param {function(Object): void} listener - Called with the job after every update
+     * @returns {function(): void} Unsubscribe
+     */
+    subscribe(id, listener) {
+        this.events.on(id, listener);
+        return () => this.events.off(id, listener);
+    }
+}
+
+module.exports = {
+    JobStore,
+    JOB_STATUSES,
+    isFinal
+};
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const axios = require('axios');
+const logger = require('./logger');
+const { AppError } = require('./errorHandler');
+
+/**
+ * Base class for chat-completion providers.
+ *
+ * Every provider takes the same request shape and resolves to
+ * `{ content, model, created }` so route code never has to know
+ * which backend produced the text.
+ */
+class LLMProvider {
+    constructor(name, models = {}) {
+        this.name = name;
+        this.models = models;
+    }
+
+    /**
+     * Resolve the model to use for a task ('story', 'continuation', ...).
+     * @param {string} task
+     * @returns {string}
+     */
+    modelFor(task) {
+        return this.models[task] || this.models.story;
+    }
+
+    /**
+     * Run a chat completion.
+     * @param {Object} request
+     * @param {string} request.task - Logical task name used for model selection
+     * @param {Array<{role: string, content: string}>} request.messages
+     * @param {number} [request.temperature]
+     * @param {number} [request.maxTokens]
+     * @returns {Promise<{content: string, model: string, created: number}>}
+     */
+    async complete(request) {
+        throw new Error(`${this.name} provider does not implement complete()`);
+    }
+
+    /**
+     * Run a chat completion, reporting text as it is produced.
+     * Providers without native streaming deliver the whole text in one delta.
+     * @param {Object} request - Same shape as complete()
+     * @param {function(string): void} onDelta - Called with each new chunk of text
+     * @returns {Promise<{content: string, model: string, created: number}>}
+     */
+    async stream(request, onDelta) {
+        const result = await this.complete(request);
+        onDelta(result.content);
+        return result;
+    }
+}
+
+// Provider for any server speaking the OpenAI /chat/completions protocol
+class OpenAICompatibleProvider extends LLMProvider {
+    constructor({ name = 'local', baseUrl, apiKey, models, timeoutMs, headers = {} }) {
+        super(name, models);
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.apiKey = apiKey;
+        this.timeoutMs = timeoutMs;
+        this.headers = headers;
+    }
+
+    buildBody({ task, messages, temperature = 0.7, maxTokens = 4000, extra = {} }) {
+        return {
+            model: this.modelFor(task),
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+            ...extra
+        };
+    }
+
+    buildHeaders() {
+        const headers = {
+            'Content-Type': 'application/json',
+            ...this.headers
+        };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    async complete(request) {
+        const body = this.buildBody(request);
+        logger.info(`Sending ${request.task} request to ${this.name} provider with model ${body.model}`);
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+            headers: this.buildHeaders(),
+            timeout: this.timeoutMs
+        });
+
+        if (!response.data?.choices?.[0]?.message?.content) {
+            logger.error(`${this.name} response missing content:`, response.data);
+            throw new AppError(`Invalid response from ${this.name}`, 500);
+        }
+
+        return {
+            content: response.data.choices[0].message.content,
+            model: response.data.model || body.model,
+            created: response.data.created || Math.floor(Date.now() / 1000)
+        };
+    }
+
+    async stream(request, onDelta) {
+        const body = { ...this.buildBody(request), stream: true };
+        logger.info(`Streaming ${request.task} request from ${this.name} provider with model ${body.model}`);
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+            headers: this.buildHeaders(),
+            timeout: this.timeoutMs,
+            responseType: 'stream'
+        });
+
+        const decoder = new StringDecoder('utf8');
+        let buffer = '';
+        let content = '';
+        let model = body.model;
+        let created = Math.floor(Date.now() / 1000);
+
+        const handleLine = (line) => {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) return;
+
+            const payload = trimmed.slice(5).trim();
+            if (!payload || payload === '[DONE]') return;
+
+            let chunk;
+            try {
+                chunk = JSON.parse(payload);
+            } catch (error) {
+                logger.warn(`Skipping malformed ${this.name} stream chunk`);
+                return;
+            }
+
+            model = chunk.model || model;
+            created = chunk.created || created;
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) {
+                content += delta;
+                onDelta(delta);
+            }
+        };
+
+        for await (const data of response.data) {
+            buffer += decoder.write(data);
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+        buffer += decoder.end();
+        if (buffer) handleLine(buffer);
+
+        if (!content) {
+            throw new AppError(`Empty streamed response from ${this.name}`, 500);
+        }
+
+        return { content, model, created };
+    }
+}
+
+class OpenRouterProvider extends OpenAICompatibleProvider {
+    constructor({ apiKey, baseUrl, models, timeoutMs, referer }) {
+        super({
+            name: 'openrouter',
+            baseUrl,
+            apiKey,
+            models,
+            timeoutMs,
+            headers: referer ? { 'HTTP-Referer': referer } : {}
+        });
+    }
+}
+
+/**
+ * Offline provider that replays canned responses from disk.
+ *
+ * Looks for `<task>.json` or `<task>.txt` in the fixtures directory and
+ * returns its contents verbatim, so the same request always yields the
+ * same output and no API key or network access is needed.
+ */
+class FixtureProvider extends LLMProvider {
+    constructor({ dir, models, streamDelayMs = 0 }) {
+        super('fixture', models);
+        this.dir = dir || path.join(__dirname, '..', 'fixtures', 'llm');
+        this.streamDelayMs = streamDelayMs;
+    }
+
+    modelFor(task) {
+        return `fixture/${task}`;
+    }
+
+    readFixture(task) {
+        for (const ext of ['.json', '.txt']) {
+            const file = path.join(this.dir, `${task}${ext}`);
+            if (fs.existsSync(file)) {
+                return fs.readFileSync(file, 'utf8');
+            }
+        }
+        throw new AppError(`No LLM fixture found for task "${task}" in ${this.dir}`, 500);
+    }
+
+    async complete({ task }) {
+        return {
+            content: this.readFixture(task),
+            model: this.modelFor(task),
+            created: Math.floor(Date.now() / 1000)
+        };
+    }
+
+    // Replays the fixture word by word so streaming UIs can be developed offline
+    async stream(request, onDelta) {
+        const result = await this.complete(request);
+        const pieces = result.content.match(/\S+\s*|\s+/g) || [];
+        for (const piece of pieces) {
+            if (this.streamDelayMs) {
+                await new Promise(resolve => setTimeout(resolve, this.streamDelayMs));
+            }
+            onDelta(piece);
+        }
+        return result;
+    }
+}
+
+/**
+ * Build the provider selected in config.js.
+ * @param {Object} llmConfig - `config.llm`
+ * @param {Object} openrouterConfig - `config.openrouter`
+ * @returns {LLMProvider}
+ */
+function createProvider(llmConfig, openrouterConfig = {}) {
+    switch (llmConfig.provider) {
+        case 'openrouter':
+            return new OpenRouterProvider({
+                apiKey: openrouterConfig.apiKey,
+                baseUrl: openrouterConfig.baseUrl,
+                models: llmConfig.models,
+                timeoutMs: llmConfig.timeoutMs,
+                referer: process.env.SERVER_URL
+            });
+        case 'local':
+            return new OpenAICompatibleProvider({
+                name: 'local',
+                baseUrl: llmConfig.local.baseUrl,
+                apiKey: llmConfig.local.apiKey,
+                models: llmConfig.models,
+                timeoutMs: llmConfig.timeoutMs
+            });
+        case 'fixture':
+            return new FixtureProvider({
+                dir: llmConfig.fixture.dir,
+                models: llmConfig.models,
+                streamDelayMs: llmConfig.fixture.streamDelayMs
+            });
+        default:
+            throw new Error(`Unknown LLM provider: ${llmConfig.provider}`);
+    }
+}
+
+module.exports = {
+    LLMProvider,
+    OpenAICompatibleProvider,
+    OpenRouterProvider,
+    FixtureProvider,
+    createProvider
+};
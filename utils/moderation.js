@@ -0,0 +1,281 @@
+const path = require('path');
+const logger = require('./logger');
+const { AppError } = require('./errorHandler');
+const { GRADE_BANDS } = require('./promptTemplates');
+const { parseStructured, formatErrors } = require('./storySchema');
+const DEFAULT_RULES = require('./moderationRules');
+
+/**
+ * Child-safety moderation for generated stories and chapters.
+ *
+ * Every student-facing text field is checked against the local rules in
+ * utils/moderationRules.js, banded by grade, and then (optionally) by a
+ * pluggable classifier. The Moderator only reports flags; what happens to
+ * flagged content (block, regenerate or hold for review) is decided by the
+ * caller. Decisions are written to the `moderation_decisions` table; a failed
+ * write is logged, never fatal.
+ */
+
+const BAND_ORDER = ['k-2', '3-5', '6-8', '9-12', 'university'];
+const MODERATION_ACTIONS = ['block', 'regenerate', 'review'];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// `shoot*` -> /(?<![\p{L}\p{N}])shoot[\p{L}\p{N}]*(?![\p{L}\p{N}])/iu
+function termPattern(term) {
+    const wildcard = term.endsWith('*');
+    const body = escapeRegExp(wildcard ? term.slice(0, -1) : term).replace(/\s+/g, '\\s+');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${body}${wildcard ? '[\\p{L}\\p{N}]*' : ''}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+function compileRules(rules) {
+    return rules.map(rule => ({
+        ...rule,
+        patterns: Object.fromEntries(Object.entries(rule.terms).map(([language, terms]) => [
+            language,
+            terms.map(termPattern)
+        ]))
+    }));
+}
+
+// Whether content allowed from `allowedFrom` is acceptable for `band`
+function allowedForBand(allowedFrom, band) {
+    if (!allowedFrom) return false;
+    return BAND_ORDER.indexOf(band) >= BAND_ORDER.indexOf(allowedFrom);
+}
+
+/**
+ * Student-facing text fields of a story or chapter payload.
+ * @param {Object} payload - `content` plus optional summary, learning_objectives,
+ *   vocabulary and quiz, as returned by the generators, and `title` for an edited story
+ * @returns {Array<{field: string, text: string}>}
+ */
+function moderatedFields(payload) {
+    const fields = [];
+    const add = (field, text) => {
+        if (typeof text === 'string' && text.trim()) fields.push({ field, text });
+    };
+
+    add('title', payload.title);
+    add('content', payload.content);
+    add('summary', payload.summary);
+    (payload.learning_objectives || []).forEach((objective, i) => add(`learning_objectives[${i}]`, objective));
+    (payload.vocabulary || []).forEach((item, i) => {
+        add(`vocabulary[${i}].word`, item?.word);
+        add(`vocabulary[${i}].definition`, item?.definition);
+        add(`vocabulary[${i}].example`, item?.example);
+    });
+    (payload.quiz || []).forEach((question, i) => {
+        add(`quiz[${i}].question`, question?.question);
+        (question?.options || []).forEach((option, j) => add(`quiz[${i}].options[${j}]`, option));
+        (question?.items || []).forEach((item, j) => add(`quiz[${i}].items[${j}]`, item));
+        (question?.pairs || []).forEach((pair, j) => {
+            add(`quiz[${i}].pairs[${j}].term`, pair?.term);
+            add(`quiz[${i}].pairs[${j}].definition`, pair?.definition);
+        });
+        add(`quiz[${i}].correctAnswer`, question?.correctAnswer);
+        add(`quiz[${i}].explanation`, question?.explanation);
+        (question?.hints || []).forEach((hint, j) => add(`quiz[${i}].hints[${j}]`, hint));
+    });
+
+    return fields;
+}
+
+// Built-in classifier that asks the configured LLM for a verdict
+class LlmClassifier {
+    constructor(llm, prompts) {
+        this.name = 'llm';
+        this.llm = llm;
+        this.prompts = prompts;
+        this.schema = {
+            type: 'object',
+            required: ['safe'],
+            properties: {
+                safe: { type: 'boolean' },
+                categories: { type: 'array', items: { type: 'string' } },
+                reason: { type: 'string' }
+            }
+        };
+    }
+
+    async classify(text, { grade, language }) {
+        const { messages } = this.prompts.render('moderation', {
+            academic_grade: grade,
+            language,
+            text
+        }, { language, grade });
+
+        const completion = await this.llm.complete({
+            task: 'moderation',
+            messages,
+            temperature: 0,
+            maxTokens: 300
+        });
+
+        const { value, errors } = parseStructured(completion.content, this.schema);
+        if (errors.length > 0) {
+            throw new AppError(`Moderation classifier returned an invalid verdict:\n${formatErrors(errors)}`, 502);
+        }
+
+        return {
+            flagged: !value.safe,
+            categories: value.categories || [],
+            reason: value.reason || ''
+        };
+    }
+}
+
+/**
+ * Build the classifier selected in config.js.
+ * @param {string} name - 'none', 'llm', or the path of a module exporting
+ *   `{ name, classify(text, { grade, band, language }) }` (or a class with that shape)
+ *   whose classify() resolves to `{ flagged, categories, reason }`
+ * @param {Object} deps - `{ llm, prompts }` for the built-in classifier
+ * @returns {Object|null}
+ */
+function createClassifier(name, { llm, prompts } = {}) {
+    if (!name || name === 'none') {
+        return null;
+    }
+    if (name === 'llm') {
+        return new LlmClassifier(llm, prompts);
+    }
+
+    const exported = require(path.resolve(name));
+    const classifier = typeof exported === 'function' ? new exported() : exported;
+    if (typeof classifier?.classify !== 'function') {
+        throw new Error(`Moderation classifier module ${name} does not export classify()`);
+    }
+    classifier.name = classifier.name || path.basename(name, '.js');
+    return classifier;
+}
+
+class Moderator {
+    /**
+     * @param {Object} supabase
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.rules] - Defaults to utils/moderationRules.js
+     * @param {Object|null} [options.classifier] - From createClassifier()
+     * @param {string} [options.table]
+     */
+    constructor(supabase, { rules = DEFAULT_RULES, classifier = null, table = 'moderation_decisions' } = {}) {
+        this.supabase = supabase;
+        this.rules = compileRules(rules);
+        this.classifier = classifier;
+        this.table = table;
+    }
+
+    /**
+     * Check text fields against the local rules.
+     * @param {Array<{field: string, text: string}>} fields
+     * @param {Object} context
+     * @param {string} context.grade - academic_grade
+     * @param {string} [context.language]
+     * @returns {Array<{source: string, rule: string, category: string, field: string, match: string}>}
+     */
+    checkRules(fields, { grade, language }) {
+        const band = GRADE_BANDS[grade] || 'k-2';
+        const languages = [...new Set(['English', language].filter(Boolean))];
+        const flags = [];
+
+        this.rules.forEach(rule => {
+            if (allowedForBand(rule.allowedFrom, band)) return;
+
+            fields.forEach(({ field, text }) => {
+                for (const lang of languages) {
+                    const hit = (rule.patterns[lang] || []).map(pattern => text.match(pattern)).find(Boolean);
+                    if (hit) {
+                        flags.push({ source: 'rules', rule: rule.id, category: rule.category, field, match: hit[0] });
+                        return;
+                    }
+                }
+            });
+        });
+
+        return flags;
+    }
+
+    /**
+     * Check a story or chapter payload with the rules and, if configured, the classifier.
+     * A classifier that fails is treated as a flag, so nothing unchecked gets through.
+     * @param {Object} payload - See moderatedFields()
+     * @param {Object} context - `{ grade, language }`
+     * @returns {Promise<{flagged: boolean, flags: Array<Object>}>}
+     */
+    async check(payload, context) {
+        const fields = moderatedFields(payload);
+        const flags = this.checkRules(fields, context);
+
+        if (this.classifier) {
+            const source = `classifier:${this.classifier.name}`;
+            const text = fields.map(({ field, text: value }) => `[${field}] ${value}`).join('\n');
+            try {
+                const verdict = await this.classifier.classify(text, {
+                    ...context,
+                    band: GRADE_BANDS[context.grade] || 'k-2'
+                });
+                if (verdict.flagged) {
+                    const categories = verdict.categories?.length ? verdict.categories : ['unspecified'];
+                    categories.forEach(category => flags.push({
+                        source,
+                        category,
+                        field: '(all)',
+                        reason: verdict.reason || ''
+                    }));
+                }
+            } catch (error) {
+                logger.error('Moderation classifier failed:', error);
+                flags.push({ source, category: 'classifier_unavailable', field: '(all)', reason: error.message });
+            }
+        }
+
+        return { flagged: flags.length > 0, flags };
+    }
+
+    /**
+     * Record a moderation decision.
+     * @param {Object} entry
+     * @param {string} entry.decision - allow, regenerate, block, hold, approve or reject
+     * @param {string} entry.content_type - story or chapter
+     * @param {Array<Object>} [entry.flags]
+     * @returns {Promise<void>}
+     */
+    async record(entry) {
+        const decision = {
+            flags: [],
+            ...entry,
+            created_at: new Date().toISOString()
+        };
+
+        const log = decision.decision === 'allow' ? logger.info.bind(logger) : logger.warn.bind(logger);
+        log(`Moderation ${decision.decision} (${decision.content_type})`, {
+            user_id: decision.user_id,
+            story_id: decision.story_id,
+            categories: [...new Set(decision.flags.map(flag => flag.category))]
+        });
+
+        const { error } = await this.supabase.from(this.table).insert(decision);
+        if (error) {
+            logger.warn('Could not persist moderation decision:', error.message);
+        }
+    }
+}
+
+/**
+ * Flags as shown to API clients: where and why, without the matched text.
+ * @param {Array<Object>} flags
+ * @returns {Array<{field: string, category: string, source: string}>}
+ */
+function publicFlags(flags) {
+    return flags.map(({ field, category, source }) => ({ field, category, source }));
+}
+
+module.exports = {
+    Moderator,
+    createClassifier,
+    moderatedFields,
+    publicFlags,
+    MODERATION_ACTIONS
+};
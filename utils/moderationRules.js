@@ -0,0 +1,99 @@
+/**
+ * Local child-safety rules used by utils/moderation.js.
+ *
+ * Each rule lists terms per language. A trailing `*` matches any word
+ * ending (`shoot*` matches "shooting"); terms may be phrases. `allowedFrom`
+ * is the lowest grade band (see GRADE_BANDS in promptTemplates.js) for which
+ * the content is acceptable; `null` means it is never acceptable.
+ * English terms are checked for every language, since models sometimes
+ * slip into English.
+ *
+ * The lists are deliberately short and conservative: they catch obvious
+ * failures cheaply. Nuanced judgements are left to the optional classifier.
+ */
+module.exports = [
+    {
+        id: 'profanity',
+        category: 'profanity',
+        allowedFrom: null,
+        terms: {
+            English: ['fuck*', 'shit', 'shitty', 'bullshit', 'bitch*', 'bastard*', 'asshole*', 'motherfuck*', 'dickhead*', 'cunt*'],
+            Spanish: ['mierda', 'puta', 'putas', 'puto', 'joder', 'coño', 'cabrón', 'cabrones', 'gilipollas', 'hijo de puta'],
+            French: ['merde', 'putain', 'connard*', 'connasse*', 'salope*', 'enculé*', 'bordel de merde'],
+            German: ['scheiße', 'scheisse', 'arschloch*', 'fick*', 'hure', 'huren*', 'wichser*', 'fotze*'],
+            Italian: ['cazzo', 'merda', 'stronz*', 'vaffanculo', 'puttan*', 'coglion*']
+        }
+    },
+    {
+        id: 'sexual-content',
+        category: 'sexual',
+        allowedFrom: null,
+        terms: {
+            English: ['porn*', 'erotic*', 'orgasm*', 'having sex', 'had sex', 'make love', 'made love', 'strip club*', 'prostitut*'],
+            Spanish: ['porno*', 'erótic*', 'orgasmo*', 'tener sexo', 'hacer el amor', 'prostitut*'],
+            French: ['porno*', 'érotique*', 'orgasme*', 'faire l\'amour', 'prostitu*'],
+            German: ['porno*', 'erotisch*', 'orgasmus*', 'sex haben', 'prostitu*'],
+            Italian: ['porno*', 'erotic*', 'orgasm*', 'fare l\'amore', 'prostitu*']
+        }
+    },
+    {
+        id: 'self-harm',
+        category: 'self_harm',
+        allowedFrom: 'university',
+        terms: {
+            English: ['suicide', 'suicidal', 'kill himself', 'kill herself', 'kill myself', 'kill themselves', 'kill yourself', 'self-harm', 'cut herself', 'cut himself', 'cutting herself', 'cutting himself'],
+            Spanish: ['suicid*', 'quitarse la vida', 'autolesi*'],
+            French: ['suicid*', 'se tuer', 'automutil*', 'se mutiler'],
+            German: ['selbstmord*', 'suizid*', 'sich umbringen', 'selbstverletz*', 'sich ritzen'],
+            Italian: ['suicid*', 'togliersi la vita', 'autolesion*']
+        }
+    },
+    {
+        id: 'graphic-violence',
+        category: 'violence',
+        allowedFrom: '9-12',
+        terms: {
+            English: ['gore', 'gory', 'bloodbath', 'decapitat*', 'disembowel*', 'mutilat*', 'torture*', 'massacre*', 'slaughter*', 'murder*', 'corpse*'],
+            Spanish: ['decapit*', 'mutil*', 'tortur*', 'masacre*', 'asesin*', 'cadáver*', 'matanza*'],
+            French: ['décapit*', 'mutil*', 'tortur*', 'massacre*', 'assassin*', 'cadavre*', 'égorg*'],
+            German: ['enthaupt*', 'verstümmel*', 'folter*', 'massaker*', 'ermord*', 'leiche', 'leichen', 'abschlacht*'],
+            Italian: ['decapit*', 'mutil*', 'tortur*', 'massacr*', 'assassin*', 'cadavere', 'cadaveri']
+        }
+    },
+    {
+        id: 'weapons',
+        category: 'violence',
+        allowedFrom: '6-8',
+        terms: {
+            English: ['gun', 'guns', 'gunfire', 'gunshot*', 'pistol*', 'rifle*', 'shotgun*', 'machine gun*', 'stabbed', 'stabbing', 'shot him', 'shot her', 'shot them', 'bomb', 'bombs', 'bombing*', 'grenade*'],
+            Spanish: ['pistola*', 'rifle*', 'escopeta*', 'disparo*', 'apuñal*', 'bombardeo*', 'granada de mano'],
+            French: ['pistolet*', 'fusil*', 'coup de feu', 'coups de feu', 'poignard*', 'bombe', 'bombes', 'grenade à main'],
+            German: ['pistole*', 'gewehr*', 'schusswaffe*', 'erschoss*', 'erstach*', 'erstochen', 'bombe*', 'handgranate*'],
+            Italian: ['pistol*', 'fucil*', 'sparatori*', 'pugnal*', 'bomba', 'bombe', 'bomba a mano']
+        }
+    },
+    {
+        id: 'substances',
+        category: 'substances',
+        allowedFrom: '9-12',
+        terms: {
+            English: ['drunk', 'beer*', 'vodka', 'whiskey', 'whisky', 'cocaine', 'heroin', 'marijuana', 'meth', 'cigarette*', 'vape*', 'vaping', 'overdos*', 'get high', 'got high'],
+            Spanish: ['borrach*', 'cerveza*', 'vodka', 'whisky', 'cocaína', 'heroína', 'marihuana', 'cigarrillo*', 'sobredosis', 'drogad*'],
+            French: ['ivre*', 'bière*', 'vodka', 'whisky', 'cocaïne', 'héroïne', 'cannabis', 'cigarette*', 'overdose*', 'drogué*'],
+            German: ['betrunken*', 'bier', 'biere', 'wodka', 'whisky', 'kokain', 'heroin', 'marihuana', 'zigarette*', 'überdosis'],
+            Italian: ['ubriac*', 'birra', 'birre', 'vodka', 'whisky', 'cocaina', 'eroina', 'marijuana', 'sigarett*', 'overdose', 'drogat*']
+        }
+    },
+    {
+        id: 'frightening',
+        category: 'frightening',
+        allowedFrom: '3-5',
+        terms: {
+            English: ['bloody', 'blood-soaked', 'dead body', 'dead bodies', 'demon', 'demons', 'demonic', 'nightmare*', 'terrified', 'horrifying', 'screamed in pain', 'kidnap*'],
+            Spanish: ['ensangrentad*', 'demonio*', 'pesadilla*', 'aterrorizad*', 'secuestrad*', 'secuestrador*'],
+            French: ['ensanglant*', 'démon', 'démons', 'démoniaque*', 'cauchemar*', 'terrifié*', 'kidnapp*', 'enlèvement*'],
+            German: ['blutverschmiert*', 'dämon*', 'albtraum*', 'albträum*', 'entführ*'],
+            Italian: ['insanguinat*', 'demone', 'demoni', 'incubo', 'incubi', 'terrorizzat*', 'rapiment*']
+        }
+    }
+];
@@ -0,0 +1,128 @@
+const path = require('path');
+const { AppError } = require('./errorHandler');
+const { readZipEntry } = require('./zip');
+
+/**
+ * Reading passages supplied by teachers, pasted or uploaded as a .txt, .md
+ * or .docx file. Uploads arrive base64-encoded in the JSON body; this module
+ * turns them into plain text with paragraphs separated by blank lines, the way
+ * generated story text is stored.
+ */
+
+const PASSAGE_FILE_TYPES = ['.txt', '.md', '.docx'];
+
+// Largest upload accepted, after base64 decoding
+const MAX_UPLOAD_BYTES = 2 * 1024 * 1024;
+
+// Control characters other than tab and line breaks
+const CONTROL_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\uFEFF]/g;
+
+/**
+ * Tidy passage text: composed (NFC) Unicode, Unix line breaks, no control
+ * characters, paragraphs separated by one blank line.
+ * @param {string} text
+ * @returns {string}
+ */
+function cleanPassage(text) {
+    return String(text)
+        .normalize('NFC')
+        .replace(/\r\n?/g, '\n')
+        .replace(CONTROL_CHARS, '')
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.split('\n').map(line => line.replace(/[ \t]+/g, ' ').trim()).join('\n').trim())
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+// Markdown as plain prose: headings, emphasis, links, images, code fences,
+// block quotes, list markers and rules are reduced to their text
+function stripMarkdown(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/^```.*$/gm, '')
+        .replace(/^ {0,3}(?:[-*_] *){3,}$/gm, '')
+        .replace(/^ {0,3}#{1,6}[ \t]+(.*?)[ \t]*#*[ \t]*$/gm, '$1')
+        .replace(/^ {0,3}>[ \t]?/gm, '')
+        .replace(/^[ \t]*(?:[-*+]|\d+[.)])[ \t]+/gm, '')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/(^|[^\w*])[*_](?=\S)(.+?)(?<=\S)[*_](?![\w*])/g, '$1$2')
+        .replace(/`([^`]+)`/g, '$1');
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : '';
+        }
+        return XML_ENTITIES[code] ?? entity;
+    });
+}
+
+/**
+ * The body text of a Word document, paragraphs separated by blank lines.
+ * @param {Buffer} buffer - The .docx file
+ * @returns {string}
+ * @throws {Error} When the file is not a Word document
+ */
+function docxText(buffer) {
+    const xml = readZipEntry(buffer, 'word/document.xml');
+    if (!xml) throw new Error('No word/document.xml in archive');
+
+    const paragraphs = xml.toString('utf8').match(/<w:p[\s>][\s\S]*?<\/w:p>/g) || [];
+    // Runs of text, tabs and line breaks; deleted revisions (w:delText) are skipped
+    return paragraphs.map(paragraph => [...paragraph.matchAll(/<w:t\b[^>]*>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:(?:br|cr)\b[^>]*\/>/g)]
+        .map(([tag, text]) => (text !== undefined ? decodeXml(text) : tag.startsWith('<w:tab') ? '\t' : '\n'))
+        .join('')
+    ).join('\n\n');
+}
+
+/**
+ * The text of an uploaded passage file.
+ * @param {{name: string, data: string}} file - File name and base64 contents
+ * @returns {string} Cleaned passage text
+ * @throws {AppError} 400 naming the `file` field when the file can't be read
+ */
+function passageFromUpload(file) {
+    const reject = (message) => new AppError('Invalid passage file', 400, { fields: [{ field: 'file', message }] });
+
+    if (!file || typeof file.name !== 'string' || typeof file.data !== 'string') {
+        throw reject('must be an object with the file name and its base64 contents');
+    }
+
+    const extension = path.extname(file.name).toLowerCase();
+    if (!PASSAGE_FILE_TYPES.includes(extension)) {
+        throw reject(`must be one of: ${PASSAGE_FILE_TYPES.join(', ')}`);
+    }
+
+    const buffer = Buffer.from(file.data, 'base64');
+    if (buffer.length === 0) throw reject('is empty');
+    if (buffer.length > MAX_UPLOAD_BYTES) {
+        throw reject(`must be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`);
+    }
+
+    if (extension === '.docx') {
+        try {
+            return cleanPassage(docxText(buffer));
+        } catch (error) {
+            throw reject(`could not be read as a Word document (${error.message})`);
+        }
+    }
+
+    const text = buffer.toString('utf8');
+    if (text.includes('\ufffd')) {
+        throw reject('must be UTF-8 text');
+    }
+    return cleanPassage(extension === '.md' ? stripMarkdown(text) : text);
+}
+
+module.exports = {
+    PASSAGE_FILE_TYPES,
+    MAX_UPLOAD_BYTES,
+    cleanPassage,
+    passageFromUpload
+};
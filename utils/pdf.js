@@ -0,0 +1,232 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal PDF writer for generated handouts. It draws text in the standard
+ * Helvetica fonts, which every PDF reader has, so nothing is embedded; text is
+ * encoded as WinAnsi, which covers the Latin-script languages stories are
+ * written in. Characters outside it print as their unaccented letter or "?".
+ */
+
+// Advance widths in 1/1000 em of the printable ASCII characters (32-126),
+// from the Adobe font metrics. Helvetica-Oblique shares Helvetica's.
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+const FONTS = {
+    regular: { resource: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS },
+    bold: { resource: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS },
+    italic: { resource: 'F3', baseFont: 'Helvetica-Oblique', widths: HELVETICA_WIDTHS }
+};
+
+// WinAnsi codes of the typographic characters stories use, with their widths
+// (regular and bold are the same)
+const WIN_ANSI_EXTRAS = {
+    '€': [0x80, 556],
+    '‚': [0x82, 222],
+    '„': [0x84, 333],
+    '…': [0x85, 1000],
+    '‘': [0x91, 222],
+    '’': [0x92, 222],
+    '“': [0x93, 333],
+    '”': [0x94, 333],
+    '•': [0x95, 350],
+    '–': [0x96, 556],
+    '—': [0x97, 1000],
+    '™': [0x99, 1000]
+};
+
+// Width of Latin-1 symbols not derived from a base letter
+const DEFAULT_WIDTH = 556;
+
+/**
+ * Map a character to its WinAnsi code and width.
+ * @param {string} char - One code point
+ * @param {Array<number>} widths - ASCII widths of the font
+ * @returns {[number, number]} [code, width]
+ */
+function encodeChar(char, widths) {
+    const code = char.codePointAt(0);
+    if (code >= 32 && code <= 126) return [code, widths[code - 32]];
+    if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char];
+    if (code === 0xa0) return [0x20, widths[0]];
+    if (code > 0xa0 && code <= 0xff) {
+        // Accented Latin-1 letters are as wide as their base letter
+        const base = char.normalize('NFD')[0].codePointAt(0);
+        return [code, base >= 32 && base <= 126 && base !== code ? widths[base - 32] : DEFAULT_WIDTH];
+    }
+
+    const base = char.normalize('NFD')[0];
+    const baseCode = base.codePointAt(0);
+    if (baseCode >= 32 && baseCode <= 126) return [baseCode, widths[baseCode - 32]];
+    return [0x3f, widths[0x3f - 32]];
+}
+
+class PdfDocument {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.width] - Page width in points (default US Letter)
+     * @param {number} [options.height] - Page height in points
+     * @param {string} [options.title] - Document title shown by PDF readers
+     */
+    constructor({ width = 612, height = 792, title = '' } = {}) {
+        this.width = width;
+        this.height = height;
+        this.title = title;
+        this.pages = [];
+    }
+
+    /**
+     * Start a new page; drawing calls take the page they draw on.
+     * @returns {Object} The page
+     */
+    addPage() {
+        const page = { ops: [] };
+        this.pages.push(page);
+        return page;
+    }
+
+    /**
+     * Width of a string in points.
+     * @param {string} text
+     * @param {string} font - regular, bold or italic
+     * @param {number} size - Font size in points
+     * @returns {number}
+     */
+    widthOf(text, font, size) {
+        const { widths } = FONTS[font];
+        let total = 0;
+        for (const char of String(text)) {
+            total += encodeChar(char, widths)[1];
+        }
+        return (total * size) / 1000;
+    }
+
+    /**
+     * Draw text with its baseline at y (measured from the bottom of the page).
+     */
+    text(page, x, y, text, font, size) {
+        const { resource, widths } = FONTS[font];
+        let encoded = '';
+        for (const char of String(text)) {
+            const [code] = encodeChar(char, widths);
+            encoded += code === 0x28 || code === 0x29 || code === 0x5c
+                ? `\\${String.fromCharCode(code)}`
+                : code >= 32 && code <= 126
+                    ? String.fromCharCode(code)
+                    : `\\${code.toString(8).padStart(3, '0')}`;
+        }
+        page.ops.push(`BT /${resource} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${encoded}) Tj ET`);
+    }
+
+    line(page, x1, y1, x2, y2, lineWidth = 0.5) {
+        page.ops.push(`${lineWidth} w ${x1.toFixed(2)} ${y1.toFixed(2)} m ${x2.toFixed(2)} ${y2.toFixed(2)} l S`);
+    }
+
+    rect(page, x, y, width, height, lineWidth = 0.5) {
+        page.ops.push(`${lineWidth} w ${x.toFixed(2)} ${y.toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re S`);
+    }
+
+    // An outlined circle, drawn as four Bézier curves
+    circle(page, cx, cy, r, lineWidth = 0.75) {
+        const k = r * 0.5523;
+        const p = (x, y) => `${(cx + x).toFixed(2)} ${(cy + y).toFixed(2)}`;
+        page.ops.push([
+            `${lineWidth} w ${p(r, 0)} m`,
+            `${p(r, k)} ${p(k, r)} ${p(0, r)} c`,
+            `${p(-k, r)} ${p(-r, k)} ${p(-r, 0)} c`,
+            `${p(-r, -k)} ${p(-k, -r)} ${p(0, -r)} c`,
+            `${p(k, -r)} ${p(r, -k)} ${p(r, 0)} c S`
+        ].join(' '));
+    }
+
+    // Colour of the text and lines drawn next, as a grey level from 0 (black) to 1 (white)
+    gray(page, level) {
+        page.ops.push(`${level} g ${level} G`);
+    }
+
+    /**
+     * The finished document.
+     * @returns {Buffer}
+     */
+    toBuffer() {
+        const objects = [];
+        const add = (body) => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = add(null);
+        const pagesId = add(null);
+        const fontIds = Object.fromEntries(Object.values(FONTS).map(font => [
+            font.resource,
+            add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`)
+        ]));
+        const fontResources = Object.entries(fontIds).map(([resource, id]) => `/${resource} ${id} 0 R`).join(' ');
+
+        const pageIds = this.pages.map(page => {
+            const content = zlib.deflateSync(Buffer.from(page.ops.join('\n'), 'latin1'));
+            const contentId = add(Buffer.concat([
+                Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+                content,
+                Buffer.from('\nendstream', 'latin1')
+            ]));
+            return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.width} ${this.height}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        // The title goes in as UTF-16 so any script shows in the reader's title bar
+        const title = Buffer.from(`\ufeff${this.title}`, 'utf16le').swap16().toString('hex');
+        const infoId = add(`<< /Title <${title}> /Producer (easystory) >>`);
+
+        const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+        const offsets = [];
+        let length = chunks[0].length;
+        objects.forEach((body, index) => {
+            const chunk = Buffer.concat([
+                Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+                Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+                Buffer.from('\nendobj\n', 'latin1')
+            ]);
+            offsets.push(length);
+            chunks.push(chunk);
+            length += chunk.length;
+        });
+
+        const xref = [
+            'xref',
+            `0 ${objects.length + 1}`,
+            '0000000000 65535 f ',
+            ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+            'trailer',
+            `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+            'startxref',
+            String(length),
+            '%%EOF',
+            ''
+        ].join('\n');
+        chunks.push(Buffer.from(xref, 'latin1'));
+
+        return Buffer.concat(chunks);
+    }
+}
+
+module.exports = {
+    PdfDocument
+};
@@ -0,0 +1,174 @@
+const logger = require('./logger');
+const { AppError } = require('./errorHandler');
+
+/**
+ * Defences against prompt injection through the free-text request fields.
+ *
+ * The subject (free text when "Other" is chosen), topic focus, setting, main
+ * character and continuation prompt are typed by teachers and students and end
+ * up inside the prompt. Each field is normalized (invisible characters,
+ * markup and template syntax removed), length-limited and checked for phrases
+ * that address the model rather than describe a story. The prompt templates (v2 and later) also wrap the fields
+ * in <user_input> tags that the model is told to treat as story details only.
+ * The text of an unsaved story being continued is checked the same way, but
+ * keeps its paragraphs and only loses the tags it is quoted between.
+ */
+
+const FREE_TEXT_FIELDS = {
+    subject: { label: 'Subject', maxLength: 100 },
+    subject_specification: { label: 'Topic focus', maxLength: 200 },
+    setting: { label: 'Story setting', maxLength: 200 },
+    main_character: { label: 'Main character', maxLength: 200 },
+    continuation_prompt: { label: 'Continuation prompt', maxLength: 500 },
+    original_story: { label: 'Story to continue', maxLength: 50000, passage: true }
+};
+
+const OVERRIDE_VERBS = 'ignore|ignoring|disregard|forget|override|bypass|ignora|ignorar|olvida|olvidar|ignorez|ignorer|oublie|oubliez|ignoriere|ignorieren|vergiss|vergessen|ignori|dimentica';
+const INSTRUCTION_NOUNS = 'instructions?|prompts?|system messages?|instrucciones|indicaciones|consignes|anweisungen|istruzioni';
+
+// Phrases that talk to the model instead of describing a story
+const INJECTION_PATTERNS = [
+    { id: 'override', pattern: new RegExp(`(?<![\\p{L}])(${OVERRIDE_VERBS})(?![\\p{L}]).{0,40}(?<![\\p{L}])(${INSTRUCTION_NOUNS})(?![\\p{L}])`, 'iu') },
+    { id: 'override', pattern: /\b(ignore|disregard|forget|override)\s+(all\s+|any\s+|the\s+|your\s+)*(previous|prior|above|earlier|preceding|original|everything)\b/i },
+    { id: 'system-prompt', pattern: /\b(system|developer|hidden|initial)\s+(prompt|message|instructions?)\b/i },
+    { id: 'role-change', pattern: /\b(you\s+are\s+(now|no\s+longer)|from\s+now\s+on,?\s+you|your\s+new\s+(role|task|instructions?)\s+(is|are))\b/i },
+    { id: 'role-change', pattern: /\b(pretend|act|behave)\s+(to\s+be|as\s+if\s+you\s+(are|were)|like|as)\s+(an?\s+)?(different\s+|unrestricted\s+|unfiltered\s+|evil\s+)?(ai|assistant|chatbot|language\s+model|llm|gpt)\b/i },
+    { id: 'new-instructions', pattern: /\bnew\s+(instructions?|rules|task)\s*:/i },
+    { id: 'jailbreak', pattern: /\b(jailbreak\w*|dan\s+mode|developer\s+mode|do\s+anything\s+now)\b/i },
+    { id: 'prompt-leak', pattern: /\b(reveal|print|show|repeat|output|tell\s+me)\b.{0,30}\b(your|the)\s+(prompt|instructions|rules|system)\b/i },
+    { id: 'role-marker', pattern: /(^|[.!?]\s+)(system|assistant|user)\s*:|\[\s*(system|assistant|user)\s*\]|<\|?\s*(im_start|im_end|endoftext|system)\s*\|?>|<\/?\s*user_input|#{2,}\s*(instruction|system|response)/i }
+];
+
+// Characters that are invisible or reorder text, used to hide or disguise instructions
+const FORMAT_CHARS = /[\u00AD\u061C\u180E\u200B-\u200F\u202A-\u202E\u2060-\u206F\uFEFF]/g;
+const CONTROL_CHARS = /[\u0000-\u001F\u007F-\u009F\u2028\u2029]/g;
+const PASSAGE_CONTROL_CHARS = /[\u0000-\u0009\u000B-\u001F\u007F-\u009F\u2028\u2029]/g;
+
+// Fold to NFKC (so look-alike letters become plain ones), drop invisible
+// characters and put the field on one line
+function normalizeText(text) {
+    return text
+        .normalize('NFKC')
+        .replace(FORMAT_CHARS, '')
+        .replace(CONTROL_CHARS, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Find instruction-like phrasing in a free-text field.
+ * @param {string} text
+ * @returns {{id: string, match: string}|null} The first matching pattern
+ */
+function detectInjection(text) {
+    const normalized = normalizeText(text);
+    for (const { id, pattern } of INJECTION_PATTERNS) {
+        const hit = normalized.match(pattern);
+        if (hit) {
+            return { id, match: hit[0] };
+        }
+    }
+    return null;
+}
+
+/**
+ * Make a field safe to place between <user_input> tags: normalized, with
+ * markup, template placeholders and role markers stripped.
+ * @param {string} text
+ * @returns {string}
+ */
+function neutralizeText(text) {
+    return normalizeText(text)
+        .replace(/<[^<>]*>/g, ' ')
+        .replace(/[<>{}[\]`]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Remove the tags used to delimit user text from longer text that is quoted
+ * in a prompt, such as the story being continued.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripDelimiters(text) {
+    return text.replace(/<\/?\s*(user_input|story|reference)\b[^>]*>/gi, '');
+}
+
+/**
+ * Make longer quoted text, such as a story being continued, safe to place in
+ * a prompt: normalized like a field, but keeping its line breaks.
+ * @param {string} text
+ * @returns {string}
+ */
+function neutralizePassage(text) {
+    return stripDelimiters(text
+        .normalize('NFKC')
+        .replace(FORMAT_CHARS, '')
+        .replace(/\r\n?/g, '\n')
+        .replace(PASSAGE_CONTROL_CHARS, ' '))
+        .trim();
+}
+
+/**
+ * Check and clean the free-text fields of a request, in place.
+ * @param {Object} inputs - Request body
+ * @param {Array<string>} [fields] - Names from FREE_TEXT_FIELDS; defaults to all of them
+ * @returns {Object} inputs
+ * @throws {AppError} 400 with `details.fields` naming each rejected field
+ */
+function checkFreeTextInputs(inputs, fields = Object.keys(FREE_TEXT_FIELDS)) {
+    const errors = [];
+
+    fields.forEach(field => {
+        const value = inputs[field];
+        if (value === undefined || value === null || value === '') return;
+
+        const { label, maxLength, passage } = FREE_TEXT_FIELDS[field];
+        if (typeof value !== 'string') {
+            errors.push({ field, reason: 'invalid_type', message: `${label} must be text.` });
+            return;
+        }
+
+        const detected = detectInjection(value);
+        if (detected) {
+            logger.warn('Rejected instruction-like input', { field, pattern: detected.id, match: detected.match.slice(0, 80) });
+            errors.push({
+                field,
+                reason: 'instruction_like',
+                message: `${label} looks like an instruction to the AI rather than a story detail. Please describe the story instead.`
+            });
+            return;
+        }
+
+        const cleaned = passage ? neutralizePassage(value) : neutralizeText(value);
+        if (cleaned.length > maxLength) {
+            errors.push({
+                field,
+                reason: 'too_long',
+                message: `${label} must be ${maxLength} characters or fewer (got ${cleaned.length}).`
+            });
+            return;
+        }
+
+        inputs[field] = cleaned;
+    });
+
+    if (errors.length > 0) {
+        const message = errors.length === 1
+            ? errors[0].message
+            : `Some story details were rejected: ${errors.map(error => FREE_TEXT_FIELDS[error.field].label).join(', ')}.`;
+        throw new AppError(message, 400, { fields: errors });
+    }
+
+    return inputs;
+}
+
+module.exports = {
+    FREE_TEXT_FIELDS,
+    checkFreeTextInputs,
+    detectInjection,
+    neutralizeText,
+    neutralizePassage,
+    stripDelimiters
+};
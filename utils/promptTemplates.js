@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const { AppError } = require('./errorHandler');
+
+/**
+ * Versioned prompt templates stored as files.
+ *
+ * Layout: `<dir>/<name>/v<version>[.grades-<band>][.<lang>].md`, e.g.
+ *   prompts/story/v2.md              base template
+ *   prompts/story/v2.es.md           Spanish variant
+ *   prompts/story/v2.grades-k-2.md   variant for grades K-2
+ *
+ * A file holds one or more messages, each introduced by a `[system]`,
+ * `[user]` or `[assistant]` line. `{{variable}}` placeholders are filled in
+ * at render time, within the message they appear in. Files are read on every render, so edited prompts take
+ * effect without a restart.
+ */
+
+const LANGUAGE_CODES = {
+    English: 'en',
+    Spanish: 'es',
+    French: 'fr',
+    German: 'de',
+    Italian: 'it'
+};
+
+const GRADE_BANDS = {
+    K: 'k-2', 1: 'k-2', 2: 'k-2',
+    3: '3-5', 4: '3-5', 5: '3-5',
+    6: '6-8', 7: '6-8', 8: '6-8',
+    9: '9-12', 10: '9-12', 11: '9-12', 12: '9-12',
+    University: 'university'
+};
+
+const FILE_PATTERN = /^v(\d+)((?:\.[a-z0-9-]+)*)\.md$/;
+const ROLE_LINE = /^\[(system|user|assistant)\]\s*$/;
+const VARIABLE = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+
+class PromptLibrary {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Root directory of the templates
+     * @param {Object<string, number>} [options.versions] - Pinned version per template;
+     *   templates not listed use their highest version
+     */
+    constructor({ dir, versions = {} }) {
+        this.dir = dir;
+        this.versions = versions;
+    }
+
+    // Files for a template, as { version, variant, file }
+    listFiles(name) {
+        const templateDir = path.join(this.dir, name);
+        if (!fs.existsSync(templateDir)) {
+            throw new AppError(`Unknown prompt template "${name}"`, 500);
+        }
+
+        return fs.readdirSync(templateDir)
+            .map(file => {
+                const match = file.match(FILE_PATTERN);
+                if (!match) return null;
+                return {
+                    version: parseInt(match[1], 10),
+                    variant: match[2].replace(/^\./, ''),
+                    file: path.join(templateDir, file)
+                };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Versions available for a template, ascending.
+     * @param {string} name
+     * @returns {number[]}
+     */
+    listVersions(name) {
+        return [...new Set(this.listFiles(name).map(entry => entry.version))].sort((a, b) => a - b);
+    }
+
+    /**
+     * The version used when none is requested: the pinned one, else the latest.
+     * @param {string} name
+     * @returns {number}
+     */
+    activeVersion(name) {
+        if (this.versions[name]) {
+            return this.versions[name];
+        }
+        const versions = this.listVersions(name);
+        return versions[versions.length - 1];
+    }
+
+    /**
+     * Whether every file of a version wraps user text in <user_input> tags,
+     * which makes it safe for clients to pick (see utils/promptInjection.js).
+     * @param {string} name
+     * @param {number} version
+     * @returns {boolean}
+     */
+    delimitsUserInput(name, version) {
+        const files = this.listFiles(name).filter(entry => entry.version === version);
+        return files.length > 0 && files.every(entry => fs.readFileSync(entry.file, 'utf8').includes('<user_input'));
+    }
+
+    /**
+     * Pick the most specific file for a version, language and grade.
+     * Order: grade+language, language, grade, base.
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {number} [options.version]
+     * @param {string} [options.language] - e.g. 'Spanish'
+     * @param {string} [options.grade] - e.g. '3' or 'University'
+     * @returns {{name: string, version: number, variant: string, file: string}}
+     */
+    resolve(name, { version, language, grade } = {}) {
+        const files = this.listFiles(name);
+        const wanted = version || this.activeVersion(name);
+        const candidates = files.filter(entry => entry.version === wanted);
+
+        if (candidates.length === 0) {
+            throw new AppError(`Prompt template "${name}" has no version ${wanted}`, 400, {
+                available_versions: this.listVersions(name)
+            });
+        }
+
+        const lang = LANGUAGE_CODES[language];
+        const band = GRADE_BANDS[grade];
+        const preferred = [
+            band && lang && `grades-${band}.${lang}`,
+            lang,
+            band && `grades-${band}`,
+            ''
+        ].filter(variant => typeof variant === 'string');
+
+        for (const variant of preferred) {
+            const match = candidates.find(entry => entry.variant === variant);
+            if (match) {
+                return { name, ...match };
+            }
+        }
+
+        throw new AppError(`Prompt template "${name}" v${wanted} has no base file`, 500);
+    }
+
+    /**
+     * Render a template into chat messages.
+     * @param {string} name
+     * @param {Object} variables - Values for the {{placeholders}}
+     * @param {Object} [options] - version, language and grade, as for resolve()
+     * @returns {{messages: Array<{role: string, content: string}>, template: {name: string, version: number, variant: string}}}
+     */
+    render(name, variables, options = {}) {
+        const resolved = this.resolve(name, options);
+        const source = fs.readFileSync(resolved.file, 'utf8');
+
+        // Split into messages before filling in the variables, so a value
+        // containing a `[system]` line stays inside the message it was put in
+        const sections = [];
+        source.split('\n').forEach(line => {
+            const role = line.match(ROLE_LINE);
+            if (role) {
+                sections.push({ role: role[1], content: '' });
+            } else if (sections.length > 0) {
+                sections[sections.length - 1].content += `${line}\n`;
+            }
+        });
+
+        if (sections.length === 0) {
+            throw new AppError(`Prompt template "${name}" has no [system] or [user] sections`, 500);
+        }
+
+        const missing = new Set();
+        const messages = sections.map(section => ({
+            role: section.role,
+            content: section.content.replace(VARIABLE, (placeholder, key) => {
+                if (variables[key] === undefined || variables[key] === null) {
+                    missing.add(key);
+                    return placeholder;
+                }
+                return String(variables[key]);
+            })
+        }));
+
+        if (missing.size > 0) {
+            throw new AppError(`Prompt template "${name}" is missing variables: ${[...missing].join(', ')}`, 500);
+        }
+
+        return {
+            messages: messages.map(message => ({ ...message, content: message.content.trim() })),
+            template: {
+                name,
+                version: resolved.version,
+                variant: resolved.variant || 'base'
+            }
+        };
+    }
+}
+
+/**
+ * Parse pinned versions from a string like "story=2,continuation=1".
+ * @param {string} [value]
+ * @returns {Object<string, number>}
+ */
+function parseVersionPins(value) {
+    const pins = {};
+    (value || '').split(',').forEach(pair => {
+        const [name, version] = pair.split('=').map(part => part && part.trim());
+        if (name && parseInt(version, 10) > 0) {
+            pins[name] = parseInt(version, 10);
+        }
+    });
+    return pins;
+}
+
+module.exports = {
+    PromptLibrary,
+    parseVersionPins,
+    LANGUAGE_CODES,
+    GRADE_BANDS
+};
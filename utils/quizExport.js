@@ -0,0 +1,282 @@
+const { LANGUAGE_CODES } = require('./promptTemplates');
+const { numberedQuizzes, escapeXml, scrambledOrder } = require('./storyExport');
+const { createZip } = require('./zip');
+
+/**
+ * Quiz exports for learning management systems: an IMS QTI 2.1 content
+ * package (one item per question plus a test that lists them) and Moodle GIFT
+ * text. Both take the document from buildExport() and keep every question's
+ * correct answer and its explanation as feedback.
+ */
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_SCHEMA = `${QTI_NAMESPACE} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd`;
+
+const OPTION_IDS = 'ABCDEFGHIJ';
+
+// The stored questions of a quiz, numbered like the printed ones; older
+// records use correct_answer and have no type
+function numberedQuestions(doc) {
+    return numberedQuizzes(doc).map(quiz => ({
+        heading: quiz.heading,
+        questions: quiz.questions.map((presented, index) => {
+            const saved = quiz.saved[index];
+            return {
+                ...saved,
+                number: presented.number,
+                type: saved.type || 'multiple_choice',
+                correctAnswer: saved.correctAnswer ?? saved.correct_answer
+            };
+        })
+    }));
+}
+
+// Every way a fill-in-the-blank answer may be written, without duplicates
+function acceptedAnswers(question) {
+    const answers = new Map();
+    [question.correctAnswer, ...(question.acceptedAnswers || [])].forEach(answer => {
+        const text = String(answer ?? '').trim();
+        if (text && !answers.has(text.toLowerCase())) answers.set(text.toLowerCase(), text);
+    });
+    return [...answers.values()];
+}
+
+// A fill-in-the-blank sentence split around its first blank
+function splitBlank(text) {
+    const match = /_{2,}/.exec(text);
+    return match
+        ? [text.slice(0, match.index), text.slice(match.index + match[0].length)]
+        : null;
+}
+
+const qtiChoice = (identifier, text) =>
+    `<simpleChoice identifier="${identifier}">${escapeXml(text)}</simpleChoice>`;
+
+const qtiValues = (values) => values.map(value => `<value>${escapeXml(value)}</value>`).join('');
+
+/**
+ * The response declaration and item body of a question.
+ * @param {Object} question - A stored question, normalized by numberedQuestions()
+ * @returns {{response: string, body: string, correct: string}} correct is the
+ *   expression that is true when the response is right
+ */
+function qtiInteraction(question) {
+    const prompt = `<prompt>${escapeXml(question.question)}</prompt>`;
+    const matchesCorrect = '<match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>';
+    const options = question.options || [];
+
+    switch (question.type) {
+        case 'true_false':
+            return {
+                response: `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier"><correctResponse>${qtiValues([question.correctAnswer ? 'TRUE' : 'FALSE'])}</correctResponse></responseDeclaration>`,
+                body: `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">${prompt}${qtiChoice('TRUE', 'True')}${qtiChoice('FALSE', 'False')}</choiceInteraction>`,
+                correct: matchesCorrect
+            };
+        case 'multi_select': {
+            const correct = Array.isArray(question.correctAnswer) ? question.correctAnswer : [];
+            return {
+                response: `<responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="identifier"><correctResponse>${qtiValues(correct.map(index => OPTION_IDS[index]))}</correctResponse></responseDeclaration>`,
+                body: `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="0">${prompt}${options.map((option, index) => qtiChoice(OPTION_IDS[index], option)).join('')}</choiceInteraction>`,
+                correct: matchesCorrect
+            };
+        }
+        case 'fill_blank': {
+            const answers = acceptedAnswers(question);
+            const entry = '<textEntryInteraction responseIdentifier="RESPONSE" expectedLength="20"/>';
+            const parts = splitBlank(question.question);
+            return {
+                response: `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"><correctResponse>${qtiValues(answers.slice(0, 1))}</correctResponse><mapping defaultValue="0" upperBound="1">${answers.map(answer => `<mapEntry mapKey="${escapeXml(answer)}" mappedValue="1" caseSensitive="false"/>`).join('')}</mapping></responseDeclaration>`,
+                body: parts
+                    ? `<p>${escapeXml(parts[0])}${entry}${escapeXml(parts[1])}</p>`
+                    : `<p>${escapeXml(question.question)}</p><p>${entry}</p>`,
+                correct: '<gt><mapResponse identifier="RESPONSE"/><baseValue baseType="float">0</baseValue></gt>'
+            };
+        }
+        case 'sequencing': {
+            const items = question.items || [];
+            return {
+                response: `<responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier"><correctResponse>${qtiValues(items.map((_, index) => `S${index + 1}`))}</correctResponse></responseDeclaration>`,
+                body: `<orderInteraction responseIdentifier="RESPONSE" shuffle="true">${prompt}${scrambledOrder(items.length).map(index => qtiChoice(`S${index + 1}`, items[index])).join('')}</orderInteraction>`,
+                correct: matchesCorrect
+            };
+        }
+        case 'matching': {
+            const pairs = question.pairs || [];
+            const associable = (identifier, text) =>
+                `<simpleAssociableChoice identifier="${identifier}" matchMax="1">${escapeXml(text)}</simpleAssociableChoice>`;
+            return {
+                response: `<responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair"><correctResponse>${qtiValues(pairs.map((_, index) => `T${index + 1} D${index + 1}`))}</correctResponse></responseDeclaration>`,
+                body: `<matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${pairs.length}">${prompt}`
+                    + `<simpleMatchSet>${pairs.map((pair, index) => associable(`T${index + 1}`, pair.term)).join('')}</simpleMatchSet>`
+                    + `<simpleMatchSet>${scrambledOrder(pairs.length).map(index => associable(`D${index + 1}`, pairs[index].definition)).join('')}</simpleMatchSet>`
+                    + '</matchInteraction>',
+                correct: matchesCorrect
+            };
+        }
+        default:
+            return {
+                response: `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier"><correctResponse>${qtiValues([OPTION_IDS[question.correctAnswer] || 'A'])}</correctResponse></responseDeclaration>`,
+                body: `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">${prompt}${options.map((option, index) => qtiChoice(OPTION_IDS[index], option)).join('')}</choiceInteraction>`,
+                correct: matchesCorrect
+            };
+    }
+}
+
+// One question as a QTI 2.1 assessmentItem scored 1 or 0, whose feedback
+// says whether the answer was right followed by the explanation
+function qtiItem(question, lang) {
+    const { response, body, correct } = qtiInteraction(question);
+    const feedback = (identifier, verdict) => {
+        const text = [verdict, question.explanation].filter(Boolean).join(' ');
+        return `<modalFeedback outcomeIdentifier="FEEDBACK" identifier="${identifier}" showHide="show">${escapeXml(text)}</modalFeedback>`;
+    };
+    const setOutcomes = (score, feedbackId) =>
+        `<setOutcomeValue identifier="SCORE"><baseValue baseType="float">${score}</baseValue></setOutcomeValue>`
+        + `<setOutcomeValue identifier="FEEDBACK"><baseValue baseType="identifier">${feedbackId}</baseValue></setOutcomeValue>`;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_SCHEMA}" identifier="ITEM-${question.number}" title="Question ${question.number}" adaptive="false" timeDependent="false" xml:lang="${lang}">
+${response}
+<outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>
+<outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+<itemBody>${body}</itemBody>
+<responseProcessing><responseCondition><responseIf>${correct}${setOutcomes(1, 'CORRECT')}</responseIf><responseElse>${setOutcomes(0, 'INCORRECT')}</responseElse></responseCondition></responseProcessing>
+${feedback('CORRECT', 'Correct.')}
+${feedback('INCORRECT', 'Not quite.')}
+</assessmentItem>
+`;
+}
+
+/**
+ * The quizzes as an IMS QTI 2.1 content package: one item per question and an
+ * assessment test with a section per chapter, scored out of the number of
+ * questions.
+ * @param {Object} doc - From buildExport()
+ * @param {Date} [modified]
+ * @returns {Buffer} The zip archive
+ */
+function toQtiPackage(doc, modified = new Date()) {
+    const lang = escapeXml(LANGUAGE_CODES[doc.language] || 'en');
+    const quizzes = numberedQuestions(doc);
+    const questions = quizzes.flatMap(quiz => quiz.questions);
+    const itemHref = (question) => `items/item-${question.number}.xml`;
+
+    const test = `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_SCHEMA}" identifier="TEST-${escapeXml(doc.id)}" title="${escapeXml(doc.title)}">
+<outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>
+<testPart identifier="PART-1" navigationMode="nonlinear" submissionMode="simultaneous">
+${quizzes.map((quiz, index) => `<assessmentSection identifier="SECTION-${index + 1}" title="${escapeXml(quiz.heading || 'Quiz')}" visible="true">
+${quiz.questions.map(question => `<assessmentItemRef identifier="ITEM-${question.number}" href="${itemHref(question)}"/>`).join('\n')}
+</assessmentSection>`).join('\n')}
+</testPart>
+<outcomeProcessing><setOutcomeValue identifier="SCORE"><sum><testVariables variableIdentifier="SCORE"/></sum></setOutcomeValue></outcomeProcessing>
+</assessmentTest>
+`;
+
+    const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/imscp_v1p1.xsd" identifier="MANIFEST-${escapeXml(doc.id)}">
+<metadata>
+<schema>QTIv2.1 Package</schema>
+<schemaversion>1.0.0</schemaversion>
+</metadata>
+<organizations/>
+<resources>
+<resource identifier="RES-TEST" type="imsqti_test_xmlv2p1" href="test.xml">
+<file href="test.xml"/>
+${questions.map(question => `<dependency identifierref="RES-ITEM-${question.number}"/>`).join('\n')}
+</resource>
+${questions.map(question => `<resource identifier="RES-ITEM-${question.number}" type="imsqti_item_xmlv2p1" href="${itemHref(question)}">
+<file href="${itemHref(question)}"/>
+</resource>`).join('\n')}
+</resources>
+</manifest>
+`;
+
+    return createZip([
+        { name: 'imsmanifest.xml', data: manifest },
+        { name: 'test.xml', data: test },
+        ...questions.map(question => ({ name: itemHref(question), data: qtiItem(question, lang) }))
+    ], modified);
+}
+
+// GIFT marks answers and feedback with these characters, so text escapes them;
+// line breaks would end the question
+const escapeGift = (text) => String(text ?? '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/([~=#{}:])/g, '\\$1');
+
+// Moodle only accepts its own grade fractions; 100/n to five places is one of
+// them for up to ten answers
+const giftWeight = (count) => Number((100 / count).toFixed(5));
+
+// The answer block of a question, between its braces
+function giftAnswers(question) {
+    const options = question.options || [];
+
+    switch (question.type) {
+        case 'true_false':
+            return [question.correctAnswer ? 'TRUE' : 'FALSE'];
+        case 'multi_select': {
+            const correct = Array.isArray(question.correctAnswer) ? question.correctAnswer : [];
+            const right = giftWeight(correct.length || 1);
+            const wrong = giftWeight(Math.max(options.length - correct.length, 1));
+            return options.map((option, index) => (correct.includes(index)
+                ? `~%${right}%${escapeGift(option)}`
+                : `~%-${wrong}%${escapeGift(option)}`));
+        }
+        case 'fill_blank':
+            return acceptedAnswers(question).map(answer => `=${escapeGift(answer)}`);
+        case 'sequencing':
+            // GIFT has no ordering questions, so each event is matched to its place
+            return (question.items || []).map((item, index) => `=${escapeGift(item)} -> ${index + 1}`);
+        case 'matching':
+            return (question.pairs || []).map(pair => `=${escapeGift(pair.term)} -> ${escapeGift(pair.definition)}`);
+        default:
+            return options.map((option, index) => `${index === question.correctAnswer ? '=' : '~'}${escapeGift(option)}`);
+    }
+}
+
+/**
+ * The quizzes as Moodle GIFT text, in a question bank category named after
+ * the story. The explanation of each question is its general feedback.
+ * @param {Object} doc - From buildExport()
+ * @returns {string}
+ */
+function toGift(doc) {
+    const lines = [
+        `// ${doc.title.replace(/\s+/g, ' ')}`,
+        // Moodle reads "/" as a subcategory separator and "//" as a slash
+        `$CATEGORY: ${doc.title.replace(/\s+/g, ' ').replace(/\//g, '//')}`,
+        ''
+    ];
+
+    numberedQuestions(doc).forEach(quiz => {
+        if (quiz.heading) lines.push(`// ${quiz.heading}`, '');
+        quiz.questions.forEach(question => {
+            const answers = [
+                ...giftAnswers(question),
+                ...(question.explanation ? [`####${escapeGift(question.explanation)}`] : [])
+            ].join('\n');
+            // A blank is answered in place, inside the sentence
+            const blank = question.type === 'fill_blank' ? splitBlank(question.question) : null;
+            const text = blank
+                ? [
+                    escapeGift(blank[0]),
+                    /\s$/.test(blank[0]) ? ' ' : '',
+                    `{${answers.replace(/\n/g, ' ')}}`,
+                    /^\s/.test(blank[1]) ? ' ' : '',
+                    escapeGift(blank[1])
+                ].join('')
+                : `${escapeGift(question.question)} {\n${answers}\n}`;
+            lines.push(`::Q${question.number}:: ${text}`, '');
+        });
+    });
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    toQtiPackage,
+    toGift
+};
@@ -0,0 +1,115 @@
+/**
+ * Server-side scoring of quiz attempts. Answers sent by the client are
+ * re-scored against the saved questions, so a recorded score can't be
+ * forged. The rules match quiz-component.js.
+ *
+ * Answer shapes by question type (see quizQuestionSchemas in storySchema.js):
+ *   multiple_choice  option index
+ *   true_false       true or false
+ *   multi_select     array of option indexes
+ *   fill_blank       the typed text
+ *   sequencing       item indexes in the order the student put them
+ *   matching         for each term, the index of the chosen definition
+ */
+
+const MAX_TEXT_ANSWER = 200;
+
+// Case, accent and punctuation-insensitive key for typed answers
+function normalizeText(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+const isIndexList = (value) => Array.isArray(value) && value.every(Number.isInteger);
+
+/**
+ * Reduce a client answer to the shape stored for its question type;
+ * anything malformed becomes null (unanswered).
+ * @param {Object} question
+ * @param {*} answer
+ * @returns {*}
+ */
+function normalizeAnswer(question, answer) {
+    if (answer === undefined || answer === null) return null;
+
+    switch (question.type || 'multiple_choice') {
+        case 'true_false':
+            return typeof answer === 'boolean' ? answer : null;
+        case 'multi_select':
+            return isIndexList(answer) ? [...new Set(answer)].sort((a, b) => a - b) : null;
+        case 'fill_blank':
+            return typeof answer === 'string' && answer.trim() ? answer.trim().slice(0, MAX_TEXT_ANSWER) : null;
+        case 'sequencing':
+        case 'matching':
+            return isIndexList(answer) ? answer.slice(0, 20) : null;
+        default:
+            return Number.isInteger(answer) ? answer : null;
+    }
+}
+
+/**
+ * Whether an answer to a question is correct.
+ * @param {Object} question - A saved quiz question
+ * @param {*} answer - Normalized answer (see normalizeAnswer)
+ * @returns {boolean}
+ */
+function isCorrect(question, answer) {
+    if (answer === null) return false;
+    const correct = question.correctAnswer ?? question.correct_answer;
+
+    switch (question.type || 'multiple_choice') {
+        case 'multi_select':
+            return Array.isArray(correct)
+                && answer.length === correct.length
+                && correct.every(index => answer.includes(index));
+        case 'fill_blank':
+            return [correct, ...(question.acceptedAnswers || [])]
+                .filter(accepted => typeof accepted === 'string')
+                .some(accepted => normalizeText(accepted) === normalizeText(answer));
+        case 'sequencing':
+            return answer.length === (question.items || []).length
+                && answer.every((itemIndex, position) => itemIndex === position);
+        case 'matching':
+            return answer.length === (question.pairs || []).length
+                && answer.every((definitionIndex, termIndex) => definitionIndex === termIndex);
+        default:
+            return answer === correct;
+    }
+}
+
+/**
+ * Score an attempt at a quiz.
+ * @param {Array<Object>} questions - The saved quiz_questions
+ * @param {Array<*>} answers - One answer per question, in question order; null if skipped
+ * @returns {{answers: Array<{question_index: number, type: string, answer: *, correct: boolean}>,
+ *   correct_count: number, question_count: number, score: number}} score is a whole percentage
+ */
+function scoreAttempt(questions, answers) {
+    const scored = questions.map((question, index) => {
+        const answer = normalizeAnswer(question, answers[index]);
+        return {
+            question_index: index,
+            type: question.type || 'multiple_choice',
+            answer,
+            correct: isCorrect(question, answer)
+        };
+    });
+
+    const correctCount = scored.filter(item => item.correct).length;
+    return {
+        answers: scored,
+        correct_count: correctCount,
+        question_count: questions.length,
+        score: questions.length ? Math.round((correctCount / questions.length) * 100) : 0
+    };
+}
+
+module.exports = {
+    normalizeAnswer,
+    isCorrect,
+    scoreAttempt
+};
@@ -0,0 +1,136 @@
+const { QUIZ_TYPES } = require('./storySchema');
+
+/**
+ * Quiz question types a teacher can mix, and the instructions that tell the
+ * model how to write each one. The shapes themselves are validated by
+ * quizQuestionSchemas in storySchema.js.
+ */
+
+const DEFAULT_QUIZ_TYPES = ['multiple_choice'];
+
+const QUIZ_TYPE_GUIDES = {
+    multiple_choice: {
+        description: 'four options, exactly one correct; correctAnswer is the zero-based index of the correct option',
+        example: {
+            type: 'multiple_choice',
+            question: 'What did Maya use to test her idea?',
+            options: ['Two seedlings', 'A telescope', 'A map', 'A drum'],
+            correctAnswer: 0,
+            explanation: 'Maya "planted two seedlings in matching pots" so she could compare them.',
+            hints: ['Think about what Maya planted at the start.', 'She used two of the same thing, in matching pots.']
+        }
+    },
+    true_false: {
+        description: 'a statement about the story; correctAnswer is true or false',
+        example: {
+            type: 'true_false',
+            question: 'Maya watered both plants every day.',
+            correctAnswer: false,
+            explanation: 'The story says Maya "stopped watering pot B" to see what would happen.'
+        }
+    },
+    multi_select: {
+        description: 'four options, one or more correct; correctAnswer lists the zero-based indexes of every correct option',
+        example: {
+            type: 'multi_select',
+            question: 'Which things do plants need to grow? Choose all that apply.',
+            options: ['Sunlight', 'Water', 'Music', 'Air'],
+            correctAnswer: [0, 1, 3],
+            explanation: 'Maya\'s teacher explains that plants need "sunlight, water and air"; music is never mentioned.'
+        }
+    },
+    fill_blank: {
+        description: 'a sentence from the story with one missing word or short phrase written as ___; correctAnswer is the missing text and acceptedAnswers lists other spellings that should also count',
+        example: {
+            type: 'fill_blank',
+            question: 'Plants make their own food from ___.',
+            correctAnswer: 'sunlight',
+            acceptedAnswers: ['sun light'],
+            explanation: 'The teacher tells Maya that leaves "turn sunlight into food".',
+            hints: ['It comes from the sky.', 'The plant on the windowsill gets plenty of it.']
+        }
+    },
+    sequencing: {
+        description: 'three to six events from the story; list the items in the order they happened (they are shuffled for the student)',
+        example: {
+            type: 'sequencing',
+            question: 'Put these events in the order they happened.',
+            items: ['Maya labelled the pots', 'Maya stopped watering pot B', 'The leaves of plant B drooped'],
+            explanation: 'Maya labelled the pots on the first day, stopped watering pot B on day two, and "by Friday" its leaves drooped.'
+        }
+    },
+    matching: {
+        description: 'three to six vocabulary words from the story, each paired with its definition (the definitions are shuffled for the student)',
+        example: {
+            type: 'matching',
+            question: 'Match each word with its meaning.',
+            pairs: [
+                { term: 'seedling', definition: 'a very young plant' },
+                { term: 'wilt', definition: 'to droop from lack of water' },
+                { term: 'sprout', definition: 'to begin to grow' }
+            ],
+            explanation: 'Plant B "began to wilt" without water, while the new seeds in pot A started to "sprout".'
+        }
+    }
+};
+
+// Explanation and hint instructions shared by every question type
+const QUIZ_FEEDBACK_FORMAT = [
+    'Every question object must include its "type" and an "explanation": one or two sentences, written for the student, saying why the answer is right and pointing back to the part of the story that shows it (quote a few words).',
+    'Add "hints" where they help: an array of one to three hints, from a gentle nudge to nearly the answer, that never state the answer outright.'
+].join('\n');
+
+/**
+ * Read the `quiz_types` of a request.
+ * @param {*} value - An array (or comma-separated string) of type names
+ * @returns {Array<string>|null} The types in canonical order, DEFAULT_QUIZ_TYPES
+ *   when none were given, or null when any name is unknown
+ */
+function parseQuizTypes(value) {
+    if (value === undefined || value === null || value === '') {
+        return [...DEFAULT_QUIZ_TYPES];
+    }
+
+    const names = typeof value === 'string' ? value.split(',').map(name => name.trim()) : value;
+    if (!Array.isArray(names) || names.length === 0 || names.some(name => !QUIZ_TYPES.includes(name))) {
+        return null;
+    }
+    return QUIZ_TYPES.filter(type => names.includes(type));
+}
+
+/**
+ * The question types used in a saved quiz, so continuations keep the mix.
+ * @param {Array<Object>} questions
+ * @returns {Array<string>}
+ */
+function quizTypesOf(questions) {
+    const used = (questions || []).map(question => question?.type || 'multiple_choice');
+    const types = QUIZ_TYPES.filter(type => used.includes(type));
+    return types.length ? types : [...DEFAULT_QUIZ_TYPES];
+}
+
+/**
+ * Prompt text describing the requested question types, for `{{quiz_format}}`.
+ * @param {Array<string>} types
+ * @returns {string}
+ */
+function quizFormat(types) {
+    const lines = types.map(type => {
+        const guide = QUIZ_TYPE_GUIDES[type];
+        return `- "${type}": ${guide.description}. Example from another story:\n  ${JSON.stringify(guide.example)}`;
+    });
+
+    const mix = types.length > 1
+        ? `Mix these question types, using each at least once:`
+        : `Use this question type for every question:`;
+
+    return `${mix}\n${lines.join('\n')}\n${QUIZ_FEEDBACK_FORMAT}`;
+}
+
+module.exports = {
+    DEFAULT_QUIZ_TYPES,
+    QUIZ_TYPE_GUIDES,
+    parseQuizTypes,
+    quizTypesOf,
+    quizFormat
+};
@@ -0,0 +1,213 @@
+/**
+ * Readability scoring for the supported story languages.
+ *
+ * Each language uses a formula calibrated for it:
+ *   English  Flesch-Kincaid grade level (score: Flesch reading ease)
+ *   Spanish  Fernández Huerta reading ease
+ *   French   Kandel & Moles reading ease
+ *   German   Wiener Sachtextformel grade (score: Flesch-Amstad reading ease)
+ *   Italian  Gulpease index
+ *
+ * Formulas that produce a reading-ease score are converted to an approximate
+ * US school grade with the usual Flesch bands. Syllables are counted with
+ * per-language vowel-group heuristics, which is accurate enough for grading
+ * a story but not for hyphenation.
+ */
+
+const VOWELS = {
+    English: 'aeiouy',
+    Spanish: 'aeiouáéíóúü',
+    French: 'aeiouyàâäéèêëîïôöùûüÿœæ',
+    German: 'aeiouyäöü',
+    Italian: 'aeiouàèéìíîòóùú'
+};
+
+// Reading ease -> approximate grade, interpolated between these points
+const EASE_TO_GRADE = [
+    [120, 0],
+    [100, 3],
+    [90, 5],
+    [80, 6],
+    [70, 7],
+    [60, 8.5],
+    [50, 11],
+    [30, 14],
+    [0, 17]
+];
+
+// Gulpease -> approximate grade. Gulpease 80+ is easy for primary school,
+// 60+ for middle school and 40+ for high school readers.
+const GULPEASE_TO_GRADE = [
+    [100, 0],
+    [80, 4],
+    [60, 8],
+    [40, 12],
+    [20, 16]
+];
+
+function interpolate(points, value) {
+    if (value >= points[0][0]) return points[0][1];
+    for (let i = 1; i < points.length; i++) {
+        const [x1, y1] = points[i - 1];
+        const [x2, y2] = points[i];
+        if (value >= x2) {
+            return y1 + ((value - x1) / (x2 - x1)) * (y2 - y1);
+        }
+    }
+    return points[points.length - 1][1];
+}
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function splitSentences(text) {
+    return text
+        .split(/[.!?…]+(?=\s|$)|\n\s*\n/)
+        .map(sentence => sentence.trim())
+        .filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+}
+
+function splitWords(text) {
+    return text.match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [];
+}
+
+/**
+ * Estimate the syllables in a word.
+ * @param {string} word
+ * @param {string} language - One of the supported language names
+ * @returns {number} At least 1
+ */
+function countSyllables(word, language) {
+    const lower = word.toLowerCase();
+    const vowels = VOWELS[language] || VOWELS.English;
+    const groups = lower.match(new RegExp(`[${vowels}]+`, 'g')) || [];
+    let count = groups.length;
+
+    if (language === 'English') {
+        // Silent final e (but not "-le" as in "little"), and -es/-ed that add no syllable
+        if (/[^aeiouy]e$/.test(lower) && !/[^aeiouy]le$/.test(lower)) count--;
+        else if (/[^aeiouy](es|ed)$/.test(lower) && !/(ted|ded|ses|zes|ches|shes|ges|ces)$/.test(lower)) count--;
+    } else if (language === 'French') {
+        // Mute final e, es and ent
+        if (count > 1 && /(e|es|ent)$/.test(lower) && !/[éè]$/.test(lower)) count--;
+    }
+
+    return Math.max(1, count);
+}
+
+/**
+ * Score a text's readability.
+ * @param {string} text
+ * @param {string} language - English, Spanish, French, German or Italian
+ * @returns {{formula: string, score: number, estimated_grade: number, words: number, sentences: number}|null}
+ *   null when the text is too short to score
+ */
+function analyzeReadability(text, language) {
+    const words = splitWords(text || '');
+    const sentenceCount = Math.max(1, splitSentences(text || '').length);
+    const wordCount = words.length;
+    if (wordCount < 30) {
+        return null;
+    }
+
+    const syllables = words.map(word => countSyllables(word, language));
+    const syllableCount = syllables.reduce((sum, n) => sum + n, 0);
+    const wordsPerSentence = wordCount / sentenceCount;
+    const syllablesPerWord = syllableCount / wordCount;
+
+    let formula;
+    let score;
+    let grade;
+
+    switch (language) {
+        case 'Spanish':
+            formula = 'fernandez-huerta';
+            score = 206.84 - 0.60 * (syllablesPerWord * 100) - 1.02 * (sentenceCount / wordCount * 100);
+            grade = interpolate(EASE_TO_GRADE, score);
+            break;
+        case 'French':
+            formula = 'kandel-moles';
+            score = 207 - 1.015 * wordsPerSentence - 73.6 * syllablesPerWord;
+            grade = interpolate(EASE_TO_GRADE, score);
+            break;
+        case 'German': {
+            formula = 'wiener-sachtextformel';
+            score = 180 - wordsPerSentence - 58.5 * syllablesPerWord;
+            const polysyllabic = syllables.filter(n => n >= 3).length / wordCount * 100;
+            const longWords = words.filter(word => word.length > 6).length / wordCount * 100;
+            const monosyllabic = syllables.filter(n => n === 1).length / wordCount * 100;
+            grade = 0.1935 * polysyllabic + 0.1672 * wordsPerSentence + 0.1297 * longWords - 0.0327 * monosyllabic - 0.875;
+            break;
+        }
+        case 'Italian': {
+            formula = 'gulpease';
+            const letters = words.join('').replace(/[^\p{L}]/gu, '').length;
+            score = 89 + (300 * sentenceCount - 10 * letters) / wordCount;
+            grade = interpolate(GULPEASE_TO_GRADE, score);
+            break;
+        }
+        default:
+            formula = 'flesch-kincaid';
+            score = 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord;
+            grade = 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59;
+    }
+
+    return {
+        formula,
+        score: round(score),
+        estimated_grade: round(Math.min(18, Math.max(0, grade))),
+        words: wordCount,
+        sentences: sentenceCount
+    };
+}
+
+/**
+ * Numeric grade for an academic_grade value: K is 0, University is 13.
+ * @param {string} academicGrade
+ * @returns {number|null}
+ */
+function gradeToNumber(academicGrade) {
+    if (academicGrade === 'K') return 0;
+    if (academicGrade === 'University') return 13;
+    const grade = parseInt(academicGrade, 10);
+    return isNaN(grade) ? null : grade;
+}
+
+/**
+ * Compare a text's reading level with the requested grade.
+ * @param {string} text
+ * @param {string} language
+ * @param {string} academicGrade
+ * @param {number} toleranceGrades - How far the estimate may drift either way
+ * @returns {Object|null} The analysis plus target_grade, within_band and direction
+ *   ('simpler' or 'harder' when outside the band); null if the text can't be scored
+ */
+function assessGradeBand(text, language, academicGrade, toleranceGrades) {
+    const analysis = analyzeReadability(text, language);
+    const target = gradeToNumber(academicGrade);
+    if (!analysis || target === null) {
+        return null;
+    }
+
+    const min = target - toleranceGrades;
+    // There is no upper limit on how hard a university text may be
+    const max = academicGrade === 'University' ? Infinity : target + toleranceGrades;
+    const grade = analysis.estimated_grade;
+
+    let direction = null;
+    if (grade > max) direction = 'simpler';
+    else if (grade < min) direction = 'harder';
+
+    return {
+        ...analysis,
+        target_grade: target,
+        within_band: direction === null,
+        direction
+    };
+}
+
+module.exports = {
+    analyzeReadability,
+    assessGradeBand,
+    countSyllables,
+    gradeToNumber
+};
@@ -0,0 +1,140 @@
+const path = require('path');
+const { AppError } = require('./errorHandler');
+const { cleanPassage, passageFromUpload } = require('./passageText');
+const { stripDelimiters } = require('./promptInjection');
+const { countWords } = require('./wordCount');
+
+/**
+ * Reference material a teacher attaches to a story request, so the story
+ * sticks to it instead of inventing facts. Each source is split into
+ * paragraphs numbered [1], [2]... across all sources; the model cites those
+ * numbers for quiz answers and factual claims, and anything it can't cite is
+ * flagged as unsupported.
+ */
+
+const MAX_REFERENCES = 5;
+
+// All sources together, so the prompt stays well inside the context window
+const MAX_REFERENCE_WORDS = 10000;
+
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * Read the `references` of a story request: a list of `{ title, text }` or
+ * `{ title, file: { name, data } }` (base64 .txt, .md or .docx, as for
+ * passageFromUpload()).
+ * @param {*} value - The `references` field of the request body
+ * @param {string} [language] - Story language, for counting words
+ * @returns {Array<{title: string, passages: Array<{id: number, text: string}>}>|null}
+ *   null when no reference material was attached; `title` may be empty
+ * @throws {AppError} 400 naming the `references` field when the material is unusable
+ */
+function parseReferences(value, language) {
+    if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+        return null;
+    }
+
+    const reject = (message) => new AppError('Invalid reference material', 400, {
+        fields: [{ field: 'references', message }]
+    });
+
+    if (!Array.isArray(value)) {
+        throw reject('must be a list of sources, each with its text or an uploaded file');
+    }
+    if (value.length > MAX_REFERENCES) {
+        throw reject(`can have at most ${MAX_REFERENCES} sources`);
+    }
+
+    let nextId = 1;
+    let words = 0;
+    return value.map((reference, index) => {
+        if (!reference || typeof reference !== 'object') {
+            throw reject(`source ${index + 1} must be an object with its text or file`);
+        }
+
+        let text;
+        if (typeof reference.text === 'string' && reference.text.trim() !== '') {
+            text = cleanPassage(reference.text);
+        } else if (reference.file) {
+            try {
+                text = passageFromUpload(reference.file);
+            } catch (error) {
+                const detail = error.details?.fields?.[0]?.message || error.message;
+                throw reject(`source ${index + 1}: the file ${detail}`);
+            }
+        } else {
+            throw reject(`source ${index + 1} has no text or file`);
+        }
+
+        if (!text) {
+            throw reject(`source ${index + 1} is empty`);
+        }
+        words += countWords(text, language);
+        if (words > MAX_REFERENCE_WORDS) {
+            throw reject(`must be ${MAX_REFERENCE_WORDS} words or fewer in total`);
+        }
+
+        const fileTitle = reference.file?.name ? path.basename(reference.file.name, path.extname(reference.file.name)) : '';
+        const title = (typeof reference.title === 'string' && reference.title.trim()) || fileTitle;
+
+        return {
+            title: cleanPassage(title).replace(/\s+/g, ' ').slice(0, MAX_TITLE_LENGTH),
+            passages: text.split('\n\n').map(paragraph => ({ id: nextId++, text: paragraph }))
+        };
+    });
+}
+
+/**
+ * The sources as numbered passages for a prompt, with any delimiter tags
+ * removed so the text can't close the tags it is wrapped in.
+ * @param {Array<Object>} sources - From parseReferences()
+ * @returns {string}
+ */
+function formatReferences(sources) {
+    return sources.map((source, index) => [
+        `Source ${index + 1}${source.title ? `: ${stripDelimiters(source.title)}` : ''}`,
+        ...source.passages.map(passage => `[${passage.id}] ${stripDelimiters(passage.text)}`)
+    ].join('\n')).join('\n\n');
+}
+
+/**
+ * Attach the model's citations to a quiz and list what the sources don't
+ * support. Citations of passages that don't exist are dropped, so a question
+ * or claim citing only those counts as unsupported.
+ * @param {Array<Object>} sources - From parseReferences()
+ * @param {Array<Object>} quiz - Generated quiz questions
+ * @param {{quiz_sources: Array<{question: number, passages: number[]}>,
+ *   claims: Array<{claim: string, passages: number[]}>}} grounding - The model's citations
+ * @returns {{quiz: Array<Object>, unsupported_claims: Array<{field: string, claim: string, question?: number}>}}
+ *   Each question gains `source_passages`, the IDs of the passages supporting its answer
+ */
+function applyGrounding(sources, quiz, grounding) {
+    const known = new Set(sources.flatMap(source => source.passages.map(passage => passage.id)));
+    const cited = (ids) => [...new Set((ids || []).filter(id => known.has(id)))].sort((a, b) => a - b);
+
+    const citations = new Map(grounding.quiz_sources.map(entry => [entry.question, entry.passages]));
+    const groundedQuiz = quiz.map((question, index) => ({
+        ...question,
+        source_passages: cited(citations.get(index + 1))
+    }));
+
+    const unsupported = [
+        ...grounding.claims
+            .filter(entry => cited(entry.passages).length === 0)
+            .map(entry => ({ field: 'content', claim: entry.claim })),
+        ...groundedQuiz
+            .map((question, index) => ({ question, number: index + 1 }))
+            .filter(({ question }) => question.source_passages.length === 0)
+            .map(({ question, number }) => ({ field: 'quiz', question: number, claim: question.question }))
+    ];
+
+    return { quiz: groundedQuiz, unsupported_claims: unsupported };
+}
+
+module.exports = {
+    MAX_REFERENCES,
+    MAX_REFERENCE_WORDS,
+    parseReferences,
+    formatReferences,
+    applyGrounding
+};
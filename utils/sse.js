@@ -0,0 +1,49 @@
+/**
+ * Minimal Server-Sent Events helper.
+ *
+ * Sets the streaming headers on an Express response and returns a small
+ * writer. A comment line is sent periodically so proxies (Render, nginx)
+ * don't close the connection while the model is thinking.
+ */
+function openEventStream(res, { heartbeatMs = 15000 } = {}) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    let closed = false;
+    const heartbeat = setInterval(() => {
+        if (!closed) res.write(': keep-alive\n\n');
+    }, heartbeatMs);
+
+    // Fires when the client disconnects (or after we end the response)
+    res.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+    });
+
+    return {
+        get closed() {
+            return closed;
+        },
+
+        send(event, data) {
+            if (closed) return;
+            res.write(`event: ${event}\n`);
+            res.write(`data: ${JSON.stringify(data)}\n\n`);
+        },
+
+        close() {
+            if (closed) return;
+            closed = true;
+            clearInterval(heartbeat);
+            res.end();
+        }
+    };
+}
+
+module.exports = {
+    openEventStream
+};
@@ -0,0 +1,423 @@
+const { LANGUAGE_CODES } = require('./promptTemplates');
+const { wordKey } = require('./vocabularyDeck');
+const { createZip } = require('./zip');
+
+/**
+ * Exports of a story with its learning materials, for e-readers and content
+ * repositories. buildExport() gathers the story, its approved chapters, a
+ * glossary from the vocabulary lists, the quizzes and the summaries into one
+ * document; toMarkdown() and toEpub() render it. Answers are kept out of the
+ * quiz and listed in a separate answer key.
+ */
+
+const OPTION_LETTERS = 'ABCDEFGHIJ';
+
+/**
+ * An order of `length` items that is never their stored order, so printed
+ * sequencing and matching questions don't give the answer away. It is fixed,
+ * so the answer key of an export never changes.
+ * @param {number} length
+ * @returns {Array<number>} Stored indexes in display order
+ */
+function scrambledOrder(length) {
+    const indexes = Array.from({ length }, (_, index) => index);
+    return [...indexes.filter(index => index % 2 === 1), ...indexes.filter(index => index % 2 === 0)];
+}
+
+const lettered = (index, text) => `${OPTION_LETTERS[index]}. ${text}`;
+const choice = (index, text) => ({ letter: OPTION_LETTERS[index], text });
+
+// A choice or numbered term as one line of text
+const choiceText = (item) => `${item.letter}. ${item.text}`;
+const termText = (term, index) => `${index + 1}. ${term}`;
+
+/**
+ * A quiz question as printed: its prompt, the lettered choices (and the
+ * numbered terms of a matching question), and the answer as it appears in the
+ * answer key.
+ * @param {Object} question - A saved quiz question (see quizQuestionSchemas in storySchema.js)
+ * @returns {{type: string, prompt: string, instruction: string|null,
+ *   choices: Array<{letter: string, text: string}>, terms: Array<string>, answer: string,
+ *   explanation: string|null}}
+ */
+function presentQuestion(question) {
+    const type = question.type || 'multiple_choice';
+    const correct = question.correctAnswer ?? question.correct_answer;
+    const options = question.options || [];
+    const presented = {
+        type,
+        prompt: question.question,
+        instruction: null,
+        choices: [],
+        terms: [],
+        answer: '',
+        explanation: question.explanation || null
+    };
+
+    switch (type) {
+        case 'true_false':
+            return { ...presented, choices: [choice(0, 'True'), choice(1, 'False')], answer: correct ? 'A. True' : 'B. False' };
+        case 'multi_select':
+            return {
+                ...presented,
+                instruction: 'Choose all that apply.',
+                choices: options.map((option, index) => choice(index, option)),
+                answer: (Array.isArray(correct) ? correct : []).map(index => lettered(index, options[index])).join('; ')
+            };
+        case 'fill_blank':
+            return {
+                ...presented,
+                answer: [correct, ...(question.acceptedAnswers || [])].filter(Boolean).join(' / ')
+            };
+        case 'sequencing': {
+            const items = question.items || [];
+            const order = scrambledOrder(items.length);
+            return {
+                ...presented,
+                instruction: 'Write the letters in the right order.',
+                choices: order.map((itemIndex, position) => choice(position, items[itemIndex])),
+                answer: items.map((_, itemIndex) => OPTION_LETTERS[order.indexOf(itemIndex)]).join(', ')
+            };
+        }
+        case 'matching': {
+            const pairs = question.pairs || [];
+            const order = scrambledOrder(pairs.length);
+            return {
+                ...presented,
+                instruction: 'Match each term to the letter of its definition.',
+                terms: pairs.map(pair => pair.term),
+                choices: order.map((pairIndex, position) => choice(position, pairs[pairIndex].definition)),
+                answer: pairs.map((_, pairIndex) => `${pairIndex + 1}-${OPTION_LETTERS[order.indexOf(pairIndex)]}`).join(', ')
+            };
+        }
+        default:
+            return {
+                ...presented,
+                choices: options.map((option, index) => choice(index, option)),
+                answer: Number.isInteger(correct) ? lettered(correct, options[correct]) : ''
+            };
+    }
+}
+
+const paragraphsOf = (text) => String(text || '').split(/\n+/).map(paragraph => paragraph.trim()).filter(Boolean);
+
+/**
+ * Everything an export contains, in reading order.
+ * @param {Object} story - A stories row
+ * @param {Array<Object>} [chapters] - Its approved story_continuations rows, in chapter order
+ * @returns {Object} title, id, subject, academic_grade, language, learning_objectives,
+ *   sections, summaries, glossary and quizzes (each with its questions as printed and,
+ *   in `saved`, as stored)
+ */
+function buildExport(story, chapters = []) {
+    const withChapters = chapters.length > 0;
+    const parts = [
+        { number: 1, text: story.story_text, summary: story.story_summary, vocabulary: story.vocabulary_list, quiz: story.quiz_questions, objectives: story.learning_objectives },
+        ...chapters.map(chapter => ({
+            number: chapter.chapter_number,
+            text: chapter.continuation_text,
+            summary: chapter.chapter_summary,
+            vocabulary: chapter.vocabulary_list,
+            quiz: chapter.quiz_questions,
+            objectives: chapter.learning_objectives
+        }))
+    ];
+    const headingOf = (part) => (withChapters ? `Chapter ${part.number}` : null);
+
+    const glossary = new Map();
+    parts.forEach(part => {
+        (Array.isArray(part.vocabulary) ? part.vocabulary : []).forEach(item => {
+            if (!item?.word || !item.definition || glossary.has(wordKey(item.word))) return;
+            glossary.set(wordKey(item.word), {
+                word: item.word.trim(),
+                part_of_speech: item.part_of_speech || null,
+                definition: item.definition,
+                example: item.example || null
+            });
+        });
+    });
+
+    return {
+        id: story.id,
+        title: story.story_title || 'Story',
+        subject: story.subject || null,
+        academic_grade: story.academic_grade || null,
+        language: story.language || null,
+        learning_objectives: [...new Set(parts.flatMap(part => (Array.isArray(part.objectives) ? part.objectives : [])))],
+        sections: parts.map(part => ({ heading: headingOf(part), paragraphs: paragraphsOf(part.text) })),
+        summaries: parts
+            .filter(part => part.summary)
+            .map(part => ({ heading: headingOf(part), text: part.summary })),
+        glossary: [...glossary.values()].sort((a, b) => a.word.localeCompare(b.word, LANGUAGE_CODES[story.language] || undefined)),
+        quizzes: parts
+            .filter(part => Array.isArray(part.quiz) && part.quiz.length > 0)
+            .map(part => ({ heading: headingOf(part), questions: part.quiz.map(presentQuestion), saved: part.quiz }))
+    };
+}
+
+// One line of subject, grade and language under the title
+function metaLine(doc) {
+    return [doc.subject, doc.academic_grade && `Grade ${doc.academic_grade}`, doc.language].filter(Boolean).join(' · ');
+}
+
+// Quiz questions are numbered straight through all chapters, so the answer
+// key can refer to them by number alone
+function numberedQuizzes(doc) {
+    let number = 0;
+    return doc.quizzes.map(quiz => ({
+        ...quiz,
+        questions: quiz.questions.map(question => ({ ...question, number: ++number }))
+    }));
+}
+
+const escapeMarkdown = (text) => String(text).replace(/([\\`*_[\]<>|#])/g, '\\$1');
+
+/**
+ * The export as Markdown.
+ * @param {Object} doc - From buildExport()
+ * @returns {string}
+ */
+function toMarkdown(doc) {
+    const lines = [`# ${escapeMarkdown(doc.title)}`, ''];
+    const meta = metaLine(doc);
+    if (meta) lines.push(`*${escapeMarkdown(meta)}*`, '');
+
+    if (doc.learning_objectives.length) {
+        lines.push('## Learning Objectives', '', ...doc.learning_objectives.map(objective => `- ${escapeMarkdown(objective)}`), '');
+    }
+
+    lines.push('## Story', '');
+    doc.sections.forEach(section => {
+        if (section.heading) lines.push(`### ${section.heading}`, '');
+        section.paragraphs.forEach(paragraph => lines.push(escapeMarkdown(paragraph), ''));
+    });
+
+    if (doc.summaries.length) {
+        lines.push('## Summary', '');
+        doc.summaries.forEach(summary => {
+            if (summary.heading) lines.push(`### ${summary.heading}`, '');
+            lines.push(escapeMarkdown(summary.text), '');
+        });
+    }
+
+    if (doc.glossary.length) {
+        lines.push('## Glossary', '');
+        doc.glossary.forEach(entry => {
+            const pos = entry.part_of_speech ? ` *(${escapeMarkdown(entry.part_of_speech)})*` : '';
+            lines.push(`**${escapeMarkdown(entry.word)}**${pos}: ${escapeMarkdown(entry.definition)}`);
+            if (entry.example) lines.push(`> ${escapeMarkdown(entry.example)}`);
+            lines.push('');
+        });
+    }
+
+    const quizzes = numberedQuizzes(doc);
+    if (quizzes.length) {
+        lines.push('## Quiz', '');
+        quizzes.forEach(quiz => {
+            if (quiz.heading) lines.push(`### ${quiz.heading}`, '');
+            quiz.questions.forEach(question => {
+                lines.push(`**${question.number}.** ${escapeMarkdown(question.prompt)}`, '');
+                if (question.instruction) lines.push(`*${question.instruction}*`, '');
+                question.terms.forEach((term, index) => lines.push(escapeMarkdown(termText(term, index))));
+                if (question.terms.length) lines.push('');
+                question.choices.forEach(item => lines.push(`- ${escapeMarkdown(choiceText(item))}`));
+                if (question.choices.length) lines.push('');
+            });
+        });
+
+        lines.push('## Answer Key', '');
+        quizzes.forEach(quiz => quiz.questions.forEach(question => {
+            lines.push(`${question.number}. **${escapeMarkdown(question.answer)}**${question.explanation ? ` ${escapeMarkdown(question.explanation)}` : ''}`);
+        }));
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+function xhtmlPage(doc, title, body) {
+    const lang = escapeXml(LANGUAGE_CODES[doc.language] || 'en');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+const EPUB_STYLE = `body { font-family: Georgia, serif; line-height: 1.6; margin: 1em; }
+h1, h2, h3 { font-family: sans-serif; }
+.meta { color: #555; font-style: italic; }
+.choices, .terms { list-style: none; padding-left: 1em; }
+.instruction { font-style: italic; }
+dt { font-weight: bold; margin-top: 0.8em; }
+dd { margin-left: 1em; }
+.example { font-style: italic; color: #555; }
+`;
+
+const paragraphsHtml = (paragraphs) => paragraphs.map(paragraph => `<p>${escapeXml(paragraph)}</p>`).join('\n');
+
+// The XHTML content documents of an EPUB, in reading order
+function epubPages(doc) {
+    const pages = [];
+    const meta = metaLine(doc);
+    pages.push({
+        id: 'title',
+        title: doc.title,
+        body: `<h1>${escapeXml(doc.title)}</h1>
+${meta ? `<p class="meta">${escapeXml(meta)}</p>` : ''}
+${doc.learning_objectives.length ? `<h2>Learning Objectives</h2>
+<ul>
+${doc.learning_objectives.map(objective => `<li>${escapeXml(objective)}</li>`).join('\n')}
+</ul>` : ''}`
+    });
+
+    doc.sections.forEach((section, index) => {
+        const heading = section.heading || 'Story';
+        pages.push({ id: `chapter-${index + 1}`, title: heading, body: `<h2>${escapeXml(heading)}</h2>\n${paragraphsHtml(section.paragraphs)}` });
+    });
+
+    if (doc.summaries.length) {
+        pages.push({
+            id: 'summary',
+            title: 'Summary',
+            body: `<h2>Summary</h2>\n${doc.summaries.map(summary => `${summary.heading ? `<h3>${escapeXml(summary.heading)}</h3>\n` : ''}<p>${escapeXml(summary.text)}</p>`).join('\n')}`
+        });
+    }
+
+    if (doc.glossary.length) {
+        pages.push({
+            id: 'glossary',
+            title: 'Glossary',
+            body: `<h2>Glossary</h2>
+<dl>
+${doc.glossary.map(entry => `<dt>${escapeXml(entry.word)}${entry.part_of_speech ? ` <em>(${escapeXml(entry.part_of_speech)})</em>` : ''}</dt>
+<dd>${escapeXml(entry.definition)}${entry.example ? `<br/><span class="example">${escapeXml(entry.example)}</span>` : ''}</dd>`).join('\n')}
+</dl>`
+        });
+    }
+
+    const quizzes = numberedQuizzes(doc);
+    if (quizzes.length) {
+        const list = (items, className) => (items.length
+            ? `<ul class="${className}">\n${items.map(item => `<li>${escapeXml(item)}</li>`).join('\n')}\n</ul>`
+            : '');
+        pages.push({
+            id: 'quiz',
+            title: 'Quiz',
+            body: `<h2>Quiz</h2>\n${quizzes.map(quiz => `${quiz.heading ? `<h3>${escapeXml(quiz.heading)}</h3>\n` : ''}${quiz.questions.map(question => `<p><strong>${question.number}.</strong> ${escapeXml(question.prompt)}</p>
+${question.instruction ? `<p class="instruction">${escapeXml(question.instruction)}</p>` : ''}
+${list(question.terms.map(termText), 'terms')}
+${list(question.choices.map(choiceText), 'choices')}`).join('\n')}`).join('\n')}`
+        });
+        pages.push({
+            id: 'answers',
+            title: 'Answer Key',
+            body: `<h2>Answer Key</h2>
+<ol>
+${quizzes.flatMap(quiz => quiz.questions).map(question => `<li value="${question.number}"><strong>${escapeXml(question.answer)}</strong>${question.explanation ? ` ${escapeXml(question.explanation)}` : ''}</li>`).join('\n')}
+</ol>`
+        });
+    }
+
+    return pages;
+}
+
+/**
+ * The export as an EPUB 3 book.
+ * @param {Object} doc - From buildExport()
+ * @param {Date} [modified]
+ * @returns {Buffer}
+ */
+function toEpub(doc, modified = new Date()) {
+    const pages = epubPages(doc);
+    const lang = escapeXml(LANGUAGE_CODES[doc.language] || 'en');
+    const identifier = `urn:uuid:${doc.id}`;
+
+    const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${lang}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>
+<dc:title>${escapeXml(doc.title)}</dc:title>
+<dc:language>${lang}</dc:language>
+${doc.subject ? `<dc:subject>${escapeXml(doc.subject)}</dc:subject>` : ''}
+<meta property="dcterms:modified">${modified.toISOString().replace(/\.\d{3}Z$/, 'Z')}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="style" href="style.css" media-type="text/css"/>
+${pages.map(page => `<item id="${page.id}" href="${page.id}.xhtml" media-type="application/xhtml+xml"/>`).join('\n')}
+</manifest>
+<spine>
+${pages.map(page => `<itemref idref="${page.id}"/>`).join('\n')}
+</spine>
+</package>
+`;
+
+    const nav = xhtmlPage(doc, doc.title, `<nav epub:type="toc" id="toc">
+<h1>Contents</h1>
+<ol>
+${pages.map(page => `<li><a href="${page.id}.xhtml">${escapeXml(page.title)}</a></li>`).join('\n')}
+</ol>
+</nav>`);
+
+    return createZip([
+        // Must come first and be stored uncompressed
+        { name: 'mimetype', data: 'application/epub+zip', store: true },
+        {
+            name: 'META-INF/container.xml',
+            data: `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`
+        },
+        { name: 'OEBPS/content.opf', data: opf },
+        { name: 'OEBPS/nav.xhtml', data: nav },
+        { name: 'OEBPS/style.css', data: EPUB_STYLE },
+        ...pages.map(page => ({ name: `OEBPS/${page.id}.xhtml`, data: xhtmlPage(doc, page.title, page.body) }))
+    ], modified);
+}
+
+/**
+ * A download file name for an export.
+ * @param {string} title
+ * @param {string} extension - Without the dot
+ * @returns {string}
+ */
+function exportFilename(title, extension) {
+    const slug = String(title || 'story')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 80);
+    return `${slug || 'story'}.${extension}`;
+}
+
+module.exports = {
+    scrambledOrder,
+    presentQuestion,
+    buildExport,
+    metaLine,
+    numberedQuizzes,
+    escapeXml,
+    toMarkdown,
+    toEpub,
+    exportFilename
+};
@@ -0,0 +1,483 @@
+/**
+ * Declarative schema for the story payload returned by the LLM, plus the
+ * helpers used to parse, repair and validate it.
+ *
+ * The schema format is a small subset of JSON Schema (type, properties,
+ * required, items, minItems, maxItems, uniqueItems, minLength, pattern,
+ * minimum, maximum) so it can be quoted back to the model when asking for a
+ * fix. `discriminator` + `oneOf` selects an object schema by one of its
+ * properties, for quiz questions of different types.
+ */
+
+/**
+ * Every generated question explains its answer with reference to the story,
+ * and may carry up to three hints, from a gentle nudge to nearly the answer.
+ * Questions saved before these existed have neither.
+ */
+const quizFeedbackProperties = {
+    explanation: { type: 'string', minLength: 1 },
+    hints: { type: 'array', maxItems: 3, items: { type: 'string', minLength: 1 } }
+};
+
+/**
+ * Quiz questions carry a `type`; questions without one (stories saved before
+ * question types existed) are multiple choice. `correctAnswer` holds the
+ * answer in the form that suits the type. Sequencing items and matching pairs
+ * are stored in their correct order and shuffled when shown.
+ */
+const quizQuestionSchemas = {
+    multiple_choice: {
+        type: 'object',
+        required: ['question', 'options', 'correctAnswer', 'explanation'],
+        properties: {
+            type: { type: 'string' },
+            question: { type: 'string', minLength: 1 },
+            options: { type: 'array', minItems: 4, maxItems: 4, items: { type: 'string', minLength: 1 } },
+            correctAnswer: { type: 'integer', minimum: 0, maximum: 3 },
+            ...quizFeedbackProperties
+        }
+    },
+    true_false: {
+        type: 'object',
+        required: ['type', 'question', 'correctAnswer', 'explanation'],
+        properties: {
+            type: { type: 'string' },
+            question: { type: 'string', minLength: 1 },
+            correctAnswer: { type: 'boolean' },
+            ...quizFeedbackProperties
+        }
+    },
+    multi_select: {
+        type: 'object',
+        required: ['type', 'question', 'options', 'correctAnswer', 'explanation'],
+        properties: {
+            type: { type: 'string' },
+            question: { type: 'string', minLength: 1 },
+            options: { type: 'array', minItems: 4, maxItems: 4, items: { type: 'string', minLength: 1 } },
+            correctAnswer: { type: 'array', minItems: 1, maxItems: 4, uniqueItems: true, items: { type: 'integer', minimum: 0, maximum: 3 } },
+            ...quizFeedbackProperties
+        }
+    },
+    fill_blank: {
+        type: 'object',
+        required: ['type', 'question', 'correctAnswer', 'explanation'],
+        properties: {
+            type: { type: 'string' },
+            question: { type: 'string', minLength: 1, pattern: '_{3,}', patternMessage: 'must contain a blank written as ___' },
+            correctAnswer: { type: 'string', minLength: 1 },
+            acceptedAnswers: { type: 'array', items: { type: 'string', minLength: 1 } },
+            ...quizFeedbackProperties
+        }
+    },
+    sequencing: {
+        type: 'object',
+        required: ['type', 'question', 'items', 'explanation'],
+        properties: {
+            type: { type: 'string' },
+            question: { type: 'string', minLength: 1 },
+            items: { type: 'array', minItems: 3, maxItems: 6, uniqueItems: true, items: { type: 'string', minLength: 1 } },
+            ...quizFeedbackProperties
+        }
+    },
+    matching: {
+        type: 'object',
+        required: ['type', 'question', 'pairs', 'explanation'],
+        properties: {
+            type: { type: 'string' },
+            question: { type: 'string', minLength: 1 },
+            pairs: {
+                type: 'array',
+                minItems: 3,
+                maxItems: 6,
+                items: {
+                    type: 'object',
+                    required: ['term', 'definition'],
+                    properties: {
+                        term: { type: 'string', minLength: 1 },
+                        definition: { type: 'string', minLength: 1 }
+                    }
+                }
+            },
+            ...quizFeedbackProperties
+        }
+    }
+};
+
+const QUIZ_TYPES = Object.keys(quizQuestionSchemas);
+
+// Picks the schema in `oneOf` named by the question's `type`
+const quizQuestionSchema = {
+    type: 'object',
+    discriminator: { property: 'type', default: 'multiple_choice' },
+    oneOf: quizQuestionSchemas
+};
+
+const vocabularyItemSchema = {
+    type: 'object',
+    required: ['word', 'definition', 'example', 'part_of_speech'],
+    properties: {
+        word: { type: 'string', minLength: 1 },
+        definition: { type: 'string', minLength: 1 },
+        example: { type: 'string', minLength: 1 },
+        part_of_speech: { type: 'string', minLength: 1 }
+    }
+};
+
+const quizSchema = {
+    type: 'array',
+    minItems: 1,
+    items: quizQuestionSchema
+};
+
+const materialsSchema = {
+    type: 'object',
+    required: ['learning_objectives', 'vocabulary', 'quiz', 'summary'],
+    properties: {
+        learning_objectives: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+        vocabulary: { type: 'array', minItems: 1, items: vocabularyItemSchema },
+        quiz: quizSchema,
+        summary: { type: 'string', minLength: 1 }
+    }
+};
+
+const storySchema = {
+    type: 'object',
+    required: ['content', ...materialsSchema.required],
+    properties: {
+        content: { type: 'string', minLength: 1 },
+        ...materialsSchema.properties
+    }
+};
+
+// Citations returned when checking a story against its reference material:
+// the passages supporting each quiz answer (questions numbered from 1) and
+// each factual claim in the story, with an empty list for an unsupported one
+const citedPassages = { type: 'array', items: { type: 'integer', minimum: 1 } };
+const groundingSchema = {
+    type: 'object',
+    required: ['quiz_sources', 'claims'],
+    properties: {
+        quiz_sources: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['question', 'passages'],
+                properties: { question: { type: 'integer', minimum: 1 }, passages: citedPassages }
+            }
+        },
+        claims: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['claim', 'passages'],
+                properties: { claim: { type: 'string', minLength: 1 }, passages: citedPassages }
+            }
+        }
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path] - Path of `value` inside the payload, used in messages
+ * @returns {Array<{field: string, message: string}>} Empty when valid
+ */
+function validate(value, schema, path = '') {
+    const field = path || '(root)';
+    const errors = [];
+
+    if (!matchesType(value, schema.type)) {
+        errors.push({ field, message: `must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}, got ${typeOf(value)}` });
+        return errors;
+    }
+
+    if (schema.discriminator) {
+        const { property, default: fallback } = schema.discriminator;
+        const key = value[property] ?? fallback;
+        const variant = schema.oneOf[key];
+        if (!variant) {
+            errors.push({ field: path ? `${path}.${property}` : property, message: `must be one of ${Object.keys(schema.oneOf).join(', ')}, got ${JSON.stringify(key)}` });
+            return errors;
+        }
+        return validate(value, variant, path);
+    }
+
+    if (schema.type === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+        errors.push({ field, message: 'must not be empty' });
+    } else if (schema.type === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ field, message: schema.patternMessage || `must match ${schema.pattern}` });
+    }
+
+    if (schema.type === 'integer' || schema.type === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ field, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ field, message: `must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (schema.type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ field, message: schema.minItems === schema.maxItems
+                ? `must have exactly ${schema.minItems} items, got ${value.length}`
+                : `must have at least ${schema.minItems} items, got ${value.length}` });
+        } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ field, message: schema.minItems === schema.maxItems
+                ? `must have exactly ${schema.maxItems} items, got ${value.length}`
+                : `must have at most ${schema.maxItems} items, got ${value.length}` });
+        }
+        if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+            errors.push({ field, message: 'must not repeat items' });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validate(item, schema.items, `${path}[${index}]`));
+            });
+        }
+    }
+
+    if (schema.type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push({ field: path ? `${path}.${key}` : key, message: 'is required' });
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined && value[key] !== null) {
+                errors.push(...validate(value[key], propertySchema, path ? `${path}.${key}` : key));
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Parse JSON out of a model response, fixing the usual formatting slips:
+ * markdown code fences, prose around the object, smart quotes and trailing commas.
+ * @param {string} text
+ * @returns {Object} The parsed value
+ * @throws {SyntaxError} When nothing parseable can be recovered
+ */
+function parseJsonLoose(text) {
+    let candidate = String(text).trim()
+        .replace(/^```(?:json)?\s*/i, '')
+        .replace(/\s*```$/, '');
+
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+        candidate = candidate.slice(start, end + 1);
+    }
+
+    try {
+        return JSON.parse(candidate);
+    } catch (error) {
+        const repaired = candidate
+            .replace(/[“”]/g, '"')
+            .replace(/,\s*([}\]])/g, '$1');
+        return JSON.parse(repaired);
+    }
+}
+
+// Alternative spellings models use for our field names
+const FIELD_ALIASES = {
+    story: 'content',
+    text: 'content',
+    story_text: 'content',
+    objectives: 'learning_objectives',
+    learningObjectives: 'learning_objectives',
+    vocab: 'vocabulary',
+    vocabulary_list: 'vocabulary',
+    quiz_questions: 'quiz',
+    questions: 'quiz',
+    story_summary: 'summary',
+    correct_answer: 'correctAnswer',
+    correctAnswerIndex: 'correctAnswer',
+    correct_answer_index: 'correctAnswer',
+    correctAnswers: 'correctAnswer',
+    correct_answers: 'correctAnswer',
+    accepted_answers: 'acceptedAnswers',
+    rationale: 'explanation',
+    answer_explanation: 'explanation',
+    hint: 'hints',
+    question_type: 'type',
+    questionType: 'type',
+    answer: 'correctAnswer',
+    partOfSpeech: 'part_of_speech',
+    pos: 'part_of_speech',
+    meaning: 'definition',
+    example_sentence: 'example',
+    exampleSentence: 'example',
+    choices: 'options'
+};
+
+function renameAliases(obj) {
+    Object.entries(FIELD_ALIASES).forEach(([alias, canonical]) => {
+        if (obj[alias] !== undefined && obj[canonical] === undefined) {
+            obj[canonical] = obj[alias];
+            delete obj[alias];
+        }
+    });
+    return obj;
+}
+
+// Names models use for the question types
+const QUIZ_TYPE_ALIASES = {
+    multiple_choice_question: 'multiple_choice',
+    mcq: 'multiple_choice',
+    true_or_false: 'true_false',
+    truefalse: 'true_false',
+    boolean: 'true_false',
+    multiple_select: 'multi_select',
+    multiple_answer: 'multi_select',
+    select_all: 'multi_select',
+    fill_in_the_blank: 'fill_blank',
+    fill_in_blank: 'fill_blank',
+    cloze: 'fill_blank',
+    ordering: 'sequencing',
+    sequence: 'sequencing',
+    order: 'sequencing',
+    match: 'matching'
+};
+
+function normalizeQuizType(question) {
+    if (typeof question.type !== 'string') {
+        return;
+    }
+    const type = question.type.trim().toLowerCase().replace(/[\s/-]+/g, '_');
+    question.type = QUIZ_TYPE_ALIASES[type] || type;
+}
+
+// Turn "B", "1", or the text of an option into a zero-based index
+function optionIndex(answer, options) {
+    const trimmed = answer.trim();
+    if (/^\d+$/.test(trimmed)) {
+        return parseInt(trimmed, 10);
+    }
+    if (/^[A-Da-d]$/.test(trimmed)) {
+        return trimmed.toUpperCase().charCodeAt(0) - 65;
+    }
+    const index = options.findIndex(option => String(option).trim().toLowerCase() === trimmed.toLowerCase());
+    return index === -1 ? answer : index;
+}
+
+function normalizeCorrectAnswer(question) {
+    const answer = question.correctAnswer;
+
+    if (question.type === 'true_false' && typeof answer === 'string' && /^(true|false)$/i.test(answer.trim())) {
+        question.correctAnswer = answer.trim().toLowerCase() === 'true';
+    } else if (question.type === 'multi_select' && Array.isArray(question.options)) {
+        // "C, A" or ["C", "A", "C"] -> [0, 2]: sorted without repeats, so
+        // scoring on the server and in quiz-component.js can compare lengths
+        const answers = typeof answer === 'string' ? answer.split(',') : answer;
+        if (Array.isArray(answers)) {
+            const indexes = answers.map(item => (typeof item === 'string' ? optionIndex(item, question.options) : item));
+            question.correctAnswer = indexes.every(Number.isInteger)
+                ? [...new Set(indexes)].sort((a, b) => a - b)
+                : indexes;
+        }
+    } else if (typeof answer === 'string' && Array.isArray(question.options)) {
+        question.correctAnswer = optionIndex(answer, question.options);
+    }
+}
+
+/**
+ * Apply local, lossless fixes to a parsed payload before validation:
+ * field aliases, a quiz wrapped in `{ questions: [...] }`, question type
+ * spellings, answers given as letters, digit strings, option text or
+ * "true"/"false", and a single hint given as a string.
+ * @param {Object} payload
+ * @returns {Object} The same object, normalized in place
+ */
+function normalizePayload(payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return payload;
+    }
+
+    renameAliases(payload);
+
+    if (payload.quiz && !Array.isArray(payload.quiz) && Array.isArray(payload.quiz.questions)) {
+        payload.quiz = payload.quiz.questions;
+    }
+
+    if (Array.isArray(payload.quiz)) {
+        payload.quiz.forEach(question => {
+            if (question && typeof question === 'object') {
+                renameAliases(question);
+                normalizeQuizType(question);
+                normalizeCorrectAnswer(question);
+                if (typeof question.hints === 'string') {
+                    question.hints = [question.hints];
+                }
+            }
+        });
+    }
+
+    if (Array.isArray(payload.vocabulary)) {
+        payload.vocabulary.forEach(item => {
+            if (item && typeof item === 'object') {
+                renameAliases(item);
+            }
+        });
+    }
+
+    return payload;
+}
+
+/**
+ * Parse, repair and validate a raw model response.
+ * @param {string} text - Raw model output
+ * @param {Object} schema
+ * @returns {{value: Object|null, errors: Array<{field: string, message: string}>}}
+ */
+function parseStructured(text, schema) {
+    let value;
+    try {
+        value = parseJsonLoose(text);
+    } catch (error) {
+        return { value: null, errors: [{ field: '(root)', message: `is not valid JSON: ${error.message}` }] };
+    }
+
+    normalizePayload(value);
+    return { value, errors: validate(value, schema) };
+}
+
+/**
+ * Format validation errors for a re-prompt or a log line.
+ * @param {Array<{field: string, message: string}>} errors
+ * @returns {string}
+ */
+function formatErrors(errors) {
+    return errors.map(error => `- ${error.field}: ${error.message}`).join('\n');
+}
+
+module.exports = {
+    storySchema,
+    materialsSchema,
+    quizSchema,
+    groundingSchema,
+    quizQuestionSchema,
+    quizQuestionSchemas,
+    vocabularyItemSchema,
+    QUIZ_TYPES,
+    validate,
+    parseJsonLoose,
+    normalizePayload,
+    parseStructured,
+    formatErrors
+};
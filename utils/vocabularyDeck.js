@@ -0,0 +1,130 @@
+/**
+ * Personal vocabulary deck: the words from a user's stories and chapters,
+ * reviewed as flashcards on an SM-2 spaced-repetition schedule. Each card
+ * keeps its own ease factor, interval and repetition count; a good answer
+ * pushes the next review further out, a forgotten word starts over.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// How the student rated their recall, as an SM-2 quality score (0-5)
+const REVIEW_RATINGS = {
+    again: 1,
+    hard: 3,
+    good: 4,
+    easy: 5
+};
+
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+// A forgotten card comes back later in the same session
+const RELEARN_DELAY_MS = 10 * MINUTE_MS;
+const EASY_BONUS = 1.3;
+// A hard recall grows the interval more slowly than the ease factor would
+const HARD_INTERVAL_FACTOR = 1.2;
+
+/**
+ * The card state after a review.
+ * @param {Object} card - ease_factor, interval_days, repetitions and lapses
+ * @param {string} rating - One of REVIEW_RATINGS
+ * @param {Date} [now]
+ * @returns {{ease_factor: number, interval_days: number, repetitions: number,
+ *   lapses: number, due_at: string, last_reviewed_at: string}}
+ */
+function scheduleReview(card, rating, now = new Date()) {
+    const quality = REVIEW_RATINGS[rating];
+    if (quality === undefined) {
+        throw new Error(`Unknown review rating: ${rating}`);
+    }
+
+    let ease = Number(card.ease_factor) || DEFAULT_EASE;
+    let interval = card.interval_days || 0;
+    let repetitions = card.repetitions || 0;
+    let lapses = card.lapses || 0;
+
+    if (quality < 3) {
+        repetitions = 0;
+        interval = 0;
+        lapses += 1;
+    } else {
+        repetitions += 1;
+        if (repetitions === 1) {
+            interval = 1;
+        } else if (repetitions === 2) {
+            interval = 6;
+        } else {
+            interval = Math.round(interval * (rating === 'hard' ? HARD_INTERVAL_FACTOR : ease));
+        }
+        if (rating === 'easy') {
+            interval = Math.round(interval * EASY_BONUS);
+        }
+    }
+
+    ease = Math.max(MIN_EASE, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+    const dueAt = new Date(now.getTime() + (interval === 0 ? RELEARN_DELAY_MS : interval * DAY_MS));
+    return {
+        ease_factor: Math.round(ease * 100) / 100,
+        interval_days: interval,
+        repetitions,
+        lapses,
+        due_at: dueAt.toISOString(),
+        last_reviewed_at: now.toISOString()
+    };
+}
+
+/**
+ * Key that identifies a word in a deck, so the same word from two stories
+ * makes one card.
+ * @param {string} word
+ * @returns {string}
+ */
+function wordKey(word) {
+    return String(word).normalize('NFC').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * New deck cards for the vocabulary of some stories and their chapters. The
+ * first story (or chapter) to use a word provides its definition.
+ * @param {Array<Object>} stories - Rows with id, language and vocabulary_list
+ * @param {Array<Object>} [chapters] - Rows with story_id, chapter_number, language and vocabulary_list
+ * @returns {Array<Object>} Rows for vocabulary_cards, without the owner columns
+ */
+function deckEntries(stories, chapters = []) {
+    const sources = [
+        ...stories.map(story => ({ story_id: story.id, chapter_number: 1, language: story.language, vocabulary: story.vocabulary_list })),
+        ...chapters.map(chapter => ({ story_id: chapter.story_id, chapter_number: chapter.chapter_number, language: chapter.language, vocabulary: chapter.vocabulary_list }))
+    ];
+
+    const entries = new Map();
+    sources.forEach(source => {
+        (Array.isArray(source.vocabulary) ? source.vocabulary : []).forEach(item => {
+            if (!item || typeof item.word !== 'string' || !item.word.trim() || typeof item.definition !== 'string') return;
+
+            const language = source.language || '';
+            const key = `${language}\u0000${wordKey(item.word)}`;
+            if (entries.has(key)) return;
+
+            entries.set(key, {
+                word: item.word.trim(),
+                word_key: wordKey(item.word),
+                language,
+                definition: item.definition.trim(),
+                example: typeof item.example === 'string' ? item.example.trim() : null,
+                part_of_speech: typeof item.part_of_speech === 'string' ? item.part_of_speech.trim() : null,
+                story_id: source.story_id,
+                chapter_number: source.chapter_number
+            });
+        });
+    });
+
+    return [...entries.values()];
+}
+
+module.exports = {
+    REVIEW_RATINGS,
+    scheduleReview,
+    wordKey,
+    deckEntries
+};
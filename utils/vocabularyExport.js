@@ -0,0 +1,97 @@
+const { deckEntries } = require('./vocabularyDeck');
+
+/**
+ * Vocabulary lists as flashcard files: tab-separated text that Anki imports
+ * as notes, and a plain CSV for spreadsheets. Both hold one row per word with
+ * its part of speech, definition, example, the story it came from and its
+ * language, and are written as UTF-8.
+ */
+
+const VOCABULARY_COLUMNS = [
+    { key: 'word', label: 'Word' },
+    { key: 'part_of_speech', label: 'Part of speech' },
+    { key: 'definition', label: 'Definition' },
+    { key: 'example', label: 'Example' },
+    { key: 'story_title', label: 'Story' },
+    { key: 'language', label: 'Language' }
+];
+
+/**
+ * One row per word of some stories and their chapters. A word used in
+ * several stories of the same language is listed once, from the first.
+ * @param {Array<Object>} stories - Rows with id, story_title, language and vocabulary_list
+ * @param {Array<Object>} [chapters] - Rows with story_id, chapter_number, language and vocabulary_list
+ * @returns {Array<Object>} word, part_of_speech, definition, example, story_title and language
+ */
+function vocabularyRows(stories, chapters = []) {
+    const titles = new Map(stories.map(story => [story.id, story.story_title || 'Story']));
+    const storyOrder = new Map(stories.map((story, index) => [story.id, index]));
+    // Words stay grouped by story, each story's chapters after its first part
+    const entries = deckEntries(stories, chapters)
+        .sort((a, b) => storyOrder.get(a.story_id) - storyOrder.get(b.story_id));
+    return entries.map(entry => ({
+        word: entry.word,
+        part_of_speech: entry.part_of_speech || '',
+        definition: entry.definition,
+        example: entry.example || '',
+        story_title: titles.get(entry.story_id),
+        language: entry.language
+    }));
+}
+
+// Quote a field when it holds the separator, a quote or a line break, doubling
+// its quotes; composed (NFC) so accented letters import as one character
+function quoteField(value, separator) {
+    const text = String(value ?? '').normalize('NFC');
+    return text.includes(separator) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Tab-separated notes for Anki's File > Import. The header lines tell Anki the
+ * separator, that fields are plain text and what the columns are; the last
+ * column tags each note with its language.
+ * @param {Array<Object>} rows - From vocabularyRows()
+ * @returns {string}
+ */
+function toAnkiTsv(rows) {
+    const labels = [...VOCABULARY_COLUMNS.map(column => column.label), 'Tags'];
+    const lines = [
+        '#separator:tab',
+        '#html:false',
+        `#columns:${labels.join('\t')}`,
+        `#tags column:${labels.length}`,
+        ...rows.map(row => [
+            ...VOCABULARY_COLUMNS.map(column => row[column.key]),
+            row.language.toLowerCase()
+        ].map((value, index) => {
+            const field = quoteField(value, '\t');
+            // Anki reads a line starting with # as a comment
+            return index === 0 && field.startsWith('#') ? `"${field}"` : field;
+        }).join('\t'))
+    ];
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * The rows as RFC 4180 CSV with a header row. It starts with a byte order
+ * mark so spreadsheet programs read it as UTF-8, and fields that would start
+ * a formula are prefixed with an apostrophe.
+ * @param {Array<Object>} rows - From vocabularyRows()
+ * @returns {string}
+ */
+function toVocabularyCsv(rows) {
+    const lines = [
+        VOCABULARY_COLUMNS.map(column => column.label),
+        ...rows.map(row => VOCABULARY_COLUMNS.map(column => {
+            const text = String(row[column.key] ?? '');
+            return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+        }))
+    ].map(fields => fields.map(field => quoteField(field, ',')).join(','));
+    return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    vocabularyRows,
+    toAnkiTsv,
+    toVocabularyCsv
+};
@@ -0,0 +1,80 @@
+const { LANGUAGE_CODES } = require('./promptTemplates');
+
+/**
+ * Word counting that works for every script, including languages written
+ * without spaces (Chinese, Japanese, Thai...). Intl.Segmenter supplies
+ * dictionary-based word boundaries where the runtime has them; otherwise
+ * each CJK character counts as one word and other text splits on whitespace.
+ */
+
+const NO_SPACE_SCRIPTS = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/gu;
+
+const segmenters = new Map();
+
+function segmenterFor(language) {
+    const locale = LANGUAGE_CODES[language] || language || 'en';
+    if (!segmenters.has(locale)) {
+        let segmenter = null;
+        try {
+            segmenter = new Intl.Segmenter(locale, { granularity: 'word' });
+        } catch (error) {
+            // Unknown locale or no Intl.Segmenter; countWords falls back to the regex count
+        }
+        segmenters.set(locale, segmenter);
+    }
+    return segmenters.get(locale);
+}
+
+/**
+ * Count the words in a text.
+ * @param {string} text
+ * @param {string} [language] - A supported language name (e.g. 'Spanish') or a locale code
+ * @returns {number}
+ */
+function countWords(text, language) {
+    if (!text) {
+        return 0;
+    }
+
+    const segmenter = typeof Intl.Segmenter === 'function' ? segmenterFor(language) : null;
+    if (segmenter) {
+        let count = 0;
+        for (const segment of segmenter.segment(text)) {
+            if (segment.isWordLike) count++;
+        }
+        return count;
+    }
+
+    const noSpaceChars = (text.match(NO_SPACE_SCRIPTS) || []).length;
+    const spaced = text.replace(NO_SPACE_SCRIPTS, ' ').match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [];
+    return noSpaceChars + spaced.length;
+}
+
+/**
+ * Compare a text's length with the requested word count.
+ * @param {string} text
+ * @param {number} requested - Requested word count
+ * @param {Object} options
+ * @param {string} [options.language]
+ * @param {number} options.tolerance - Allowed deviation as a fraction, e.g. 0.2 for ±20%
+ * @returns {{requested_word_count: number, actual_word_count: number, within_tolerance: boolean, adjustment: ('expand'|'trim'|null)}}
+ */
+function checkWordCount(text, requested, { language, tolerance }) {
+    const actual = countWords(text, language);
+
+    let adjustment = null;
+    if (actual < requested * (1 - tolerance)) adjustment = 'expand';
+    else if (actual > requested * (1 + tolerance)) adjustment = 'trim';
+
+    return {
+        requested_word_count: requested,
+        actual_word_count: actual,
+        within_tolerance: adjustment === null,
+        adjustment
+    };
+}
+
+module.exports = {
+    countWords,
+    checkWordCount
+};
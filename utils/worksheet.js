@@ -0,0 +1,348 @@
+const { PdfDocument } = require('./pdf');
+const { metaLine, numberedQuizzes } = require('./storyExport');
+
+/**
+ * Printable PDF worksheets: the story, a numbered vocabulary table and the
+ * quiz with answer bubbles to fill in, then a separate teacher answer-key
+ * page. Laid out from the export document (see buildExport() in
+ * storyExport.js) with the teacher's font size and line spacing.
+ */
+
+const PAGE_SIZES = {
+    letter: { width: 612, height: 792 },
+    a4: { width: 595.28, height: 841.89 }
+};
+
+const WORKSHEET_DEFAULTS = {
+    font_size: 12,
+    line_spacing: 1.5,
+    page_size: 'letter',
+    answer_key: true
+};
+
+const FONT_SIZE_RANGE = [9, 18];
+const LINE_SPACING_RANGE = [1, 3];
+
+const MARGIN = 54;
+// Room kept at the bottom of each page for the footer
+const FOOTER_HEIGHT = 24;
+// Tables and the answer key stay compact whatever the body spacing
+const TABLE_LINE_SPACING = 1.25;
+
+class WorksheetLayout {
+    constructor(pdf, options) {
+        this.pdf = pdf;
+        this.fontSize = options.font_size;
+        this.lineSpacing = options.line_spacing;
+        this.contentWidth = pdf.width - 2 * MARGIN;
+        this.newPage();
+    }
+
+    newPage() {
+        this.page = this.pdf.addPage();
+        // Top of the next line, in PDF coordinates (from the bottom of the page)
+        this.y = this.pdf.height - MARGIN;
+    }
+
+    // Start a new page unless `height` points still fit on this one
+    ensure(height) {
+        if (this.y - height < MARGIN + FOOTER_HEIGHT) {
+            this.newPage();
+        }
+    }
+
+    gap(points) {
+        this.y -= points;
+    }
+
+    // Split text into lines no wider than `width`, breaking words only when
+    // one is wider than a whole line
+    wrap(text, font, size, width) {
+        const lines = [];
+        let current = '';
+        String(text).split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = current ? `${current} ${word}` : word;
+            if (this.pdf.widthOf(candidate, font, size) <= width) {
+                current = candidate;
+                return;
+            }
+            if (current) lines.push(current);
+            current = word;
+            while (this.pdf.widthOf(current, font, size) > width && current.length > 1) {
+                let cut = current.length - 1;
+                while (cut > 1 && this.pdf.widthOf(current.slice(0, cut), font, size) > width) cut--;
+                lines.push(current.slice(0, cut));
+                current = current.slice(cut);
+            }
+        });
+        if (current) lines.push(current);
+        return lines.length ? lines : [''];
+    }
+
+    // Baseline of a line of type `size` whose box starts at `top`
+    baseline(top, size, lineHeight) {
+        return top - (lineHeight - size) / 2 - size * 0.8;
+    }
+
+    /**
+     * Write wrapped text at the cursor.
+     * @param {string} text
+     * @param {Object} [style] - font, size, spacing (line height as a multiple
+     *   of size), indent (points from the left margin) and after (gap below)
+     */
+    write(text, { font = 'regular', size = this.fontSize, spacing = this.lineSpacing, indent = 0, after = 0 } = {}) {
+        const lineHeight = size * spacing;
+        this.wrap(text, font, size, this.contentWidth - indent).forEach(line => {
+            this.ensure(lineHeight);
+            this.pdf.text(this.page, MARGIN + indent, this.baseline(this.y, size, lineHeight), line, font, size);
+            this.y -= lineHeight;
+        });
+        this.gap(after);
+    }
+
+    heading(text, size = this.fontSize + 4) {
+        // Keep a heading with at least two lines of what follows
+        this.ensure(size * 1.4 + this.fontSize * this.lineSpacing * 2);
+        this.write(text, { font: 'bold', size, spacing: 1.4, after: this.fontSize * 0.4 });
+    }
+
+    // A lettered answer bubble with its text to the right
+    bubble(letter, text, indent) {
+        const size = this.fontSize;
+        const radius = size * 0.6;
+        const textIndent = indent + radius * 2 + size * 0.6;
+        const lines = this.wrap(text, 'regular', size, this.contentWidth - textIndent);
+        const lineHeight = size * Math.max(this.lineSpacing, 1.5);
+
+        this.ensure(lineHeight * lines.length);
+        const cx = MARGIN + indent + radius;
+        const cy = this.baseline(this.y, size, lineHeight) + size * 0.32;
+        this.pdf.circle(this.page, cx, cy, radius);
+        const letterSize = size * 0.7;
+        this.pdf.text(this.page, cx - this.pdf.widthOf(letter, 'regular', letterSize) / 2, cy - letterSize * 0.35, letter, 'regular', letterSize);
+
+        lines.forEach(line => {
+            this.pdf.text(this.page, MARGIN + textIndent, this.baseline(this.y, size, lineHeight), line, 'regular', size);
+            this.y -= lineHeight;
+        });
+    }
+
+    // A labelled line to write an answer on
+    answerLine(label, indent, length = this.contentWidth - indent) {
+        const size = this.fontSize;
+        const lineHeight = size * 2;
+        this.ensure(lineHeight);
+        const baseline = this.baseline(this.y, size, lineHeight);
+        const labelWidth = label ? this.pdf.widthOf(`${label} `, 'regular', size) : 0;
+        if (label) this.pdf.text(this.page, MARGIN + indent, baseline, label, 'regular', size);
+        this.pdf.line(this.page, MARGIN + indent + labelWidth, baseline - 2, MARGIN + indent + length, baseline - 2);
+        this.y -= lineHeight;
+    }
+
+    /**
+     * A bordered table; rows that don't fit continue on the next page under a
+     * repeated header row.
+     * @param {Array<{title: string, width: number}>} columns - Widths as fractions of the content width
+     * @param {Array<Array<string>>} rows
+     */
+    table(columns, rows) {
+        const size = this.fontSize - 1;
+        const lineHeight = size * TABLE_LINE_SPACING;
+        const padding = size * 0.4;
+        const widths = columns.map(column => column.width * this.contentWidth);
+
+        const drawRow = (cells, font) => {
+            const wrapped = cells.map((cell, index) => this.wrap(cell, font, size, widths[index] - 2 * padding));
+            const height = Math.max(...wrapped.map(lines => lines.length)) * lineHeight + 2 * padding;
+            if (this.y - height < MARGIN + FOOTER_HEIGHT) {
+                this.newPage();
+                if (font !== 'bold') drawRow(columns.map(column => column.title), 'bold');
+            }
+
+            let x = MARGIN;
+            wrapped.forEach((lines, index) => {
+                this.pdf.rect(this.page, x, this.y - height, widths[index], height);
+                lines.forEach((line, lineIndex) => {
+                    const top = this.y - padding - lineIndex * lineHeight;
+                    this.pdf.text(this.page, x + padding, this.baseline(top, size, lineHeight), line, font, size);
+                });
+                x += widths[index];
+            });
+            this.y -= height;
+        };
+
+        drawRow(columns.map(column => column.title), 'bold');
+        rows.forEach(row => drawRow(row, 'regular'));
+    }
+}
+
+function writeQuestion(layout, question) {
+    const indent = layout.fontSize * 1.8;
+    const { fontSize } = layout;
+
+    layout.ensure(fontSize * layout.lineSpacing * 3);
+    layout.write(`${question.number}. ${question.prompt}`, { font: 'bold', after: fontSize * 0.2 });
+    if (question.instruction) {
+        layout.write(question.instruction, { font: 'italic', size: fontSize - 1, indent, after: fontSize * 0.2 });
+    }
+
+    switch (question.type) {
+        case 'fill_blank':
+            layout.answerLine('Answer:', indent);
+            break;
+        case 'sequencing':
+            question.choices.forEach(choice => layout.bubble(choice.letter, choice.text, indent));
+            layout.answerLine('Order:', indent, indent + fontSize * 16);
+            break;
+        case 'matching':
+            question.terms.forEach((term, index) => {
+                // A box for the letter of the matching definition
+                const box = fontSize * 1.4;
+                layout.ensure(box + fontSize * 0.6);
+                layout.pdf.rect(layout.page, MARGIN + indent, layout.y - box, box, box);
+                layout.pdf.text(layout.page, MARGIN + indent + box + fontSize * 0.6, layout.y - box + fontSize * 0.35, `${index + 1}. ${term}`, 'regular', fontSize);
+                layout.gap(box + fontSize * 0.4);
+            });
+            layout.gap(fontSize * 0.4);
+            question.choices.forEach(choice => layout.write(`${choice.letter}. ${choice.text}`, { indent }));
+            break;
+        default:
+            question.choices.forEach(choice => layout.bubble(choice.letter, choice.text, indent));
+    }
+
+    layout.gap(fontSize);
+}
+
+// Page footers, once the page count is known
+function addFooters(pdf, doc, answerKeyStart) {
+    const size = 8;
+    pdf.pages.forEach((page, index) => {
+        const label = answerKeyStart !== null && index >= answerKeyStart ? `${doc.title} (teacher copy)` : doc.title;
+        const pageLabel = `Page ${index + 1} of ${pdf.pages.length}`;
+        const y = MARGIN / 2;
+        pdf.gray(page, 0.4);
+        pdf.text(page, MARGIN, y, label.length > 80 ? `${label.slice(0, 79)}…` : label, 'regular', size);
+        pdf.text(page, pdf.width - MARGIN - pdf.widthOf(pageLabel, 'regular', size), y, pageLabel, 'regular', size);
+        pdf.gray(page, 0);
+    });
+}
+
+/**
+ * The worksheet as a PDF.
+ * @param {Object} doc - From buildExport()
+ * @param {Object} [options] - font_size (points), line_spacing (multiple of the
+ *   font size), page_size (letter or a4) and answer_key (whether to add the
+ *   teacher page); see WORKSHEET_DEFAULTS
+ * @returns {Buffer}
+ */
+function toWorksheetPdf(doc, options = {}) {
+    const settings = { ...WORKSHEET_DEFAULTS, ...options };
+    const pdf = new PdfDocument({ ...PAGE_SIZES[settings.page_size], title: doc.title });
+    const layout = new WorksheetLayout(pdf, settings);
+    const { fontSize } = layout;
+
+    layout.write(doc.title, { font: 'bold', size: fontSize + 8, spacing: 1.3, after: fontSize * 0.2 });
+    const meta = metaLine(doc);
+    if (meta) layout.write(meta, { font: 'italic', size: fontSize - 1, spacing: 1.3 });
+    layout.gap(fontSize * 0.5);
+    layout.answerLine('Name:', 0, layout.contentWidth * 0.6);
+    layout.gap(fontSize);
+
+    doc.sections.forEach(section => {
+        if (section.heading) layout.heading(section.heading);
+        section.paragraphs.forEach(paragraph => layout.write(paragraph, { after: fontSize * 0.6 }));
+    });
+
+    if (doc.glossary.length) {
+        layout.gap(fontSize);
+        layout.heading('Vocabulary');
+        layout.table(
+            [{ title: 'No.', width: 0.08 }, { title: 'Word', width: 0.27 }, { title: 'Meaning', width: 0.65 }],
+            doc.glossary.map((entry, index) => [
+                String(index + 1),
+                entry.part_of_speech ? `${entry.word} (${entry.part_of_speech})` : entry.word,
+                entry.definition
+            ])
+        );
+    }
+
+    const quizzes = numberedQuizzes(doc);
+    if (quizzes.length) {
+        layout.gap(fontSize * 1.5);
+        layout.heading('Quiz');
+        quizzes.forEach(quiz => {
+            if (quiz.heading) layout.heading(quiz.heading, fontSize + 2);
+            quiz.questions.forEach(question => writeQuestion(layout, question));
+        });
+    }
+
+    let answerKeyStart = null;
+    if (settings.answer_key && quizzes.length) {
+        layout.newPage();
+        answerKeyStart = pdf.pages.length - 1;
+        layout.write('Answer Key', { font: 'bold', size: fontSize + 6, spacing: 1.3 });
+        layout.write(`For the teacher: ${doc.title}`, { font: 'italic', size: fontSize - 1, spacing: 1.3, after: fontSize });
+        quizzes.flatMap(quiz => quiz.questions).forEach(question => {
+            layout.write(`${question.number}. ${question.answer}`, { font: 'bold', spacing: TABLE_LINE_SPACING });
+            if (question.explanation) {
+                layout.write(question.explanation, { size: fontSize - 1, spacing: TABLE_LINE_SPACING, indent: fontSize * 1.8 });
+            }
+            layout.gap(fontSize * 0.5);
+        });
+    }
+
+    addFooters(pdf, doc, answerKeyStart);
+    return pdf.toBuffer();
+}
+
+/**
+ * Check worksheet options from a query string.
+ * @param {Object} query - font_size, line_spacing, page_size and answer_key, all optional strings
+ * @returns {{options: Object, errors: Array<{field: string, message: string}>}}
+ */
+function parseWorksheetOptions(query) {
+    const options = { ...WORKSHEET_DEFAULTS };
+    const errors = [];
+
+    if (query.font_size !== undefined) {
+        const size = Number(query.font_size);
+        if (!Number.isFinite(size) || size < FONT_SIZE_RANGE[0] || size > FONT_SIZE_RANGE[1]) {
+            errors.push({ field: 'font_size', message: `must be a number of points from ${FONT_SIZE_RANGE[0]} to ${FONT_SIZE_RANGE[1]}` });
+        } else {
+            options.font_size = size;
+        }
+    }
+
+    if (query.line_spacing !== undefined) {
+        const spacing = Number(query.line_spacing);
+        if (!Number.isFinite(spacing) || spacing < LINE_SPACING_RANGE[0] || spacing > LINE_SPACING_RANGE[1]) {
+            errors.push({ field: 'line_spacing', message: `must be a number from ${LINE_SPACING_RANGE[0]} to ${LINE_SPACING_RANGE[1]}` });
+        } else {
+            options.line_spacing = spacing;
+        }
+    }
+
+    if (query.page_size !== undefined) {
+        if (!PAGE_SIZES[query.page_size]) {
+            errors.push({ field: 'page_size', message: `must be one of: ${Object.keys(PAGE_SIZES).join(', ')}` });
+        } else {
+            options.page_size = query.page_size;
+        }
+    }
+
+    if (query.answer_key !== undefined) {
+        if (!['true', 'false'].includes(query.answer_key)) {
+            errors.push({ field: 'answer_key', message: 'must be true or false' });
+        } else {
+            options.answer_key = query.answer_key === 'true';
+        }
+    }
+
+    return { options, errors };
+}
+
+module.exports = {
+    WORKSHEET_DEFAULTS,
+    toWorksheetPdf,
+    parseWorksheetOptions
+};